@@ -0,0 +1,184 @@
+/**
+ * API Tokens Component
+ * Lets users create and revoke personal API tokens for sensors and scripts
+ */
+const ApiTokens = (function() {
+    // Constants
+    const MODAL_ID = 'api-tokens-modal';
+    const SCOPES = [
+        { value: 'plants:read', label: 'Read plants and upcoming reminders' },
+        { value: 'sensors:read', label: 'Read sensor data' },
+        { value: 'sensors:write', label: 'Write sensor data' },
+        { value: 'actuators:control', label: 'Switch actuators on and off' },
+        { value: 'reminders:complete', label: 'Complete reminders' }
+    ];
+
+    /**
+     * Initialize the component
+     * @param {String} openBtnId - ID of the button that opens the token manager
+     */
+    const initialize = (openBtnId) => {
+        const openBtn = document.getElementById(openBtnId);
+        if (openBtn) {
+            openBtn.addEventListener('click', openTokensModal);
+        }
+    };
+
+    /**
+     * Open the token manager modal
+     */
+    const openTokensModal = async () => {
+        Modal.createModal(MODAL_ID, 'API Tokens');
+
+        const content = `
+            <div id="api-token-created"></div>
+            <div id="api-token-list" class="loading"></div>
+
+            <h3>Create Token</h3>
+            <form id="api-token-form">
+                <div class="form-group">
+                    <label for="api-token-name">Name</label>
+                    <input type="text" id="api-token-name" maxlength="100" placeholder="e.g. Greenhouse Raspberry Pi" required>
+                </div>
+                <div class="form-group">
+                    <label>Scopes</label>
+                    ${SCOPES.map(scope => `
+                        <label class="checkbox-label">
+                            <input type="checkbox" name="api-token-scope" value="${scope.value}"> ${scope.label}
+                        </label>
+                    `).join('')}
+                </div>
+                <div class="form-group">
+                    <label for="api-token-expires">Expires after (days, optional)</label>
+                    <input type="number" id="api-token-expires" min="1" max="3650">
+                </div>
+            </form>
+        `;
+
+        Modal.setModalContent(MODAL_ID, content);
+        Modal.setModalSaveHandler(MODAL_ID, createToken);
+        Modal.showModal(MODAL_ID);
+
+        loadTokens();
+    };
+
+    /**
+     * Load and render the user's tokens
+     */
+    const loadTokens = async () => {
+        const listElement = document.getElementById('api-token-list');
+        if (!listElement) return;
+
+        try {
+            const tokens = await API.getApiTokens();
+            listElement.classList.remove('loading');
+            renderTokens(listElement, tokens);
+        } catch (error) {
+            console.error('Error loading API tokens:', error);
+            listElement.classList.remove('loading');
+            listElement.innerHTML = '<div class="error-message">Error loading API tokens. Please try again.</div>';
+        }
+    };
+
+    /**
+     * Render the token list
+     * @param {HTMLElement} listElement - Container element
+     * @param {Array} tokens - Array of token objects
+     */
+    const renderTokens = (listElement, tokens) => {
+        if (tokens.length === 0) {
+            listElement.innerHTML = '<div class="no-data-message">No API tokens yet.</div>';
+            return;
+        }
+
+        listElement.innerHTML = tokens.map(token => {
+            const isRevoked = Boolean(token.revokedAt);
+            const lastUsed = token.lastUsedAt ? new Date(token.lastUsedAt).toLocaleString() : 'never';
+            const expires = token.expiresAt ? new Date(token.expiresAt).toLocaleDateString() : 'never';
+
+            return `
+                <div class="api-token-item${isRevoked ? ' revoked' : ''}">
+                    <div class="api-token-info">
+                        <div class="api-token-name">${token.name} <code>${token.tokenPrefix}…</code></div>
+                        <div class="api-token-meta">${token.scopes.join(', ')}</div>
+                        <div class="api-token-meta">Last used: ${lastUsed} · Expires: ${expires}</div>
+                    </div>
+                    ${isRevoked
+                        ? '<span class="text-error">Revoked</span>'
+                        : `<button class="btn btn-sm btn-danger api-token-revoke-btn" data-token-id="${token.id}">Revoke</button>`}
+                </div>
+            `;
+        }).join('');
+
+        listElement.querySelectorAll('.api-token-revoke-btn').forEach(button => {
+            button.addEventListener('click', () => revokeToken(button.dataset.tokenId));
+        });
+    };
+
+    /**
+     * Create a token from the modal form
+     */
+    const createToken = async () => {
+        Modal.clearErrors(MODAL_ID);
+
+        const name = document.getElementById('api-token-name').value.trim();
+        const expiresInDays = document.getElementById('api-token-expires').value;
+        const scopes = Array.from(document.querySelectorAll('input[name="api-token-scope"]:checked'))
+            .map(input => input.value);
+
+        if (!name) {
+            Modal.showFieldError(MODAL_ID, 'api-token-name', 'Name is required');
+            return;
+        }
+
+        if (scopes.length === 0) {
+            Modal.showFieldError(MODAL_ID, 'api-token-expires', 'Select at least one scope');
+            return;
+        }
+
+        try {
+            const result = await API.createApiToken({
+                name,
+                scopes,
+                expiresInDays: expiresInDays ? parseInt(expiresInDays) : null
+            });
+
+            document.getElementById('api-token-created').innerHTML = `
+                <div class="api-token-secret">
+                    <p>Copy this token now, it will not be shown again:</p>
+                    <code>${result.token}</code>
+                </div>
+            `;
+            document.getElementById('api-token-form').reset();
+
+            loadTokens();
+        } catch (error) {
+            console.error('Error creating API token:', error);
+            alert('Error creating API token. Please try again.');
+        }
+    };
+
+    /**
+     * Revoke a token after confirmation
+     * @param {Number} tokenId - Token ID
+     */
+    const revokeToken = async (tokenId) => {
+        if (!confirm('Revoke this token? Devices using it will stop working immediately.')) {
+            return;
+        }
+
+        try {
+            await API.revokeApiToken(tokenId);
+            loadTokens();
+        } catch (error) {
+            console.error('Error revoking API token:', error);
+            alert('Error revoking API token. Please try again.');
+        }
+    };
+
+    // Public API
+    return {
+        initialize,
+        openTokensModal
+    };
+})();
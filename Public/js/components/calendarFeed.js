@@ -0,0 +1,146 @@
+/**
+ * Calendar Feed Component
+ * Lets users download their care reminders as an .ics file or subscribe to them
+ * from a calendar app through a secret feed URL
+ */
+const CalendarFeed = (function() {
+    // Constants
+    const MODAL_ID = 'calendar-feed-modal';
+
+    /**
+     * Initialize the component
+     * @param {String} openBtnId - ID of the button that opens the calendar modal
+     */
+    const initialize = (openBtnId) => {
+        const openBtn = document.getElementById(openBtnId);
+        if (openBtn) {
+            openBtn.addEventListener('click', openCalendarModal);
+        }
+    };
+
+    /**
+     * Open the calendar modal
+     */
+    const openCalendarModal = () => {
+        Modal.createModal(MODAL_ID, 'Calendar');
+
+        const content = `
+            <h3>Download</h3>
+            <p>Import your care reminders and estimated harvest dates into a calendar once.</p>
+            <a href="/api/calendar.ics" class="btn btn-secondary" download>Download .ics</a>
+
+            <h3>Subscribe</h3>
+            <p>Calendar apps that subscribe to the feed URL pick up changes automatically.
+               Anyone with the URL can read your plant calendar.</p>
+            <div id="calendar-feed-created"></div>
+            <div id="calendar-feed-status" class="loading"></div>
+        `;
+
+        Modal.setModalContent(MODAL_ID, content);
+        Modal.setModalSaveHandler(MODAL_ID, () => Modal.closeModal(MODAL_ID));
+        Modal.showModal(MODAL_ID);
+
+        loadFeed();
+    };
+
+    /**
+     * Load and render the feed status
+     */
+    const loadFeed = async () => {
+        const statusElement = document.getElementById('calendar-feed-status');
+        if (!statusElement) return;
+
+        try {
+            const { feed } = await API.getCalendarFeed();
+            statusElement.classList.remove('loading');
+            renderFeed(statusElement, feed);
+        } catch (error) {
+            console.error('Error loading calendar feed:', error);
+            statusElement.classList.remove('loading');
+            statusElement.innerHTML = '<div class="error-message">Error loading calendar feed. Please try again.</div>';
+        }
+    };
+
+    /**
+     * Render the feed status and actions
+     * @param {HTMLElement} statusElement - Container element
+     * @param {Object|null} feed - Feed object or null if there is none
+     */
+    const renderFeed = (statusElement, feed) => {
+        if (!feed) {
+            statusElement.innerHTML = `
+                <div class="no-data-message">No feed URL yet.</div>
+                <button class="btn btn-primary" id="calendar-feed-create-btn">Create Feed URL</button>
+            `;
+        } else {
+            const lastUsed = feed.lastUsedAt ? new Date(feed.lastUsedAt).toLocaleString() : 'never';
+
+            statusElement.innerHTML = `
+                <div class="calendar-feed-meta">
+                    Created: ${new Date(feed.createdAt).toLocaleDateString()} · Last fetched: ${lastUsed}
+                </div>
+                <div class="calendar-feed-actions">
+                    <button class="btn btn-secondary" id="calendar-feed-create-btn">Replace URL</button>
+                    <button class="btn btn-danger" id="calendar-feed-revoke-btn">Revoke</button>
+                </div>
+            `;
+        }
+
+        document.getElementById('calendar-feed-create-btn').addEventListener('click', () => createFeed(Boolean(feed)));
+
+        const revokeBtn = document.getElementById('calendar-feed-revoke-btn');
+        if (revokeBtn) {
+            revokeBtn.addEventListener('click', revokeFeed);
+        }
+    };
+
+    /**
+     * Create a feed URL, replacing the existing one after confirmation
+     * @param {Boolean} replacing - Whether a feed already exists
+     */
+    const createFeed = async (replacing) => {
+        if (replacing && !confirm('Replace the feed URL? Calendars subscribed to the old URL will stop updating.')) {
+            return;
+        }
+
+        try {
+            const result = await API.createCalendarFeed();
+
+            document.getElementById('calendar-feed-created').innerHTML = `
+                <div class="api-token-secret">
+                    <p>Copy this URL into your calendar app now, it will not be shown again:</p>
+                    <code>${result.url}</code>
+                </div>
+            `;
+
+            loadFeed();
+        } catch (error) {
+            console.error('Error creating calendar feed:', error);
+            alert('Error creating calendar feed. Please try again.');
+        }
+    };
+
+    /**
+     * Revoke the feed after confirmation
+     */
+    const revokeFeed = async () => {
+        if (!confirm('Revoke the feed URL? Subscribed calendars will stop updating immediately.')) {
+            return;
+        }
+
+        try {
+            await API.revokeCalendarFeed();
+            document.getElementById('calendar-feed-created').innerHTML = '';
+            loadFeed();
+        } catch (error) {
+            console.error('Error revoking calendar feed:', error);
+            alert('Error revoking calendar feed. Please try again.');
+        }
+    };
+
+    // Public API
+    return {
+        initialize,
+        openCalendarModal
+    };
+})();
@@ -0,0 +1,225 @@
+/**
+ * Charts Component
+ * Small SVG bar and line charts drawn with plain DOM calls, so the dashboard needs no
+ * charting library from a CDN. Colours and fonts come from the stylesheet (.chart-*).
+ */
+const Charts = (function() {
+    // Constants
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const WIDTH = 600;
+    const HEIGHT = 240;
+    const PADDING = { top: 16, right: 16, bottom: 40, left: 48 };
+    // Axis labels shown at most; longer series label every n-th point
+    const MAX_LABELS = 12;
+
+    /**
+     * Create an SVG element
+     * @param {String} name - Element name
+     * @param {Object} attributes - Attributes to set
+     * @param {String} text - Text content (optional)
+     * @returns {SVGElement}
+     */
+    const createElement = (name, attributes = {}, text = null) => {
+        const element = document.createElementNS(SVG_NS, name);
+        Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+        if (text !== null) {
+            element.textContent = text;
+        }
+        return element;
+    };
+
+    /**
+     * Round an axis maximum up to 1, 2, 5 or 10 times a power of ten
+     * @param {Number} value - Largest value
+     * @returns {Number} Axis maximum
+     */
+    const niceMax = (value) => {
+        if (value <= 0) return 1;
+
+        const magnitude = 10 ** Math.floor(Math.log10(value));
+        const step = [1, 2, 5, 10].find(factor => factor * magnitude >= value);
+        return step * magnitude;
+    };
+
+    /**
+     * Replace the container contents with an empty chart SVG
+     * @param {HTMLElement} container - Chart container
+     * @param {String} title - Accessible title
+     * @param {Number} height - Height in viewBox units
+     * @returns {SVGElement}
+     */
+    const createSvg = (container, title, height = HEIGHT) => {
+        const svg = createElement('svg', {
+            viewBox: `0 0 ${WIDTH} ${height}`,
+            class: 'chart',
+            role: 'img',
+            'aria-label': title
+        });
+        svg.appendChild(createElement('title', {}, title));
+
+        container.innerHTML = '';
+        container.appendChild(svg);
+        return svg;
+    };
+
+    /**
+     * Show a message instead of a chart
+     * @param {HTMLElement} container - Chart container
+     * @param {String} message - Message
+     */
+    const showEmpty = (container, message) => {
+        container.innerHTML = `<div class="no-data-message">${message}</div>`;
+    };
+
+    /**
+     * Draw horizontal grid lines with value labels on the left
+     * @param {SVGElement} svg - Chart
+     * @param {Number} max - Axis maximum
+     * @param {Function} format - Value formatter
+     * @returns {Function} Maps a value to its y coordinate
+     */
+    const drawValueAxis = (svg, max, format) => {
+        const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+        const toY = (value) => PADDING.top + plotHeight - (value / max) * plotHeight;
+
+        [0, 0.25, 0.5, 0.75, 1].forEach(fraction => {
+            const y = toY(max * fraction);
+            svg.appendChild(createElement('line', {
+                x1: PADDING.left, x2: WIDTH - PADDING.right, y1: y, y2: y, class: 'chart-grid'
+            }));
+            svg.appendChild(createElement('text', {
+                x: PADDING.left - 6, y: y + 4, 'text-anchor': 'end', class: 'chart-label'
+            }, format(max * fraction)));
+        });
+
+        return toY;
+    };
+
+    /**
+     * Vertical bar chart
+     * @param {HTMLElement} container - Chart container
+     * @param {Array} points - { label, value }
+     * @param {Object} options - title, format (value formatter), emptyMessage
+     */
+    const barChart = (container, points, options = {}) => {
+        const format = options.format || (value => String(Math.round(value * 100) / 100));
+
+        if (points.length === 0 || points.every(point => !point.value)) {
+            showEmpty(container, options.emptyMessage || 'No data yet.');
+            return;
+        }
+
+        const svg = createSvg(container, options.title || '');
+        const toY = drawValueAxis(svg, niceMax(Math.max(...points.map(point => point.value))), format);
+        const slot = (WIDTH - PADDING.left - PADDING.right) / points.length;
+        const barWidth = Math.max(slot * 0.6, 1);
+
+        points.forEach((point, index) => {
+            const x = PADDING.left + index * slot + (slot - barWidth) / 2;
+            const y = toY(point.value);
+
+            const bar = createElement('rect', {
+                x, y, width: barWidth, height: toY(0) - y, class: 'chart-bar'
+            });
+            bar.appendChild(createElement('title', {}, `${point.label}: ${format(point.value)}`));
+            svg.appendChild(bar);
+
+            svg.appendChild(createElement('text', {
+                x: x + barWidth / 2, y: HEIGHT - PADDING.bottom + 16, 'text-anchor': 'middle', class: 'chart-label'
+            }, point.label));
+        });
+    };
+
+    /**
+     * Horizontal bar chart, for long labels such as species names
+     * @param {HTMLElement} container - Chart container
+     * @param {Array} points - { label, value }
+     * @param {Object} options - title, format (value formatter), emptyMessage
+     */
+    const horizontalBarChart = (container, points, options = {}) => {
+        const format = options.format || (value => String(Math.round(value * 100) / 100));
+        const rowHeight = 28;
+        const labelWidth = 160;
+
+        if (points.length === 0) {
+            showEmpty(container, options.emptyMessage || 'No data yet.');
+            return;
+        }
+
+        const height = PADDING.top + points.length * rowHeight + PADDING.top;
+        const svg = createSvg(container, options.title || '', height);
+        const max = Math.max(...points.map(point => point.value)) || 1;
+        const plotWidth = WIDTH - labelWidth - PADDING.right - 48;
+
+        points.forEach((point, index) => {
+            const y = PADDING.top + index * rowHeight;
+            const width = Math.max((point.value / max) * plotWidth, 1);
+
+            svg.appendChild(createElement('text', {
+                x: labelWidth - 8, y: y + rowHeight / 2 + 4, 'text-anchor': 'end', class: 'chart-label'
+            }, point.label));
+
+            const bar = createElement('rect', {
+                x: labelWidth, y: y + 4, width, height: rowHeight - 8, class: 'chart-bar'
+            });
+            bar.appendChild(createElement('title', {}, `${point.label}: ${format(point.value)}`));
+            svg.appendChild(bar);
+
+            svg.appendChild(createElement('text', {
+                x: labelWidth + width + 6, y: y + rowHeight / 2 + 4, class: 'chart-value'
+            }, format(point.value)));
+        });
+    };
+
+    /**
+     * Line chart
+     * @param {HTMLElement} container - Chart container
+     * @param {Array} points - { label, value }; null values leave a gap
+     * @param {Object} options - title, format (value formatter), max (fixed axis maximum), emptyMessage
+     */
+    const lineChart = (container, points, options = {}) => {
+        const format = options.format || (value => String(Math.round(value * 100) / 100));
+        const values = points.map(point => point.value).filter(value => value !== null);
+
+        if (values.length === 0) {
+            showEmpty(container, options.emptyMessage || 'No data yet.');
+            return;
+        }
+
+        const svg = createSvg(container, options.title || '');
+        const toY = drawValueAxis(svg, options.max || niceMax(Math.max(...values)), format);
+        const slot = (WIDTH - PADDING.left - PADDING.right) / points.length;
+        const toX = (index) => PADDING.left + index * slot + slot / 2;
+        const labelEvery = Math.ceil(points.length / MAX_LABELS);
+
+        // One path segment per run of values without gaps
+        let path = '';
+        points.forEach((point, index) => {
+            if (point.value === null) return;
+            const previous = points[index - 1];
+            path += `${index > 0 && previous.value !== null ? 'L' : 'M'}${toX(index)},${toY(point.value)} `;
+        });
+        svg.appendChild(createElement('path', { d: path.trim(), class: 'chart-line' }));
+
+        points.forEach((point, index) => {
+            if (index % labelEvery === 0) {
+                svg.appendChild(createElement('text', {
+                    x: toX(index), y: HEIGHT - PADDING.bottom + 16, 'text-anchor': 'middle', class: 'chart-label'
+                }, point.label));
+            }
+
+            if (point.value === null) return;
+
+            const dot = createElement('circle', { cx: toX(index), cy: toY(point.value), r: 4, class: 'chart-point' });
+            dot.appendChild(createElement('title', {}, `${point.label}: ${format(point.value)}`));
+            svg.appendChild(dot);
+        });
+    };
+
+    // Public API
+    return {
+        barChart,
+        horizontalBarChart,
+        lineChart
+    };
+})();
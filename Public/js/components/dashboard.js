@@ -0,0 +1,259 @@
+/**
+ * Dashboard Component
+ * Garden statistics: plants per species, plantings per month, care adherence,
+ * harvest totals and sensor averages. Each section loads on its own so one failing
+ * query does not blank the whole page.
+ */
+const Dashboard = (function() {
+    // Constants
+    const SEASONS_SHOWN = 5;
+    const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+    /**
+     * Initialize the component
+     */
+    const initialize = () => {
+        const seasonSelect = document.getElementById('harvest-season');
+        if (seasonSelect) {
+            const currentYear = new Date().getFullYear();
+            seasonSelect.innerHTML = Array.from({ length: SEASONS_SHOWN }, (_, index) => currentYear - index)
+                .map(year => `<option value="${year}">${year}</option>`)
+                .join('');
+            seasonSelect.addEventListener('change', () => loadHarvestTotals(parseInt(seasonSelect.value)));
+        }
+
+        loadDashboard();
+    };
+
+    /**
+     * Load every section
+     */
+    const loadDashboard = () => {
+        loadOverviewAndCharts();
+        loadHarvestTotals(new Date().getFullYear());
+        loadSensorAverages();
+    };
+
+    /**
+     * Show an error in a section
+     * @param {String} elementId - Section element ID
+     * @param {String} message - Error message
+     */
+    const showError = (elementId, message) => {
+        const element = document.getElementById(elementId);
+        if (element) {
+            element.innerHTML = `<div class="error-message">${message}</div>`;
+        }
+    };
+
+    /**
+     * Short month label
+     * @param {String} month - YYYY-MM
+     * @returns {String} e.g. "Mar" or "Jan 26" for January
+     */
+    const formatMonth = (month) => {
+        const [year, monthNumber] = month.split('-');
+        const name = MONTH_NAMES[parseInt(monthNumber) - 1];
+        return monthNumber === '01' ? `${name} ${year.slice(2)}` : name;
+    };
+
+    /**
+     * Build the headline numbers
+     * @param {Array} species - Plants per species
+     * @param {Object} adherence - Care adherence
+     * @returns {String} Overview HTML
+     */
+    const renderOverview = (species, adherence) => {
+        const plantCount = species.reduce((total, item) => total + item.plantCount, 0);
+        const tiles = [
+            { label: 'Plants', value: plantCount },
+            { label: 'Species', value: species.length },
+            { label: 'Care tasks done (90 days)', value: adherence.overall.completions },
+            {
+                label: 'Done on time',
+                value: adherence.overall.adherence === null ? '–' : `${adherence.overall.adherence}%`
+            }
+        ];
+
+        return tiles.map(tile => `
+            <div class="stats-tile">
+                <div class="stats-tile-value">${tile.value}</div>
+                <div class="stats-tile-label">${tile.label}</div>
+            </div>
+        `).join('');
+    };
+
+    /**
+     * Load the overview, species, plantings and adherence charts
+     */
+    const loadOverviewAndCharts = async () => {
+        const [species, plantings, adherence] = await Promise.all([
+            API.getSpeciesStats().catch(() => null),
+            API.getPlantingStats(12).catch(() => null),
+            API.getAdherenceStats(90).catch(() => null)
+        ]);
+
+        if (species && adherence) {
+            document.getElementById('stats-overview').innerHTML = renderOverview(species, adherence);
+        } else {
+            showError('stats-overview', 'Error loading statistics. Please try again.');
+        }
+
+        if (species) {
+            Charts.horizontalBarChart(
+                document.getElementById('species-chart'),
+                species.map(item => ({ label: item.species, value: item.plantCount })),
+                { title: 'Plants by species', emptyMessage: 'No plants yet.' }
+            );
+        } else {
+            showError('species-chart', 'Error loading species.');
+        }
+
+        if (plantings) {
+            Charts.barChart(
+                document.getElementById('plantings-chart'),
+                plantings.map(item => ({ label: formatMonth(item.month), value: item.plantCount })),
+                { title: 'Plantings per month', emptyMessage: 'Nothing planted in the last 12 months.' }
+            );
+        } else {
+            showError('plantings-chart', 'Error loading plantings.');
+        }
+
+        if (adherence) {
+            Charts.lineChart(
+                document.getElementById('adherence-chart'),
+                adherence.byMonth.map(item => ({ label: formatMonth(item.month), value: item.adherence })),
+                {
+                    title: 'Share of care tasks done on time per month',
+                    format: value => `${Math.round(value)}%`,
+                    max: 100,
+                    emptyMessage: 'No care tasks done in the last 90 days.'
+                }
+            );
+            document.getElementById('adherence-types').innerHTML = renderAdherenceTypes(adherence.byType);
+        } else {
+            showError('adherence-chart', 'Error loading care adherence.');
+        }
+    };
+
+    /**
+     * Build the adherence per reminder type
+     * @param {Array} types - type, completions, onTime, adherence
+     * @returns {String} Table HTML
+     */
+    const renderAdherenceTypes = (types) => {
+        if (types.length === 0) return '';
+
+        const formatType = (type) => type.charAt(0).toUpperCase() + type.slice(1);
+
+        return `
+            <table class="stats-table">
+                <thead>
+                    <tr><th>Task</th><th>Done</th><th>On time</th></tr>
+                </thead>
+                <tbody>
+                    ${types.map(item => `
+                        <tr>
+                            <td>${formatType(item.type)}</td>
+                            <td>${item.completions}</td>
+                            <td>${item.adherence}%</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    };
+
+    /**
+     * Load the harvest totals of a season
+     * @param {Number} season - Year
+     */
+    const loadHarvestTotals = async (season) => {
+        const container = document.getElementById('harvest-totals');
+        if (!container) return;
+
+        try {
+            const totals = await API.getHarvestStats(season);
+
+            if (totals.length === 0) {
+                container.innerHTML = `<div class="no-data-message">No harvests logged in ${season}.</div>`;
+                return;
+            }
+
+            container.innerHTML = `
+                <table class="stats-table">
+                    <thead>
+                        <tr><th>Species</th><th>Total</th><th>Plants</th><th>Per plant</th><th>Harvests</th></tr>
+                    </thead>
+                    <tbody>
+                        ${totals.map(item => `
+                            <tr>
+                                <td>${item.species}</td>
+                                <td>${item.totalQuantity} ${item.unit}</td>
+                                <td>${item.plantCount}</td>
+                                <td>${item.averagePerPlant} ${item.unit}</td>
+                                <td>${item.harvestCount}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        } catch (error) {
+            console.error('Error loading harvest totals:', error);
+            showError('harvest-totals', 'Error loading harvest totals.');
+        }
+    };
+
+    /**
+     * Load the sensor averages per growing environment
+     */
+    const loadSensorAverages = async () => {
+        const container = document.getElementById('sensor-averages');
+        if (!container) return;
+
+        try {
+            const environments = await API.getSensorStats(30);
+
+            if (environments.length === 0) {
+                container.innerHTML = '<div class="no-data-message">No growing environments yet.</div>';
+                return;
+            }
+
+            container.innerHTML = environments.map(environment => `
+                <div class="stats-environment">
+                    <h3>${environment.environmentName}</h3>
+                    <p class="stats-environment-meta">
+                        ${environment.activeActuators === 1 ? '1 actuator on' : `${environment.activeActuators} actuators on`}
+                    </p>
+                    ${environment.sensors.length > 0 ? `
+                        <table class="stats-table">
+                            <thead>
+                                <tr><th>Sensor</th><th>Average</th><th>Min</th><th>Max</th><th>Readings</th></tr>
+                            </thead>
+                            <tbody>
+                                ${environment.sensors.map(sensor => `
+                                    <tr>
+                                        <td>${sensor.sensorType}</td>
+                                        <td>${sensor.average}</td>
+                                        <td>${sensor.minimum}</td>
+                                        <td>${sensor.maximum}</td>
+                                        <td>${sensor.readings}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    ` : '<div class="no-data-message">No readings in the last 30 days.</div>'}
+                </div>
+            `).join('');
+        } catch (error) {
+            console.error('Error loading sensor averages:', error);
+            showError('sensor-averages', 'Error loading sensor averages.');
+        }
+    };
+
+    // Public API
+    return {
+        initialize,
+        loadDashboard
+    };
+})();
@@ -0,0 +1,250 @@
+/**
+ * Environments Component
+ * Manages growing environments (greenhouses, raised beds, balconies) and their soil types
+ */
+const Environments = (function() {
+    // Constants
+    const MODAL_ID = 'environments-modal';
+    const TYPE_LABELS = {
+        greenhouse: 'Greenhouse',
+        raised_bed: 'Raised bed',
+        balcony: 'Balcony',
+        field: 'Field',
+        indoor: 'Indoor',
+        other: 'Other'
+    };
+
+    // Cached soil type catalog
+    let soilTypes = [];
+
+    /**
+     * Initialize the component
+     * @param {String} openBtnId - ID of the button that opens the environment manager
+     */
+    const initialize = (openBtnId) => {
+        const openBtn = document.getElementById(openBtnId);
+        if (openBtn) {
+            openBtn.addEventListener('click', openEnvironmentsModal);
+        }
+    };
+
+    /**
+     * Open the environment manager modal
+     */
+    const openEnvironmentsModal = async () => {
+        Modal.createModal(MODAL_ID, 'Growing Environments');
+
+        try {
+            if (soilTypes.length === 0) {
+                soilTypes = await API.getSoilTypes();
+            }
+        } catch (error) {
+            console.error('Error loading soil types:', error);
+        }
+
+        const content = `
+            <div id="environment-list" class="loading"></div>
+
+            <h3 id="environment-form-title">Add Environment</h3>
+            <form id="environment-form">
+                <div class="form-group">
+                    <label for="environment-name">Name</label>
+                    <input type="text" id="environment-name" maxlength="100" placeholder="e.g. Back garden greenhouse" required>
+                </div>
+                <div class="form-group">
+                    <label for="environment-type">Type</label>
+                    <select id="environment-type">
+                        ${Object.entries(TYPE_LABELS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="environment-soil">Soil Type</label>
+                    <select id="environment-soil">
+                        <option value="">Not specified</option>
+                        ${soilTypes.map(soil => `<option value="${soil.id}">${soil.name} (pH ${soil.phRange})</option>`).join('')}
+                    </select>
+                    <div class="form-help" id="environment-soil-help"></div>
+                </div>
+                <input type="hidden" id="environment-id" value="">
+            </form>
+        `;
+
+        Modal.setModalContent(MODAL_ID, content);
+        Modal.setModalSaveHandler(MODAL_ID, saveEnvironment);
+        Modal.showModal(MODAL_ID);
+
+        document.getElementById('environment-soil').addEventListener('change', showSoilDescription);
+
+        loadEnvironments();
+    };
+
+    /**
+     * Show the description and suitable plants of the selected soil type
+     */
+    const showSoilDescription = () => {
+        const soilId = parseInt(document.getElementById('environment-soil').value);
+        const helpElement = document.getElementById('environment-soil-help');
+        const soil = soilTypes.find(s => s.id === soilId);
+
+        helpElement.textContent = soil
+            ? `${soil.description} Suitable for: ${soil.suitablePlants}`
+            : '';
+    };
+
+    /**
+     * Load and render the user's environments
+     */
+    const loadEnvironments = async () => {
+        const listElement = document.getElementById('environment-list');
+        if (!listElement) return;
+
+        try {
+            const environments = await API.getEnvironments();
+            listElement.classList.remove('loading');
+            renderEnvironments(listElement, environments);
+        } catch (error) {
+            console.error('Error loading environments:', error);
+            listElement.classList.remove('loading');
+            listElement.innerHTML = '<div class="error-message">Error loading environments. Please try again.</div>';
+        }
+    };
+
+    /**
+     * Render the environment list
+     * @param {HTMLElement} listElement - Container element
+     * @param {Array} environments - Array of environment objects
+     */
+    const renderEnvironments = (listElement, environments) => {
+        if (environments.length === 0) {
+            listElement.innerHTML = '<div class="no-data-message">No environments yet. Add your first greenhouse, bed or balcony below.</div>';
+            return;
+        }
+
+        listElement.innerHTML = environments.map(environment => `
+            <div class="environment-item" data-environment-id="${environment.id}">
+                <div class="environment-info">
+                    <div class="environment-name">${environment.name}</div>
+                    <div class="environment-meta">
+                        ${formatType(environment.type)}
+                        ${environment.soilType ? ` · ${environment.soilType}` : ''}
+                        · ${environment.plantCount} plant${environment.plantCount === 1 ? '' : 's'}
+                    </div>
+                </div>
+                <div class="environment-actions">
+                    <button class="btn btn-sm btn-secondary environment-edit-btn">Edit</button>
+                    <button class="btn btn-sm btn-danger environment-delete-btn">Delete</button>
+                </div>
+            </div>
+        `).join('');
+
+        environments.forEach(environment => {
+            const item = listElement.querySelector(`[data-environment-id="${environment.id}"]`);
+            item.querySelector('.environment-edit-btn').addEventListener('click', () => editEnvironment(environment));
+            item.querySelector('.environment-delete-btn').addEventListener('click', () => deleteEnvironment(environment));
+        });
+    };
+
+    /**
+     * Fill the form with an environment for editing
+     * @param {Object} environment - Environment object
+     */
+    const editEnvironment = (environment) => {
+        document.getElementById('environment-form-title').textContent = `Edit ${environment.name}`;
+        document.getElementById('environment-id').value = environment.id;
+        document.getElementById('environment-name').value = environment.name;
+        document.getElementById('environment-type').value = environment.type;
+        document.getElementById('environment-soil').value = environment.soilId || '';
+        showSoilDescription();
+    };
+
+    /**
+     * Reset the form to add mode
+     */
+    const resetForm = () => {
+        document.getElementById('environment-form').reset();
+        document.getElementById('environment-id').value = '';
+        document.getElementById('environment-form-title').textContent = 'Add Environment';
+        showSoilDescription();
+    };
+
+    /**
+     * Save the environment in the form (create or update)
+     */
+    const saveEnvironment = async () => {
+        Modal.clearErrors(MODAL_ID);
+
+        const environmentId = document.getElementById('environment-id').value;
+        const name = document.getElementById('environment-name').value.trim();
+        const type = document.getElementById('environment-type').value;
+        const soilId = document.getElementById('environment-soil').value;
+
+        if (!name) {
+            Modal.showFieldError(MODAL_ID, 'environment-name', 'Name is required');
+            return;
+        }
+
+        const environmentData = {
+            name,
+            type,
+            soilId: soilId ? parseInt(soilId) : null
+        };
+
+        try {
+            if (environmentId) {
+                await API.updateEnvironment(environmentId, environmentData);
+            } else {
+                await API.createEnvironment(environmentData);
+            }
+
+            resetForm();
+            loadEnvironments();
+            refreshPlantList();
+        } catch (error) {
+            console.error('Error saving environment:', error);
+            alert('Error saving environment. Please try again.');
+        }
+    };
+
+    /**
+     * Delete an environment after confirmation
+     * @param {Object} environment - Environment object
+     */
+    const deleteEnvironment = async (environment) => {
+        if (!confirm(`Delete ${environment.name}? Its plants will be kept but unassigned, and its sensor data will be removed.`)) {
+            return;
+        }
+
+        try {
+            await API.deleteEnvironment(environment.id);
+            loadEnvironments();
+            refreshPlantList();
+        } catch (error) {
+            console.error('Error deleting environment:', error);
+            alert('Error deleting environment. Please try again.');
+        }
+    };
+
+    /**
+     * Reload the plant list so environment names and filters stay current
+     */
+    const refreshPlantList = () => {
+        if (typeof PlantList !== 'undefined' && PlantList.loadPlants) {
+            PlantList.loadEnvironmentOptions();
+            PlantList.loadPlants();
+        }
+    };
+
+    /**
+     * Format an environment type for display
+     * @param {String} type - Environment type
+     * @returns {String} Formatted type
+     */
+    const formatType = (type) => TYPE_LABELS[type] || TYPE_LABELS.other;
+
+    // Public API
+    return {
+        initialize,
+        openEnvironmentsModal,
+        formatType
+    };
+})();
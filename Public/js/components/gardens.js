@@ -0,0 +1,429 @@
+/**
+ * Gardens Component
+ * Gardens share plants between the members of a household. Owners invite members by
+ * username and decide their role; invited users accept or decline here.
+ */
+const Gardens = (function() {
+    // Constants
+    const MODAL_ID = 'gardens-modal';
+    const ROLE_LABELS = {
+        viewer: 'Viewer',
+        editor: 'Editor',
+        owner: 'Owner'
+    };
+
+    /**
+     * Build role select options
+     * @param {String} selectedRole - Currently selected role
+     * @returns {String} Options HTML
+     */
+    const renderRoleOptions = (selectedRole) => Object.entries(ROLE_LABELS).map(([role, label]) => `
+        <option value="${role}" ${role === selectedRole ? 'selected' : ''}>${label}</option>
+    `).join('');
+
+    /**
+     * Initialize the component
+     * @param {String} openBtnId - ID of the button that opens the garden manager
+     */
+    const initialize = (openBtnId) => {
+        const openBtn = document.getElementById(openBtnId);
+        if (openBtn) {
+            openBtn.addEventListener('click', openGardensModal);
+        }
+    };
+
+    /**
+     * Open the garden manager modal
+     */
+    const openGardensModal = () => {
+        Modal.createModal(MODAL_ID, 'Gardens');
+
+        const content = `
+            <p>Everyone in a garden sees its plants. Editors also take care of them;
+               owners manage the members.</p>
+            <div id="garden-invitations"></div>
+            <div id="garden-list" class="loading"></div>
+
+            <h3>New Garden</h3>
+            <form id="garden-form">
+                <div class="form-group">
+                    <label for="garden-name">Name</label>
+                    <input type="text" id="garden-name" maxlength="100" placeholder="e.g. Allotment" required>
+                </div>
+            </form>
+        `;
+
+        Modal.setModalContent(MODAL_ID, content);
+        Modal.setModalSaveHandler(MODAL_ID, createGarden);
+        Modal.showModal(MODAL_ID);
+
+        loadInvitations();
+        loadGardens();
+    };
+
+    /**
+     * Load and render the invitations waiting for the user
+     */
+    const loadInvitations = async () => {
+        const container = document.getElementById('garden-invitations');
+        if (!container) return;
+
+        try {
+            const invitations = await API.getInvitations();
+
+            container.innerHTML = invitations.length === 0 ? '' : `
+                <h3>Invitations</h3>
+                ${invitations.map(invitation => `
+                    <div class="garden-item">
+                        <div class="garden-info">
+                            <div class="garden-name">${invitation.gardenName}</div>
+                            <div class="garden-meta">
+                                ${ROLE_LABELS[invitation.role]}${invitation.invitedBy ? ` · invited by ${invitation.invitedBy}` : ''}
+                            </div>
+                        </div>
+                        <div class="garden-actions">
+                            <button class="btn btn-sm btn-primary invitation-accept-btn" data-invitation-id="${invitation.id}">Accept</button>
+                            <button class="btn btn-sm btn-secondary invitation-decline-btn" data-invitation-id="${invitation.id}">Decline</button>
+                        </div>
+                    </div>
+                `).join('')}
+            `;
+
+            container.querySelectorAll('.invitation-accept-btn').forEach(button => {
+                button.addEventListener('click', () => acceptInvitation(button.dataset.invitationId));
+            });
+
+            container.querySelectorAll('.invitation-decline-btn').forEach(button => {
+                button.addEventListener('click', () => declineInvitation(button.dataset.invitationId));
+            });
+        } catch (error) {
+            console.error('Error loading invitations:', error);
+        }
+    };
+
+    /**
+     * Load and render the user's gardens
+     */
+    const loadGardens = async () => {
+        const listElement = document.getElementById('garden-list');
+        if (!listElement) return;
+
+        try {
+            const gardens = await API.getGardens();
+            listElement.classList.remove('loading');
+            renderGardens(listElement, gardens);
+        } catch (error) {
+            console.error('Error loading gardens:', error);
+            listElement.classList.remove('loading');
+            listElement.innerHTML = '<div class="error-message">Error loading gardens. Please try again.</div>';
+        }
+    };
+
+    /**
+     * Render the garden list
+     * @param {HTMLElement} listElement - Container element
+     * @param {Array} gardens - Array of garden objects
+     */
+    const renderGardens = (listElement, gardens) => {
+        if (gardens.length === 0) {
+            listElement.innerHTML = '<div class="no-data-message">You are not in any garden yet.</div>';
+            return;
+        }
+
+        listElement.innerHTML = gardens.map(garden => `
+            <div class="garden-item">
+                <div class="garden-info">
+                    <div class="garden-name">${garden.name}</div>
+                    <div class="garden-meta">
+                        ${ROLE_LABELS[garden.role]} · ${garden.plantCount} plant(s) · ${garden.memberCount} member(s)
+                    </div>
+                </div>
+                <div class="garden-actions">
+                    ${garden.role === 'owner'
+                        ? `<button class="btn btn-sm btn-secondary garden-rename-btn" data-garden-id="${garden.id}"
+                                   data-garden-name="${garden.name}">Rename</button>`
+                        : ''}
+                    <button class="btn btn-sm btn-secondary garden-members-btn" data-garden-id="${garden.id}">Members</button>
+                </div>
+                <div class="garden-members" id="garden-members-${garden.id}"></div>
+            </div>
+        `).join('');
+
+        listElement.querySelectorAll('.garden-rename-btn').forEach(button => {
+            button.addEventListener('click', () => renameGarden(button.dataset.gardenId, button.dataset.gardenName));
+        });
+
+        listElement.querySelectorAll('.garden-members-btn').forEach(button => {
+            button.addEventListener('click', () => toggleMembers(button.dataset.gardenId));
+        });
+    };
+
+    /**
+     * Show or hide the members of a garden
+     * @param {Number} gardenId - Garden ID
+     */
+    const toggleMembers = (gardenId) => {
+        const container = document.getElementById(`garden-members-${gardenId}`);
+        if (!container) return;
+
+        if (container.innerHTML.trim()) {
+            container.innerHTML = '';
+            return;
+        }
+
+        loadMembers(gardenId);
+    };
+
+    /**
+     * Load and render the members of a garden
+     * @param {Number} gardenId - Garden ID
+     */
+    const loadMembers = async (gardenId) => {
+        const container = document.getElementById(`garden-members-${gardenId}`);
+        if (!container) return;
+
+        container.innerHTML = '<div class="loading"></div>';
+
+        try {
+            const garden = await API.getGardenMembers(gardenId);
+            renderMembers(container, gardenId, garden);
+        } catch (error) {
+            console.error('Error loading garden members:', error);
+            container.innerHTML = '<div class="error-message">Error loading members. Please try again.</div>';
+        }
+    };
+
+    /**
+     * Render the members of a garden; owners can change roles, remove members and invite
+     * @param {HTMLElement} container - Container element
+     * @param {Number} gardenId - Garden ID
+     * @param {Object} garden - { role, members, invitations }
+     */
+    const renderMembers = (container, gardenId, garden) => {
+        const isOwner = garden.role === 'owner';
+
+        container.innerHTML = `
+            <ul class="garden-member-list">
+                ${garden.members.map(member => `
+                    <li class="garden-member">
+                        <span>${member.username}${member.isYou ? ' (you)' : ''}</span>
+                        ${isOwner
+                            ? `<select class="garden-role-select" data-user-id="${member.userId}" data-role="${member.role}">
+                                   ${renderRoleOptions(member.role)}
+                               </select>`
+                            : `<span class="garden-meta">${ROLE_LABELS[member.role]}</span>`}
+                        ${isOwner || member.isYou
+                            ? `<button class="btn btn-sm btn-danger garden-remove-btn" data-user-id="${member.userId}"
+                                       data-username="${member.username}" data-is-you="${member.isYou}">
+                                   ${member.isYou ? 'Leave' : 'Remove'}
+                               </button>`
+                            : ''}
+                    </li>
+                `).join('')}
+                ${garden.invitations.map(invitation => `
+                    <li class="garden-member pending">
+                        <span>${invitation.username}</span>
+                        <span class="garden-meta">${ROLE_LABELS[invitation.role]}, invited</span>
+                        <button class="btn btn-sm btn-secondary garden-cancel-btn" data-invitation-id="${invitation.id}">Cancel</button>
+                    </li>
+                `).join('')}
+            </ul>
+            ${isOwner ? `
+                <div class="garden-invite-form">
+                    <input type="text" class="garden-invite-username" placeholder="Username" aria-label="Username">
+                    <select class="garden-invite-role" aria-label="Role">${renderRoleOptions('editor')}</select>
+                    <button type="button" class="btn btn-sm btn-primary garden-invite-btn">Invite</button>
+                </div>
+            ` : ''}
+        `;
+
+        container.querySelectorAll('.garden-role-select').forEach(select => {
+            select.addEventListener('change', () => changeRole(gardenId, select));
+        });
+
+        container.querySelectorAll('.garden-remove-btn').forEach(button => {
+            button.addEventListener('click', () => removeMember(gardenId, button.dataset));
+        });
+
+        container.querySelectorAll('.garden-cancel-btn').forEach(button => {
+            button.addEventListener('click', () => cancelInvitation(gardenId, button.dataset.invitationId));
+        });
+
+        const inviteBtn = container.querySelector('.garden-invite-btn');
+        if (inviteBtn) {
+            inviteBtn.addEventListener('click', () => inviteMember(gardenId, container));
+        }
+    };
+
+    /**
+     * Create a garden from the modal form
+     */
+    const createGarden = async () => {
+        Modal.clearErrors(MODAL_ID);
+
+        const name = document.getElementById('garden-name').value.trim();
+
+        if (!name) {
+            Modal.showFieldError(MODAL_ID, 'garden-name', 'Name is required');
+            return;
+        }
+
+        try {
+            await API.createGarden(name);
+            document.getElementById('garden-form').reset();
+            loadGardens();
+        } catch (error) {
+            console.error('Error creating garden:', error);
+            alert('Error creating garden. Please try again.');
+        }
+    };
+
+    /**
+     * Rename a garden
+     * @param {Number} gardenId - Garden ID
+     * @param {String} currentName - Current name
+     */
+    const renameGarden = async (gardenId, currentName) => {
+        const name = prompt('New name for the garden:', currentName);
+        if (!name || !name.trim() || name.trim() === currentName) {
+            return;
+        }
+
+        try {
+            await API.renameGarden(gardenId, name.trim());
+            loadGardens();
+            refreshPlants();
+        } catch (error) {
+            console.error('Error renaming garden:', error);
+            alert('Error renaming garden. Please try again.');
+        }
+    };
+
+    /**
+     * Invite a user with the username and role entered under the member list
+     * @param {Number} gardenId - Garden ID
+     * @param {HTMLElement} container - Members container
+     */
+    const inviteMember = async (gardenId, container) => {
+        const username = container.querySelector('.garden-invite-username').value.trim();
+        const role = container.querySelector('.garden-invite-role').value;
+
+        if (!username) {
+            return;
+        }
+
+        try {
+            await API.inviteGardenMember(gardenId, username, role);
+            loadMembers(gardenId);
+        } catch (error) {
+            console.error('Error inviting garden member:', error);
+            alert(error.status === 409 ? error.message : 'Error inviting member. Please try again.');
+        }
+    };
+
+    /**
+     * Cancel a pending invitation
+     * @param {Number} gardenId - Garden ID
+     * @param {Number} invitationId - Invitation ID
+     */
+    const cancelInvitation = async (gardenId, invitationId) => {
+        try {
+            await API.cancelGardenInvitation(gardenId, invitationId);
+            loadMembers(gardenId);
+        } catch (error) {
+            console.error('Error cancelling invitation:', error);
+            alert('Error cancelling invitation. Please try again.');
+        }
+    };
+
+    /**
+     * Change a member's role to the one selected
+     * @param {Number} gardenId - Garden ID
+     * @param {HTMLSelectElement} select - Role select of the member
+     */
+    const changeRole = async (gardenId, select) => {
+        try {
+            await API.updateGardenMember(gardenId, select.dataset.userId, select.value);
+            await loadGardens();
+            loadMembers(gardenId);
+            refreshPlants();
+        } catch (error) {
+            console.error('Error changing member role:', error);
+            select.value = select.dataset.role;
+            alert(error.status === 409 ? error.message : 'Error changing role. Please try again.');
+        }
+    };
+
+    /**
+     * Remove a member, or leave the garden, after confirmation
+     * @param {Number} gardenId - Garden ID
+     * @param {Object} member - userId, username and isYou of the member
+     */
+    const removeMember = async (gardenId, member) => {
+        const isYou = member.isYou === 'true';
+        const message = isYou
+            ? 'Leave this garden? You will no longer see its plants.'
+            : `Remove ${member.username} from this garden?`;
+
+        if (!confirm(message)) {
+            return;
+        }
+
+        try {
+            await API.removeGardenMember(gardenId, member.userId);
+            loadGardens();
+
+            if (isYou) {
+                refreshPlants();
+            }
+        } catch (error) {
+            console.error('Error removing garden member:', error);
+            alert(error.status === 409 ? error.message : 'Error removing member. Please try again.');
+        }
+    };
+
+    /**
+     * Accept an invitation and show the garden's plants
+     * @param {Number} invitationId - Invitation ID
+     */
+    const acceptInvitation = async (invitationId) => {
+        try {
+            await API.acceptInvitation(invitationId);
+            loadInvitations();
+            loadGardens();
+            refreshPlants();
+        } catch (error) {
+            console.error('Error accepting invitation:', error);
+            alert('Error accepting invitation. Please try again.');
+        }
+    };
+
+    /**
+     * Decline an invitation
+     * @param {Number} invitationId - Invitation ID
+     */
+    const declineInvitation = async (invitationId) => {
+        try {
+            await API.declineInvitation(invitationId);
+            loadInvitations();
+        } catch (error) {
+            console.error('Error declining invitation:', error);
+            alert('Error declining invitation. Please try again.');
+        }
+    };
+
+    /**
+     * Reload the plant list and reminders after the user's gardens changed
+     */
+    const refreshPlants = () => {
+        if (typeof PlantList !== 'undefined') {
+            PlantList.refresh();
+        }
+    };
+
+    // Public API
+    return {
+        initialize,
+        openGardensModal
+    };
+})();
@@ -0,0 +1,217 @@
+/**
+ * Growth Log Component
+ * Height, leaf count and fruit count measurements of a plant, charted over time in the
+ * plant details modal. The chart uses each metric's base unit, so heights recorded in
+ * millimetres and metres line up with those in centimetres.
+ */
+const GrowthLog = (function() {
+    // Constants
+    const METRICS = {
+        height: { label: 'Height', units: ['cm', 'mm', 'm'], step: 'any' },
+        leaf_count: { label: 'Leaf count', units: ['leaves'], step: '1' },
+        fruit_count: { label: 'Fruit count', units: ['fruits'], step: '1' }
+    };
+
+    // Measurements of the plant shown, oldest first
+    let measurements = [];
+
+    /**
+     * Format a date as YYYY-MM-DD for date inputs
+     * @param {Date} date - Date
+     * @returns {String} Local date string
+     */
+    const toInputDate = (date) => {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    };
+
+    /**
+     * Format a YYYY-MM-DD day for display
+     * @param {String} day - Day string
+     * @returns {String} Localised date
+     */
+    const formatDay = (day) => new Date(`${day}T00:00:00`).toLocaleDateString();
+
+    /**
+     * Build the growth section: metric picker, chart, entries and the record form
+     * @param {Number} plantId - Plant ID
+     * @returns {String} Section HTML
+     */
+    const renderSection = (plantId) => `
+        <div class="growth-toolbar">
+            <select id="growth-metric" aria-label="Metric">
+                ${Object.entries(METRICS).map(([metric, definition]) => `
+                    <option value="${metric}">${definition.label}</option>
+                `).join('')}
+            </select>
+            <a class="btn btn-sm btn-secondary" href="${API.getMeasurementsCsvUrl(plantId)}" download>Export CSV</a>
+        </div>
+        <div id="growth-chart" class="chart-container"><div class="loading"></div></div>
+        <ul id="growth-entries" class="growth-entries"></ul>
+        <div class="growth-form">
+            <div class="form-group">
+                <label for="growth-date">Measured on</label>
+                <input type="date" id="growth-date" value="${toInputDate(new Date())}" max="${toInputDate(new Date())}">
+            </div>
+            <div class="form-group">
+                <label for="growth-value">Value</label>
+                <input type="number" id="growth-value" min="0" step="any">
+            </div>
+            <div class="form-group">
+                <label for="growth-unit">Unit</label>
+                <select id="growth-unit"></select>
+            </div>
+            <div class="form-group">
+                <label for="growth-photo">Photo (optional)</label>
+                <input type="file" id="growth-photo" accept="image/jpeg, image/png, image/gif, image/webp">
+            </div>
+            <button type="button" class="btn btn-sm btn-secondary" id="record-growth-btn">Record</button>
+        </div>
+    `;
+
+    /**
+     * Show the chart, entries and units of the selected metric
+     * @param {String} modalId - Modal the section is in
+     */
+    const renderMetric = (modalId) => {
+        const metric = document.getElementById('growth-metric').value;
+        const definition = METRICS[metric];
+        const series = measurements.filter(measurement => measurement.metric === metric);
+
+        document.getElementById('growth-unit').innerHTML = definition.units
+            .map(unit => `<option value="${unit}">${unit}</option>`)
+            .join('');
+        document.getElementById('growth-value').step = definition.step;
+
+        Charts.lineChart(
+            document.getElementById('growth-chart'),
+            series.map(measurement => ({ label: formatDay(measurement.measuredOn), value: measurement.baseValue })),
+            {
+                title: `${definition.label} over time`,
+                format: value => `${Math.round(value * 100) / 100} ${definition.units[0]}`,
+                emptyMessage: `No ${definition.label.toLowerCase()} measurements yet.`
+            }
+        );
+
+        const entries = document.getElementById('growth-entries');
+        entries.innerHTML = series.slice().reverse().map(measurement => `
+            <li class="growth-entry">
+                <span>${formatDay(measurement.measuredOn)}</span>
+                <span>${measurement.value} ${measurement.unit}</span>
+                ${measurement.photoUrl ? `<a href="${measurement.photoUrl}" target="_blank" rel="noopener">Photo</a>` : ''}
+                <button type="button" class="btn btn-sm btn-danger growth-delete-btn" data-measurement-id="${measurement.id}">Delete</button>
+            </li>
+        `).join('');
+
+        entries.querySelectorAll('.growth-delete-btn').forEach(button => {
+            button.addEventListener('click', () => deleteMeasurement(parseInt(button.dataset.measurementId), modalId));
+        });
+    };
+
+    /**
+     * Load the measurements of a plant and show the selected metric
+     * @param {Number} plantId - Plant ID
+     * @param {String} modalId - Modal the section is in
+     */
+    const loadMeasurements = async (plantId, modalId) => {
+        try {
+            measurements = await API.getMeasurements(plantId);
+            renderMetric(modalId);
+        } catch (error) {
+            console.error('Error loading measurements:', error);
+            document.getElementById('growth-chart').innerHTML = '<div class="error-message">Error loading measurements.</div>';
+        }
+    };
+
+    /**
+     * Fill a container with the growth section of a plant
+     * @param {HTMLElement} container - Section container inside the modal
+     * @param {Number} plantId - Plant ID
+     * @param {String} modalId - Modal the section is in, for field errors
+     */
+    const show = (container, plantId, modalId) => {
+        measurements = [];
+        container.innerHTML = renderSection(plantId);
+
+        document.getElementById('growth-metric').addEventListener('change', () => renderMetric(modalId));
+        document.getElementById('record-growth-btn').addEventListener('click', () => recordMeasurement(plantId, modalId));
+
+        loadMeasurements(plantId, modalId);
+    };
+
+    /**
+     * Record a measurement of the selected metric
+     * @param {Number} plantId - Plant ID
+     * @param {String} modalId - Modal the section is in
+     */
+    const recordMeasurement = async (plantId, modalId) => {
+        Modal.clearErrors(modalId);
+
+        const value = document.getElementById('growth-value').value;
+        if (value === '') {
+            Modal.showFieldError(modalId, 'growth-value', 'Enter the measured value');
+            return;
+        }
+
+        const photoInput = document.getElementById('growth-photo');
+        const formData = new FormData();
+        formData.append('metric', document.getElementById('growth-metric').value);
+        formData.append('value', value);
+        formData.append('unit', document.getElementById('growth-unit').value);
+        formData.append('measuredOn', document.getElementById('growth-date').value);
+
+        if (photoInput.files.length > 0) {
+            formData.append('photo', photoInput.files[0]);
+        }
+
+        try {
+            await API.addMeasurement(plantId, formData);
+
+            document.getElementById('growth-value').value = '';
+            photoInput.value = '';
+            loadMeasurements(plantId, modalId);
+        } catch (error) {
+            console.error('Error recording measurement:', error);
+
+            if (error.data && error.data.errors) {
+                const fields = {
+                    measuredOn: 'growth-date',
+                    value: 'growth-value',
+                    unit: 'growth-unit',
+                    metric: 'growth-metric'
+                };
+                error.data.errors.forEach(fieldError => {
+                    Modal.showFieldError(modalId, fields[fieldError.path] || 'growth-value', fieldError.msg);
+                });
+            } else {
+                alert(error.message && error.status === 400 ? error.message : 'Error recording measurement. Please try again.');
+            }
+        }
+    };
+
+    /**
+     * Delete a measurement
+     * @param {Number} measurementId - Measurement ID
+     * @param {String} modalId - Modal the section is in
+     */
+    const deleteMeasurement = async (measurementId, modalId) => {
+        if (!confirm('Delete this measurement?')) {
+            return;
+        }
+
+        try {
+            await API.deleteMeasurement(measurementId);
+            measurements = measurements.filter(measurement => measurement.id !== measurementId);
+            renderMetric(modalId);
+        } catch (error) {
+            console.error('Error deleting measurement:', error);
+            alert('Error deleting measurement. Please try again.');
+        }
+    };
+
+    // Public API
+    return {
+        show
+    };
+})();
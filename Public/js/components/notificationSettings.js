@@ -0,0 +1,203 @@
+/**
+ * Notification Settings Component
+ * Lets users choose an email address, when reminder notifications are sent
+ * and whether this device gets push notifications
+ */
+const NotificationSettings = (function() {
+    // Constants
+    const MODAL_ID = 'notification-settings-modal';
+
+    /**
+     * Initialize the component
+     * @param {String} openBtnId - ID of the button that opens the settings
+     */
+    const initialize = (openBtnId) => {
+        const openBtn = document.getElementById(openBtnId);
+        if (openBtn) {
+            openBtn.addEventListener('click', openSettingsModal);
+        }
+    };
+
+    /**
+     * Timezones to offer, if the browser can list them
+     * @returns {Array<String>} IANA timezone names
+     */
+    const getTimezones = () => (
+        typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : []
+    );
+
+    /**
+     * Open the settings modal
+     */
+    const openSettingsModal = async () => {
+        Modal.createModal(MODAL_ID, 'Notifications');
+        Modal.setModalContent(MODAL_ID, '<div class="loading"></div>');
+        Modal.setModalSaveHandler(MODAL_ID, saveSettings);
+        Modal.showModal(MODAL_ID);
+
+        try {
+            const settings = await API.getNotificationSettings();
+            renderForm(settings);
+        } catch (error) {
+            console.error('Error loading notification settings:', error);
+            Modal.setModalContent(MODAL_ID, '<div class="error-message">Error loading notification settings. Please try again.</div>');
+        }
+    };
+
+    /**
+     * Render the settings form
+     * @param {Object} settings - Current settings
+     */
+    const renderForm = (settings) => {
+        // New accounts default to UTC; suggest the browser's timezone instead
+        const timezone = settings.email ? settings.timezone : Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+        const content = `
+            <form id="notification-settings-form">
+                <div class="form-group">
+                    <label for="notification-email">Email</label>
+                    <input type="email" id="notification-email" maxlength="191" value="${settings.email || ''}">
+                </div>
+                <div class="form-group">
+                    <label class="checkbox-label">
+                        <input type="checkbox" id="notification-enabled" ${settings.notifyEmail ? 'checked' : ''}>
+                        Email me about due and overdue reminders
+                    </label>
+                </div>
+                <div class="form-group">
+                    <label for="notification-time">Send at</label>
+                    <input type="time" id="notification-time" value="${settings.notifyTime}" required>
+                </div>
+                <div class="form-group">
+                    <label for="notification-timezone">Timezone</label>
+                    <input type="text" id="notification-timezone" list="notification-timezones" value="${timezone}" required>
+                    <datalist id="notification-timezones">
+                        ${getTimezones().map(zone => `<option value="${zone}">`).join('')}
+                    </datalist>
+                </div>
+                <div class="form-group">
+                    <label for="notification-mode">Format</label>
+                    <select id="notification-mode">
+                        <option value="digest" ${settings.notifyMode === 'digest' ? 'selected' : ''}>One daily digest</option>
+                        <option value="per_reminder" ${settings.notifyMode === 'per_reminder' ? 'selected' : ''}>One email per reminder</option>
+                    </select>
+                </div>
+                <button type="button" class="btn btn-secondary" id="notification-test-btn" ${settings.email ? '' : 'disabled'}>
+                    Send Test Email
+                </button>
+                <div class="form-group">
+                    <label>Push notifications on this device</label>
+                    <div id="push-status" class="push-status"></div>
+                </div>
+            </form>
+        `;
+
+        Modal.setModalContent(MODAL_ID, content);
+
+        document.getElementById('notification-test-btn').addEventListener('click', sendTestEmail);
+        renderPushStatus();
+    };
+
+    /**
+     * Show whether this device is subscribed to push notifications, with a toggle button
+     */
+    const renderPushStatus = async () => {
+        const statusElement = document.getElementById('push-status');
+        if (!statusElement) return;
+
+        if (typeof Push === 'undefined' || !Push.isSupported()) {
+            statusElement.innerHTML = '<span class="text-secondary">Not supported by this browser</span>';
+            return;
+        }
+
+        const subscription = await Push.getSubscription().catch(() => null);
+
+        statusElement.innerHTML = subscription
+            ? '<span>Enabled</span> <button type="button" class="btn btn-sm btn-secondary" id="push-toggle-btn">Disable</button>'
+            : '<span>Disabled</span> <button type="button" class="btn btn-sm btn-primary" id="push-toggle-btn">Enable</button>';
+
+        document.getElementById('push-toggle-btn').addEventListener('click', () => togglePush(Boolean(subscription)));
+    };
+
+    /**
+     * Subscribe or unsubscribe this device
+     * @param {Boolean} subscribed - Whether the device is currently subscribed
+     */
+    const togglePush = async (subscribed) => {
+        try {
+            if (subscribed) {
+                await Push.unsubscribe();
+            } else if (!await Push.subscribe()) {
+                alert('Notifications are blocked for this site. Allow them in the browser settings first.');
+            }
+        } catch (error) {
+            console.error('Error changing push subscription:', error);
+            alert(error.data && error.data.message ? error.data.message : 'Error changing push notifications. Please try again.');
+        }
+
+        renderPushStatus();
+    };
+
+    /**
+     * Save the settings from the modal form
+     */
+    const saveSettings = async () => {
+        Modal.clearErrors(MODAL_ID);
+
+        const settings = {
+            email: document.getElementById('notification-email').value.trim() || null,
+            notifyEmail: document.getElementById('notification-enabled').checked,
+            notifyTime: document.getElementById('notification-time').value,
+            timezone: document.getElementById('notification-timezone').value.trim(),
+            notifyMode: document.getElementById('notification-mode').value
+        };
+
+        if (settings.notifyEmail && !settings.email) {
+            Modal.showFieldError(MODAL_ID, 'notification-email', 'Enter an email address to get reminder emails');
+            return;
+        }
+
+        try {
+            await API.updateNotificationSettings(settings);
+            Modal.closeModal(MODAL_ID);
+        } catch (error) {
+            console.error('Error saving notification settings:', error);
+
+            if (error.data && error.data.errors) {
+                const fields = {
+                    email: 'notification-email',
+                    notifyEmail: 'notification-email',
+                    notifyTime: 'notification-time',
+                    timezone: 'notification-timezone',
+                    notifyMode: 'notification-mode'
+                };
+                error.data.errors.forEach(fieldError => {
+                    Modal.showFieldError(MODAL_ID, fields[fieldError.path] || 'notification-email', fieldError.msg);
+                });
+            } else if (error.data && error.data.message) {
+                Modal.showFieldError(MODAL_ID, 'notification-email', error.data.message);
+            } else {
+                alert('Error saving notification settings. Please try again.');
+            }
+        }
+    };
+
+    /**
+     * Send a test email to the saved address
+     */
+    const sendTestEmail = async () => {
+        try {
+            const result = await API.sendTestEmail();
+            alert(result.message);
+        } catch (error) {
+            console.error('Error sending test email:', error);
+            alert(error.data && error.data.message ? error.data.message : 'Error sending test email. Please try again.');
+        }
+    };
+
+    // Public API
+    return {
+        initialize,
+        openSettingsModal
+    };
+})();
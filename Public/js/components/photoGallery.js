@@ -0,0 +1,415 @@
+/**
+ * Photo Gallery Component
+ * The photos of a plant in the plant details modal: a gallery in the user's own order,
+ * where the cover shown in the plant list is chosen, and a timeline by date taken to
+ * watch the plant grow. Photos are private; a share link makes the gallery visible to
+ * anyone who has it.
+ */
+const PhotoGallery = (function() {
+    // Photos of the plant shown, in gallery order
+    let photos = [];
+
+    // Current view: gallery or timeline
+    let view = 'gallery';
+
+    /**
+     * Format a date as YYYY-MM-DD for date inputs
+     * @param {Date} date - Date
+     * @returns {String} Local date string
+     */
+    const toInputDate = (date) => {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    };
+
+    /**
+     * Format a YYYY-MM-DD day for display
+     * @param {String} day - Day string
+     * @returns {String} Localised date
+     */
+    const formatDay = (day) => new Date(`${day}T00:00:00`).toLocaleDateString();
+
+    /**
+     * Refresh the plant list, whose cards show the cover photo
+     */
+    const refreshPlantList = () => {
+        if (typeof PlantList !== 'undefined') {
+            PlantList.loadPlants();
+        }
+    };
+
+    /**
+     * Build the photos section: view switch, photos and the upload form
+     * @returns {String} Section HTML
+     */
+    const renderSection = () => `
+        <div class="photo-views">
+            <button type="button" class="btn btn-sm" data-view="gallery">Gallery</button>
+            <button type="button" class="btn btn-sm" data-view="timeline">Timeline</button>
+        </div>
+        <div id="photo-gallery"><div class="loading"></div></div>
+        <div class="photo-form">
+            <div class="form-group">
+                <label for="gallery-photo">Photo</label>
+                <input type="file" id="gallery-photo" accept="image/jpeg, image/png, image/gif, image/webp">
+            </div>
+            <div class="form-group">
+                <label for="gallery-taken-on">Taken on</label>
+                <input type="date" id="gallery-taken-on" value="${toInputDate(new Date())}" max="${toInputDate(new Date())}">
+            </div>
+            <div class="form-group">
+                <label for="gallery-caption">Caption (optional)</label>
+                <input type="text" id="gallery-caption" maxlength="255">
+            </div>
+            <button type="button" class="btn btn-sm btn-secondary" id="add-photo-btn">Add Photo</button>
+        </div>
+        <div class="photo-sharing">
+            <p>Only you can see these photos unless you share them. Anyone with the share link can view the gallery.</p>
+            <div id="photo-share-created"></div>
+            <div id="photo-share-status" class="loading"></div>
+        </div>
+    `;
+
+    /**
+     * Build the gallery: photos in order with cover, move and delete buttons
+     * @returns {String} Gallery HTML
+     */
+    const renderGallery = () => `
+        <ul class="photo-grid">
+            ${photos.map((photo, index) => `
+                <li class="photo-item${photo.isCover ? ' cover' : ''}">
+                    <a href="${photo.originalUrl}" target="_blank" rel="noopener">
+                        <img src="${photo.thumbnailUrl}" alt="${photo.caption || formatDay(photo.takenOn)}" loading="lazy">
+                    </a>
+                    <div class="photo-caption">
+                        ${photo.isCover ? '<span class="photo-cover-badge">Cover</span>' : ''}
+                        ${photo.caption || formatDay(photo.takenOn)}
+                    </div>
+                    <div class="photo-actions">
+                        <button type="button" class="btn btn-sm btn-secondary" data-action="left" data-photo-id="${photo.id}"
+                            ${index === 0 ? 'disabled' : ''} aria-label="Move earlier">&larr;</button>
+                        <button type="button" class="btn btn-sm btn-secondary" data-action="right" data-photo-id="${photo.id}"
+                            ${index === photos.length - 1 ? 'disabled' : ''} aria-label="Move later">&rarr;</button>
+                        ${photo.isCover ? '' : `
+                            <button type="button" class="btn btn-sm btn-secondary" data-action="cover" data-photo-id="${photo.id}">Cover</button>
+                        `}
+                        <button type="button" class="btn btn-sm btn-danger" data-action="delete" data-photo-id="${photo.id}">Delete</button>
+                    </div>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+
+    /**
+     * Build the timeline: photos by the day they were taken, oldest first
+     * @returns {String} Timeline HTML
+     */
+    const renderTimeline = () => {
+        const byDate = photos.slice().sort((a, b) => a.takenOn.localeCompare(b.takenOn) || a.id - b.id);
+
+        return `
+            <ol class="photo-timeline">
+                ${byDate.map(photo => `
+                    <li class="photo-timeline-item">
+                        <div class="photo-timeline-date">
+                            <strong>${formatDay(photo.takenOn)}</strong>
+                            ${photo.daysSincePlanting !== null && photo.daysSincePlanting >= 0
+                                ? `<span>Day ${photo.daysSincePlanting}</span>`
+                                : ''}
+                        </div>
+                        <img src="${photo.photoUrl}" alt="${photo.caption || formatDay(photo.takenOn)}" loading="lazy">
+                        ${photo.caption ? `<p class="photo-caption">${photo.caption}</p>` : ''}
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+    };
+
+    /**
+     * Show the photos in the current view
+     * @param {Number} plantId - Plant ID
+     */
+    const renderPhotos = (plantId) => {
+        const container = document.getElementById('photo-gallery');
+
+        document.querySelectorAll('.photo-views [data-view]').forEach(button => {
+            button.classList.toggle('btn-primary', button.dataset.view === view);
+            button.classList.toggle('btn-secondary', button.dataset.view !== view);
+        });
+
+        if (photos.length === 0) {
+            container.innerHTML = '<div class="no-data-message">No photos yet.</div>';
+            return;
+        }
+
+        container.innerHTML = view === 'timeline' ? renderTimeline() : renderGallery();
+
+        container.querySelectorAll('[data-action]').forEach(button => {
+            const photoId = parseInt(button.dataset.photoId);
+            const actions = {
+                left: () => movePhoto(plantId, photoId, -1),
+                right: () => movePhoto(plantId, photoId, 1),
+                cover: () => setCover(plantId, photoId),
+                delete: () => deletePhoto(plantId, photoId)
+            };
+            button.addEventListener('click', actions[button.dataset.action]);
+        });
+    };
+
+    /**
+     * Load the photos of a plant
+     * @param {Number} plantId - Plant ID
+     */
+    const loadPhotos = async (plantId) => {
+        try {
+            photos = await API.getPlantPhotos(plantId);
+            renderPhotos(plantId);
+        } catch (error) {
+            console.error('Error loading photos:', error);
+            document.getElementById('photo-gallery').innerHTML = '<div class="error-message">Error loading photos.</div>';
+        }
+    };
+
+    /**
+     * Fill a container with the photos section of a plant
+     * @param {HTMLElement} container - Section container inside the modal
+     * @param {Number} plantId - Plant ID
+     * @param {String} modalId - Modal the section is in, for field errors
+     */
+    const show = (container, plantId, modalId) => {
+        photos = [];
+        view = 'gallery';
+        container.innerHTML = renderSection();
+
+        container.querySelectorAll('.photo-views [data-view]').forEach(button => {
+            button.addEventListener('click', () => {
+                view = button.dataset.view;
+                renderPhotos(plantId);
+            });
+        });
+        document.getElementById('add-photo-btn').addEventListener('click', () => addPhoto(plantId, modalId));
+
+        loadPhotos(plantId);
+        loadSharing(plantId);
+    };
+
+    /**
+     * Upload the chosen photo
+     * @param {Number} plantId - Plant ID
+     * @param {String} modalId - Modal the section is in
+     */
+    const addPhoto = async (plantId, modalId) => {
+        Modal.clearErrors(modalId);
+
+        const photoInput = document.getElementById('gallery-photo');
+        if (photoInput.files.length === 0) {
+            Modal.showFieldError(modalId, 'gallery-photo', 'Choose a photo to add');
+            return;
+        }
+
+        const captionInput = document.getElementById('gallery-caption');
+        const formData = new FormData();
+        formData.append('photo', photoInput.files[0]);
+        formData.append('takenOn', document.getElementById('gallery-taken-on').value);
+
+        if (captionInput.value.trim()) {
+            formData.append('caption', captionInput.value.trim());
+        }
+
+        try {
+            await API.addPlantPhoto(plantId, formData);
+
+            photoInput.value = '';
+            captionInput.value = '';
+            await loadPhotos(plantId);
+
+            // The first photo of a plant becomes its cover
+            if (photos.length === 1) {
+                refreshPlantList();
+            }
+        } catch (error) {
+            console.error('Error adding photo:', error);
+
+            if (error.data && error.data.errors) {
+                const fields = {
+                    takenOn: 'gallery-taken-on',
+                    caption: 'gallery-caption'
+                };
+                error.data.errors.forEach(fieldError => {
+                    Modal.showFieldError(modalId, fields[fieldError.path] || 'gallery-photo', fieldError.msg);
+                });
+            } else {
+                Modal.showFieldError(modalId, 'gallery-photo', error.status === 400 ? error.message : 'Error adding photo. Please try again.');
+            }
+        }
+    };
+
+    /**
+     * Move a photo one place earlier or later in the gallery
+     * @param {Number} plantId - Plant ID
+     * @param {Number} photoId - Photo ID
+     * @param {Number} offset - -1 for earlier, 1 for later
+     */
+    const movePhoto = async (plantId, photoId, offset) => {
+        const photoIds = photos.map(photo => photo.id);
+        const index = photoIds.indexOf(photoId);
+        const target = index + offset;
+
+        if (index === -1 || target < 0 || target >= photoIds.length) {
+            return;
+        }
+
+        [photoIds[index], photoIds[target]] = [photoIds[target], photoIds[index]];
+
+        try {
+            photos = await API.reorderPlantPhotos(plantId, photoIds);
+            renderPhotos(plantId);
+        } catch (error) {
+            console.error('Error reordering photos:', error);
+            alert('Error reordering photos. Please try again.');
+            loadPhotos(plantId);
+        }
+    };
+
+    /**
+     * Make a photo the cover
+     * @param {Number} plantId - Plant ID
+     * @param {Number} photoId - Photo ID
+     */
+    const setCover = async (plantId, photoId) => {
+        try {
+            await API.updatePlantPhoto(photoId, { isCover: true });
+            await loadPhotos(plantId);
+            refreshPlantList();
+        } catch (error) {
+            console.error('Error setting cover photo:', error);
+            alert('Error setting cover photo. Please try again.');
+        }
+    };
+
+    /**
+     * Delete a photo
+     * @param {Number} plantId - Plant ID
+     * @param {Number} photoId - Photo ID
+     */
+    const deletePhoto = async (plantId, photoId) => {
+        if (!confirm('Delete this photo?')) {
+            return;
+        }
+
+        const wasCover = photos.some(photo => photo.id === photoId && photo.isCover);
+
+        try {
+            await API.deletePlantPhoto(photoId);
+            await loadPhotos(plantId);
+
+            if (wasCover) {
+                refreshPlantList();
+            }
+        } catch (error) {
+            console.error('Error deleting photo:', error);
+            alert('Error deleting photo. Please try again.');
+        }
+    };
+
+    /**
+     * Load and render whether the photos are shared
+     * @param {Number} plantId - Plant ID
+     */
+    const loadSharing = async (plantId) => {
+        const statusElement = document.getElementById('photo-share-status');
+        if (!statusElement) return;
+
+        try {
+            const sharing = await API.getPlantSharing(plantId);
+            statusElement.classList.remove('loading');
+            renderSharing(statusElement, plantId, sharing);
+        } catch (error) {
+            statusElement.classList.remove('loading');
+
+            // Only owners of the plant's garden share its photos
+            if (error.status === 404) {
+                statusElement.innerHTML = '<div class="photo-sharing-meta">Only the owners of this garden can share its photos.</div>';
+                return;
+            }
+
+            console.error('Error loading photo sharing:', error);
+            statusElement.innerHTML = '<div class="error-message">Error loading photo sharing.</div>';
+        }
+    };
+
+    /**
+     * Render the sharing state and actions
+     * @param {HTMLElement} statusElement - Container element
+     * @param {Number} plantId - Plant ID
+     * @param {Object} sharing - shared, sharedAt
+     */
+    const renderSharing = (statusElement, plantId, sharing) => {
+        statusElement.innerHTML = sharing.shared ? `
+            <div class="photo-sharing-meta">Shared since ${new Date(sharing.sharedAt).toLocaleDateString()}</div>
+            <button type="button" class="btn btn-sm btn-secondary" id="photo-share-btn">Replace Link</button>
+            <button type="button" class="btn btn-sm btn-danger" id="photo-unshare-btn">Stop Sharing</button>
+        ` : `
+            <button type="button" class="btn btn-sm btn-secondary" id="photo-share-btn">Create Share Link</button>
+        `;
+
+        document.getElementById('photo-share-btn').addEventListener('click', () => createShareLink(plantId, sharing.shared));
+
+        const unshareBtn = document.getElementById('photo-unshare-btn');
+        if (unshareBtn) {
+            unshareBtn.addEventListener('click', () => stopSharing(plantId));
+        }
+    };
+
+    /**
+     * Create a share link, replacing the existing one after confirmation
+     * @param {Number} plantId - Plant ID
+     * @param {Boolean} replacing - Whether the photos are already shared
+     */
+    const createShareLink = async (plantId, replacing) => {
+        if (replacing && !confirm('Replace the share link? The old link will stop working.')) {
+            return;
+        }
+
+        try {
+            const result = await API.sharePlant(plantId);
+
+            document.getElementById('photo-share-created').innerHTML = `
+                <div class="api-token-secret">
+                    <p>Copy this link now, it will not be shown again:</p>
+                    <code>${result.url}</code>
+                </div>
+            `;
+
+            loadSharing(plantId);
+        } catch (error) {
+            console.error('Error sharing photos:', error);
+            alert('Error sharing photos. Please try again.');
+        }
+    };
+
+    /**
+     * Stop sharing after confirmation
+     * @param {Number} plantId - Plant ID
+     */
+    const stopSharing = async (plantId) => {
+        if (!confirm('Stop sharing these photos? The share link will stop working immediately.')) {
+            return;
+        }
+
+        try {
+            await API.stopSharingPlant(plantId);
+            document.getElementById('photo-share-created').innerHTML = '';
+            loadSharing(plantId);
+        } catch (error) {
+            console.error('Error stopping photo sharing:', error);
+            alert('Error stopping photo sharing. Please try again.');
+        }
+    };
+
+    // Public API
+    return {
+        show
+    };
+})();
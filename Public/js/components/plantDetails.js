@@ -6,6 +6,281 @@ const PlantDetails = (function() {
     // Constants
     const MODAL_ID = 'plant-details-modal';
     
+    // Latest health remark of the plant in the details modal, to tell whether it was edited
+    let latestRemark = '';
+    
+    /**
+     * Build the growing environment select options
+     * @param {Array} environments - Array of environment objects
+     * @param {Number|null} selectedId - Currently selected environment ID
+     * @returns {String} Options HTML
+     */
+    const renderEnvironmentOptions = (environments, selectedId = null) => `
+        <option value="">No environment</option>
+        ${environments.map(environment => `
+            <option value="${environment.id}" ${environment.id === selectedId ? 'selected' : ''}>${environment.name}</option>
+        `).join('')}
+    `;
+    
+    /**
+     * Build the garden select for the gardens the user can add plants to
+     * @param {Array} gardens - Array of garden objects
+     * @param {Number|null} selectedId - Currently selected garden ID
+     * @returns {String} Form group HTML, empty if there is nothing to choose from
+     */
+    const renderGardenSelect = (gardens, selectedId = null) => {
+        const editable = gardens.filter(garden => garden.role !== 'viewer');
+        if (editable.length < 2) return '';
+        
+        return `
+            <div class="form-group">
+                <label for="plant-garden">Garden</label>
+                <select id="plant-garden">
+                    ${editable.map(garden => `
+                        <option value="${garden.id}" ${garden.id === selectedId ? 'selected' : ''}>${garden.name}</option>
+                    `).join('')}
+                </select>
+            </div>
+        `;
+    };
+    
+    /**
+     * Describe a snooze, skip or reschedule in the care history
+     * @param {Object} entry - History entry
+     * @returns {String} Description, empty for completions
+     */
+    const describeCareAction = (entry) => {
+        const newDate = entry.newDate ? new Date(entry.newDate).toLocaleDateString() : null;
+        
+        switch (entry.action) {
+            case 'snoozed':
+                return `snoozed until ${newDate}`;
+            case 'skipped':
+                return 'skipped';
+            case 'rescheduled':
+                return newDate ? `rescheduled to ${newDate}` : 'rescheduled';
+            default:
+                return '';
+        }
+    };
+    
+    /**
+     * Build the recent care history list
+     * @param {Array} history - Array of history entries, newest first
+     * @returns {String} History HTML
+     */
+    const renderCareHistory = (history) => {
+        if (history.length === 0) {
+            return '<div class="no-data-message">No care logged yet.</div>';
+        }
+        
+        return `
+            <ul class="care-history">
+                ${history.map(entry => `
+                    <li class="care-history-item ${entry.action}${entry.isLate ? ' late' : ''}">
+                        <span>${new Date(entry.completedAt).toLocaleDateString()}</span>
+                        <span class="reminder-type ${entry.type}">${entry.type}</span>
+                        ${entry.action !== 'completed' ? `<span class="care-history-action">${describeCareAction(entry)}</span>` : ''}
+                        ${entry.completedBy ? `<span class="care-history-by">by ${entry.completedBy}</span>` : ''}
+                        ${entry.quantity !== null ? `<span>${entry.quantity} ${entry.quantityUnit || ''}</span>` : ''}
+                        ${entry.isLate && entry.action === 'completed' ? '<span class="text-error">late</span>' : ''}
+                        ${entry.note ? `<span class="care-history-note">${entry.note}</span>` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    };
+    
+    /**
+     * Format a date as YYYY-MM-DD for date inputs
+     * @param {Date} date - Date
+     * @returns {String} Local date string
+     */
+    const toInputDate = (date) => {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    };
+    
+    /**
+     * Format a YYYY-MM-DD day for display
+     * @param {String} day - Day string
+     * @returns {String} Localised date
+     */
+    const formatDay = (day) => new Date(`${day}T00:00:00`).toLocaleDateString();
+    
+    /**
+     * Compare the first harvest with the estimated days until cropping
+     * @param {Object} summary - Harvest summary
+     * @returns {String} Description
+     */
+    const describeFirstHarvest = (summary) => {
+        if (!summary.firstHarvestOn) {
+            return summary.estimatedFirstHarvestOn
+                ? `No harvest logged yet. First harvest expected around ${formatDay(summary.estimatedFirstHarvestOn)}.`
+                : 'No harvest logged yet.';
+        }
+        
+        let description = `First harvest on ${formatDay(summary.firstHarvestOn)}, ${summary.daysToFirstHarvest} days after planting`;
+        
+        if (summary.daysFromEstimate === null) {
+            return `${description}.`;
+        }
+        
+        const difference = Math.abs(summary.daysFromEstimate);
+        if (difference === 0) {
+            description += `, right on the estimate of ${summary.estCropping} days`;
+        } else {
+            description += `, ${difference} day${difference === 1 ? '' : 's'} ${summary.daysFromEstimate > 0 ? 'later' : 'earlier'} than the estimate of ${summary.estCropping} days`;
+        }
+        
+        return `${description}.`;
+    };
+    
+    /**
+     * Build the harvest log with its totals
+     * @param {Array} harvests - Array of harvests, newest first
+     * @param {Object} summary - Harvest summary
+     * @returns {String} Harvest log HTML
+     */
+    const renderHarvestLog = (harvests, summary) => `
+        <p class="harvest-comparison">${describeFirstHarvest(summary)}</p>
+        ${summary.totals.length > 0 ? `
+            <p class="harvest-totals">
+                Total: ${summary.totals.map(total => `${total.quantity} ${total.unit}`).join(', ')}
+                (${summary.harvestCount} harvest${summary.harvestCount === 1 ? '' : 's'})
+            </p>
+        ` : ''}
+        ${harvests.length > 0 ? `
+            <ul class="harvest-log">
+                ${harvests.map(harvest => `
+                    <li class="harvest-log-item">
+                        <span>${formatDay(harvest.harvestedOn)}</span>
+                        <span>${harvest.quantity} ${harvest.unit}</span>
+                        ${harvest.qualityNotes ? `<span class="harvest-notes">${harvest.qualityNotes}</span>` : ''}
+                        <button type="button" class="btn btn-sm btn-danger harvest-delete-btn" data-harvest-id="${harvest.id}">Delete</button>
+                    </li>
+                `).join('')}
+            </ul>
+        ` : ''}
+    `;
+    
+    /**
+     * Load the harvest log of a plant into the details modal
+     * @param {Number} plantId - Plant ID
+     */
+    const loadHarvestLog = async (plantId) => {
+        const container = document.getElementById('harvest-log');
+        if (!container) return;
+        
+        try {
+            const [harvests, summary] = await Promise.all([
+                API.getPlantHarvests(plantId),
+                API.getHarvestSummary(plantId)
+            ]);
+            
+            container.innerHTML = renderHarvestLog(harvests, summary);
+            
+            container.querySelectorAll('.harvest-delete-btn').forEach(button => {
+                button.addEventListener('click', () => deleteHarvest(parseInt(button.dataset.harvestId), plantId));
+            });
+        } catch (error) {
+            console.error('Error loading harvests:', error);
+            container.innerHTML = '<div class="error-message">Error loading harvests.</div>';
+        }
+    };
+    
+    /**
+     * Log a harvest from the details modal
+     * @param {Number} plantId - Plant ID
+     */
+    const logHarvest = async (plantId) => {
+        Modal.clearErrors(MODAL_ID);
+        
+        const quantity = document.getElementById('harvest-quantity').value;
+        if (!quantity) {
+            Modal.showFieldError(MODAL_ID, 'harvest-quantity', 'Enter how much was harvested');
+            return;
+        }
+        
+        try {
+            await API.addHarvest(plantId, {
+                harvestedOn: document.getElementById('harvest-date').value,
+                quantity: parseFloat(quantity),
+                unit: document.getElementById('harvest-unit').value,
+                qualityNotes: document.getElementById('harvest-notes').value.trim() || null
+            });
+            
+            document.getElementById('harvest-quantity').value = '';
+            document.getElementById('harvest-notes').value = '';
+            loadHarvestLog(plantId);
+        } catch (error) {
+            console.error('Error logging harvest:', error);
+            
+            if (error.data && error.data.errors) {
+                const fields = {
+                    harvestedOn: 'harvest-date',
+                    quantity: 'harvest-quantity',
+                    unit: 'harvest-unit',
+                    qualityNotes: 'harvest-notes'
+                };
+                error.data.errors.forEach(fieldError => {
+                    Modal.showFieldError(MODAL_ID, fields[fieldError.path] || 'harvest-quantity', fieldError.msg);
+                });
+            } else {
+                alert('Error logging harvest. Please try again.');
+            }
+        }
+    };
+    
+    /**
+     * Delete a logged harvest
+     * @param {Number} harvestId - Harvest ID
+     * @param {Number} plantId - Plant ID
+     */
+    const deleteHarvest = async (harvestId, plantId) => {
+        if (!confirm('Delete this harvest?')) {
+            return;
+        }
+        
+        try {
+            await API.deleteHarvest(harvestId);
+            loadHarvestLog(plantId);
+        } catch (error) {
+            console.error('Error deleting harvest:', error);
+            alert('Error deleting harvest. Please try again.');
+        }
+    };
+    
+    /**
+     * Create or update the plain "every N days" reminder behind a quick care schedule input
+     * Other schedules of the same type are managed in ReminderSchedules
+     * @param {Number} plantId - Plant ID
+     * @param {String} type - Reminder type
+     * @param {HTMLInputElement} input - Days input
+     */
+    const saveIntervalReminder = async (plantId, type, input) => {
+        const intervalDays = parseInt(input.value);
+        
+        // Nothing to do if empty or unchanged (saving again would restart the schedule)
+        if (!intervalDays || String(intervalDays) === input.dataset.original) {
+            return;
+        }
+        
+        // Counted from today: the first reminder is due one interval from now
+        const reminderData = {
+            type,
+            intervalDays,
+            startDate: new Date().toISOString().split('T')[0]
+        };
+        
+        if (input.dataset.reminderId) {
+            await API.updateReminder(input.dataset.reminderId, reminderData);
+        } else {
+            await API.createReminder(plantId, reminderData);
+        }
+    };
+    
     /**
      * Initialize the component
      */
@@ -13,11 +288,55 @@ const PlantDetails = (function() {
         Modal.createModal(MODAL_ID, 'Plant Details');
     };
     
+    /**
+     * Build the banner for a reminder the user came to handle (e.g. from a push notification)
+     * @param {Object} reminder - Reminder object
+     * @returns {String} Banner HTML
+     */
+    const renderDueReminder = (reminder) => {
+        const type = typeof Reminders !== 'undefined' ? Reminders.formatReminderType(reminder.type) : reminder.type;
+        const due = reminder.nextReminder ? new Date(reminder.nextReminder).toLocaleDateString() : null;
+        
+        return `
+            <div class="reminder-due-banner" id="reminder-due-banner">
+                <span>${type}${due ? ` due ${due}` : ''}</span>
+                <button type="button" class="btn btn-sm btn-success" id="reminder-due-complete-btn">Mark Done</button>
+            </div>
+        `;
+    };
+    
+    /**
+     * Complete the reminder shown in the due banner (queued if offline)
+     * @param {Object} reminder - Reminder object
+     * @param {String} plantName - Plant name, listed while waiting to sync
+     */
+    const completeDueReminder = async (reminder, plantName) => {
+        const banner = document.getElementById('reminder-due-banner');
+        const type = typeof Reminders !== 'undefined' ? Reminders.formatReminderType(reminder.type) : reminder.type;
+        
+        try {
+            const result = await API.completeReminder(reminder.id, null, `${type}: ${plantName}`);
+            
+            if (banner) {
+                banner.classList.add('done');
+                banner.innerHTML = `<span>${result.queued ? 'Marked as done, waiting to sync' : 'Marked as done'}</span>`;
+            }
+            
+            if (typeof Reminders !== 'undefined') {
+                Reminders.loadReminders();
+            }
+        } catch (error) {
+            console.error('Error completing reminder:', error);
+            alert('Error marking reminder as complete. Please try again.');
+        }
+    };
+    
     /**
      * Open the plant details modal for a specific plant
      * @param {Number} plantId - Plant ID
+     * @param {Object} options - Optional reminderId to offer "Mark Done" for, and complete to do it right away
      */
-    const openDetailsModal = async (plantId) => {
+    const openDetailsModal = async (plantId, options = {}) => {
         try {
             // Fetch plant data
             const plant = await API.getPlant(plantId);
@@ -25,19 +344,42 @@ const PlantDetails = (function() {
             // Fetch plant reminders
             const reminders = await API.getPlantReminders(plantId).catch(() => []);
             
+            // Fetch recent care history
+            const careHistory = await API.getPlantCareHistory(plantId, 10).catch(() => []);
+            
             // Fetch latest health remark
             const healthRemark = await API.getLatestHealthRemark(plantId).catch(() => null);
+            latestRemark = healthRemark ? healthRemark.remarks : '';
+            
+            // Fetch growing environments; a plant in another member's environment keeps it
+            const environments = await API.getEnvironments().catch(() => []);
+            if (plant.environmentId && !environments.some(environment => environment.id === plant.environmentId)) {
+                environments.push({ id: plant.environmentId, name: plant.environmentName });
+            }
+            
+            // Only owners move plants to another garden; viewers only look
+            const gardens = plant.role === 'owner' ? await API.getGardens().catch(() => []) : [];
+            const readOnly = plant.role === 'viewer';
             
             // Format date for input field
             const plantingDate = plant.plantingTime ? new Date(plant.plantingTime).toISOString().split('T')[0] : '';
             
-            // Find reminders for specific types
-            const wateringReminder = reminders.find(r => r.type === 'watering') || {};
-            const fertilizingReminder = reminders.find(r => r.type === 'fertilizing') || {};
+            // Find the plain interval reminders for specific types
+            const wateringReminder = reminders.find(r => r.type === 'watering' && r.intervalDays) || {};
+            const fertilizingReminder = reminders.find(r => r.type === 'fertilizing' && r.intervalDays) || {};
+            
+            // Reminder the user came to handle, if it is still pending
+            const dueReminder = options.reminderId
+                ? reminders.find(r => r.id === options.reminderId && r.nextReminder)
+                : null;
             
             // Create modal content
             const content = `
                 <form id="plant-details-form">
+                    ${readOnly ? `<p class="no-data-message">You can view this plant in ${plant.gardenName}; only its editors can change it.</p>` : ''}
+                    <fieldset class="plant-details-fields" ${readOnly ? 'disabled' : ''}>
+                    ${dueReminder ? renderDueReminder(dueReminder) : ''}
+                    
                     <div class="form-group">
                         <label for="plant-name">Plant Name (Cultivar)</label>
                         <input type="text" id="plant-name" value="${plant.name}" required>
@@ -50,16 +392,33 @@ const PlantDetails = (function() {
                         <label for="planting-date">Planting Date</label>
                         <input type="date" id="planting-date" value="${plantingDate}" required>
                     </div>
+                    <div class="form-group">
+                        <label for="plant-environment">Growing Environment</label>
+                        <select id="plant-environment">
+                            ${renderEnvironmentOptions(environments, plant.environmentId)}
+                        </select>
+                    </div>
+                    ${renderGardenSelect(gardens, plant.gardenId)}
                     
                     <h3>Care Schedule</h3>
                     <div class="form-group">
                         <label for="watering-days">Watering (days between)</label>
-                        <input type="number" id="watering-days" min="1" max="365" value="${wateringReminder.intervalDays || ''}">
+                        <input type="number" id="watering-days" min="1" max="365" value="${wateringReminder.intervalDays || ''}"
+                            data-reminder-id="${wateringReminder.id || ''}" data-original="${wateringReminder.intervalDays || ''}">
                     </div>
                     <div class="form-group">
                         <label for="fertilizing-days">Fertilizing (days between)</label>
-                        <input type="number" id="fertilizing-days" min="1" max="365" value="${fertilizingReminder.intervalDays || ''}">
+                        <input type="number" id="fertilizing-days" min="1" max="365" value="${fertilizingReminder.intervalDays || ''}"
+                            data-reminder-id="${fertilizingReminder.id || ''}" data-original="${fertilizingReminder.intervalDays || ''}">
                     </div>
+                    <div class="form-group">
+                        <button type="button" class="btn btn-sm btn-secondary" id="manage-schedules-btn">
+                            All care schedules (${reminders.length})
+                        </button>
+                    </div>
+                    
+                    <h3>Care History</h3>
+                    ${renderCareHistory(careHistory)}
                     
                     <h3>Harvest Information</h3>
                     <div class="form-group">
@@ -67,34 +426,101 @@ const PlantDetails = (function() {
                         <input type="number" id="est-cropping" min="1" value="${plant.estCropping || ''}">
                     </div>
                     
+                    <h4>Harvest Log</h4>
+                    <div id="harvest-log"><div class="loading"></div></div>
+                    <div class="harvest-form">
+                        <div class="form-group">
+                            <label for="harvest-date">Harvested on</label>
+                            <input type="date" id="harvest-date" value="${toInputDate(new Date())}" max="${toInputDate(new Date())}">
+                        </div>
+                        <div class="form-group">
+                            <label for="harvest-quantity">Amount</label>
+                            <input type="number" id="harvest-quantity" min="0.01" step="any">
+                        </div>
+                        <div class="form-group">
+                            <label for="harvest-unit">Unit</label>
+                            <select id="harvest-unit">
+                                <option value="kg">kilograms</option>
+                                <option value="pieces">pieces</option>
+                                <option value="bunches">bunches</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="harvest-notes">Quality notes (optional)</label>
+                            <input type="text" id="harvest-notes" maxlength="1000">
+                        </div>
+                        <button type="button" class="btn btn-sm btn-secondary" id="log-harvest-btn">Log Harvest</button>
+                    </div>
+                    
+                    <h3>Growth</h3>
+                    <div id="growth-log"></div>
+                    
                     <h3>Plant Health</h3>
                     <div class="form-group">
                         <label for="plant-remarks">Remarks</label>
                         <textarea id="plant-remarks" rows="4">${healthRemark ? healthRemark.remarks : ''}</textarea>
                     </div>
                     
-                    <div class="form-group">
-                        <label for="plant-photo">Photo (optional)</label>
-                        <input type="file" id="plant-photo" accept="image/jpeg, image/png, image/gif">
-                    </div>
+                    <h3>Photos</h3>
+                    <div id="photo-gallery-section"></div>
                     
-                    ${plant.photoUrl ? `
-                        <div class="form-group">
-                            <label>Current Photo</label>
-                            <div class="plant-photo-preview">
-                                <img src="${plant.photoUrl}" alt="${plant.name}">
-                            </div>
-                        </div>
-                    ` : ''}
+                    <h3>History</h3>
+                    <div id="plant-history-section"></div>
                     
                     <input type="hidden" id="plant-id" value="${plant.id}">
+                    <input type="hidden" id="plant-environment-original" value="${plant.environmentId || ''}">
+                    </fieldset>
                 </form>
             `;
             
             // Set modal content
             Modal.setModalContent(MODAL_ID, content);
-            Modal.setModalSaveHandler(MODAL_ID, savePlantDetails);
+            Modal.setModalSaveHandler(MODAL_ID, readOnly ? () => Modal.closeModal(MODAL_ID) : savePlantDetails);
             Modal.showModal(MODAL_ID);
+            
+            if (dueReminder) {
+                document.getElementById('reminder-due-complete-btn')
+                    .addEventListener('click', () => completeDueReminder(dueReminder, plant.name));
+                
+                if (options.complete) {
+                    completeDueReminder(dueReminder, plant.name);
+                }
+            }
+            
+            document.getElementById('log-harvest-btn').addEventListener('click', () => logHarvest(plant.id));
+            loadHarvestLog(plant.id);
+            
+            // Growth measurements and their chart
+            const growthLog = document.getElementById('growth-log');
+            if (typeof GrowthLog !== 'undefined' && typeof Charts !== 'undefined') {
+                GrowthLog.show(growthLog, plant.id, MODAL_ID);
+            } else {
+                growthLog.previousElementSibling.style.display = 'none';
+            }
+            
+            // Photo gallery and timeline
+            const photoSection = document.getElementById('photo-gallery-section');
+            if (typeof PhotoGallery !== 'undefined') {
+                PhotoGallery.show(photoSection, plant.id, MODAL_ID);
+            } else {
+                photoSection.previousElementSibling.style.display = 'none';
+            }
+            
+            // Who changed what, with earlier versions to go back to
+            const historySection = document.getElementById('plant-history-section');
+            if (typeof PlantHistory !== 'undefined') {
+                PlantHistory.show(historySection, plant.id);
+            } else {
+                historySection.previousElementSibling.style.display = 'none';
+            }
+            
+            // Recurring schedules (weekdays, month days, seasons) are managed in their own modal
+            const manageSchedulesBtn = document.getElementById('manage-schedules-btn');
+            if (typeof ReminderSchedules !== 'undefined') {
+                manageSchedulesBtn.addEventListener('click', () => ReminderSchedules.openSchedulesModal(plant.id, plant.name));
+            } else {
+                manageSchedulesBtn.style.display = 'none';
+            }
         } catch (error) {
             console.error('Error opening plant details:', error);
             alert('Error loading plant details. Please try again.');
@@ -115,9 +541,11 @@ const PlantDetails = (function() {
             const plantingDate = document.getElementById('planting-date').value;
             const estCropping = document.getElementById('est-cropping').value;
             const remarks = document.getElementById('plant-remarks').value;
-            const wateringDays = document.getElementById('watering-days').value;
-            const fertilizingDays = document.getElementById('fertilizing-days').value;
-            const photoInput = document.getElementById('plant-photo');
+            const wateringInput = document.getElementById('watering-days');
+            const fertilizingInput = document.getElementById('fertilizing-days');
+            const environmentId = document.getElementById('plant-environment').value;
+            const originalEnvironmentId = document.getElementById('plant-environment-original').value;
+            const gardenSelect = document.getElementById('plant-garden');
             
             // Validate required fields
             if (!plantName) {
@@ -135,6 +563,21 @@ const PlantDetails = (function() {
                 return;
             }
             
+            // Offline only a new health remark can wait for the connection
+            if (!navigator.onLine) {
+                const remarkChanged = remarks.trim() && remarks !== latestRemark;
+                
+                if (remarkChanged) {
+                    await API.addHealthRemark(plantId, remarks, `Health remark: ${plantName}`);
+                }
+                
+                Modal.closeModal(MODAL_ID);
+                alert(remarkChanged
+                    ? 'You are offline. The health remark will be saved when you are back online; other changes need a connection.'
+                    : 'You are offline. Changes to plant details need a connection.');
+                return;
+            }
+            
             // Create form data for plant update
             const formData = new FormData();
             formData.append('plant_cultivar', plantName);
@@ -145,31 +588,21 @@ const PlantDetails = (function() {
                 formData.append('est_cropping', estCropping);
             }
             
-            // Add photo if selected
-            if (photoInput.files.length > 0) {
-                formData.append('photo', photoInput.files[0]);
+            if (gardenSelect) {
+                formData.append('garden_id', gardenSelect.value);
             }
             
-            // Update plant
+            // Update plant; photos are added in the gallery
             await API.updatePlant(plantId, formData);
             
-            // Save watering reminder if specified
-            if (wateringDays) {
-                await API.saveReminder(plantId, {
-                    type: 'watering',
-                    intervalDays: parseInt(wateringDays),
-                    startDate: new Date().toISOString().split('T')[0]
-                });
+            // Move plant to another environment if it changed
+            if (environmentId !== originalEnvironmentId) {
+                await API.setPlantEnvironment(plantId, environmentId ? parseInt(environmentId) : null);
             }
             
-            // Save fertilizing reminder if specified
-            if (fertilizingDays) {
-                await API.saveReminder(plantId, {
-                    type: 'fertilizing',
-                    intervalDays: parseInt(fertilizingDays),
-                    startDate: new Date().toISOString().split('T')[0]
-                });
-            }
+            // Save watering and fertilizing schedules if specified
+            await saveIntervalReminder(plantId, 'watering', wateringInput);
+            await saveIntervalReminder(plantId, 'fertilizing', fertilizingInput);
             
             // Save plant remarks if provided
             if (remarks && remarks.trim()) {
@@ -195,7 +628,11 @@ const PlantDetails = (function() {
     /**
      * Create a new plant modal
      */
-    const openNewPlantModal = () => {
+    const openNewPlantModal = async () => {
+        // Fetch growing environments and the gardens the plant can go to
+        const environments = await API.getEnvironments().catch(() => []);
+        const gardens = await API.getGardens().catch(() => []);
+        
         // Create modal content for new plant
         const content = `
             <form id="plant-details-form">
@@ -211,6 +648,13 @@ const PlantDetails = (function() {
                     <label for="planting-date">Planting Date</label>
                     <input type="date" id="planting-date" value="${new Date().toISOString().split('T')[0]}" required>
                 </div>
+                <div class="form-group">
+                    <label for="plant-environment">Growing Environment</label>
+                    <select id="plant-environment">
+                        ${renderEnvironmentOptions(environments)}
+                    </select>
+                </div>
+                ${renderGardenSelect(gardens)}
                 
                 <h3>Care Schedule</h3>
                 <div class="form-group">
@@ -230,7 +674,7 @@ const PlantDetails = (function() {
                 
                 <div class="form-group">
                     <label for="plant-photo">Photo (optional)</label>
-                    <input type="file" id="plant-photo" accept="image/jpeg, image/png, image/gif">
+                    <input type="file" id="plant-photo" accept="image/jpeg, image/png, image/gif, image/webp">
                 </div>
             </form>
         `;
@@ -254,8 +698,10 @@ const PlantDetails = (function() {
             const plantSpecies = document.getElementById('plant-species').value;
             const plantingDate = document.getElementById('planting-date').value;
             const estCropping = document.getElementById('est-cropping').value;
-            const wateringDays = document.getElementById('watering-days').value;
-            const fertilizingDays = document.getElementById('fertilizing-days').value;
+            const wateringInput = document.getElementById('watering-days');
+            const fertilizingInput = document.getElementById('fertilizing-days');
+            const environmentId = document.getElementById('plant-environment').value;
+            const gardenSelect = document.getElementById('plant-garden');
             const photoInput = document.getElementById('plant-photo');
             
             // Validate required fields
@@ -284,6 +730,10 @@ const PlantDetails = (function() {
                 formData.append('est_cropping', estCropping);
             }
             
+            if (gardenSelect) {
+                formData.append('garden_id', gardenSelect.value);
+            }
+            
             // Add photo if selected
             if (photoInput.files.length > 0) {
                 formData.append('photo', photoInput.files[0]);
@@ -291,26 +741,27 @@ const PlantDetails = (function() {
             
             // Create plant
             const result = await API.addPlant(formData);
-            const plantId = result.plant.id;
             
-            // Save watering reminder if specified
-            if (wateringDays) {
-                await API.saveReminder(plantId, {
-                    type: 'watering',
-                    intervalDays: parseInt(wateringDays),
-                    startDate: new Date().toISOString().split('T')[0]
-                });
+            // Offline: the plant waits in the outbox, the rest needs its ID
+            if (result.queued) {
+                Modal.closeModal(MODAL_ID);
+                alert(environmentId || wateringInput.value || fertilizingInput.value
+                    ? `${result.message}. Set its environment and care schedule once it has synced.`
+                    : result.message);
+                return;
             }
             
-            // Save fertilizing reminder if specified
-            if (fertilizingDays) {
-                await API.saveReminder(plantId, {
-                    type: 'fertilizing',
-                    intervalDays: parseInt(fertilizingDays),
-                    startDate: new Date().toISOString().split('T')[0]
-                });
+            const plantId = result.plant.id;
+            
+            // Place the plant in its growing environment
+            if (environmentId) {
+                await API.setPlantEnvironment(plantId, parseInt(environmentId));
             }
             
+            // Save watering and fertilizing schedules if specified
+            await saveIntervalReminder(plantId, 'watering', wateringInput);
+            await saveIntervalReminder(plantId, 'fertilizing', fertilizingInput);
+            
             // Close modal and refresh plant list
             Modal.closeModal(MODAL_ID);
             
@@ -0,0 +1,174 @@
+/**
+ * Plant History Component
+ * Who changed what and when: edits of the plant, its care schedules and health remarks,
+ * shown in the plant details modal. Earlier versions of the plant can be restored.
+ */
+const PlantHistory = (function() {
+    // Constants
+    const FIELD_LABELS = {
+        name: 'Name',
+        species: 'Species',
+        plantingTime: 'Planting date',
+        estCropping: 'Days until cropping',
+        environment: 'Environment',
+        garden: 'Garden',
+        type: 'Type',
+        startDate: 'Start date',
+        rrule: 'Schedule',
+        notes: 'Notes',
+        isActive: 'Active',
+        remarks: 'Remarks'
+    };
+
+    const DESCRIPTIONS = {
+        plant: {
+            create: 'Plant added',
+            update: 'Plant edited',
+            delete: 'Moved to the trash',
+            restore: 'Restored from the trash',
+            revert: 'Reverted to an earlier version'
+        },
+        reminder: {
+            create: 'Care schedule added',
+            update: 'Care schedule changed',
+            delete: 'Care schedule removed'
+        },
+        health: {
+            create: 'Health remark added',
+            update: 'Health remark edited',
+            delete: 'Health remark deleted'
+        }
+    };
+
+    /**
+     * Format a recorded value for display
+     * @param {String} field - Field name
+     * @param {*} value - Recorded value
+     * @returns {String} Display text
+     */
+    const formatValue = (field, value) => {
+        if (value === null || value === '') return '—';
+        if (typeof value === 'boolean') return value ? 'yes' : 'no';
+        if (field === 'type' && typeof Reminders !== 'undefined') return Reminders.formatReminderType(value);
+        if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return new Date(`${value}T00:00:00`).toLocaleDateString();
+        return value;
+    };
+
+    /**
+     * Build the list of changed fields of an entry
+     * @param {Object} entry - History entry
+     * @returns {String} List HTML
+     */
+    const renderChanges = (entry) => {
+        if (entry.changes.length === 0) return '';
+
+        return `
+            <ul class="history-changes">
+                ${entry.changes.map(change => `
+                    <li>
+                        ${FIELD_LABELS[change.field] || change.field}:
+                        ${entry.action === 'create'
+                            ? formatValue(change.field, change.after)
+                            : entry.action === 'delete'
+                                ? `<del>${formatValue(change.field, change.before)}</del>`
+                                : `${formatValue(change.field, change.before)} → ${formatValue(change.field, change.after)}`}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    };
+
+    /**
+     * Build the history list
+     * @param {Array} entries - History entries, newest first
+     * @returns {String} List HTML
+     */
+    const renderHistory = (entries) => {
+        if (entries.length === 0) {
+            return '<div class="no-data-message">No changes recorded yet.</div>';
+        }
+
+        // The newest plant version is what the plant looks like now
+        const current = entries.find(entry => entry.canRevert);
+
+        return `
+            <ul class="plant-history">
+                ${entries.map(entry => `
+                    <li class="plant-history-item">
+                        <div class="plant-history-header">
+                            <span>
+                                <strong>${DESCRIPTIONS[entry.entityType][entry.action]}</strong>
+                                <span class="plant-history-meta">
+                                    ${new Date(entry.createdAt).toLocaleString()}${entry.actor ? ` · ${entry.actor}` : ''}
+                                </span>
+                            </span>
+                            ${entry === current
+                                ? '<span class="plant-history-meta">Current version</span>'
+                                : entry.canRevert
+                                    ? `<button type="button" class="btn btn-sm btn-secondary history-revert-btn" data-entry-id="${entry.id}">Revert to this</button>`
+                                    : ''}
+                        </div>
+                        ${renderChanges(entry)}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    };
+
+    /**
+     * Load the history into the section
+     * @param {HTMLElement} container - Section element
+     * @param {Number} plantId - Plant ID
+     */
+    const loadHistory = async (container, plantId) => {
+        try {
+            const entries = await API.getPlantHistory(plantId);
+            container.innerHTML = renderHistory(entries);
+
+            container.querySelectorAll('.history-revert-btn').forEach(button => {
+                button.addEventListener('click', () => revertPlant(plantId, button.dataset.entryId));
+            });
+        } catch (error) {
+            console.error('Error loading plant history:', error);
+            container.innerHTML = '<div class="error-message">Error loading history. Please try again.</div>';
+        }
+    };
+
+    /**
+     * Revert the plant after confirmation and show it as it is now
+     * @param {Number} plantId - Plant ID
+     * @param {Number} entryId - History entry ID
+     */
+    const revertPlant = async (plantId, entryId) => {
+        if (!confirm('Revert the plant\'s name, species, dates and environment to this version? Unsaved changes in this form are lost.')) {
+            return;
+        }
+
+        try {
+            await API.revertPlant(plantId, entryId);
+
+            if (typeof PlantList !== 'undefined') {
+                PlantList.loadPlants();
+            }
+            PlantDetails.openDetailsModal(plantId);
+        } catch (error) {
+            console.error('Error reverting plant:', error);
+            alert('Error reverting plant. Please try again.');
+        }
+    };
+
+    /**
+     * Show a plant's history in the details modal
+     * @param {HTMLElement} container - Section element
+     * @param {Number} plantId - Plant ID
+     */
+    const show = (container, plantId) => {
+        container.innerHTML = '<div class="loading"></div>';
+        loadHistory(container, plantId);
+    };
+
+    // Public API
+    return {
+        show
+    };
+})();
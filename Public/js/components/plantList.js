@@ -7,6 +7,11 @@ const PlantList = (function() {
     let plantContainer;
     let loadingIndicator;
     let noPlantMessage;
+    let environmentFilter;
+    let groupToggle;
+    
+    // Last loaded plants, kept so filtering and grouping don't need a refetch
+    let currentPlants = [];
     
     /**
      * Initialize the component
@@ -47,7 +52,8 @@ const PlantList = (function() {
             }
             
             const plants = await API.getPlants();
-            renderPlants(plants);
+            currentPlants = plants;
+            renderPlants(filterPlants(plants));
             
             if (loadingIndicator) {
                 loadingIndicator.style.display = 'none';
@@ -67,6 +73,25 @@ const PlantList = (function() {
         }
     };
     
+    /**
+     * Apply the selected environment filter
+     * @param {Array} plants - Array of plant objects
+     * @returns {Array} Plants matching the filter
+     */
+    const filterPlants = (plants) => {
+        const filterValue = environmentFilter ? environmentFilter.value : '';
+        
+        if (filterValue === '') {
+            return plants;
+        }
+        
+        if (filterValue === 'none') {
+            return plants.filter(plant => !plant.environmentId);
+        }
+        
+        return plants.filter(plant => plant.environmentId === parseInt(filterValue));
+    };
+    
     /**
      * Render plants in the container
      * @param {Array} plants - Array of plant objects
@@ -77,6 +102,11 @@ const PlantList = (function() {
         // Clear container
         plantContainer.innerHTML = '';
         
+        if (groupToggle && groupToggle.checked) {
+            renderGroupedPlants(plants);
+            return;
+        }
+        
         // Render each plant
         plants.forEach(plant => {
             const plantElement = createPlantElement(plant);
@@ -84,6 +114,45 @@ const PlantList = (function() {
         });
     };
     
+    /**
+     * Render plants grouped by growing environment
+     * @param {Array} plants - Array of plant objects
+     */
+    const renderGroupedPlants = (plants) => {
+        const groups = {};
+        
+        plants.forEach(plant => {
+            const groupName = plant.environmentName || 'No environment';
+            if (!groups[groupName]) {
+                groups[groupName] = [];
+            }
+            groups[groupName].push(plant);
+        });
+        
+        // Sort alphabetically, keeping unassigned plants last
+        const groupNames = Object.keys(groups).sort((a, b) => {
+            if (a === 'No environment') return 1;
+            if (b === 'No environment') return -1;
+            return a.localeCompare(b);
+        });
+        
+        groupNames.forEach(groupName => {
+            const groupElement = document.createElement('div');
+            groupElement.className = 'plant-group';
+            groupElement.innerHTML = `
+                <h2 class="plant-group-title">${groupName} <span class="plant-group-count">(${groups[groupName].length})</span></h2>
+                <div class="plant-grid"></div>
+            `;
+            
+            const groupGrid = groupElement.querySelector('.plant-grid');
+            groups[groupName].forEach(plant => {
+                groupGrid.appendChild(createPlantElement(plant));
+            });
+            
+            plantContainer.appendChild(groupElement);
+        });
+    };
+    
     /**
      * Create a plant element
      * @param {Object} plant - Plant object
@@ -121,16 +190,20 @@ const PlantList = (function() {
             </div>
             <div class="plant-details">
                 <div class="plant-planting-time">Planted: ${plantingDate} (${daysSincePlanting} days ago)</div>
+                ${plant.environmentName ? `<div class="plant-environment">Grows in: ${plant.environmentName}</div>` : ''}
+                <div class="plant-garden">Garden: ${plant.gardenName}</div>
                 ${croppingInfo}
             </div>
             ${plant.photoUrl ? `
                 <div class="plant-photo">
-                    <img src="${plant.photoUrl}" alt="${plant.name}">
+                    <img src="${plant.thumbnailUrl || plant.photoUrl}" alt="${plant.name}" loading="lazy">
                 </div>
             ` : ''}
             <div class="plant-actions">
                 <button class="btn btn-primary plant-details-btn" data-plant-id="${plant.id}">Plant details</button>
-                <button class="btn btn-danger plant-delete-btn" data-plant-id="${plant.id}">Delete my plant</button>
+                ${plant.role !== 'viewer'
+                    ? `<button class="btn btn-danger plant-delete-btn" data-plant-id="${plant.id}">Delete my plant</button>`
+                    : ''}
             </div>
         `;
         
@@ -142,8 +215,11 @@ const PlantList = (function() {
             }
         });
         
+        // Viewers of a shared garden only look at its plants
         const deleteBtn = plantElement.querySelector('.plant-delete-btn');
-        deleteBtn.addEventListener('click', () => confirmDeletePlant(plant.id, plant.name));
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', () => confirmDeletePlant(plant.id, plant.name));
+        }
         
         return plantElement;
     };
@@ -154,27 +230,60 @@ const PlantList = (function() {
      * @param {String} plantName - Plant name for confirmation message
      */
     const confirmDeletePlant = (plantId, plantName) => {
-        if (confirm(`Are you sure you want to delete ${plantName}? This action cannot be undone.`)) {
-            deletePlant(plantId);
+        if (confirm(`Move ${plantName} to the trash? Its reminders are paused until it is restored.`)) {
+            deletePlant(plantId, plantName);
         }
     };
     
     /**
-     * Delete a plant
+     * Delete a plant, offering to undo it
      * @param {Number} plantId - Plant ID
+     * @param {String} plantName - Plant name for the undo message
      */
-    const deletePlant = async (plantId) => {
+    const deletePlant = async (plantId, plantName) => {
         try {
             await API.deletePlant(plantId);
             
-            // Reload plants
-            loadPlants();
+            // Reload plants and reminders; the plant's reminders are paused
+            refresh();
+            
+            if (typeof Toast !== 'undefined') {
+                Toast.show(`${plantName} moved to the trash`, {
+                    actionLabel: 'Undo',
+                    onAction: () => restorePlant(plantId)
+                });
+            }
         } catch (error) {
             console.error('Error deleting plant:', error);
             alert('Error deleting plant. Please try again.');
         }
     };
     
+    /**
+     * Restore a plant from the trash
+     * @param {Number} plantId - Plant ID
+     */
+    const restorePlant = async (plantId) => {
+        try {
+            await API.restorePlant(plantId);
+            refresh();
+        } catch (error) {
+            console.error('Error restoring plant:', error);
+            alert('Error restoring plant. Please try again.');
+        }
+    };
+    
+    /**
+     * Reload the plants and the upcoming reminders
+     */
+    const refresh = () => {
+        loadPlants();
+        
+        if (typeof Reminders !== 'undefined') {
+            Reminders.loadReminders();
+        }
+    };
+    
     /**
      * Set up event listeners for global buttons
      * @param {String} addBtnId - ID of the add plant button
@@ -190,10 +299,57 @@ const PlantList = (function() {
         }
     };
     
+    /**
+     * Set up the environment filter and grouping controls
+     * @param {String} filterId - ID of the environment filter select
+     * @param {String} groupToggleId - ID of the group-by-environment checkbox
+     */
+    const setupFilters = (filterId, groupToggleId) => {
+        environmentFilter = document.getElementById(filterId);
+        groupToggle = document.getElementById(groupToggleId);
+        
+        if (groupToggle) {
+            groupToggle.addEventListener('change', () => renderPlants(filterPlants(currentPlants)));
+        }
+        
+        if (environmentFilter) {
+            environmentFilter.addEventListener('change', () => renderPlants(filterPlants(currentPlants)));
+            loadEnvironmentOptions();
+        }
+    };
+    
+    /**
+     * Fill the environment filter with the user's environments
+     * Keeps the current selection if it still exists
+     */
+    const loadEnvironmentOptions = async () => {
+        if (!environmentFilter) return;
+        
+        const selected = environmentFilter.value;
+        
+        try {
+            const environments = await API.getEnvironments();
+            environmentFilter.innerHTML = `
+                <option value="">All environments</option>
+                ${environments.map(environment => `<option value="${environment.id}">${environment.name}</option>`).join('')}
+                <option value="none">No environment</option>
+            `;
+            
+            if (Array.from(environmentFilter.options).some(option => option.value === selected)) {
+                environmentFilter.value = selected;
+            }
+        } catch (error) {
+            console.error('Error loading environments for filter:', error);
+        }
+    };
+    
     // Public API
     return {
         initialize,
         loadPlants,
-        setupEventListeners
+        refresh,
+        setupEventListeners,
+        setupFilters,
+        loadEnvironmentOptions
     };
 })();
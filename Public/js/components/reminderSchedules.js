@@ -0,0 +1,355 @@
+/**
+ * Reminder Schedules Component
+ * Lists a plant's care schedules and creates recurring ones
+ * ("every Monday and Thursday", "on the 1st of each month from April to August")
+ */
+const ReminderSchedules = (function() {
+    // Constants
+    const MODAL_ID = 'reminder-schedules-modal';
+    const WEEKDAYS = [
+        { value: 'MO', label: 'Mon' },
+        { value: 'TU', label: 'Tue' },
+        { value: 'WE', label: 'Wed' },
+        { value: 'TH', label: 'Thu' },
+        { value: 'FR', label: 'Fri' },
+        { value: 'SA', label: 'Sat' },
+        { value: 'SU', label: 'Sun' }
+    ];
+    const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const UNITS = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' };
+
+    // Plant whose schedules are shown
+    let currentPlantId = null;
+
+    /**
+     * Describe a recurrence rule in words
+     * @param {Object} rule - Recurrence rule from the API
+     * @returns {String} Description, e.g. "Every week on Mon, Thu (Apr–Aug)"
+     */
+    const describeRecurrence = (rule) => {
+        const unit = UNITS[rule.frequency];
+        let text = rule.interval === 1 ? `Every ${unit}` : `Every ${rule.interval} ${unit}s`;
+
+        if (rule.byWeekday.length > 0) {
+            text += ' on ' + WEEKDAYS.filter(day => rule.byWeekday.includes(day.value))
+                .map(day => day.label).join(', ');
+        }
+
+        if (rule.byMonthDay.length > 0) {
+            text += ' on day ' + rule.byMonthDay.map(day => (day === -1 ? 'last' : day)).join(', ');
+        }
+
+        if (rule.byMonth.length > 0) {
+            text += ` (${describeMonths(rule.byMonth)})`;
+        }
+
+        if (rule.until) {
+            text += `, until ${new Date(`${rule.until}T00:00:00`).toLocaleDateString()}`;
+        } else if (rule.count) {
+            text += `, ${rule.count} times`;
+        }
+
+        return text;
+    };
+
+    /**
+     * Describe a set of months, using ranges for consecutive months
+     * @param {Array<Number>} months - Month numbers (1-12), sorted
+     * @returns {String} e.g. "Apr–Aug" or "Mar, Jun, Sep"
+     */
+    const describeMonths = (months) => {
+        const ranges = [];
+
+        months.forEach(month => {
+            const last = ranges[ranges.length - 1];
+            if (last && last[1] === month - 1) {
+                last[1] = month;
+            } else {
+                ranges.push([month, month]);
+            }
+        });
+
+        return ranges.map(([from, to]) => (
+            from === to ? MONTHS[from - 1] : `${MONTHS[from - 1]}–${MONTHS[to - 1]}`
+        )).join(', ');
+    };
+
+    /**
+     * Open the schedules modal for a plant
+     * @param {Number} plantId - Plant ID
+     * @param {String} plantName - Plant name for the heading
+     */
+    const openSchedulesModal = (plantId, plantName) => {
+        currentPlantId = plantId;
+
+        Modal.createModal(MODAL_ID, 'Care Schedules');
+
+        const today = new Date().toISOString().split('T')[0];
+
+        const content = `
+            <h3>${plantName}</h3>
+            <div id="reminder-schedule-list" class="loading"></div>
+
+            <h3>Add Schedule</h3>
+            <form id="reminder-schedule-form">
+                <div class="form-group">
+                    <label for="schedule-type">Type</label>
+                    <select id="schedule-type">
+                        <option value="watering">Watering</option>
+                        <option value="fertilizing">Fertilizing</option>
+                        <option value="harvesting">Harvesting</option>
+                        <option value="other">Other</option>
+                    </select>
+                </div>
+                <div class="form-group schedule-frequency">
+                    <label for="schedule-interval">Repeat every</label>
+                    <input type="number" id="schedule-interval" min="1" max="365" value="1">
+                    <select id="schedule-frequency">
+                        <option value="DAILY">day(s)</option>
+                        <option value="WEEKLY" selected>week(s)</option>
+                        <option value="MONTHLY">month(s)</option>
+                    </select>
+                </div>
+                <div class="form-group" id="schedule-weekdays-group">
+                    <label>On</label>
+                    <div class="schedule-options">
+                        ${WEEKDAYS.map(day => `
+                            <label class="checkbox-label">
+                                <input type="checkbox" name="schedule-weekday" value="${day.value}"> ${day.label}
+                            </label>
+                        `).join('')}
+                    </div>
+                </div>
+                <div class="form-group" id="schedule-month-day-group" style="display: none;">
+                    <label for="schedule-month-day">Day of the month</label>
+                    <select id="schedule-month-day">
+                        ${Array.from({ length: 31 }, (_, i) => `<option value="${i + 1}">${i + 1}</option>`).join('')}
+                        <option value="-1">Last day</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>Only in (leave empty for all year)</label>
+                    <div class="schedule-options">
+                        ${MONTHS.map((month, index) => `
+                            <label class="checkbox-label">
+                                <input type="checkbox" name="schedule-month" value="${index + 1}"> ${month}
+                            </label>
+                        `).join('')}
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="schedule-start">Starts</label>
+                    <input type="date" id="schedule-start" value="${today}" required>
+                </div>
+                <div class="form-group">
+                    <label for="schedule-end-type">Ends</label>
+                    <select id="schedule-end-type">
+                        <option value="never">Never</option>
+                        <option value="until">On date</option>
+                        <option value="count">After a number of times</option>
+                    </select>
+                    <input type="date" id="schedule-until" style="display: none;">
+                    <input type="number" id="schedule-count" min="1" max="1000" style="display: none;">
+                </div>
+                <div class="form-group">
+                    <label for="schedule-notes">Notes (optional)</label>
+                    <input type="text" id="schedule-notes" maxlength="255">
+                </div>
+            </form>
+        `;
+
+        Modal.setModalContent(MODAL_ID, content);
+        Modal.setModalSaveHandler(MODAL_ID, createSchedule);
+        Modal.showModal(MODAL_ID);
+
+        setupFormToggles();
+        loadSchedules();
+    };
+
+    /**
+     * Show only the form fields that apply to the chosen frequency and end
+     */
+    const setupFormToggles = () => {
+        const frequencySelect = document.getElementById('schedule-frequency');
+        const endTypeSelect = document.getElementById('schedule-end-type');
+
+        const updateFrequencyFields = () => {
+            const frequency = frequencySelect.value;
+            document.getElementById('schedule-weekdays-group').style.display = frequency === 'WEEKLY' ? '' : 'none';
+            document.getElementById('schedule-month-day-group').style.display = frequency === 'MONTHLY' ? '' : 'none';
+        };
+
+        const updateEndFields = () => {
+            const endType = endTypeSelect.value;
+            document.getElementById('schedule-until').style.display = endType === 'until' ? '' : 'none';
+            document.getElementById('schedule-count').style.display = endType === 'count' ? '' : 'none';
+        };
+
+        frequencySelect.addEventListener('change', updateFrequencyFields);
+        endTypeSelect.addEventListener('change', updateEndFields);
+    };
+
+    /**
+     * Load and render the plant's schedules
+     */
+    const loadSchedules = async () => {
+        const listElement = document.getElementById('reminder-schedule-list');
+        if (!listElement) return;
+
+        try {
+            const reminders = await API.getPlantReminders(currentPlantId);
+            listElement.classList.remove('loading');
+            renderSchedules(listElement, reminders);
+        } catch (error) {
+            console.error('Error loading schedules:', error);
+            listElement.classList.remove('loading');
+            listElement.innerHTML = '<div class="error-message">Error loading schedules. Please try again.</div>';
+        }
+    };
+
+    /**
+     * Render the schedule list
+     * @param {HTMLElement} listElement - Container element
+     * @param {Array} reminders - Array of reminder objects
+     */
+    const renderSchedules = (listElement, reminders) => {
+        if (reminders.length === 0) {
+            listElement.innerHTML = '<div class="no-data-message">No care schedules yet.</div>';
+            return;
+        }
+
+        listElement.innerHTML = reminders.map(reminder => {
+            const next = reminder.nextReminder
+                ? `Next: ${new Date(reminder.nextReminder).toLocaleDateString()}`
+                : 'Finished';
+
+            return `
+                <div class="schedule-item">
+                    <div class="schedule-info">
+                        <div class="reminder-type ${reminder.type}">${Reminders.formatReminderType(reminder.type)}</div>
+                        <div>${describeRecurrence(reminder.recurrence)}</div>
+                        <div class="schedule-meta">${next}${reminder.notes ? ` · ${reminder.notes}` : ''}</div>
+                    </div>
+                    <button class="btn btn-sm btn-danger schedule-delete-btn" data-reminder-id="${reminder.id}">Delete</button>
+                </div>
+            `;
+        }).join('');
+
+        listElement.querySelectorAll('.schedule-delete-btn').forEach(button => {
+            button.addEventListener('click', () => deleteSchedule(button.dataset.reminderId));
+        });
+    };
+
+    /**
+     * Build a recurrence rule from the form
+     * @returns {Object|null} Rule or null if a field is invalid (error shown)
+     */
+    const readRecurrence = () => {
+        const frequency = document.getElementById('schedule-frequency').value;
+        const interval = parseInt(document.getElementById('schedule-interval').value);
+        const endType = document.getElementById('schedule-end-type').value;
+        const checkedValues = (name) => Array.from(document.querySelectorAll(`input[name="${name}"]:checked`))
+            .map(input => input.value);
+
+        if (!interval || interval < 1) {
+            Modal.showFieldError(MODAL_ID, 'schedule-interval', 'Enter how often to repeat');
+            return null;
+        }
+
+        const rule = {
+            frequency,
+            interval,
+            byMonth: checkedValues('schedule-month').map(Number)
+        };
+
+        if (frequency === 'WEEKLY') {
+            rule.byWeekday = checkedValues('schedule-weekday');
+        } else if (frequency === 'MONTHLY') {
+            rule.byMonthDay = [parseInt(document.getElementById('schedule-month-day').value)];
+        }
+
+        if (endType === 'until') {
+            rule.until = document.getElementById('schedule-until').value;
+            if (!rule.until) {
+                Modal.showFieldError(MODAL_ID, 'schedule-until', 'Pick an end date');
+                return null;
+            }
+        } else if (endType === 'count') {
+            rule.count = parseInt(document.getElementById('schedule-count').value);
+            if (!rule.count) {
+                Modal.showFieldError(MODAL_ID, 'schedule-count', 'Enter how many times');
+                return null;
+            }
+        }
+
+        return rule;
+    };
+
+    /**
+     * Create a schedule from the modal form
+     */
+    const createSchedule = async () => {
+        Modal.clearErrors(MODAL_ID);
+
+        const startDate = document.getElementById('schedule-start').value;
+        const recurrence = readRecurrence();
+
+        if (!recurrence) return;
+
+        if (!startDate) {
+            Modal.showFieldError(MODAL_ID, 'schedule-start', 'Start date is required');
+            return;
+        }
+
+        try {
+            await API.createReminder(currentPlantId, {
+                type: document.getElementById('schedule-type').value,
+                startDate,
+                recurrence,
+                notes: document.getElementById('schedule-notes').value.trim() || null
+            });
+
+            document.getElementById('schedule-notes').value = '';
+            loadSchedules();
+            refreshReminders();
+        } catch (error) {
+            console.error('Error creating schedule:', error);
+            const message = error.data && error.data.errors ? error.data.errors[0].msg : 'Error creating schedule. Please try again.';
+            alert(message);
+        }
+    };
+
+    /**
+     * Delete a schedule after confirmation
+     * @param {Number} reminderId - Reminder ID
+     */
+    const deleteSchedule = async (reminderId) => {
+        if (!confirm('Delete this care schedule?')) {
+            return;
+        }
+
+        try {
+            await API.deleteReminder(reminderId);
+            loadSchedules();
+            refreshReminders();
+        } catch (error) {
+            console.error('Error deleting schedule:', error);
+            alert('Error deleting schedule. Please try again.');
+        }
+    };
+
+    /**
+     * Refresh the upcoming reminders panel if it is on the page
+     */
+    const refreshReminders = () => {
+        if (typeof Reminders !== 'undefined' && Reminders.loadReminders) {
+            Reminders.loadReminders();
+        }
+    };
+
+    // Public API
+    return {
+        openSchedulesModal,
+        describeRecurrence
+    };
+})();
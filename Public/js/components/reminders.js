@@ -3,12 +3,20 @@
  * Manages and displays plant care reminders
  */
 const Reminders = (function() {
+    // Constants
+    const COMPLETE_MODAL_ID = 'reminder-complete-modal';
+    const SNOOZE_MODAL_ID = 'reminder-snooze-modal';
+    const RESCHEDULE_MODAL_ID = 'reminder-reschedule-modal';
+    
     // DOM element references
     let reminderContainer;
     let reminderToggle;
     let loadingIndicator;
     let noRemindersMessage;
     
+    // Reminders marked as done while offline, waiting to sync
+    let pendingReminderIds = new Set();
+    
     /**
      * Initialize the component
      * @param {String} containerId - ID of the container element
@@ -74,8 +82,16 @@ const Reminders = (function() {
                 noRemindersMessage.style.display = 'none';
             }
             
-            const reminders = await API.getUpcomingReminders(days);
+            const [reminders, adherence, outbox] = await Promise.all([
+                API.getUpcomingReminders(days, true),
+                API.getReminderAdherence().catch(() => []),
+                typeof Outbox !== 'undefined' ? Outbox.getEntries() : []
+            ]);
+            pendingReminderIds = new Set(outbox
+                .filter(entry => entry.type === 'complete-reminder' && entry.status === 'pending')
+                .map(entry => entry.reminderId));
             renderReminders(reminders);
+            renderAdherence(adherence);
             
             if (loadingIndicator) {
                 loadingIndicator.style.display = 'none';
@@ -116,13 +132,20 @@ const Reminders = (function() {
             return;
         }
         
-        // Group reminders by date
-        const groupedReminders = groupRemindersByDate(reminders);
+        // Overdue reminders get their own group at the top
+        const overdue = reminders.filter(reminder => reminder.isOverdue);
+        
+        // Group the rest by date
+        const groupedReminders = groupRemindersByDate(reminders.filter(reminder => !reminder.isOverdue));
         
         // Create reminders list
         const remindersList = document.createElement('div');
         remindersList.className = 'reminders-list';
         
+        if (overdue.length > 0) {
+            remindersList.appendChild(createOverdueGroup(overdue));
+        }
+        
         // Add each date group
         Object.keys(groupedReminders).sort().forEach(date => {
             const dateGroup = createDateGroup(date, groupedReminders[date]);
@@ -132,6 +155,34 @@ const Reminders = (function() {
         reminderContainer.appendChild(remindersList);
     };
     
+    /**
+     * Render care adherence and streaks per plant below the reminders
+     * @param {Array} adherence - Array of per plant adherence objects
+     */
+    const renderAdherence = (adherence) => {
+        if (!reminderContainer || adherence.length === 0) return;
+        
+        const section = document.createElement('div');
+        section.className = 'reminder-adherence';
+        
+        section.innerHTML = `
+            <h3>Care Adherence (last 90 days)</h3>
+            ${adherence.map(plant => {
+                const level = plant.adherence >= 80 ? 'good' : plant.adherence >= 50 ? 'fair' : 'poor';
+                
+                return `
+                    <div class="adherence-item">
+                        <span class="adherence-plant">${plant.plantName}</span>
+                        <span class="adherence-value ${level}">${plant.adherence}% on time</span>
+                        <span class="adherence-streak">${plant.streak > 0 ? `Streak: ${plant.streak}` : 'No streak'}</span>
+                    </div>
+                `;
+            }).join('')}
+        `;
+        
+        reminderContainer.appendChild(section);
+    };
+    
     /**
      * Group reminders by date
      * @param {Array} reminders - Array of reminder objects
@@ -165,7 +216,7 @@ const Reminders = (function() {
         const formattedDate = formatReminderDate(date);
         
         // Check if date is today
-        const isToday = new Date(date).toDateString() === new Date().toDateString();
+        const isToday = parseDate(date).toDateString() === new Date().toDateString();
         const dateClass = isToday ? 'reminder-date today' : 'reminder-date';
         
         // Create date header
@@ -184,6 +235,50 @@ const Reminders = (function() {
         return dateGroup;
     };
     
+    /**
+     * Create the overdue group element
+     * @param {Array} reminders - Overdue reminders, most overdue first
+     * @returns {HTMLElement} Overdue group element
+     */
+    const createOverdueGroup = (reminders) => {
+        const overdueGroup = document.createElement('div');
+        overdueGroup.className = 'reminder-date-group reminder-overdue-group';
+        overdueGroup.innerHTML = `<h3 class="reminder-date overdue">Overdue (${reminders.length})</h3>`;
+        
+        const reminderItems = document.createElement('div');
+        reminderItems.className = 'reminder-items';
+        
+        reminders.forEach(reminder => {
+            reminderItems.appendChild(createReminderItem(reminder));
+        });
+        
+        overdueGroup.appendChild(reminderItems);
+        return overdueGroup;
+    };
+    
+    /**
+     * Escalation level of an overdue reminder
+     * @param {Number} daysOverdue - Days past the due date
+     * @returns {String} 'mild' (1-2 days), 'warning' (3-6 days) or 'critical' (a week or more)
+     */
+    const getOverdueLevel = (daysOverdue) => {
+        if (daysOverdue >= 7) {
+            return 'critical';
+        }
+        return daysOverdue >= 3 ? 'warning' : 'mild';
+    };
+    
+    /**
+     * Whether a reminder restarts its interval when done (as opposed to following the calendar)
+     * @param {Object} reminder - Reminder object
+     * @returns {Boolean}
+     */
+    const restartsWhenDone = (reminder) => (
+        Boolean(reminder.recurrence) &&
+        reminder.recurrence.byWeekday.length === 0 &&
+        reminder.recurrence.byMonthDay.length === 0
+    );
+    
     /**
      * Create a reminder item element
      * @param {Object} reminder - Reminder object
@@ -191,38 +286,93 @@ const Reminders = (function() {
      */
     const createReminderItem = (reminder) => {
         const reminderItem = document.createElement('div');
-        reminderItem.className = 'reminder-item';
+        reminderItem.className = reminder.isOverdue
+            ? `reminder-item overdue overdue-${getOverdueLevel(reminder.daysOverdue)}`
+            : 'reminder-item';
         reminderItem.dataset.reminderId = reminder.id;
         
         // Format reminder type
         const reminderType = formatReminderType(reminder.type);
         
+        // Describe recurring schedules
+        const schedule = typeof ReminderSchedules !== 'undefined' && reminder.recurrence
+            ? ReminderSchedules.describeRecurrence(reminder.recurrence)
+            : '';
+        
         // Create reminder HTML
+        // Later occurrences of the same reminder are shown for planning but can't be completed yet
         reminderItem.innerHTML = `
             <div class="reminder-info">
                 <div class="reminder-plant">${reminder.plantName} (${reminder.plantSpecies})</div>
                 <div class="reminder-type ${reminder.type}">${reminderType}</div>
+                ${reminder.isOverdue ? `<div class="reminder-overdue">${formatDaysOverdue(reminder)}</div>` : ''}
+                ${schedule ? `<div class="reminder-schedule">${schedule}</div>` : ''}
                 ${reminder.notes ? `<div class="reminder-notes">${reminder.notes}</div>` : ''}
             </div>
             <div class="reminder-actions">
-                <button class="btn btn-sm btn-success reminder-complete-btn" data-reminder-id="${reminder.id}">Mark Done</button>
+                ${reminder.isNext === false
+                    ? '<span class="reminder-projected">Scheduled</span>'
+                    : pendingReminderIds.has(reminder.id)
+                    ? '<span class="reminder-projected">Done, waiting to sync</span>'
+                    : `<button class="btn btn-sm btn-secondary reminder-snooze-btn" data-reminder-id="${reminder.id}">Snooze…</button>
+                       <button class="btn btn-sm btn-secondary reminder-skip-btn" data-reminder-id="${reminder.id}">Skip</button>
+                       <button class="btn btn-sm btn-secondary reminder-reschedule-btn" data-reminder-id="${reminder.id}">Reschedule…</button>
+                       <button class="btn btn-sm btn-secondary reminder-log-btn" data-reminder-id="${reminder.id}">Log…</button>
+                       <button class="btn btn-sm btn-success reminder-complete-btn" data-reminder-id="${reminder.id}">Mark Done</button>`}
             </div>
         `;
         
-        // Add event listener for complete button
+        // Add event listeners for complete buttons
         const completeBtn = reminderItem.querySelector('.reminder-complete-btn');
-        completeBtn.addEventListener('click', () => completeReminder(reminder.id));
+        if (completeBtn) {
+            // Done late: let the user choose between restarting from today and keeping the original rhythm
+            completeBtn.addEventListener('click', () => (
+                reminder.isOverdue && restartsWhenDone(reminder)
+                    ? openCompleteModal(reminder)
+                    : completeReminder(reminder)
+            ));
+        }
+        
+        const logBtn = reminderItem.querySelector('.reminder-log-btn');
+        if (logBtn) {
+            logBtn.addEventListener('click', () => openCompleteModal(reminder));
+        }
+        
+        const snoozeBtn = reminderItem.querySelector('.reminder-snooze-btn');
+        if (snoozeBtn) {
+            snoozeBtn.addEventListener('click', () => openSnoozeModal(reminder));
+        }
+        
+        const skipBtn = reminderItem.querySelector('.reminder-skip-btn');
+        if (skipBtn) {
+            skipBtn.addEventListener('click', () => skipReminder(reminder));
+        }
+        
+        const rescheduleBtn = reminderItem.querySelector('.reminder-reschedule-btn');
+        if (rescheduleBtn) {
+            rescheduleBtn.addEventListener('click', () => openRescheduleModal(reminder));
+        }
         
         return reminderItem;
     };
     
+    /**
+     * Parse a date from the API
+     * Plain YYYY-MM-DD days are read as local dates, not UTC midnight
+     * @param {String} dateString - Date string from API
+     * @returns {Date} Date
+     */
+    const parseDate = (dateString) => {
+        return /^\d{4}-\d{2}-\d{2}$/.test(dateString) ? new Date(`${dateString}T00:00:00`) : new Date(dateString);
+    };
+    
     /**
      * Format reminder date
      * @param {String} dateString - Date string from API
      * @returns {String} Formatted date
      */
     const formatReminderDate = (dateString) => {
-        const date = new Date(dateString);
+        const date = parseDate(dateString);
         const today = new Date();
         const tomorrow = new Date(today);
         tomorrow.setDate(tomorrow.getDate() + 1);
@@ -238,6 +388,17 @@ const Reminders = (function() {
         }
     };
     
+    /**
+     * Describe how late an overdue reminder is
+     * @param {Object} reminder - Overdue reminder
+     * @returns {String} e.g. "3 days overdue (due Oct 16)"
+     */
+    const formatDaysOverdue = (reminder) => {
+        const due = parseDate(reminder.nextReminder).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        const days = reminder.daysOverdue === 1 ? '1 day' : `${reminder.daysOverdue} days`;
+        return `${days} overdue (due ${due})`;
+    };
+    
     /**
      * Format reminder type
      * @param {String} type - Reminder type
@@ -257,18 +418,254 @@ const Reminders = (function() {
     };
     
     /**
-     * Mark a reminder as complete
-     * @param {Number} reminderId - Reminder ID
+     * Open a modal to complete a reminder with a note and quantity
+     * @param {Object} reminder - Reminder object
      */
-    const completeReminder = async (reminderId) => {
+    const openCompleteModal = (reminder) => {
+        Modal.createModal(COMPLETE_MODAL_ID, 'Log Care');
+        
+        const offerKeepSchedule = reminder.isOverdue && restartsWhenDone(reminder);
+        
+        const content = `
+            <p>${formatReminderType(reminder.type)}: ${reminder.plantName}</p>
+            <form id="reminder-complete-form">
+                ${offerKeepSchedule ? `
+                    <div class="form-group">
+                        <p class="reminder-overdue">${formatDaysOverdue(reminder)}</p>
+                        <label class="checkbox-label">
+                            <input type="radio" name="completion-schedule" value="restart" checked>
+                            Restart the schedule from today
+                        </label>
+                        <label class="checkbox-label">
+                            <input type="radio" name="completion-schedule" value="keep">
+                            Keep the original schedule
+                        </label>
+                    </div>
+                ` : ''}
+                <div class="form-group">
+                    <label for="completion-quantity">Amount (optional)</label>
+                    <input type="number" id="completion-quantity" min="0" step="any">
+                </div>
+                <div class="form-group">
+                    <label for="completion-unit">Unit</label>
+                    <select id="completion-unit">
+                        <option value="l">liters</option>
+                        <option value="ml">milliliters</option>
+                        <option value="g">grams</option>
+                        <option value="kg">kilograms</option>
+                        <option value="pcs">pieces</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="completion-note">Note (optional)</label>
+                    <textarea id="completion-note" rows="3" maxlength="1000"></textarea>
+                </div>
+            </form>
+        `;
+        
+        Modal.setModalContent(COMPLETE_MODAL_ID, content);
+        Modal.setModalSaveHandler(COMPLETE_MODAL_ID, async () => {
+            const quantity = document.getElementById('completion-quantity').value;
+            
+            const completed = await completeReminder(reminder, {
+                quantity: quantity === '' ? null : parseFloat(quantity),
+                quantityUnit: quantity === '' ? null : document.getElementById('completion-unit').value,
+                note: document.getElementById('completion-note').value.trim() || null,
+                keepSchedule: offerKeepSchedule &&
+                    document.querySelector('input[name="completion-schedule"]:checked').value === 'keep'
+            });
+            
+            if (completed) {
+                Modal.closeModal(COMPLETE_MODAL_ID);
+            }
+        });
+        Modal.showModal(COMPLETE_MODAL_ID);
+    };
+    
+    /**
+     * Format a local date as YYYY-MM-DD for date inputs
+     * @param {Date} date - Date
+     * @returns {String} Date string
+     */
+    const toInputDate = (date) => {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    };
+    
+    /**
+     * Show the first validation error from the API in a modal
+     * @param {String} modalId - Modal ID
+     * @param {Error} error - API error
+     * @param {String} fieldId - Input the error belongs to
+     * @param {String} fallback - Message when the API gave no details
+     */
+    const showActionError = (modalId, error, fieldId, fallback) => {
+        const message = error.data && error.data.errors
+            ? error.data.errors[0].msg
+            : (error.data && error.data.message) || fallback;
+        Modal.showFieldError(modalId, fieldId, message);
+    };
+    
+    /**
+     * Open a modal to snooze a reminder by a number of days or until a date
+     * @param {Object} reminder - Reminder object
+     */
+    const openSnoozeModal = (reminder) => {
+        Modal.createModal(SNOOZE_MODAL_ID, 'Snooze Reminder');
+        
+        const tomorrow = new Date();
+        tomorrow.setDate(tomorrow.getDate() + 1);
+        
+        const content = `
+            <p>${formatReminderType(reminder.type)}: ${reminder.plantName}</p>
+            <form id="reminder-snooze-form">
+                <div class="form-group">
+                    <label for="snooze-type">Snooze</label>
+                    <select id="snooze-type">
+                        <option value="days">For a number of days</option>
+                        <option value="until">Until a date</option>
+                    </select>
+                </div>
+                <div class="form-group" id="snooze-days-group">
+                    <label for="snooze-days">Days</label>
+                    <input type="number" id="snooze-days" min="1" max="365" value="1">
+                </div>
+                <div class="form-group" id="snooze-until-group" style="display: none;">
+                    <label for="snooze-until">Until</label>
+                    <input type="date" id="snooze-until" min="${toInputDate(tomorrow)}" value="${toInputDate(tomorrow)}">
+                </div>
+                <div class="form-group">
+                    <label for="snooze-note">Reason (optional)</label>
+                    <input type="text" id="snooze-note" maxlength="1000" placeholder="e.g. It rained">
+                </div>
+            </form>
+        `;
+        
+        Modal.setModalContent(SNOOZE_MODAL_ID, content);
+        
+        const typeSelect = document.getElementById('snooze-type');
+        typeSelect.addEventListener('change', () => {
+            document.getElementById('snooze-days-group').style.display = typeSelect.value === 'days' ? '' : 'none';
+            document.getElementById('snooze-until-group').style.display = typeSelect.value === 'until' ? '' : 'none';
+        });
+        
+        Modal.setModalSaveHandler(SNOOZE_MODAL_ID, async () => {
+            Modal.clearErrors(SNOOZE_MODAL_ID);
+            
+            const byDays = typeSelect.value === 'days';
+            const snoozeData = byDays
+                ? { days: parseInt(document.getElementById('snooze-days').value) }
+                : { until: document.getElementById('snooze-until').value };
+            snoozeData.note = document.getElementById('snooze-note').value.trim() || null;
+            
+            try {
+                await API.snoozeReminder(reminder.id, snoozeData);
+                Modal.closeModal(SNOOZE_MODAL_ID);
+                loadReminders();
+            } catch (error) {
+                console.error('Error snoozing reminder:', error);
+                showActionError(SNOOZE_MODAL_ID, error, byDays ? 'snooze-days' : 'snooze-until', 'Error snoozing reminder. Please try again.');
+            }
+        });
+        Modal.showModal(SNOOZE_MODAL_ID);
+    };
+    
+    /**
+     * Open a modal to restart a reminder's schedule from a date
+     * @param {Object} reminder - Reminder object
+     */
+    const openRescheduleModal = (reminder) => {
+        Modal.createModal(RESCHEDULE_MODAL_ID, 'Reschedule Reminder');
+        
+        const today = toInputDate(new Date());
+        
+        const content = `
+            <p>${formatReminderType(reminder.type)}: ${reminder.plantName}</p>
+            <form id="reminder-reschedule-form">
+                <div class="form-group">
+                    <label for="reschedule-date">Start the schedule again from</label>
+                    <input type="date" id="reschedule-date" min="${today}" value="${today}" required>
+                </div>
+                <div class="form-group">
+                    <label for="reschedule-note">Reason (optional)</label>
+                    <input type="text" id="reschedule-note" maxlength="1000">
+                </div>
+            </form>
+        `;
+        
+        Modal.setModalContent(RESCHEDULE_MODAL_ID, content);
+        Modal.setModalSaveHandler(RESCHEDULE_MODAL_ID, async () => {
+            Modal.clearErrors(RESCHEDULE_MODAL_ID);
+            
+            const date = document.getElementById('reschedule-date').value;
+            
+            if (!date) {
+                Modal.showFieldError(RESCHEDULE_MODAL_ID, 'reschedule-date', 'Pick a date');
+                return;
+            }
+            
+            try {
+                await API.rescheduleReminder(reminder.id, {
+                    date,
+                    note: document.getElementById('reschedule-note').value.trim() || null
+                });
+                Modal.closeModal(RESCHEDULE_MODAL_ID);
+                loadReminders();
+            } catch (error) {
+                console.error('Error rescheduling reminder:', error);
+                showActionError(RESCHEDULE_MODAL_ID, error, 'reschedule-date', 'Error rescheduling reminder. Please try again.');
+            }
+        });
+        Modal.showModal(RESCHEDULE_MODAL_ID);
+    };
+    
+    /**
+     * Skip the next occurrence of a reminder after confirmation
+     * @param {Object} reminder - Reminder object
+     */
+    const skipReminder = async (reminder) => {
+        if (!confirm(`Skip this ${formatReminderType(reminder.type).toLowerCase()} for ${reminder.plantName}?`)) {
+            return;
+        }
+        
         try {
-            await API.completeReminder(reminderId);
+            await API.skipReminder(reminder.id);
+            loadReminders();
+        } catch (error) {
+            console.error('Error skipping reminder:', error);
+            alert('Error skipping reminder. Please try again.');
+        }
+    };
+    
+    /**
+     * Mark a reminder as complete (queued if offline)
+     * @param {Object} reminder - Reminder object
+     * @param {Object} completionData - Optional details (note, quantity, quantityUnit, keepSchedule)
+     * @returns {Promise<Boolean>} True if the reminder was completed or queued
+     */
+    const completeReminder = async (reminder, completionData = {}) => {
+        try {
+            // The due day shown here guards against completing it twice, e.g. from another device
+            await API.completeReminder(
+                reminder.id,
+                { ...completionData, expectedDueDate: reminder.nextReminder },
+                `${formatReminderType(reminder.type)}: ${reminder.plantName}`
+            );
             
             // Reload reminders
             loadReminders();
+            return true;
         } catch (error) {
             console.error('Error completing reminder:', error);
-            alert('Error marking reminder as complete. Please try again.');
+            
+            if (error.status === 409) {
+                alert(error.message);
+                loadReminders();
+            } else {
+                alert('Error marking reminder as complete. Please try again.');
+            }
+            return false;
         }
     };
     
@@ -276,6 +673,7 @@ const Reminders = (function() {
     return {
         initialize,
         loadReminders,
-        toggleReminders
+        toggleReminders,
+        formatReminderType
     };
 })();
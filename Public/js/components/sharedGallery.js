@@ -0,0 +1,91 @@
+/**
+ * Shared Gallery Component
+ * The read-only page behind a plant's share link: the plant's name and its photos on a
+ * timeline. The token from the link is the only credential, so nothing else is shown.
+ */
+const SharedGallery = (function() {
+    /**
+     * Format a YYYY-MM-DD day for display
+     * @param {String} day - Day string
+     * @returns {String} Localised date
+     */
+    const formatDay = (day) => new Date(`${day}T00:00:00`).toLocaleDateString();
+
+    /**
+     * Make text written by the plant's members safe to insert as HTML
+     * Anyone with the link sees this page, so markup is never trusted. Only the markup
+     * characters are replaced: text the server already escaped keeps its entities as they are.
+     * @param {String} text - Text from the API
+     * @returns {String} Text without markup
+     */
+    const escapeMarkup = (text) => String(text).replace(/[<>"']/g, char => ({
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#x27;'
+    })[char]);
+
+    /**
+     * Build the page content
+     * @param {Object} plant - name, species, plantingTime, photos
+     * @returns {String} Content HTML
+     */
+    const renderPlant = (plant) => {
+        const photos = plant.photos.slice().sort((a, b) => a.takenOn.localeCompare(b.takenOn) || a.id - b.id);
+        const describe = (photo) => (photo.caption ? escapeMarkup(photo.caption) : formatDay(photo.takenOn));
+
+        return `
+            <div class="plants-header">
+                <h1>${escapeMarkup(plant.name)}</h1>
+            </div>
+            <p class="shared-plant-meta">
+                ${escapeMarkup(plant.species)} · planted ${new Date(plant.plantingTime).toLocaleDateString()}
+            </p>
+            ${photos.length === 0 ? '<div class="no-data-message">No photos yet.</div>' : `
+                <ol class="photo-timeline">
+                    ${photos.map(photo => `
+                        <li class="photo-timeline-item">
+                            <div class="photo-timeline-date">
+                                <strong>${formatDay(photo.takenOn)}</strong>
+                                ${photo.daysSincePlanting !== null && photo.daysSincePlanting >= 0
+                                    ? `<span>Day ${photo.daysSincePlanting}</span>`
+                                    : ''}
+                            </div>
+                            <a href="${photo.originalUrl}" target="_blank" rel="noopener">
+                                <img src="${photo.photoUrl}" alt="${describe(photo)}" loading="lazy">
+                            </a>
+                            ${photo.caption ? `<p class="photo-caption">${escapeMarkup(photo.caption)}</p>` : ''}
+                        </li>
+                    `).join('')}
+                </ol>
+            `}
+        `;
+    };
+
+    /**
+     * Load the shared plant of the current /shared/<token> page
+     * @param {String} containerId - ID of the page container
+     */
+    const initialize = async (containerId) => {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        const token = decodeURIComponent(window.location.pathname.split('/').pop());
+
+        try {
+            const plant = await API.getSharedPlant(token);
+            document.title = `${plant.name} - Aedniku Abimees`;
+            container.innerHTML = renderPlant(plant);
+        } catch (error) {
+            console.error('Error loading shared plant:', error);
+            container.innerHTML = error.status === 404
+                ? '<div class="no-data-message">This share link does not exist or is no longer shared.</div>'
+                : '<div class="error-message">Error loading the shared plant. Please try again.</div>';
+        }
+    };
+
+    // Public API
+    return {
+        initialize
+    };
+})();
@@ -0,0 +1,114 @@
+/**
+ * Sync Status Component
+ * Shows when the app is offline, which changes are waiting to be sent and which
+ * ones the server turned down, with the choice to retry or discard them
+ */
+const SyncStatus = (function() {
+    // DOM elements
+    let statusContainer;
+
+    /**
+     * Initialize the component
+     * @param {String} containerId - ID of the status container element
+     */
+    const initialize = (containerId) => {
+        statusContainer = document.getElementById(containerId);
+        if (!statusContainer) return;
+
+        window.addEventListener('online', render);
+        window.addEventListener('offline', render);
+
+        Outbox.onChange((change) => {
+            render();
+
+            // Show what the server has now
+            if (change.synced > 0) {
+                if (typeof PlantList !== 'undefined') {
+                    PlantList.loadPlants();
+                }
+                if (typeof Reminders !== 'undefined') {
+                    Reminders.loadReminders();
+                }
+            }
+        });
+
+        render();
+    };
+
+    /**
+     * Build one conflict
+     * @param {Object} entry - Outbox entry
+     * @returns {String} Conflict HTML
+     */
+    const renderConflict = (entry) => `
+        <li class="sync-conflict">
+            <div>
+                <strong>${entry.label}</strong>
+                <span class="sync-conflict-error">${entry.error}</span>
+            </div>
+            <div class="sync-conflict-actions">
+                <button class="btn btn-sm btn-secondary sync-retry-btn" data-entry-id="${entry.id}">
+                    ${entry.type === 'complete-reminder' ? 'Log anyway' : 'Try again'}
+                </button>
+                <button class="btn btn-sm btn-danger sync-discard-btn" data-entry-id="${entry.id}">Discard</button>
+            </div>
+        </li>
+    `;
+
+    /**
+     * Render the offline notice, pending changes and conflicts
+     */
+    const render = async () => {
+        if (!statusContainer) return;
+
+        const entries = await Outbox.getEntries();
+        const pending = entries.filter(entry => entry.status === 'pending');
+        const conflicts = entries.filter(entry => entry.status === 'conflict');
+        const offline = !navigator.onLine;
+
+        if (!offline && entries.length === 0) {
+            statusContainer.style.display = 'none';
+            statusContainer.innerHTML = '';
+            return;
+        }
+
+        const saved = offline ? await OfflineStore.getResponse('/api/plants').catch(() => null) : null;
+
+        statusContainer.innerHTML = `
+            ${offline ? `
+                <div class="sync-status-offline">
+                    You are offline.
+                    ${saved ? `Showing your plants as of ${new Date(saved.savedAt).toLocaleString()}.` : ''}
+                    Completed tasks, health remarks and new plants are kept on this device until you are back online.
+                </div>
+            ` : ''}
+            ${pending.length > 0 ? `
+                <div class="sync-status-pending">
+                    ${pending.length === 1 ? '1 change' : `${pending.length} changes`} waiting to sync:
+                    ${pending.map(entry => entry.label).join(', ')}
+                </div>
+            ` : ''}
+            ${conflicts.length > 0 ? `
+                <div class="sync-status-conflicts">
+                    <p>These changes could not be saved:</p>
+                    <ul class="sync-conflicts">${conflicts.map(renderConflict).join('')}</ul>
+                </div>
+            ` : ''}
+        `;
+        statusContainer.style.display = 'block';
+
+        statusContainer.querySelectorAll('.sync-retry-btn').forEach(button => {
+            button.addEventListener('click', () => Outbox.retry(parseInt(button.dataset.entryId)));
+        });
+
+        statusContainer.querySelectorAll('.sync-discard-btn').forEach(button => {
+            button.addEventListener('click', () => Outbox.discard(parseInt(button.dataset.entryId)));
+        });
+    };
+
+    // Public API
+    return {
+        initialize,
+        render
+    };
+})();
@@ -0,0 +1,63 @@
+/**
+ * Toast Component
+ * Short messages at the bottom of the page, optionally with one action such as "Undo".
+ * Only one toast is shown at a time; a new one replaces the previous.
+ */
+const Toast = (function() {
+    // Constants
+    const TOAST_ID = 'toast';
+    const DEFAULT_DURATION = 6000;
+
+    let hideTimer = null;
+
+    /**
+     * Hide the current toast
+     */
+    const hide = () => {
+        clearTimeout(hideTimer);
+        hideTimer = null;
+
+        const toast = document.getElementById(TOAST_ID);
+        if (toast) {
+            toast.remove();
+        }
+    };
+
+    /**
+     * Show a toast
+     * @param {String} message - Message text
+     * @param {Object} options - actionLabel and onAction for an action button, duration in ms
+     */
+    const show = (message, options = {}) => {
+        hide();
+
+        const toast = document.createElement('div');
+        toast.id = TOAST_ID;
+        toast.className = 'toast';
+        toast.setAttribute('role', 'status');
+
+        const text = document.createElement('span');
+        text.textContent = message;
+        toast.appendChild(text);
+
+        if (options.actionLabel && options.onAction) {
+            const actionBtn = document.createElement('button');
+            actionBtn.className = 'toast-action';
+            actionBtn.textContent = options.actionLabel;
+            actionBtn.addEventListener('click', () => {
+                hide();
+                options.onAction();
+            });
+            toast.appendChild(actionBtn);
+        }
+
+        document.body.appendChild(toast);
+        hideTimer = setTimeout(hide, options.duration || DEFAULT_DURATION);
+    };
+
+    // Public API
+    return {
+        show,
+        hide
+    };
+})();
@@ -0,0 +1,143 @@
+/**
+ * Trash Component
+ * Lists deleted plants so they can be restored, with their reminders, until they are
+ * deleted for good at the end of the retention period or by an owner of their garden
+ */
+const Trash = (function() {
+    // Constants
+    const MODAL_ID = 'trash-modal';
+
+    /**
+     * Initialize the component
+     * @param {String} openBtnId - ID of the button that opens the trash modal
+     */
+    const initialize = (openBtnId) => {
+        const openBtn = document.getElementById(openBtnId);
+        if (openBtn) {
+            openBtn.addEventListener('click', openTrashModal);
+        }
+    };
+
+    /**
+     * Open the trash modal
+     */
+    const openTrashModal = () => {
+        Modal.createModal(MODAL_ID, 'Trash');
+
+        const content = `
+            <p>Deleted plants stay here until the date shown, then they are deleted for good
+               together with their reminders, history and photos.</p>
+            <div id="trash-list" class="loading"></div>
+        `;
+
+        Modal.setModalContent(MODAL_ID, content);
+        Modal.setModalSaveHandler(MODAL_ID, () => Modal.closeModal(MODAL_ID));
+        Modal.showModal(MODAL_ID);
+
+        loadTrash();
+    };
+
+    /**
+     * Load and render the deleted plants
+     */
+    const loadTrash = async () => {
+        const listElement = document.getElementById('trash-list');
+        if (!listElement) return;
+
+        try {
+            const plants = await API.getTrash();
+            listElement.classList.remove('loading');
+            renderPlants(listElement, plants);
+        } catch (error) {
+            console.error('Error loading trash:', error);
+            listElement.classList.remove('loading');
+            listElement.innerHTML = '<div class="error-message">Error loading the trash. Please try again.</div>';
+        }
+    };
+
+    /**
+     * Render the deleted plants
+     * @param {HTMLElement} listElement - Container element
+     * @param {Array} plants - Deleted plants
+     */
+    const renderPlants = (listElement, plants) => {
+        if (plants.length === 0) {
+            listElement.innerHTML = '<div class="no-data-message">The trash is empty.</div>';
+            return;
+        }
+
+        listElement.innerHTML = plants.map(plant => `
+            <div class="trash-item">
+                ${plant.thumbnailUrl
+                    ? `<img class="trash-item-photo" src="${plant.thumbnailUrl}" alt="${plant.name}" loading="lazy">`
+                    : ''}
+                <div class="trash-item-info">
+                    <div class="trash-item-name">${plant.name}</div>
+                    <div class="trash-item-meta">
+                        Deleted ${new Date(plant.deletedAt).toLocaleDateString()} ·
+                        deleted for good on ${new Date(plant.purgeAt).toLocaleDateString()} ·
+                        ${plant.gardenName}
+                    </div>
+                </div>
+                <div class="trash-item-actions">
+                    <button class="btn btn-sm btn-secondary trash-restore-btn" data-plant-id="${plant.id}">Restore</button>
+                    ${plant.role === 'owner'
+                        ? `<button class="btn btn-sm btn-danger trash-purge-btn" data-plant-id="${plant.id}"
+                                   data-plant-name="${plant.name}">Delete forever</button>`
+                        : ''}
+                </div>
+            </div>
+        `).join('');
+
+        listElement.querySelectorAll('.trash-restore-btn').forEach(button => {
+            button.addEventListener('click', () => restorePlant(button.dataset.plantId));
+        });
+
+        listElement.querySelectorAll('.trash-purge-btn').forEach(button => {
+            button.addEventListener('click', () => purgePlant(button.dataset.plantId, button.dataset.plantName));
+        });
+    };
+
+    /**
+     * Restore a plant and refresh the plant list
+     * @param {Number} plantId - Plant ID
+     */
+    const restorePlant = async (plantId) => {
+        try {
+            await API.restorePlant(plantId);
+            loadTrash();
+
+            if (typeof PlantList !== 'undefined') {
+                PlantList.refresh();
+            }
+        } catch (error) {
+            console.error('Error restoring plant:', error);
+            alert('Error restoring plant. Please try again.');
+        }
+    };
+
+    /**
+     * Delete a plant for good after confirmation
+     * @param {Number} plantId - Plant ID
+     * @param {String} plantName - Plant name for the confirmation message
+     */
+    const purgePlant = async (plantId, plantName) => {
+        if (!confirm(`Delete ${plantName} for good? Its reminders, history and photos are deleted too. This cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            await API.purgePlant(plantId);
+            loadTrash();
+        } catch (error) {
+            console.error('Error deleting plant:', error);
+            alert('Error deleting plant. Please try again.');
+        }
+    };
+
+    // Public API
+    return {
+        initialize,
+        openTrashModal
+    };
+})();
@@ -16,11 +16,54 @@ document.addEventListener('DOMContentLoaded', function() {
         if (typeof PlantList !== 'undefined') {
             PlantList.initialize('plant-container', 'loading-indicator', 'no-plants-message');
             PlantList.setupEventListeners('add-plant-btn');
+            PlantList.setupFilters('environment-filter', 'group-by-environment');
         }
         
         if (typeof Reminders !== 'undefined') {
             Reminders.initialize('reminders-container', 'reminders-toggle', 'reminders-loading', 'no-reminders-message');
         }
+        
+        if (typeof Environments !== 'undefined') {
+            Environments.initialize('environments-btn');
+        }
+        
+        if (typeof Trash !== 'undefined') {
+            Trash.initialize('trash-btn');
+        }
+        
+        if (typeof Gardens !== 'undefined') {
+            Gardens.initialize('gardens-btn');
+        }
+        
+        if (typeof ApiTokens !== 'undefined') {
+            ApiTokens.initialize('api-tokens-btn');
+        }
+        
+        if (typeof CalendarFeed !== 'undefined') {
+            CalendarFeed.initialize('calendar-btn');
+        }
+        
+        if (typeof NotificationSettings !== 'undefined') {
+            NotificationSettings.initialize('notifications-btn');
+        }
+        
+        // Changes made offline are sent once the connection is back
+        if (typeof Outbox !== 'undefined') {
+            if (typeof SyncStatus !== 'undefined') {
+                SyncStatus.initialize('sync-status');
+            }
+            Outbox.initialize();
+        }
+    }
+    
+    // Statistics dashboard
+    if (window.location.pathname === '/dashboard' && typeof Dashboard !== 'undefined') {
+        Dashboard.initialize();
+    }
+    
+    // Gallery behind a share link
+    if (window.location.pathname.startsWith('/shared/') && typeof SharedGallery !== 'undefined') {
+        SharedGallery.initialize('shared-gallery');
     }
     
     // Initialize modals - they're used across pages
@@ -28,5 +71,36 @@ document.addEventListener('DOMContentLoaded', function() {
         PlantDetails.initialize();
     }
     
+    if (isPlantPage) {
+        // Service worker for offline use and reminder push notifications
+        if (typeof Push !== 'undefined') {
+            Push.registerServiceWorker();
+        }
+        
+        if (typeof PlantDetails !== 'undefined') {
+            // Opened from a notification: /plants?plant=1&reminder=2[&action=complete]
+            const params = new URLSearchParams(window.location.search);
+            if (params.has('plant')) {
+                PlantDetails.openDetailsModal(parseInt(params.get('plant')), {
+                    reminderId: parseInt(params.get('reminder')) || null,
+                    complete: params.get('action') === 'complete'
+                });
+                window.history.replaceState(null, '', '/plants');
+            }
+            
+            // Notification clicked while the page is already open
+            if ('serviceWorker' in navigator) {
+                navigator.serviceWorker.addEventListener('message', (event) => {
+                    if (event.data && event.data.type === 'open-reminder') {
+                        PlantDetails.openDetailsModal(event.data.plantId, {
+                            reminderId: event.data.reminderId,
+                            complete: event.data.complete
+                        });
+                    }
+                });
+            }
+        }
+    }
+    
     console.log('Aedniku Abimees (Gardener\'s Assistant) Initialized');
 });
@@ -51,6 +51,70 @@ const API = (function() {
         return options;
     };
 
+    /**
+     * Whether a request failed because there is no connection, rather than with an error response
+     * @param {Error} error - Error thrown by fetch or handleResponse
+     * @returns {Boolean}
+     */
+    const isNetworkError = (error) => error instanceof TypeError && error.status === undefined;
+
+    /**
+     * Send a change that can also wait in the outbox
+     * @param {Object} request - method and url, with data (JSON) or form (multipart fields)
+     * @returns {Promise<Object>} Response
+     */
+    const sendRequest = async (request) => {
+        if (!request.form) {
+            const response = await fetch(request.url, getOptions(request.method, request.data));
+            return handleResponse(response);
+        }
+
+        // For file uploads, we can't use JSON
+        const csrfToken = getCSRFToken();
+        const formData = new FormData();
+        Object.entries(request.form).forEach(([name, value]) => formData.append(name, value));
+        formData.append('_csrf', csrfToken);
+
+        const response = await fetch(request.url, {
+            method: request.method,
+            headers: {
+                'X-CSRF-Token': csrfToken
+            },
+            credentials: 'same-origin',
+            body: formData
+        });
+        return handleResponse(response);
+    };
+
+    /**
+     * Send a change, or keep it in the outbox to send later if there is no connection
+     * @param {Object} request - Request for sendRequest
+     * @param {Object} entry - Outbox details (type, label, reminderId or plantId)
+     * @param {Object} queuedRequest - Request to store instead, if it differs when sent later
+     * @returns {Promise<Object>} Response, or { queued: true, message } when queued
+     */
+    const sendOrQueue = async (request, entry, queuedRequest = request) => {
+        try {
+            return await sendRequest(request);
+        } catch (error) {
+            if (!isNetworkError(error) || typeof Outbox === 'undefined') {
+                throw error;
+            }
+
+            await Outbox.enqueue({ ...entry, request: queuedRequest });
+            return { queued: true, message: 'Saved on this device, it will be sent when you are back online' };
+        }
+    };
+
+    /**
+     * Get a fresh CSRF token (also sets the XSRF-TOKEN cookie)
+     * @returns {Promise<Object>} { csrfToken }
+     */
+    const refreshCSRFToken = async () => {
+        const response = await fetch('/api/csrf-token', { credentials: 'same-origin' });
+        return handleResponse(response);
+    };
+
     // Authentication methods
     
     /**
@@ -104,27 +168,14 @@ const API = (function() {
     };
     
     /**
-     * Add a new plant
-     * @param {Object} plantData - Form data with plant details
-     * @returns {Promise<Object>} New plant
+     * Add a new plant, queued if offline
+     * @param {FormData} formData - Form data with plant details
+     * @returns {Promise<Object>} New plant, or { queued: true } if offline
      */
-    const addPlant = async (formData) => {
-        // For file uploads, we can't use JSON
-        const csrfToken = getCSRFToken();
-        formData.append('_csrf', csrfToken);
-        
-        const options = {
-            method: 'POST',
-            headers: {
-                'X-CSRF-Token': csrfToken
-            },
-            credentials: 'same-origin',
-            body: formData
-        };
-        
-        const response = await fetch('/api/plants', options);
-        return handleResponse(response);
-    };
+    const addPlant = async (formData) => sendOrQueue(
+        { method: 'POST', url: '/api/plants', form: Object.fromEntries(formData) },
+        { type: 'add-plant', label: `New plant: ${formData.get('plant_cultivar')}` }
+    );
     
     /**
      * Update an existing plant
@@ -160,6 +211,57 @@ const API = (function() {
         return handleResponse(response);
     };
 
+    /**
+     * Get the plants in the trash
+     * @returns {Promise<Array>} Deleted plants with deletedAt and purgeAt
+     */
+    const getTrash = async () => {
+        const response = await fetch('/api/plants/trash');
+        return handleResponse(response);
+    };
+
+    /**
+     * Restore a plant from the trash
+     * @param {Number} plantId - Plant ID
+     * @returns {Promise<Object>} { message, plant }
+     */
+    const restorePlant = async (plantId) => {
+        const response = await fetch(`/api/plants/trash/${plantId}/restore`, getOptions('POST'));
+        return handleResponse(response);
+    };
+
+    /**
+     * Permanently delete a plant from the trash
+     * @param {Number} plantId - Plant ID
+     * @returns {Promise} Delete result
+     */
+    const purgePlant = async (plantId) => {
+        const response = await fetch(`/api/plants/trash/${plantId}`, getOptions('DELETE'));
+        return handleResponse(response);
+    };
+
+    /**
+     * Get the edit history of a plant, its reminders and health remarks
+     * @param {Number} plantId - Plant ID
+     * @param {Number} limit - Maximum number of entries
+     * @returns {Promise<Array>} History entries, newest first
+     */
+    const getPlantHistory = async (plantId, limit = 100) => {
+        const response = await fetch(`/api/plants/${plantId}/history?limit=${limit}`);
+        return handleResponse(response);
+    };
+
+    /**
+     * Revert a plant to the version after a history entry
+     * @param {Number} plantId - Plant ID
+     * @param {Number} entryId - History entry ID
+     * @returns {Promise<Object>} { message, plant }
+     */
+    const revertPlant = async (plantId, entryId) => {
+        const response = await fetch(`/api/plants/${plantId}/history/${entryId}/revert`, getOptions('POST'));
+        return handleResponse(response);
+    };
+
     // Reminder-related methods
     
     /**
@@ -173,25 +275,110 @@ const API = (function() {
     };
     
     /**
-     * Save reminder for a plant
+     * Create a reminder for a plant
      * @param {Number} plantId - Plant ID
-     * @param {Object} reminderData - Reminder data
-     * @returns {Promise<Object>} Saved reminder
+     * @param {Object} reminderData - Reminder data (type, startDate, recurrence or intervalDays, notes)
+     * @returns {Promise<Object>} Created reminder
      */
-    const saveReminder = async (plantId, reminderData) => {
+    const createReminder = async (plantId, reminderData) => {
         const response = await fetch(`/api/plants/${plantId}/reminders`, 
             getOptions('POST', reminderData));
         return handleResponse(response);
     };
     
     /**
-     * Mark a reminder as completed
+     * Change the schedule of a reminder
      * @param {Number} reminderId - Reminder ID
+     * @param {Object} reminderData - Reminder data (type, startDate, recurrence or intervalDays, notes)
      * @returns {Promise<Object>} Updated reminder
      */
-    const completeReminder = async (reminderId) => {
-        const response = await fetch(`/api/reminders/${reminderId}/complete`, 
-            getOptions('PUT'));
+    const updateReminder = async (reminderId, reminderData) => {
+        const response = await fetch(`/api/reminders/${reminderId}`, 
+            getOptions('PUT', reminderData));
+        return handleResponse(response);
+    };
+    
+    /**
+     * Mark a reminder as completed, queued if offline
+     * @param {Number} reminderId - Reminder ID
+     * @param {Object} completionData - Optional details (note, quantity, quantityUnit, keepSchedule, expectedDueDate)
+     * @param {String} label - What was done, listed while waiting to sync
+     * @returns {Promise<Object>} Updated reminder, or { queued: true } if offline
+     */
+    const completeReminder = async (reminderId, completionData = null, label = 'Care task done') => {
+        const request = { method: 'PUT', url: `/api/reminders/${reminderId}/complete`, data: completionData };
+        
+        // Sent later, the completion keeps the time it was done
+        return sendOrQueue(request, { type: 'complete-reminder', label, reminderId }, {
+            ...request,
+            data: { ...completionData, completedAt: new Date().toISOString() }
+        });
+    };
+    
+    /**
+     * Snooze a reminder
+     * @param {Number} reminderId - Reminder ID
+     * @param {Object} snoozeData - Either days or until (YYYY-MM-DD), optional note
+     * @returns {Promise<Object>} Updated reminder
+     */
+    const snoozeReminder = async (reminderId, snoozeData) => {
+        const response = await fetch(`/api/reminders/${reminderId}/snooze`, 
+            getOptions('PUT', snoozeData));
+        return handleResponse(response);
+    };
+    
+    /**
+     * Skip the next occurrence of a reminder
+     * @param {Number} reminderId - Reminder ID
+     * @param {String} note - Optional reason
+     * @returns {Promise<Object>} Updated reminder
+     */
+    const skipReminder = async (reminderId, note = null) => {
+        const response = await fetch(`/api/reminders/${reminderId}/skip`, 
+            getOptions('PUT', { note }));
+        return handleResponse(response);
+    };
+    
+    /**
+     * Restart a reminder's schedule from a date
+     * @param {Number} reminderId - Reminder ID
+     * @param {Object} rescheduleData - date (YYYY-MM-DD), optional note
+     * @returns {Promise<Object>} Updated reminder
+     */
+    const rescheduleReminder = async (reminderId, rescheduleData) => {
+        const response = await fetch(`/api/reminders/${reminderId}/reschedule`, 
+            getOptions('PUT', rescheduleData));
+        return handleResponse(response);
+    };
+    
+    /**
+     * Get the history of a reminder (completions, snoozes, skips, reschedules)
+     * @param {Number} reminderId - Reminder ID
+     * @returns {Promise<Array>} Array of history entries, newest first
+     */
+    const getReminderHistory = async (reminderId) => {
+        const response = await fetch(`/api/reminders/${reminderId}/history`);
+        return handleResponse(response);
+    };
+    
+    /**
+     * Get the care history of a plant
+     * @param {Number} plantId - Plant ID
+     * @param {Number} limit - Maximum number of completions
+     * @returns {Promise<Array>} Array of completions, newest first
+     */
+    const getPlantCareHistory = async (plantId, limit = 50) => {
+        const response = await fetch(`/api/plants/${plantId}/care-history?limit=${limit}`);
+        return handleResponse(response);
+    };
+    
+    /**
+     * Get care adherence and streaks per plant
+     * @param {Number} days - Number of days to look back
+     * @returns {Promise<Array>} Array of per plant adherence
+     */
+    const getReminderAdherence = async (days = 90) => {
+        const response = await fetch(`/api/reminders/adherence?days=${days}`);
         return handleResponse(response);
     };
     
@@ -209,10 +396,20 @@ const API = (function() {
     /**
      * Get upcoming reminders
      * @param {Number} days - Number of days to look ahead
+     * @param {Boolean} includeOverdue - Also return reminders past their due date (listed first)
      * @returns {Promise<Array>} Array of upcoming reminders
      */
-    const getUpcomingReminders = async (days = 7) => {
-        const response = await fetch(`/api/reminders/upcoming?days=${days}`);
+    const getUpcomingReminders = async (days = 7, includeOverdue = false) => {
+        const response = await fetch(`/api/reminders/upcoming?days=${days}${includeOverdue ? '&include=overdue' : ''}`);
+        return handleResponse(response);
+    };
+    
+    /**
+     * Get reminders that are past their due date
+     * @returns {Promise<Array>} Array of overdue reminders, most overdue first
+     */
+    const getOverdueReminders = async () => {
+        const response = await fetch('/api/reminders/overdue');
         return handleResponse(response);
     };
 
@@ -229,16 +426,16 @@ const API = (function() {
     };
     
     /**
-     * Add health remark for a plant
+     * Add health remark for a plant, queued if offline
      * @param {Number} plantId - Plant ID
      * @param {String} remarks - Health remarks text
-     * @returns {Promise<Object>} Added health remark
+     * @param {String} label - What was noted, listed while waiting to sync
+     * @returns {Promise<Object>} Added health remark, or { queued: true } if offline
      */
-    const addHealthRemark = async (plantId, remarks) => {
-        const response = await fetch(`/api/plants/${plantId}/health`, 
-            getOptions('POST', { remarks }));
-        return handleResponse(response);
-    };
+    const addHealthRemark = async (plantId, remarks, label = 'Health remark') => sendOrQueue(
+        { method: 'POST', url: `/api/plants/${plantId}/health`, data: { remarks } },
+        { type: 'health-remark', label, plantId }
+    );
     
     /**
      * Get latest health remark for a plant
@@ -250,6 +447,601 @@ const API = (function() {
         return handleResponse(response);
     };
 
+    // Harvest-related methods
+    
+    /**
+     * Get the harvest log of a plant
+     * @param {Number} plantId - Plant ID
+     * @returns {Promise<Array>} Array of harvests, newest first
+     */
+    const getPlantHarvests = async (plantId) => {
+        const response = await fetch(`/api/plants/${plantId}/harvests`);
+        return handleResponse(response);
+    };
+    
+    /**
+     * Get harvest totals of a plant and its first harvest compared with the estimate
+     * @param {Number} plantId - Plant ID
+     * @returns {Promise<Object>} Harvest summary
+     */
+    const getHarvestSummary = async (plantId) => {
+        const response = await fetch(`/api/plants/${plantId}/harvests/summary`);
+        return handleResponse(response);
+    };
+    
+    /**
+     * Log a harvest
+     * @param {Number} plantId - Plant ID
+     * @param {Object} harvestData - harvestedOn (YYYY-MM-DD), quantity, unit (kg, pieces, bunches), qualityNotes
+     * @returns {Promise<Object>} Created harvest
+     */
+    const addHarvest = async (plantId, harvestData) => {
+        const response = await fetch(`/api/plants/${plantId}/harvests`, 
+            getOptions('POST', harvestData));
+        return handleResponse(response);
+    };
+    
+    /**
+     * Correct a logged harvest
+     * @param {Number} harvestId - Harvest ID
+     * @param {Object} harvestData - harvestedOn (YYYY-MM-DD), quantity, unit (kg, pieces, bunches), qualityNotes
+     * @returns {Promise<Object>} Updated harvest
+     */
+    const updateHarvest = async (harvestId, harvestData) => {
+        const response = await fetch(`/api/harvests/${harvestId}`, 
+            getOptions('PUT', harvestData));
+        return handleResponse(response);
+    };
+    
+    /**
+     * Delete a logged harvest
+     * @param {Number} harvestId - Harvest ID
+     * @returns {Promise} Delete result
+     */
+    const deleteHarvest = async (harvestId) => {
+        const response = await fetch(`/api/harvests/${harvestId}`, 
+            getOptions('DELETE'));
+        return handleResponse(response);
+    };
+    
+    /**
+     * Get yield totals
+     * @param {String} groupBy - plant, species or season
+     * @param {Number} season - Only count harvests of this year (optional)
+     * @returns {Promise<Array>} One row per group and unit
+     */
+    const getYieldStats = async (groupBy = 'plant', season = null) => {
+        const response = await fetch(`/api/harvests/yield?groupBy=${groupBy}${season ? `&season=${season}` : ''}`);
+        return handleResponse(response);
+    };
+
+    // Growth measurement-related methods
+    
+    /**
+     * Get the growth measurements of a plant, oldest first
+     * @param {Number} plantId - Plant ID
+     * @param {String} metric - Only this metric: height, leaf_count or fruit_count (optional)
+     * @returns {Promise<Array>} Measurements
+     */
+    const getMeasurements = async (plantId, metric = null) => {
+        const response = await fetch(`/api/plants/${plantId}/measurements${metric ? `?metric=${metric}` : ''}`);
+        return handleResponse(response);
+    };
+    
+    /**
+     * URL that downloads the growth measurements of a plant as CSV
+     * @param {Number} plantId - Plant ID
+     * @returns {String} URL
+     */
+    const getMeasurementsCsvUrl = (plantId) => `/api/plants/${plantId}/measurements.csv`;
+    
+    /**
+     * Record a growth measurement
+     * @param {Number} plantId - Plant ID
+     * @param {FormData} formData - metric, value, unit, measuredOn (YYYY-MM-DD) and an optional photo
+     * @returns {Promise<Object>} Created measurement
+     */
+    const addMeasurement = async (plantId, formData) => {
+        // For file uploads, we can't use JSON
+        const csrfToken = getCSRFToken();
+        formData.append('_csrf', csrfToken);
+        
+        const response = await fetch(`/api/plants/${plantId}/measurements`, {
+            method: 'POST',
+            headers: {
+                'X-CSRF-Token': csrfToken
+            },
+            credentials: 'same-origin',
+            body: formData
+        });
+        return handleResponse(response);
+    };
+    
+    /**
+     * Correct a growth measurement
+     * @param {Number} measurementId - Measurement ID
+     * @param {Object} measurementData - metric, value, unit, measuredOn (YYYY-MM-DD)
+     * @returns {Promise<Object>} Updated measurement
+     */
+    const updateMeasurement = async (measurementId, measurementData) => {
+        const response = await fetch(`/api/measurements/${measurementId}`, 
+            getOptions('PUT', measurementData));
+        return handleResponse(response);
+    };
+    
+    /**
+     * Delete a growth measurement
+     * @param {Number} measurementId - Measurement ID
+     * @returns {Promise} Delete result
+     */
+    const deleteMeasurement = async (measurementId) => {
+        const response = await fetch(`/api/measurements/${measurementId}`, 
+            getOptions('DELETE'));
+        return handleResponse(response);
+    };
+
+    // Photo-related methods
+    
+    /**
+     * Get the photos of a plant in gallery order
+     * @param {Number} plantId - Plant ID
+     * @returns {Promise<Array>} Photos
+     */
+    const getPlantPhotos = async (plantId) => {
+        const response = await fetch(`/api/plants/${plantId}/photos`);
+        return handleResponse(response);
+    };
+    
+    /**
+     * Add a photo to a plant's gallery
+     * @param {Number} plantId - Plant ID
+     * @param {FormData} formData - photo, with optional caption, takenOn (YYYY-MM-DD) and isCover
+     * @returns {Promise<Object>} Created photo
+     */
+    const addPlantPhoto = async (plantId, formData) => {
+        // For file uploads, we can't use JSON
+        const csrfToken = getCSRFToken();
+        formData.append('_csrf', csrfToken);
+        
+        const response = await fetch(`/api/plants/${plantId}/photos`, {
+            method: 'POST',
+            headers: {
+                'X-CSRF-Token': csrfToken
+            },
+            credentials: 'same-origin',
+            body: formData
+        });
+        return handleResponse(response);
+    };
+    
+    /**
+     * Change a photo's caption or date, or make it the cover
+     * @param {Number} photoId - Photo ID
+     * @param {Object} photoData - caption, takenOn (YYYY-MM-DD), isCover
+     * @returns {Promise<Object>} Updated photo
+     */
+    const updatePlantPhoto = async (photoId, photoData) => {
+        const response = await fetch(`/api/photos/${photoId}`, 
+            getOptions('PUT', photoData));
+        return handleResponse(response);
+    };
+    
+    /**
+     * Delete a photo
+     * @param {Number} photoId - Photo ID
+     * @returns {Promise} Delete result
+     */
+    const deletePlantPhoto = async (photoId) => {
+        const response = await fetch(`/api/photos/${photoId}`, 
+            getOptions('DELETE'));
+        return handleResponse(response);
+    };
+    
+    /**
+     * Put the photos of a plant in a new order
+     * @param {Number} plantId - Plant ID
+     * @param {Array} photoIds - Every photo ID of the plant, in the new order
+     * @returns {Promise<Array>} Photos in the new order
+     */
+    const reorderPlantPhotos = async (plantId, photoIds) => {
+        const response = await fetch(`/api/plants/${plantId}/photos/order`, 
+            getOptions('PUT', { photoIds }));
+        return handleResponse(response);
+    };
+    
+    /**
+     * Get whether a plant's photos are shared
+     * @param {Number} plantId - Plant ID
+     * @returns {Promise<Object>} shared, sharedAt
+     */
+    const getPlantSharing = async (plantId) => {
+        const response = await fetch(`/api/plants/${plantId}/sharing`);
+        return handleResponse(response);
+    };
+    
+    /**
+     * Create a share link for a plant's photos, replacing the previous link
+     * @param {Number} plantId - Plant ID
+     * @returns {Promise<Object>} Result including the share url
+     */
+    const sharePlant = async (plantId) => {
+        const response = await fetch(`/api/plants/${plantId}/sharing`, getOptions('POST'));
+        return handleResponse(response);
+    };
+    
+    /**
+     * Stop sharing a plant's photos
+     * @param {Number} plantId - Plant ID
+     * @returns {Promise} Result
+     */
+    const stopSharingPlant = async (plantId) => {
+        const response = await fetch(`/api/plants/${plantId}/sharing`, getOptions('DELETE'));
+        return handleResponse(response);
+    };
+    
+    /**
+     * Get the plant behind a share link
+     * @param {String} token - Token from the share link
+     * @returns {Promise<Object>} name, species, plantingTime and photos
+     */
+    const getSharedPlant = async (token) => {
+        const response = await fetch(`/api/shared/${encodeURIComponent(token)}`);
+        return handleResponse(response);
+    };
+
+    // Statistics-related methods
+    
+    /**
+     * Get the number of plants per species
+     * @returns {Promise<Array>} species, plantCount, averageEstCropping
+     */
+    const getSpeciesStats = async () => {
+        const response = await fetch('/api/stats/species');
+        return handleResponse(response);
+    };
+    
+    /**
+     * Get the number of plantings per month
+     * @param {Number} months - Number of months up to the current one
+     * @returns {Promise<Array>} month (YYYY-MM), plantCount
+     */
+    const getPlantingStats = async (months = 12) => {
+        const response = await fetch(`/api/stats/plantings?months=${months}`);
+        return handleResponse(response);
+    };
+    
+    /**
+     * Get care adherence overall, per reminder type and per month
+     * @param {Number} days - Number of days to look back
+     * @returns {Promise<Object>} { overall, byType, byMonth }
+     */
+    const getAdherenceStats = async (days = 90) => {
+        const response = await fetch(`/api/stats/adherence?days=${days}`);
+        return handleResponse(response);
+    };
+    
+    /**
+     * Get harvest totals per species
+     * @param {Number} season - Year (default: current)
+     * @returns {Promise<Array>} One row per species and unit
+     */
+    const getHarvestStats = async (season = null) => {
+        const response = await fetch(`/api/stats/harvests${season ? `?season=${season}` : ''}`);
+        return handleResponse(response);
+    };
+    
+    /**
+     * Get sensor averages per growing environment
+     * @param {Number} days - Number of days to look back
+     * @returns {Promise<Array>} Per environment: environmentName, activeActuators, sensors
+     */
+    const getSensorStats = async (days = 30) => {
+        const response = await fetch(`/api/stats/sensors?days=${days}`);
+        return handleResponse(response);
+    };
+
+    // Growing environment-related methods
+    
+    /**
+     * Get the soil type catalog
+     * @returns {Promise<Array>} Array of soil types
+     */
+    const getSoilTypes = async () => {
+        const response = await fetch('/api/soil-types');
+        return handleResponse(response);
+    };
+    
+    /**
+     * Get all growing environments for current user
+     * @returns {Promise<Array>} Array of environments
+     */
+    const getEnvironments = async () => {
+        const response = await fetch('/api/environments');
+        return handleResponse(response);
+    };
+    
+    /**
+     * Create a growing environment
+     * @param {Object} environmentData - Name, type and soilId
+     * @returns {Promise<Object>} Created environment
+     */
+    const createEnvironment = async (environmentData) => {
+        const response = await fetch('/api/environments', getOptions('POST', environmentData));
+        return handleResponse(response);
+    };
+    
+    /**
+     * Update a growing environment
+     * @param {Number} environmentId - Environment ID
+     * @param {Object} environmentData - Name, type and soilId
+     * @returns {Promise<Object>} Updated environment
+     */
+    const updateEnvironment = async (environmentId, environmentData) => {
+        const response = await fetch(`/api/environments/${environmentId}`, 
+            getOptions('PUT', environmentData));
+        return handleResponse(response);
+    };
+    
+    /**
+     * Delete a growing environment
+     * @param {Number} environmentId - Environment ID
+     * @returns {Promise} Delete result
+     */
+    const deleteEnvironment = async (environmentId) => {
+        const response = await fetch(`/api/environments/${environmentId}`, getOptions('DELETE'));
+        return handleResponse(response);
+    };
+    
+    /**
+     * Assign a plant to a growing environment
+     * @param {Number} plantId - Plant ID
+     * @param {Number|null} environmentId - Environment ID, or null to unassign
+     * @returns {Promise} Assign result
+     */
+    const setPlantEnvironment = async (plantId, environmentId) => {
+        const response = await fetch(`/api/plants/${plantId}/environment`, 
+            getOptions('PUT', { environmentId }));
+        return handleResponse(response);
+    };
+
+    // API token-related methods
+    
+    /**
+     * Get all API tokens for current user
+     * @returns {Promise<Array>} Array of API tokens
+     */
+    const getApiTokens = async () => {
+        const response = await fetch('/api/tokens');
+        return handleResponse(response);
+    };
+    
+    /**
+     * Create a new API token
+     * @param {Object} tokenData - Token name, scopes and optional expiresInDays
+     * @returns {Promise<Object>} Created token including the raw token value
+     */
+    const createApiToken = async (tokenData) => {
+        const response = await fetch('/api/tokens', getOptions('POST', tokenData));
+        return handleResponse(response);
+    };
+    
+    /**
+     * Revoke an API token
+     * @param {Number} tokenId - Token ID
+     * @returns {Promise} Revoke result
+     */
+    const revokeApiToken = async (tokenId) => {
+        const response = await fetch(`/api/tokens/${tokenId}`, getOptions('DELETE'));
+        return handleResponse(response);
+    };
+    
+    // Garden-related methods
+    
+    /**
+     * Get the gardens the user is a member of
+     * @returns {Promise<Array>} Gardens with the user's role, member and plant counts
+     */
+    const getGardens = async () => {
+        const response = await fetch('/api/gardens');
+        return handleResponse(response);
+    };
+    
+    /**
+     * Create a garden
+     * @param {String} name - Garden name
+     * @returns {Promise<Object>} Created garden
+     */
+    const createGarden = async (name) => {
+        const response = await fetch('/api/gardens', getOptions('POST', { name }));
+        return handleResponse(response);
+    };
+    
+    /**
+     * Rename a garden
+     * @param {Number} gardenId - Garden ID
+     * @param {String} name - New name
+     * @returns {Promise<Object>} Updated garden
+     */
+    const renameGarden = async (gardenId, name) => {
+        const response = await fetch(`/api/gardens/${gardenId}`, getOptions('PUT', { name }));
+        return handleResponse(response);
+    };
+    
+    /**
+     * Get the members of a garden, and the pending invitations for owners
+     * @param {Number} gardenId - Garden ID
+     * @returns {Promise<Object>} { role, members, invitations }
+     */
+    const getGardenMembers = async (gardenId) => {
+        const response = await fetch(`/api/gardens/${gardenId}/members`);
+        return handleResponse(response);
+    };
+    
+    /**
+     * Invite a user to a garden
+     * @param {Number} gardenId - Garden ID
+     * @param {String} username - Username of the user to invite
+     * @param {String} role - viewer, editor or owner
+     * @returns {Promise<Object>} Created invitation
+     */
+    const inviteGardenMember = async (gardenId, username, role) => {
+        const response = await fetch(`/api/gardens/${gardenId}/invitations`, getOptions('POST', { username, role }));
+        return handleResponse(response);
+    };
+    
+    /**
+     * Cancel a pending invitation
+     * @param {Number} gardenId - Garden ID
+     * @param {Number} invitationId - Invitation ID
+     * @returns {Promise} Cancel result
+     */
+    const cancelGardenInvitation = async (gardenId, invitationId) => {
+        const response = await fetch(`/api/gardens/${gardenId}/invitations/${invitationId}`, getOptions('DELETE'));
+        return handleResponse(response);
+    };
+    
+    /**
+     * Change the role of a garden member
+     * @param {Number} gardenId - Garden ID
+     * @param {Number} userId - User ID of the member
+     * @param {String} role - viewer, editor or owner
+     * @returns {Promise<Object>} Updated member
+     */
+    const updateGardenMember = async (gardenId, userId, role) => {
+        const response = await fetch(`/api/gardens/${gardenId}/members/${userId}`, getOptions('PUT', { role }));
+        return handleResponse(response);
+    };
+    
+    /**
+     * Remove a member from a garden, or leave it when it is the user themselves
+     * @param {Number} gardenId - Garden ID
+     * @param {Number} userId - User ID of the member
+     * @returns {Promise} Remove result
+     */
+    const removeGardenMember = async (gardenId, userId) => {
+        const response = await fetch(`/api/gardens/${gardenId}/members/${userId}`, getOptions('DELETE'));
+        return handleResponse(response);
+    };
+    
+    /**
+     * Get the garden invitations waiting for the user
+     * @returns {Promise<Array>} Invitations
+     */
+    const getInvitations = async () => {
+        const response = await fetch('/api/invitations');
+        return handleResponse(response);
+    };
+    
+    /**
+     * Accept a garden invitation
+     * @param {Number} invitationId - Invitation ID
+     * @returns {Promise<Object>} Joined garden
+     */
+    const acceptInvitation = async (invitationId) => {
+        const response = await fetch(`/api/invitations/${invitationId}/accept`, getOptions('POST'));
+        return handleResponse(response);
+    };
+    
+    /**
+     * Decline a garden invitation
+     * @param {Number} invitationId - Invitation ID
+     * @returns {Promise} Decline result
+     */
+    const declineInvitation = async (invitationId) => {
+        const response = await fetch(`/api/invitations/${invitationId}`, getOptions('DELETE'));
+        return handleResponse(response);
+    };
+    
+    // Account-related methods
+    
+    /**
+     * Get the current user's notification settings
+     * @returns {Promise<Object>} Settings (email, notifyEmail, notifyTime, timezone, notifyMode)
+     */
+    const getNotificationSettings = async () => {
+        const response = await fetch('/api/account/notifications');
+        return handleResponse(response);
+    };
+    
+    /**
+     * Save the current user's notification settings
+     * @param {Object} settings - Settings (email, notifyEmail, notifyTime, timezone, notifyMode)
+     * @returns {Promise<Object>} Save result including the stored settings
+     */
+    const updateNotificationSettings = async (settings) => {
+        const response = await fetch('/api/account/notifications', getOptions('PUT', settings));
+        return handleResponse(response);
+    };
+    
+    /**
+     * Send a test email to the saved address
+     * @returns {Promise<Object>} Send result
+     */
+    const sendTestEmail = async () => {
+        const response = await fetch('/api/account/notifications/test', getOptions('POST'));
+        return handleResponse(response);
+    };
+    
+    // Push notification-related methods
+    
+    /**
+     * Get the server's VAPID public key
+     * @returns {Promise<Object>} { publicKey }
+     */
+    const getPushPublicKey = async () => {
+        const response = await fetch('/api/push/public-key');
+        return handleResponse(response);
+    };
+    
+    /**
+     * Store this device's push subscription
+     * @param {Object} subscription - PushSubscription JSON (endpoint, keys)
+     * @returns {Promise<Object>} Save result
+     */
+    const savePushSubscription = async (subscription) => {
+        const response = await fetch('/api/push/subscriptions', getOptions('POST', subscription));
+        return handleResponse(response);
+    };
+    
+    /**
+     * Remove a push subscription
+     * @param {String} endpoint - Subscription endpoint
+     * @returns {Promise<Object>} Delete result
+     */
+    const deletePushSubscription = async (endpoint) => {
+        const response = await fetch('/api/push/subscriptions', getOptions('DELETE', { endpoint }));
+        return handleResponse(response);
+    };
+    
+    // Calendar-related methods
+    
+    /**
+     * Get the current user's calendar feed
+     * @returns {Promise<Object>} { feed } where feed is null if there is none
+     */
+    const getCalendarFeed = async () => {
+        const response = await fetch('/api/calendar/feed');
+        return handleResponse(response);
+    };
+    
+    /**
+     * Create a calendar feed, replacing the previous subscription URL
+     * @returns {Promise<Object>} Result including the subscription url
+     */
+    const createCalendarFeed = async () => {
+        const response = await fetch('/api/calendar/feed', getOptions('POST'));
+        return handleResponse(response);
+    };
+    
+    /**
+     * Revoke the calendar feed
+     * @returns {Promise} Revoke result
+     */
+    const revokeCalendarFeed = async () => {
+        const response = await fetch('/api/calendar/feed', getOptions('DELETE'));
+        return handleResponse(response);
+    };
+
     // Public API
     return {
         // Auth
@@ -263,17 +1055,109 @@ const API = (function() {
         addPlant,
         updatePlant,
         deletePlant,
+        getTrash,
+        restorePlant,
+        purgePlant,
+        getPlantHistory,
+        revertPlant,
         
         // Reminders
         getPlantReminders,
-        saveReminder,
+        createReminder,
+        updateReminder,
         completeReminder,
+        snoozeReminder,
+        skipReminder,
+        rescheduleReminder,
+        getReminderHistory,
+        getPlantCareHistory,
+        getReminderAdherence,
         deleteReminder,
         getUpcomingReminders,
+        getOverdueReminders,
         
         // Health
         getPlantHealthRemarks,
         addHealthRemark,
-        getLatestHealthRemark
+        getLatestHealthRemark,
+        
+        // Harvests
+        getPlantHarvests,
+        getHarvestSummary,
+        addHarvest,
+        updateHarvest,
+        deleteHarvest,
+        getYieldStats,
+        
+        // Growth measurements
+        getMeasurements,
+        getMeasurementsCsvUrl,
+        addMeasurement,
+        updateMeasurement,
+        deleteMeasurement,
+        
+        // Photos
+        getPlantPhotos,
+        addPlantPhoto,
+        updatePlantPhoto,
+        deletePlantPhoto,
+        reorderPlantPhotos,
+        getPlantSharing,
+        sharePlant,
+        stopSharingPlant,
+        getSharedPlant,
+        
+        // Statistics
+        getSpeciesStats,
+        getPlantingStats,
+        getAdherenceStats,
+        getHarvestStats,
+        getSensorStats,
+        
+        // Environments
+        getSoilTypes,
+        getEnvironments,
+        createEnvironment,
+        updateEnvironment,
+        deleteEnvironment,
+        setPlantEnvironment,
+        
+        // API tokens
+        getApiTokens,
+        createApiToken,
+        revokeApiToken,
+        
+        // Gardens
+        getGardens,
+        createGarden,
+        renameGarden,
+        getGardenMembers,
+        inviteGardenMember,
+        cancelGardenInvitation,
+        updateGardenMember,
+        removeGardenMember,
+        getInvitations,
+        acceptInvitation,
+        declineInvitation,
+        
+        // Account
+        getNotificationSettings,
+        updateNotificationSettings,
+        sendTestEmail,
+        
+        // Push notifications
+        getPushPublicKey,
+        savePushSubscription,
+        deletePushSubscription,
+        
+        // Offline
+        isNetworkError,
+        sendRequest,
+        refreshCSRFToken,
+        
+        // Calendar
+        getCalendarFeed,
+        createCalendarFeed,
+        revokeCalendarFeed
     };
 })();
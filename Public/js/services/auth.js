@@ -226,8 +226,20 @@ const Auth = (function() {
      */
     const logout = async () => {
         try {
+            // Changes made offline are kept per device, not per account
+            if (typeof Outbox !== 'undefined') {
+                const unsent = (await Outbox.getEntries()).length;
+                if (unsent > 0 && !confirm(`${unsent} change(s) made offline have not been saved yet and will be lost. Log out anyway?`)) {
+                    return;
+                }
+            }
+            
             await API.logOut();
             
+            if (typeof OfflineStore !== 'undefined') {
+                await OfflineStore.clear().catch(() => null);
+            }
+            
             // Redirect to home page
             window.location.href = '/';
         } catch (error) {
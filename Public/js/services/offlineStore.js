@@ -0,0 +1,147 @@
+/**
+ * Offline Store
+ * IndexedDB storage shared by the pages and the service worker: the last API responses
+ * to show while offline and the outbox of changes waiting to be sent
+ */
+const OfflineStore = (function() {
+    // Constants
+    const DB_NAME = 'aedniku-abimees';
+    const DB_VERSION = 1;
+    const RESPONSES_STORE = 'responses';
+    const OUTBOX_STORE = 'outbox';
+
+    // Open database, once opened
+    let dbPromise = null;
+
+    /**
+     * Wrap an IndexedDB request in a promise
+     * @param {IDBRequest} request - IndexedDB request
+     * @returns {Promise} Request result
+     */
+    const promisify = (request) => new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    /**
+     * Open the database, creating the stores on first use
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    const openDatabase = () => {
+        if (!dbPromise) {
+            const request = self.indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore(RESPONSES_STORE, { keyPath: 'url' });
+                db.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+            };
+
+            dbPromise = promisify(request);
+        }
+
+        return dbPromise;
+    };
+
+    /**
+     * Get an object store in a new transaction
+     * @param {String} storeName - Store name
+     * @param {String} mode - readonly or readwrite
+     * @returns {Promise<IDBObjectStore>} Object store
+     */
+    const getStore = async (storeName, mode = 'readonly') => {
+        const db = await openDatabase();
+        return db.transaction(storeName, mode).objectStore(storeName);
+    };
+
+    // Cached responses
+
+    /**
+     * Save the body of an API response
+     * @param {String} url - Request path and query string
+     * @param {*} data - Parsed JSON body
+     * @returns {Promise}
+     */
+    const saveResponse = async (url, data) => {
+        const store = await getStore(RESPONSES_STORE, 'readwrite');
+        return promisify(store.put({ url, data, savedAt: new Date().toISOString() }));
+    };
+
+    /**
+     * Get a saved API response
+     * @param {String} url - Request path and query string
+     * @returns {Promise<Object|undefined>} { url, data, savedAt } or undefined if never saved
+     */
+    const getResponse = async (url) => {
+        const store = await getStore(RESPONSES_STORE);
+        return promisify(store.get(url));
+    };
+
+    // Outbox
+
+    /**
+     * Add a change to the outbox
+     * @param {Object} entry - Outbox entry (type, label, request, reminderId/plantId)
+     * @returns {Promise<Number>} Entry ID
+     */
+    const addToOutbox = async (entry) => {
+        const store = await getStore(OUTBOX_STORE, 'readwrite');
+        return promisify(store.add({ ...entry, status: 'pending', createdAt: new Date().toISOString() }));
+    };
+
+    /**
+     * Get every outbox entry, oldest first
+     * @returns {Promise<Array>} Outbox entries
+     */
+    const getOutbox = async () => {
+        const store = await getStore(OUTBOX_STORE);
+        return promisify(store.getAll());
+    };
+
+    /**
+     * Replace an outbox entry
+     * @param {Object} entry - Outbox entry with its ID
+     * @returns {Promise}
+     */
+    const updateOutboxEntry = async (entry) => {
+        const store = await getStore(OUTBOX_STORE, 'readwrite');
+        return promisify(store.put(entry));
+    };
+
+    /**
+     * Remove an entry from the outbox
+     * @param {Number} id - Entry ID
+     * @returns {Promise}
+     */
+    const removeFromOutbox = async (id) => {
+        const store = await getStore(OUTBOX_STORE, 'readwrite');
+        return promisify(store.delete(id));
+    };
+
+    /**
+     * Forget everything, e.g. when the user logs out on a shared device
+     * @returns {Promise}
+     */
+    const clear = async () => {
+        const db = await openDatabase();
+        const transaction = db.transaction([RESPONSES_STORE, OUTBOX_STORE], 'readwrite');
+        transaction.objectStore(RESPONSES_STORE).clear();
+        transaction.objectStore(OUTBOX_STORE).clear();
+
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    };
+
+    // Public API
+    return {
+        saveResponse,
+        getResponse,
+        addToOutbox,
+        getOutbox,
+        updateOutboxEntry,
+        removeFromOutbox,
+        clear
+    };
+})();
@@ -0,0 +1,165 @@
+/**
+ * Outbox Service
+ * Keeps changes made without a connection and sends them, oldest first, once the
+ * connection is back. Changes the server turns down are kept as conflicts for the
+ * user to retry or discard instead of being dropped.
+ */
+const Outbox = (function() {
+    // Listeners called after the outbox changes
+    const listeners = [];
+
+    // Whether a replay is running
+    let replaying = false;
+
+    /**
+     * Tell the listeners what changed
+     * @param {Object} change - { synced } number of entries sent, if any
+     */
+    const notify = (change = {}) => {
+        listeners.forEach(listener => listener(change));
+    };
+
+    /**
+     * Start sending queued changes whenever the connection comes back
+     */
+    const initialize = () => {
+        window.addEventListener('online', () => replay());
+        replay();
+    };
+
+    /**
+     * Call a function whenever the outbox changes
+     * @param {Function} listener - Called with { synced }
+     */
+    const onChange = (listener) => {
+        listeners.push(listener);
+    };
+
+    /**
+     * Queue a change
+     * @param {Object} entry - type, label, request and reminderId or plantId
+     * @returns {Promise<void>}
+     */
+    const enqueue = async (entry) => {
+        await OfflineStore.addToOutbox(entry);
+        notify();
+    };
+
+    /**
+     * Get the queued changes and conflicts, oldest first
+     * @returns {Promise<Array>} Outbox entries
+     */
+    const getEntries = async () => OfflineStore.getOutbox().catch(() => []);
+
+    /**
+     * Send one entry, refreshing the CSRF token once if it has gone stale in the meantime
+     * @param {Object} entry - Outbox entry
+     * @returns {Promise<Object>} Response
+     */
+    const send = async (entry) => {
+        try {
+            return await API.sendRequest(entry.request);
+        } catch (error) {
+            if (error.status !== 403 || !error.data || error.data.code !== 'EBADCSRFTOKEN') {
+                throw error;
+            }
+
+            await API.refreshCSRFToken();
+            return API.sendRequest(entry.request);
+        }
+    };
+
+    /**
+     * Send every pending entry
+     * Stops at the first network or server error and tries again later; entries the server
+     * rejects (not found, conflict, invalid) become conflicts
+     * @returns {Promise<Number>} Number of entries sent
+     */
+    const replay = async () => {
+        if (replaying || !navigator.onLine) {
+            return 0;
+        }
+
+        replaying = true;
+        let synced = 0;
+
+        try {
+            const entries = (await getEntries()).filter(entry => entry.status === 'pending');
+            if (entries.length === 0) {
+                return 0;
+            }
+
+            // Also tells us whether the session is still valid before sending anything
+            await API.refreshCSRFToken();
+
+            for (const entry of entries) {
+                try {
+                    await send(entry);
+                    await OfflineStore.removeFromOutbox(entry.id);
+                    synced++;
+                } catch (error) {
+                    if (!error.status || error.status === 401 || error.status >= 500) {
+                        break;
+                    }
+
+                    await OfflineStore.updateOutboxEntry({
+                        ...entry,
+                        status: 'conflict',
+                        error: error.data && error.data.errors
+                            ? error.data.errors.map(fieldError => fieldError.msg).join(', ')
+                            : error.message
+                    });
+                }
+            }
+        } catch (error) {
+            console.error('Error sending queued changes:', error);
+        } finally {
+            replaying = false;
+            notify({ synced });
+        }
+
+        return synced;
+    };
+
+    /**
+     * Queue a conflicting entry again
+     * A completion is sent without its due date check, i.e. it is logged anyway
+     * @param {Number} id - Entry ID
+     * @returns {Promise<Number>} Number of entries sent
+     */
+    const retry = async (id) => {
+        const entry = (await getEntries()).find(item => item.id === id);
+        if (!entry) {
+            return 0;
+        }
+
+        const request = entry.type === 'complete-reminder'
+            ? { ...entry.request, data: { ...entry.request.data, expectedDueDate: null } }
+            : entry.request;
+
+        await OfflineStore.updateOutboxEntry({ ...entry, request, status: 'pending', error: null });
+        notify();
+        return replay();
+    };
+
+    /**
+     * Drop an entry
+     * @param {Number} id - Entry ID
+     * @returns {Promise<void>}
+     */
+    const discard = async (id) => {
+        await OfflineStore.removeFromOutbox(id);
+        notify();
+    };
+
+    // Public API
+    return {
+        initialize,
+        onChange,
+        enqueue,
+        getEntries,
+        replay,
+        retry,
+        discard
+    };
+})();
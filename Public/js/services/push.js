@@ -0,0 +1,102 @@
+/**
+ * Push Service
+ * Registers the service worker and manages this device's Web Push subscription
+ */
+const Push = (function() {
+    // Service worker registration, once registered
+    let registration = null;
+
+    /**
+     * Whether this browser supports Web Push
+     * @returns {Boolean}
+     */
+    const isSupported = () => 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+    /**
+     * Register the service worker
+     * @returns {Promise<ServiceWorkerRegistration|null>} Registration or null if unsupported
+     */
+    const registerServiceWorker = async () => {
+        if (!('serviceWorker' in navigator)) {
+            return null;
+        }
+
+        try {
+            registration = await navigator.serviceWorker.register('/sw.js');
+            return registration;
+        } catch (error) {
+            console.error('Error registering service worker:', error);
+            return null;
+        }
+    };
+
+    /**
+     * Convert a base64url VAPID key to the format PushManager expects
+     * @param {String} base64String - Base64url encoded key
+     * @returns {Uint8Array} Key bytes
+     */
+    const urlBase64ToUint8Array = (base64String) => {
+        const padding = '='.repeat((4 - base64String.length % 4) % 4);
+        const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+        const raw = window.atob(base64);
+        return Uint8Array.from(raw, char => char.charCodeAt(0));
+    };
+
+    /**
+     * Get this device's current subscription
+     * @returns {Promise<PushSubscription|null>} Subscription or null
+     */
+    const getSubscription = async () => {
+        if (!isSupported()) {
+            return null;
+        }
+
+        const ready = registration || await navigator.serviceWorker.ready;
+        return ready.pushManager.getSubscription();
+    };
+
+    /**
+     * Ask for permission, subscribe this device and store the subscription on the server
+     * @returns {Promise<Boolean>} True if subscribed, false if permission was refused
+     */
+    const subscribe = async () => {
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') {
+            return false;
+        }
+
+        const { publicKey } = await API.getPushPublicKey();
+        const ready = registration || await navigator.serviceWorker.ready;
+
+        const subscription = await ready.pushManager.subscribe({
+            userVisibleOnly: true,
+            applicationServerKey: urlBase64ToUint8Array(publicKey)
+        });
+
+        await API.savePushSubscription(subscription.toJSON());
+        return true;
+    };
+
+    /**
+     * Unsubscribe this device and remove the subscription from the server
+     * @returns {Promise<void>}
+     */
+    const unsubscribe = async () => {
+        const subscription = await getSubscription();
+        if (!subscription) {
+            return;
+        }
+
+        await API.deletePushSubscription(subscription.endpoint).catch(() => null);
+        await subscription.unsubscribe();
+    };
+
+    // Public API
+    return {
+        isSupported,
+        registerServiceWorker,
+        getSubscription,
+        subscribe,
+        unsubscribe
+    };
+})();
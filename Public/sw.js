@@ -0,0 +1,219 @@
+/**
+ * Service Worker
+ * Keeps the app usable offline: the app shell is cached, and the last plant list and
+ * upcoming reminders are kept in IndexedDB. Also shows reminder push notifications and
+ * opens the plant they belong to when clicked.
+ */
+
+importScripts('/js/services/offlineStore.js');
+
+// Bump the version whenever the app shell changes
+const SHELL_CACHE = 'aedniku-abimees-shell-v9';
+
+const APP_SHELL = [
+    '/',
+    '/css/style.css',
+    '/manifest.webmanifest',
+    '/images/icon.svg',
+    '/js/components/modal.js',
+    '/js/components/toast.js',
+    '/js/services/api.js',
+    '/js/services/auth.js',
+    '/js/services/offlineStore.js',
+    '/js/services/outbox.js',
+    '/js/services/push.js',
+    '/js/components/plantDetails.js',
+    '/js/components/plantList.js',
+    '/js/components/reminders.js',
+    '/js/components/reminderSchedules.js',
+    '/js/components/apiTokens.js',
+    '/js/components/calendarFeed.js',
+    '/js/components/notificationSettings.js',
+    '/js/components/environments.js',
+    '/js/components/syncStatus.js',
+    '/js/components/trash.js',
+    '/js/components/gardens.js',
+    '/js/components/charts.js',
+    '/js/components/dashboard.js',
+    '/js/components/growthLog.js',
+    '/js/components/photoGallery.js',
+    '/js/components/plantHistory.js',
+    '/js/main.js'
+];
+
+// API responses to keep for offline use
+const CACHED_API = [
+    /^\/api\/plants$/,
+    /^\/api\/plants\/\d+$/,
+    /^\/api\/reminders\/upcoming$/
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(APP_SHELL);
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name !== SHELL_CACHE).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+/**
+ * JSON response built from a saved API response
+ * @param {*} data - Response body
+ * @param {Number} status - HTTP status
+ * @param {Object} headers - Extra headers
+ * @returns {Response}
+ */
+const jsonResponse = (data, status = 200, headers = {}) => new Response(JSON.stringify(data), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+});
+
+/**
+ * Network first for the API responses we keep: save each fresh copy, fall back to the
+ * last one while offline
+ * @param {Request} request - GET request
+ * @param {String} key - Path and query string
+ * @returns {Promise<Response>}
+ */
+const fetchApi = async (request, key) => {
+    try {
+        const response = await fetch(request);
+
+        if (response.ok) {
+            const data = await response.clone().json();
+            await OfflineStore.saveResponse(key, data).catch(() => null);
+        }
+
+        return response;
+    } catch (error) {
+        const saved = await OfflineStore.getResponse(key).catch(() => null);
+
+        if (!saved) {
+            return jsonResponse({ message: 'You are offline' }, 503);
+        }
+
+        return jsonResponse(saved.data, 200, { 'X-Offline-Saved-At': saved.savedAt });
+    }
+};
+
+/**
+ * Network first for pages, so a signed out user is never shown a stale page
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>}
+ */
+const fetchPage = async (request) => {
+    const cache = await caches.open(SHELL_CACHE);
+
+    try {
+        const response = await fetch(request);
+
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+
+        return response;
+    } catch (error) {
+        return (await cache.match(request, { ignoreSearch: true })) || cache.match('/');
+    }
+};
+
+/**
+ * Cached copy of a static file right away, refreshed in the background
+ * @param {Request} request - GET request
+ * @param {Event} event - Fetch event, kept alive until the refresh is stored
+ * @returns {Promise<Response>}
+ */
+const fetchStatic = async (request, event) => {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+
+    const refresh = fetch(request).then(async (response) => {
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => null));
+        return cached;
+    }
+
+    return refresh;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    // Changes go straight to the network; the page queues them in the outbox when offline
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (url.pathname.startsWith('/api/')) {
+        if (CACHED_API.some(pattern => pattern.test(url.pathname))) {
+            event.respondWith(fetchApi(request, url.pathname + url.search));
+        }
+        return;
+    }
+
+    // Calendar feeds, share links and photos (access checked per request) are not part of the app shell
+    const passThrough = ['/calendar/', '/shared/', '/uploads/', '/media/'];
+    if (passThrough.some(prefix => url.pathname.startsWith(prefix))) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(fetchPage(request));
+        return;
+    }
+
+    event.respondWith(fetchStatic(request, event));
+});
+
+self.addEventListener('push', (event) => {
+    if (!event.data) return;
+
+    const payload = event.data.json();
+
+    event.waitUntil(self.registration.showNotification(payload.title, {
+        body: payload.body,
+        tag: payload.tag,
+        renotify: true,
+        data: payload.data,
+        actions: [{ action: 'complete', title: 'Mark done' }]
+    }));
+});
+
+self.addEventListener('notificationclick', (event) => {
+    const { data } = event.notification;
+    event.notification.close();
+
+    if (!data) return;
+
+    // The page completes the reminder itself, it has the session and the CSRF token
+    const message = {
+        type: 'open-reminder',
+        plantId: data.plantId,
+        reminderId: data.reminderId,
+        complete: event.action === 'complete'
+    };
+    const url = message.complete ? `${data.url}&action=complete` : data.url;
+
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const plantsPage = windows.find(client => new URL(client.url).pathname === '/plants');
+
+        if (plantsPage) {
+            plantsPage.postMessage(message);
+            return plantsPage.focus();
+        }
+
+        return self.clients.openWindow(url);
+    })());
+});
@@ -0,0 +1,42 @@
+/**
+ * Actuator driver registry
+ * A driver is an object with async setState(actuator, state) and getState(actuator) methods.
+ * Hardware drivers (GPIO, MQTT, smart plugs) register themselves here under the name
+ * stored in actuators.driver.
+ */
+
+const { createSimulatedDriver } = require('./simulatedDriver');
+
+const drivers = new Map();
+
+/**
+ * Register a driver under a name
+ *
+ * @param {String} name - Driver name as stored in actuators.driver
+ * @param {Object} driver - Driver implementation
+ */
+const registerDriver = (name, driver) => {
+    if (!driver || typeof driver.setState !== 'function' || typeof driver.getState !== 'function') {
+        throw new TypeError(`Actuator driver "${name}" must implement setState and getState`);
+    }
+    drivers.set(name, driver);
+};
+
+/**
+ * Get a registered driver
+ *
+ * @param {String} name - Driver name
+ * @returns {Object|null} Driver or null if not registered
+ */
+const getDriver = (name) => drivers.get(name) || null;
+
+/**
+ * List registered driver names
+ *
+ * @returns {Array<String>} Driver names
+ */
+const getDriverNames = () => Array.from(drivers.keys());
+
+registerDriver('simulated', createSimulatedDriver());
+
+module.exports = { registerDriver, getDriver, getDriverNames };
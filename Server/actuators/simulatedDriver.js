@@ -0,0 +1,47 @@
+/**
+ * Simulated actuator driver
+ * Keeps actuator states in memory so actuator control can be used and tested without hardware
+ */
+
+/**
+ * Create a simulated driver instance
+ *
+ * @returns {Object} Driver implementing setState/getState
+ */
+const createSimulatedDriver = () => {
+    const states = new Map();
+
+    return {
+        name: 'simulated',
+
+        /**
+         * Switch an actuator on or off
+         *
+         * @param {Object} actuator - actuators row
+         * @param {Number} state - 1 for on, 0 for off
+         * @returns {Promise<void>}
+         */
+        setState: async (actuator, state) => {
+            states.set(actuator.actuator_id, state);
+        },
+
+        /**
+         * Read the state the driver last applied
+         *
+         * @param {Object} actuator - actuators row
+         * @returns {Promise<Number|null>} Current state or null if never switched
+         */
+        getState: async (actuator) => {
+            return states.has(actuator.actuator_id) ? states.get(actuator.actuator_id) : null;
+        },
+
+        /**
+         * Forget all simulated states
+         */
+        reset: () => {
+            states.clear();
+        }
+    };
+};
+
+module.exports = { createSimulatedDriver };
@@ -1,525 +1,2796 @@
 // Import required modules
+const crypto = require('crypto');
 const express = require('express');
 const session = require('express-session');
 const bcrypt = require('bcrypt');
-const mysql = require('mysql2/promise');
 const fileUpload = require('express-fileupload');
 const path = require('path');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const cookieParser = require('cookie-parser');
 const csurf = require('csurf');
 
 // Import custom modules
 const { AppError, handleError, logSecurityEvent } = require('./errorHandler');
-const { fileUploadHandler } = require('./fileUploadHandler');
+const { createFileUploadHandler } = require('./fileUploadHandler');
+const { authenticateToken, requireScope } = require('./tokenAuth');
 const plantService = require('./db/plantService');
 const reminderService = require('./db/reminderService');
 const healthService = require('./db/healthService');
-
-// Initialize express app
-const app = express();
+const harvestService = require('./db/harvestService');
+const measurementService = require('./db/measurementService');
+const photoService = require('./db/photoService');
+const sharingService = require('./db/sharingService');
+const auditService = require('./db/auditService');
+const gardenService = require('./db/gardenService');
+const userService = require('./db/userService');
+const { findOwnedPhotoFile } = require('./db/ownership');
+const statsService = require('./db/statsService');
+const sensorService = require('./db/sensorService');
+const tokenService = require('./db/tokenService');
+const calendarService = require('./db/calendarService');
+const notificationService = require('./db/notificationService');
+const pushService = require('./db/pushService');
+const environmentService = require('./db/environmentService');
+const actuatorService = require('./db/actuatorService');
+const actuatorDrivers = require('./actuators');
+const automationService = require('./db/automationService');
+const { createAutomationEngine } = require('./automation/engine');
+const recurrence = require('./reminders/recurrence');
+const ical = require('./calendar/ical');
+const csv = require('./export/csv');
+const { createMailer } = require('./notifications/mailer');
+const { createNotificationScheduler } = require('./notifications/scheduler');
+const { createPushSender } = require('./notifications/push');
+const { createStorage } = require('./storage');
+const { createUploadCleaner, removePhotoFiles } = require('./storage/cleaner');
+const { LEGACY_PREFIX, photoFolder } = require('./storage/keys');
+const { createTrashPurger } = require('./trash/purger');
+const { openLegacyUpload } = require('./storage/legacyUploads');
+const { addPhotoUrls } = require('./storage/photoUrls');
+const { loadConfig } = require('./config');
+const { systemClock, toDateString, isValidTimeZone } = require('./clock');
 
 // Define root directory (parent of server folder)
 const ROOT_DIR = path.join(__dirname, '..');
 
-// Load environment variables
-require('dotenv').config();
-
-// Database connection pool
-const pool = mysql.createPool({
-    host: process.env.DB_HOST || 'localhost',
-    port: process.env.DB_PORT || 3306,
-    user: process.env.DB_USER,
-    password: process.env.DB_PASSWORD,
-    database: process.env.DB_NAME,
-    waitForConnections: true,
-    connectionLimit: 10,
-    queueLimit: 0
-});
-
-// Rate limiting
-const authLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 5, // Limit each IP to 5 requests per window
-    message: { message: 'Too many login attempts, please try again later' }
-});
-
-// General API rate limiting
-const apiLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100, // Limit each IP to 100 requests per window
-    message: { message: 'Too many requests, please try again later' }
-});
-
-// Middleware
-app.use(helmet({
-    contentSecurityPolicy: {
-        directives: {
-            ...helmet.contentSecurityPolicy.getDefaultDirectives(),
-            "img-src": ["'self'", "data:", "blob:"]
-        }
-    }
-}));
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-app.use(cookieParser());
-app.use(express.static(path.join(ROOT_DIR, 'public')));
-
-// Session configuration
-app.use(session({
-    secret: process.env.SESSION_SECRET || 'your-secret-key',
-    resave: false,
-    saveUninitialized: false, // Changed to false to save resources
-    cookie: {
-        secure: process.env.NODE_ENV === 'production', // Only use secure in production
-        httpOnly: true,
-        maxAge: 24 * 60 * 60 * 1000 // 24 hours
-    }
-}));
-
-// File upload configuration
-app.use(fileUpload({
-    limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
-    abortOnLimit: true,
-    createParentPath: true,
-    responseOnLimit: 'File size exceeded',
-    safeFileNames: true,
-    useTempFiles: true,
-    tempFileDir: path.join(ROOT_DIR, 'tmp')
-}));
-
-// CSRF Protection
-const csrfProtection = csurf({
-    cookie: {
-        sameSite: 'Lax',
-        secure: process.env.NODE_ENV === 'production',
-        httpOnly: false
-    }
-});
-
-// Apply CSRF protection to all routes except login/signup
-app.use((req, res, next) => {
-    if (req.path === '/signin' || req.path === '/signup') {
-        return next();
-    }
-    // Skip for GET/HEAD/OPTIONS requests
-    if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
-        return next();
-    }
-    csrfProtection(req, res, next);
-});
-
-// Make CSRF token available to frontend
-app.use((req, res, next) => {
-    if (req.csrfToken) {
+/**
+ * Create the express application
+ * Nothing is started here: the entrypoint (server.js) owns the pool, the schema check,
+ * app.listen and the background schedules, so tests can build an app around any pool.
+ *
+ * @param {Object} options - App dependencies
+ * @param {Object} options.pool - Database pool; services only use query() and getConnection()
+ *                                as provided by mysql2/promise
+ * @param {Object} options.config - Application config (see config.js)
+ * @param {Object} options.clock - Clock used for date calculations (see clock.js)
+ * @param {Object} options.storage - Upload storage (see storage/index.js), created from config.storage by default
+ * @returns {Object} Express app; the automation engine, the notification scheduler, the
+ *                   upload cleaner and the trash purger are available as
+ *                   app.locals.automationEngine, app.locals.notificationScheduler,
+ *                   app.locals.uploadCleaner and app.locals.trashPurger
+ */
+const createApp = ({ pool, config = loadConfig(), clock = systemClock, storage = createStorage(config.storage) }) => {
+    // Initialize express app
+    const app = express();
+
+    // Automation engine (evaluates sensor rules on new readings and on a schedule)
+    const automationEngine = createAutomationEngine(pool, {
+        intervalMs: config.automationIntervalMs,
+        staleAfterMinutes: config.automationStaleMinutes,
+        clock
+    });
+    app.locals.automationEngine = automationEngine;
+
+    // Reminder emails and push notifications (daily, at each user's chosen time of day)
+    const mailer = createMailer(config.mail);
+    const pushSender = createPushSender(pool, config.push);
+    app.locals.notificationScheduler = createNotificationScheduler(pool, {
+        mailer,
+        pushSender,
+        intervalMs: config.notificationIntervalMs,
+        appUrl: config.appUrl,
+        clock
+    });
+
+    // Photo uploads are processed into variants in storage and served by the /media route
+    const fileUploadHandler = createFileUploadHandler(storage);
+
+    // Uploads nothing refers to any more, and leftover temp files, are removed daily
+    app.locals.uploadCleaner = createUploadCleaner(pool, {
+        storage,
+        tmpDir: path.join(ROOT_DIR, 'tmp'),
+        gracePeriodMs: config.uploadCleanup.gracePeriodHours * 60 * 60 * 1000,
+        intervalMs: config.uploadCleanup.intervalMs,
+        clock
+    });
+
+    // Plants that have been in the trash longer than the retention period are deleted for good daily
+    app.locals.trashPurger = createTrashPurger(pool, {
+        storage,
+        retentionDays: config.trash.retentionDays,
+        intervalMs: config.trash.purgeIntervalMs,
+        clock
+    });
+
+    // Rate limiting
+    const authLimiter = rateLimit({
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: 5, // Limit each IP to 5 requests per window
+        message: { message: 'Too many login attempts, please try again later' }
+    });
+
+    // General API rate limiting
+    const apiLimiter = rateLimit({
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: 100, // Limit each IP to 100 requests per window
+        message: { message: 'Too many requests, please try again later' },
+        skip: (req) => Boolean(req.apiToken) // Counted per token by tokenLimiter
+    });
+
+    // API token rate limiting: devices post sensor readings all day, often several behind one IP
+    const tokenLimiter = rateLimit({
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: config.apiTokenRateLimit, // Limit each token to this many requests per window
+        message: { message: 'Too many requests for this API token, please try again later' },
+        keyGenerator: (req) => `token:${req.apiToken.id}`,
+        skip: (req) => !req.apiToken
+    });
+
+    // Middleware
+    app.use(helmet({
+        contentSecurityPolicy: {
+            directives: {
+                ...helmet.contentSecurityPolicy.getDefaultDirectives(),
+                "img-src": ["'self'", "data:", "blob:", ...(storage.origin ? [storage.origin] : [])]
+            }
+        }
+    }));
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: true }));
+    app.use(cookieParser());
+    // Old uploads in public/uploads are private too: the /uploads route checks access first
+    const serveStatic = express.static(path.join(ROOT_DIR, 'public'));
+    app.use((req, res, next) => (req.path.startsWith(LEGACY_PREFIX) ? next() : serveStatic(req, res, next)));
+
+    // API token authentication (must run before the session middleware)
+    app.use('/api', authenticateToken(pool));
+
+    // Session configuration
+    app.use(session({
+        secret: config.sessionSecret,
+        resave: false,
+        saveUninitialized: false, // Changed to false to save resources
+        cookie: {
+            secure: config.isProduction, // Only use secure in production
+            httpOnly: true,
+            maxAge: 24 * 60 * 60 * 1000 // 24 hours
+        }
+    }));
+
+    // File upload configuration
+    app.use(fileUpload({
+        limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+        abortOnLimit: true,
+        createParentPath: true,
+        responseOnLimit: 'File size exceeded',
+        safeFileNames: true,
+        useTempFiles: true,
+        tempFileDir: path.join(ROOT_DIR, 'tmp')
+    }));
+
+    // CSRF Protection
+    const csrfProtection = csurf({
+        cookie: {
+            sameSite: 'Lax',
+            secure: config.isProduction,
+            httpOnly: false
+        }
+    });
+
+    // Apply CSRF protection to all routes except login/signup
+    app.use((req, res, next) => {
+        if (req.path === '/signin' || req.path === '/signup') {
+            return next();
+        }
+        // Skip for GET/HEAD/OPTIONS requests
+        if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+            return next();
+        }
+        // Skip for token-authenticated requests (no cookies involved, so no CSRF risk)
+        if (req.apiToken) {
+            return next();
+        }
+        csrfProtection(req, res, next);
+    });
+
+    // Make CSRF token available to frontend
+    const setCsrfCookie = (req, res) => {
         res.cookie('XSRF-TOKEN', req.csrfToken(), {
             sameSite: 'Lax',
-            secure: process.env.NODE_ENV === 'production',
+            secure: config.isProduction,
             httpOnly: false,
             path: '/'
         });
         res.locals.csrfToken = req.csrfToken();
-    }
-    next();
-});
-
-// Auth Middleware
-const requireAuth = (req, res, next) => {
-    if (!req.session.user) {
-        return res.status(401).json({ message: 'Unauthorized' });
-    }
-    next();
-};
+    };
 
-// Apply API rate limiting
-app.use('/api', apiLimiter);
+    app.use((req, res, next) => {
+        if (req.csrfToken) {
+            setCsrfCookie(req, res);
+        }
+        next();
+    });
 
-// Authentication Routes
-app.post('/signup', [
-    body('username').trim().isLength({ min: 3 }).escape(),
-    body('password').isLength({ min: 8 })
-], async (req, res, next) => {
-    try {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-            return res.status(400).json({ errors: errors.array() });
+    // Auth Middleware
+    // Session-only: routes that API tokens may use are guarded by requireScope instead
+    const requireAuth = (req, res, next) => {
+        if (!req.session.user) {
+            return res.status(401).json({ message: 'Unauthorized' });
+        }
+        if (req.apiToken) {
+            return res.status(403).json({ message: 'This route does not accept API tokens' });
         }
+        next();
+    };
+
+    // Apply API rate limiting
+    app.use('/api', apiLimiter, tokenLimiter);
+
+    // Authentication Routes
+    app.post('/signup', [
+        body('username').trim().isLength({ min: 3 }).escape(),
+        body('password').isLength({ min: 8 })
+    ], async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { username, password } = req.body;
+            const [existingUsers] = await pool.query('SELECT * FROM users WHERE username = ?', [username]);
+
+            if (existingUsers.length > 0) {
+                return res.status(409).json({ message: 'Username already exists' });
+            }
 
-        const { username, password } = req.body;
-        const [existingUsers] = await pool.query('SELECT * FROM users WHERE username = ?', [username]);
+            const hashedPassword = await bcrypt.hash(password, 12);
+            await userService.createUser(pool, username, hashedPassword);
 
-        if (existingUsers.length > 0) {
-            return res.status(409).json({ message: 'Username already exists' });
+            logSecurityEvent(req, 'USER_CREATED', { username });
+            res.status(201).json({ message: 'User created successfully' });
+        } catch (error) {
+            // Taken by a signup that got in between the check and the insert
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({ message: 'Username already exists' });
+            }
+            console.error('Signup error:', error);
+            next(new AppError('Server error during signup', 500));
         }
+    });
+
+    app.post('/signin', authLimiter, [
+        body('username').trim().notEmpty(),
+        body('password').notEmpty()
+    ], async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { username, password } = req.body;
+            const [users] = await pool.query('SELECT * FROM users WHERE username = ?', [username]);
+
+            if (users.length === 0) {
+                logSecurityEvent(req, 'FAILED_LOGIN', { username, reason: 'User not found' });
+                return res.status(401).json({ message: 'Invalid credentials' });
+            }
 
-        const hashedPassword = await bcrypt.hash(password, 12);
-        await pool.query('INSERT INTO users (username, password) VALUES (?, ?)', [username, hashedPassword]);
+            const user = users[0];
+            const isMatch = await bcrypt.compare(password, user.password);
 
-        logSecurityEvent(req, 'USER_CREATED', { username });
-        res.status(201).json({ message: 'User created successfully' });
-    } catch (error) {
-        console.error('Signup error:', error);
-        next(new AppError('Server error during signup', 500));
-    }
-});
+            if (!isMatch) {
+                logSecurityEvent(req, 'FAILED_LOGIN', { username, reason: 'Incorrect password' });
+                return res.status(401).json({ message: 'Invalid credentials' });
+            }
 
-app.post('/signin', authLimiter, [
-    body('username').trim().notEmpty(),
-    body('password').notEmpty()
-], async (req, res, next) => {
-    try {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-            return res.status(400).json({ errors: errors.array() });
+            req.session.user = { id: user.user_id, username: user.username };
+            logSecurityEvent(req, 'SUCCESSFUL_LOGIN', { username, userId: user.user_id });
+            res.json({ message: 'Signed in successfully' });
+        } catch (error) {
+            console.error('Signin error:', error);
+            next(new AppError('Server error during signin', 500));
         }
+    });
+
+    app.post('/logout', requireAuth, (req, res, next) => {
+        const userId = req.session.user.id;
+        const username = req.session.user.username;
+
+        req.session.destroy((err) => {
+            if (err) {
+                return next(new AppError('Error logging out', 500));
+            }
+            res.clearCookie('connect.sid');
+            logSecurityEvent(req, 'LOGOUT', { username, userId });
+            res.json({ message: 'Logged out successfully' });
+        });
+    });
+
+    // Fresh CSRF token, e.g. before replaying changes that were queued while offline
+    app.get('/api/csrf-token', requireAuth, csrfProtection, (req, res) => {
+        setCsrfCookie(req, res);
+        res.json({ csrfToken: res.locals.csrfToken });
+    });
 
-        const { username, password } = req.body;
-        const [users] = await pool.query('SELECT * FROM users WHERE username = ?', [username]);
+    // Plant API Routes
+    app.get('/api/plants', requireScope('plants:read'), async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const plants = await plantService.getUserPlants(pool, userId);
+            res.json(addPhotoUrls(plants));
+        } catch (error) {
+            console.error('Error fetching plants:', error);
+            next(new AppError('Error fetching plants', 500));
+        }
+    });
 
-        if (users.length === 0) {
-            logSecurityEvent(req, 'FAILED_LOGIN', { username, reason: 'User not found' });
-            return res.status(401).json({ message: 'Invalid credentials' });
+    // Trash: deleted plants can be restored until they are purged (registered before /api/plants/:id)
+    app.get('/api/plants/trash', requireScope('plants:read'), async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const plants = await plantService.getDeletedPlants(pool, userId, config.trash.retentionDays);
+            res.json(addPhotoUrls(plants));
+        } catch (error) {
+            console.error('Error fetching trash:', error);
+            next(new AppError('Error fetching trash', 500));
         }
+    });
+
+    app.post('/api/plants/trash/:id/restore', requireAuth, async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const plantId = req.params.id;
 
-        const user = users[0];
-        const isMatch = await bcrypt.compare(password, user.password);
+            const plant = await plantService.restorePlant(pool, plantId, userId);
 
-        if (!isMatch) {
-            logSecurityEvent(req, 'FAILED_LOGIN', { username, reason: 'Incorrect password' });
-            return res.status(401).json({ message: 'Invalid credentials' });
+            if (!plant) {
+                return res.status(404).json({ message: 'Plant not found in trash or unauthorized' });
+            }
+
+            res.json({
+                message: 'Plant restored successfully',
+                plant: addPhotoUrls(plant)
+            });
+        } catch (error) {
+            console.error('Restore plant error:', error);
+            next(new AppError('Error restoring plant', 500));
         }
+    });
+
+    app.delete('/api/plants/trash/:id', requireAuth, async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const plantId = req.params.id;
+
+            const photoKeys = await plantService.purgePlant(pool, plantId, userId);
 
-        req.session.user = { id: user.user_id, username: user.username };
-        logSecurityEvent(req, 'SUCCESSFUL_LOGIN', { username, userId: user.user_id });
-        res.json({ message: 'Signed in successfully' });
-    } catch (error) {
-        console.error('Signin error:', error);
-        next(new AppError('Server error during signin', 500));
-    }
-});
+            if (!photoKeys) {
+                return res.status(404).json({ message: 'Plant not found in trash or unauthorized' });
+            }
 
-app.post('/logout', requireAuth, (req, res, next) => {
-    const userId = req.session.user.id;
-    const username = req.session.user.username;
-    
-    req.session.destroy((err) => {
-        if (err) {
-            return next(new AppError('Error logging out', 500));
+            // Files that cannot be removed now are picked up by the upload cleaner
+            await removePhotoFiles(storage, photoKeys);
+
+            res.json({ message: 'Plant permanently deleted' });
+        } catch (error) {
+            console.error('Purge plant error:', error);
+            next(new AppError('Error permanently deleting plant', 500));
         }
-        res.clearCookie('connect.sid');
-        logSecurityEvent(req, 'LOGOUT', { username, userId });
-        res.json({ message: 'Logged out successfully' });
     });
-});
 
-// Plant API Routes
-app.get('/api/plants', requireAuth, async (req, res, next) => {
-    try {
-        const userId = req.session.user.id;
-        const plants = await plantService.getUserPlants(pool, userId);
-        res.json(plants);
-    } catch (error) {
-        console.error('Error fetching plants:', error);
-        next(new AppError('Error fetching plants', 500));
-    }
-});
-
-app.get('/api/plants/:id', requireAuth, async (req, res, next) => {
-    try {
-        const userId = req.session.user.id;
-        const plantId = req.params.id;
-        
-        const plant = await plantService.getPlantById(pool, plantId, userId);
-        
-        if (!plant) {
-            return res.status(404).json({ message: 'Plant not found or unauthorized' });
-        }
-        
-        res.json(plant);
-    } catch (error) {
-        console.error('Error fetching plant details:', error);
-        next(new AppError('Error fetching plant details', 500));
-    }
-});
-
-app.post('/api/plants', requireAuth, fileUploadHandler, async (req, res, next) => {
-    try {
-        const userId = req.session.user.id;
-        const { plant_cultivar, plant_species, planting_time, est_cropping } = req.body;
+    app.get('/api/plants/:id', requireScope('plants:read'), async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const plantId = req.params.id;
 
-        if (!plant_cultivar || !plant_species || !planting_time) {
-            return res.status(400).json({ message: 'Missing required fields' });
+            const plant = await plantService.getPlantById(pool, plantId, userId);
+
+            if (!plant) {
+                return res.status(404).json({ message: 'Plant not found or unauthorized' });
+            }
+
+            res.json(addPhotoUrls(plant));
+        } catch (error) {
+            console.error('Error fetching plant details:', error);
+            next(new AppError('Error fetching plant details', 500));
         }
+    });
 
-        const plantData = {
-            cultivar: plant_cultivar,
-            species: plant_species,
-            plantingTime: planting_time,
-            estCropping: est_cropping || null,
-            photoUrl: req.photoUrl || null
-        };
+    app.post('/api/plants', requireAuth, fileUploadHandler, async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const { plant_cultivar, plant_species, planting_time, est_cropping, garden_id } = req.body;
 
-        const newPlant = await plantService.addPlant(pool, plantData, userId);
+            if (!plant_cultivar || !plant_species || !planting_time) {
+                return res.status(400).json({ message: 'Missing required fields' });
+            }
 
-        res.status(201).json({
-            message: 'Plant added successfully',
-            plant: newPlant
-        });
-    } catch (error) {
-        console.error('Add plant error:', error);
-        next(new AppError('Error adding plant', 500));
-    }
-});
-
-app.put('/api/plants/:id', requireAuth, fileUploadHandler, async (req, res, next) => {
-    try {
-        const userId = req.session.user.id;
-        const plantId = req.params.id;
-        const { plant_cultivar, plant_species, planting_time, est_cropping } = req.body;
+            const plantData = {
+                cultivar: plant_cultivar,
+                species: plant_species,
+                plantingTime: planting_time,
+                estCropping: est_cropping || null,
+                gardenId: garden_id || null,
+                photoKey: req.photoKey || null
+            };
+
+            const newPlant = await plantService.addPlant(pool, plantData, userId);
 
-        if (!plant_cultivar || !plant_species || !planting_time) {
-            return res.status(400).json({ message: 'Missing required fields' });
+            if (!newPlant) {
+                return res.status(404).json({ message: 'Garden not found or unauthorized' });
+            }
+
+            res.status(201).json({
+                message: 'Plant added successfully',
+                plant: addPhotoUrls(newPlant)
+            });
+        } catch (error) {
+            console.error('Add plant error:', error);
+            next(new AppError('Error adding plant', 500));
         }
+    });
 
-        const plantData = {
-            cultivar: plant_cultivar,
-            species: plant_species,
-            plantingTime: planting_time,
-            estCropping: est_cropping || null,
-            photoUrl: req.photoUrl || null
-        };
+    app.put('/api/plants/:id', requireAuth, fileUploadHandler, async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const plantId = req.params.id;
+            const { plant_cultivar, plant_species, planting_time, est_cropping, garden_id } = req.body;
 
-        const updatedPlant = await plantService.updatePlant(pool, plantId, plantData, userId);
+            if (!plant_cultivar || !plant_species || !planting_time) {
+                return res.status(400).json({ message: 'Missing required fields' });
+            }
 
-        if (!updatedPlant) {
-            return res.status(404).json({ message: 'Plant not found or unauthorized' });
+            const plantData = {
+                cultivar: plant_cultivar,
+                species: plant_species,
+                plantingTime: planting_time,
+                estCropping: est_cropping || null,
+                gardenId: garden_id || null,
+                photoKey: req.photoKey || null
+            };
+
+            const updatedPlant = await plantService.updatePlant(pool, plantId, plantData, userId);
+
+            if (!updatedPlant) {
+                return res.status(404).json({ message: 'Plant or garden not found or unauthorized' });
+            }
+
+            res.json({
+                message: 'Plant updated successfully',
+                plant: addPhotoUrls(updatedPlant)
+            });
+        } catch (error) {
+            console.error('Update plant error:', error);
+            next(new AppError('Error updating plant', 500));
         }
+    });
 
-        res.json({
-            message: 'Plant updated successfully',
-            plant: updatedPlant
-        });
-    } catch (error) {
-        console.error('Update plant error:', error);
-        next(new AppError('Error updating plant', 500));
-    }
-});
-
-app.delete('/api/plants/:id', requireAuth, async (req, res, next) => {
-    try {
-        const userId = req.session.user.id;
-        const plantId = req.params.id;
+    app.delete('/api/plants/:id', requireAuth, async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const plantId = req.params.id;
 
-        const success = await plantService.deletePlant(pool, plantId, userId);
+            const success = await plantService.deletePlant(pool, plantId, userId);
 
-        if (!success) {
-            return res.status(404).json({ message: 'Plant not found or unauthorized' });
+            if (!success) {
+                return res.status(404).json({ message: 'Plant not found or unauthorized' });
+            }
+
+            res.json({ message: 'Plant moved to trash' });
+        } catch (error) {
+            console.error('Delete plant error:', error);
+            next(new AppError('Error deleting plant', 500));
         }
+    });
 
-        res.json({ message: 'Plant deleted successfully' });
-    } catch (error) {
-        console.error('Delete plant error:', error);
-        next(new AppError('Error deleting plant', 500));
-    }
-});
+    // Edit history of a plant, its reminders and health remarks
+    app.get('/api/plants/:id/history', requireScope('plants:read'), async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const plantId = req.params.id;
 
-// Reminder API Routes
-app.get('/api/plants/:id/reminders', requireAuth, async (req, res, next) => {
-    try {
-        const userId = req.session.user.id;
-        const plantId = req.params.id;
-        
-        const reminders = await reminderService.getPlantReminders(pool, plantId, userId);
-        
-        if (reminders === null) {
-            return res.status(404).json({ message: 'Plant not found or unauthorized' });
-        }
-        
-        res.json(reminders);
-    } catch (error) {
-        console.error('Error fetching reminders:', error);
-        next(new AppError('Error fetching reminders', 500));
-    }
-});
-
-app.post('/api/plants/:id/reminders', requireAuth, [
-    body('type').isIn(['watering', 'fertilizing', 'harvesting', 'other']),
-    body('intervalDays').isInt({ min: 1 }),
-    body('startDate').isDate()
-], async (req, res, next) => {
-    try {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-            return res.status(400).json({ errors: errors.array() });
-        }
-        
-        const userId = req.session.user.id;
-        const plantId = req.params.id;
-        const reminderData = {
-            type: req.body.type,
-            intervalDays: req.body.intervalDays,
-            startDate: req.body.startDate,
-            notes: req.body.notes
-        };
-        
-        const reminder = await reminderService.saveReminder(pool, plantId, reminderData, userId);
-        
-        if (reminder === null) {
-            return res.status(404).json({ message: 'Plant not found or unauthorized' });
-        }
-        
-        res.status(201).json({
-            message: 'Reminder saved successfully',
-            reminder
-        });
-    } catch (error) {
-        console.error('Error saving reminder:', error);
-        next(new AppError('Error saving reminder', 500));
-    }
-});
-
-app.put('/api/reminders/:id/complete', requireAuth, async (req, res, next) => {
-    try {
-        const userId = req.session.user.id;
-        const reminderId = req.params.id;
-        
-        const reminder = await reminderService.completeReminder(pool, reminderId, userId);
-        
-        if (reminder === null) {
-            return res.status(404).json({ message: 'Reminder not found or unauthorized' });
-        }
-        
-        res.json({
-            message: 'Reminder marked as completed',
-            reminder
-        });
-    } catch (error) {
-        console.error('Error completing reminder:', error);
-        next(new AppError('Error completing reminder', 500));
-    }
-});
-
-app.delete('/api/reminders/:id', requireAuth, async (req, res, next) => {
-    try {
-        const userId = req.session.user.id;
-        const reminderId = req.params.id;
-        
-        const success = await reminderService.deleteReminder(pool, reminderId, userId);
-        
-        if (!success) {
-            return res.status(404).json({ message: 'Reminder not found or unauthorized' });
-        }
-        
-        res.json({ message: 'Reminder deleted successfully' });
-    } catch (error) {
-        console.error('Error deleting reminder:', error);
-        next(new AppError('Error deleting reminder', 500));
-    }
-});
-
-app.get('/api/reminders/upcoming', requireAuth, async (req, res, next) => {
-    try {
-        const userId = req.session.user.id;
-        const daysAhead = parseInt(req.query.days) || 7;
-        
-        const reminders = await reminderService.getUpcomingReminders(pool, userId, daysAhead);
-        
-        res.json(reminders);
-    } catch (error) {
-        console.error('Error fetching upcoming reminders:', error);
-        next(new AppError('Error fetching upcoming reminders', 500));
-    }
-});
-
-// Plant Health API Routes
-app.get('/api/plants/:id/health', requireAuth, async (req, res, next) => {
-    try {
-        const userId = req.session.user.id;
-        const plantId = req.params.id;
-        
-        const remarks = await healthService.getPlantHealthRemarks(pool, plantId, userId);
-        
-        if (remarks === null) {
-            return res.status(404).json({ message: 'Plant not found or unauthorized' });
-        }
-        
-        res.json(remarks);
-    } catch (error) {
-        console.error('Error fetching health remarks:', error);
-        next(new AppError('Error fetching health remarks', 500));
-    }
-});
-
-app.post('/api/plants/:id/health', requireAuth, [
-    body('remarks').notEmpty().trim()
-], async (req, res, next) => {
-    try {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-            return res.status(400).json({ errors: errors.array() });
-        }
-        
-        const userId = req.session.user.id;
-        const plantId = req.params.id;
-        const remarks = req.body.remarks;
-        
-        const healthRemark = await healthService.addHealthRemark(pool, plantId, remarks, userId);
-        
-        if (healthRemark === null) {
-            return res.status(404).json({ message: 'Plant not found or unauthorized' });
-        }
-        
-        res.status(201).json({
-            message: 'Health remark added successfully',
-            healthRemark
-        });
-    } catch (error) {
-        console.error('Error adding health remark:', error);
-        next(new AppError('Error adding health remark', 500));
-    }
-});
-
-app.get('/api/plants/:id/health/latest', requireAuth, async (req, res, next) => {
-    try {
-        const userId = req.session.user.id;
-        const plantId = req.params.id;
-        
-        const latestRemark = await healthService.getLatestHealthRemark(pool, plantId, userId);
-        
-        if (latestRemark === null) {
-            return res.status(404).json({ message: 'No health remarks found for this plant' });
-        }
-        
-        res.json(latestRemark);
-    } catch (error) {
-        console.error('Error fetching latest health remark:', error);
-        next(new AppError('Error fetching latest health remark', 500));
-    }
-});
-
-// Frontend Routes
-app.get('/', (req, res) => {
-    res.sendFile(path.join(ROOT_DIR, 'public/index.html'));
-});
-
-app.get('/plants', requireAuth, (req, res) => {
-    res.sendFile(path.join(ROOT_DIR, 'public/plants.html'));
-});
-
-// Catch-all route for frontend
-app.get('*', (req, res) => {
-    res.sendFile(path.join(ROOT_DIR, 'public/index.html'));
-});
-
-// Error handler middleware (must be last)
-app.use(handleError);
-
-// Start server
-const PORT = process.env.PORT || 4000;
-app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-});
-
-module.exports = app;
+            const history = await auditService.getPlantHistory(pool, plantId, req.query.limit, userId);
+
+            if (history === null) {
+                return res.status(404).json({ message: 'Plant not found or unauthorized' });
+            }
+
+            res.json(history);
+        } catch (error) {
+            console.error('Error fetching plant history:', error);
+            next(new AppError('Error fetching plant history', 500));
+        }
+    });
+
+    app.post('/api/plants/:id/history/:entryId/revert', requireAuth, async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const plantId = req.params.id;
+
+            const plant = await plantService.revertPlant(pool, plantId, req.params.entryId, userId);
+
+            if (!plant) {
+                return res.status(404).json({ message: 'Plant version not found or unauthorized' });
+            }
+
+            res.json({
+                message: 'Plant reverted successfully',
+                plant: addPhotoUrls(plant)
+            });
+        } catch (error) {
+            console.error('Revert plant error:', error);
+            next(new AppError('Error reverting plant', 500));
+        }
+    });
+
+    // Reminder API Routes
+    app.get('/api/plants/:id/reminders', requireAuth, async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const plantId = req.params.id;
+
+            const reminders = await reminderService.getPlantReminders(pool, plantId, userId);
+
+            if (reminders === null) {
+                return res.status(404).json({ message: 'Plant not found or unauthorized' });
+            }
+
+            res.json(reminders);
+        } catch (error) {
+            console.error('Error fetching reminders:', error);
+            next(new AppError('Error fetching reminders', 500));
+        }
+    });
+
+    // Reminder schedule: a recurrence rule (object or RRULE string), or intervalDays as shorthand for every N days
+    const reminderValidation = [
+        body('type').isIn(['watering', 'fertilizing', 'harvesting', 'other']),
+        body('startDate').isDate({ format: 'YYYY-MM-DD', strictMode: true }),
+        body('recurrence').optional().custom((value, { req }) => {
+            const rule = recurrence.toRule(value);
+            if (recurrence.isValidDay(req.body.startDate) && !recurrence.firstOccurrence(rule, req.body.startDate)) {
+                throw new Error('The recurrence never falls on or after the start date');
+            }
+            return true;
+        }),
+        body('intervalDays').if(body('recurrence').not().exists()).isInt({ min: 1, max: 365 })
+    ];
+
+    /**
+     * Build service input from a validated reminder request
+     * @param {Object} req - Express request
+     * @returns {Object} Reminder data (type, rule, startDate, fromIntervalDays, notes)
+     */
+    const getReminderData = (req) => ({
+        type: req.body.type,
+        rule: req.body.recurrence
+            ? recurrence.toRule(req.body.recurrence)
+            : recurrence.fromIntervalDays(req.body.intervalDays),
+        startDate: req.body.startDate,
+        fromIntervalDays: !req.body.recurrence,
+        notes: req.body.notes
+    });
+
+    app.post('/api/plants/:id/reminders', requireAuth, reminderValidation, async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+            const plantId = req.params.id;
+
+            const reminder = await reminderService.createReminder(pool, plantId, getReminderData(req), userId);
+
+            if (reminder === null) {
+                return res.status(404).json({ message: 'Plant not found or unauthorized' });
+            }
+
+            res.status(201).json({
+                message: 'Reminder saved successfully',
+                reminder
+            });
+        } catch (error) {
+            console.error('Error saving reminder:', error);
+            next(new AppError('Error saving reminder', 500));
+        }
+    });
+
+    app.put('/api/reminders/:id', requireAuth, reminderValidation, async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+            const reminderId = req.params.id;
+
+            const reminder = await reminderService.updateReminder(pool, reminderId, getReminderData(req), userId);
+
+            if (reminder === null) {
+                return res.status(404).json({ message: 'Reminder not found or unauthorized' });
+            }
+
+            res.json({
+                message: 'Reminder updated successfully',
+                reminder
+            });
+        } catch (error) {
+            console.error('Error updating reminder:', error);
+            next(new AppError('Error updating reminder', 500));
+        }
+    });
+
+    app.put('/api/reminders/:id/complete', requireScope('reminders:complete'), [
+        body('note').optional({ values: 'null' }).isString().trim().isLength({ max: 1000 }).escape(),
+        body('quantity').optional({ values: 'null' }).isFloat({ min: 0, max: 99999999 }).toFloat(),
+        body('quantityUnit').optional({ values: 'null' }).isString().trim().escape().isLength({ max: 20 }),
+        body('keepSchedule').optional().isBoolean().toBoolean(),
+        body('completedAt').optional({ values: 'null' }).isISO8601().toDate(),
+        body('expectedDueDate').optional({ values: 'null' }).isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    ], async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+            const reminderId = req.params.id;
+            const completionData = {
+                note: req.body.note,
+                quantity: req.body.quantity,
+                quantityUnit: req.body.quantityUnit,
+                keepSchedule: req.body.keepSchedule,
+                completedAt: req.body.completedAt,
+                expectedDueDate: req.body.expectedDueDate
+            };
+
+            const reminder = await reminderService.completeReminder(pool, reminderId, completionData, userId, clock);
+
+            if (reminder === null) {
+                return res.status(404).json({ message: 'Reminder not found or unauthorized' });
+            }
+
+            if (reminder === false) {
+                return res.status(409).json({ message: 'Reminder is no longer due on that day' });
+            }
+
+            res.json({
+                message: 'Reminder marked as completed',
+                reminder
+            });
+        } catch (error) {
+            console.error('Error completing reminder:', error);
+            next(new AppError('Error completing reminder', 500));
+        }
+    });
+
+    // Snooze by a number of days or until a date that has not passed yet
+    app.put('/api/reminders/:id/snooze', requireScope('reminders:complete'), [
+        body('days').if(body('until').not().exists()).isInt({ min: 1, max: 365 }).toInt(),
+        body('until').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true })
+            .custom(value => value > toDateString(clock.now())).withMessage('Snooze date must be in the future'),
+        body('note').optional({ values: 'null' }).isString().trim().isLength({ max: 1000 }).escape()
+    ], async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+            const reminderId = req.params.id;
+            const snoozeData = {
+                days: req.body.days,
+                until: req.body.until,
+                note: req.body.note
+            };
+
+            const reminder = await reminderService.snoozeReminder(pool, reminderId, snoozeData, userId, clock);
+
+            if (reminder === null) {
+                return res.status(404).json({ message: 'Reminder not found or unauthorized' });
+            }
+
+            if (reminder === false) {
+                return res.status(409).json({ message: 'Reminder schedule has finished' });
+            }
+
+            res.json({
+                message: 'Reminder snoozed',
+                reminder
+            });
+        } catch (error) {
+            console.error('Error snoozing reminder:', error);
+            next(new AppError('Error snoozing reminder', 500));
+        }
+    });
+
+    app.put('/api/reminders/:id/skip', requireScope('reminders:complete'), [
+        body('note').optional({ values: 'null' }).isString().trim().isLength({ max: 1000 }).escape()
+    ], async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+            const reminderId = req.params.id;
+
+            const reminder = await reminderService.skipReminder(pool, reminderId, { note: req.body.note }, userId, clock);
+
+            if (reminder === null) {
+                return res.status(404).json({ message: 'Reminder not found or unauthorized' });
+            }
+
+            if (reminder === false) {
+                return res.status(409).json({ message: 'Reminder schedule has finished' });
+            }
+
+            res.json({
+                message: 'Reminder occurrence skipped',
+                reminder
+            });
+        } catch (error) {
+            console.error('Error skipping reminder:', error);
+            next(new AppError('Error skipping reminder', 500));
+        }
+    });
+
+    app.put('/api/reminders/:id/reschedule', requireScope('reminders:complete'), [
+        body('date').isDate({ format: 'YYYY-MM-DD', strictMode: true })
+            .custom(value => value >= toDateString(clock.now())).withMessage('Date cannot be in the past'),
+        body('note').optional({ values: 'null' }).isString().trim().isLength({ max: 1000 }).escape()
+    ], async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+            const reminderId = req.params.id;
+            const rescheduleData = {
+                date: req.body.date,
+                note: req.body.note
+            };
+
+            const reminder = await reminderService.rescheduleReminder(pool, reminderId, rescheduleData, userId, clock);
+
+            if (reminder === null) {
+                return res.status(404).json({ message: 'Reminder not found or unauthorized' });
+            }
+
+            res.json({
+                message: 'Reminder rescheduled',
+                reminder
+            });
+        } catch (error) {
+            console.error('Error rescheduling reminder:', error);
+            next(new AppError('Error rescheduling reminder', 500));
+        }
+    });
+
+    app.delete('/api/reminders/:id', requireAuth, async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const reminderId = req.params.id;
+
+            const success = await reminderService.deleteReminder(pool, reminderId, userId);
+
+            if (!success) {
+                return res.status(404).json({ message: 'Reminder not found or unauthorized' });
+            }
+
+            res.json({ message: 'Reminder deleted successfully' });
+        } catch (error) {
+            console.error('Error deleting reminder:', error);
+            next(new AppError('Error deleting reminder', 500));
+        }
+    });
+
+    // include=overdue adds reminders that are past their due day in front of the upcoming ones
+    app.get('/api/reminders/upcoming', requireScope('plants:read'), [
+        query('days').optional().isInt({ min: 1, max: 365 }),
+        query('include').optional().isIn(['overdue'])
+    ], async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+            const daysAhead = parseInt(req.query.days) || 7;
+            const includeOverdue = req.query.include === 'overdue';
+
+            const reminders = await reminderService.getUpcomingReminders(pool, userId, daysAhead, includeOverdue, clock);
+
+            res.json(reminders);
+        } catch (error) {
+            console.error('Error fetching upcoming reminders:', error);
+            next(new AppError('Error fetching upcoming reminders', 500));
+        }
+    });
+
+    app.get('/api/reminders/overdue', requireScope('plants:read'), async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+
+            const reminders = await reminderService.getOverdueReminders(pool, userId, clock);
+
+            res.json(reminders);
+        } catch (error) {
+            console.error('Error fetching overdue reminders:', error);
+            next(new AppError('Error fetching overdue reminders', 500));
+        }
+    });
+
+    app.get('/api/reminders/:id/history', requireScope('plants:read'), async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const reminderId = req.params.id;
+
+            const history = await reminderService.getReminderHistory(pool, reminderId, userId);
+
+            if (history === null) {
+                return res.status(404).json({ message: 'Reminder not found or unauthorized' });
+            }
+
+            res.json(history);
+        } catch (error) {
+            console.error('Error fetching reminder history:', error);
+            next(new AppError('Error fetching reminder history', 500));
+        }
+    });
+
+    app.get('/api/plants/:id/care-history', requireScope('plants:read'), async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const plantId = req.params.id;
+
+            const history = await reminderService.getPlantCareHistory(pool, plantId, req.query.limit, userId);
+
+            if (history === null) {
+                return res.status(404).json({ message: 'Plant not found or unauthorized' });
+            }
+
+            res.json(history);
+        } catch (error) {
+            console.error('Error fetching care history:', error);
+            next(new AppError('Error fetching care history', 500));
+        }
+    });
+
+    app.get('/api/reminders/adherence', requireScope('plants:read'), async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const days = Math.min(parseInt(req.query.days) || 90, 365);
+
+            const adherence = await reminderService.getAdherence(pool, userId, days, clock);
+
+            res.json(adherence);
+        } catch (error) {
+            console.error('Error fetching reminder adherence:', error);
+            next(new AppError('Error fetching reminder adherence', 500));
+        }
+    });
+
+    // Plant Health API Routes
+    app.get('/api/plants/:id/health', requireAuth, async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const plantId = req.params.id;
+
+            const remarks = await healthService.getPlantHealthRemarks(pool, plantId, userId);
+
+            if (remarks === null) {
+                return res.status(404).json({ message: 'Plant not found or unauthorized' });
+            }
+
+            res.json(remarks);
+        } catch (error) {
+            console.error('Error fetching health remarks:', error);
+            next(new AppError('Error fetching health remarks', 500));
+        }
+    });
+
+    app.post('/api/plants/:id/health', requireAuth, [
+        body('remarks').notEmpty().trim()
+    ], async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+            const plantId = req.params.id;
+            const remarks = req.body.remarks;
+
+            const healthRemark = await healthService.addHealthRemark(pool, plantId, remarks, userId);
+
+            if (healthRemark === null) {
+                return res.status(404).json({ message: 'Plant not found or unauthorized' });
+            }
+
+            res.status(201).json({
+                message: 'Health remark added successfully',
+                healthRemark
+            });
+        } catch (error) {
+            console.error('Error adding health remark:', error);
+            next(new AppError('Error adding health remark', 500));
+        }
+    });
+
+    app.get('/api/plants/:id/health/latest', requireAuth, async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const plantId = req.params.id;
+
+            const latestRemark = await healthService.getLatestHealthRemark(pool, plantId, userId);
+
+            if (latestRemark === null) {
+                return res.status(404).json({ message: 'No health remarks found for this plant' });
+            }
+
+            res.json(latestRemark);
+        } catch (error) {
+            console.error('Error fetching latest health remark:', error);
+            next(new AppError('Error fetching latest health remark', 500));
+        }
+    });
+
+    // Growing Environment API Routes
+    app.get('/api/soil-types', requireAuth, async (req, res, next) => {
+        try {
+            const soilTypes = await environmentService.getSoilTypes(pool);
+            res.json(soilTypes);
+        } catch (error) {
+            console.error('Error fetching soil types:', error);
+            next(new AppError('Error fetching soil types', 500));
+        }
+    });
+
+    app.get('/api/environments', requireScope('plants:read'), async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const environments = await environmentService.getUserEnvironments(pool, userId);
+            res.json(environments);
+        } catch (error) {
+            console.error('Error fetching environments:', error);
+            next(new AppError('Error fetching environments', 500));
+        }
+    });
+
+    const environmentValidators = [
+        body('name').trim().isLength({ min: 1, max: 100 }).escape(),
+        body('type').optional().isIn(environmentService.ENVIRONMENT_TYPES),
+        body('soilId').optional({ values: 'falsy' }).isInt({ min: 1 })
+    ];
+
+    app.post('/api/environments', requireAuth, [
+        ...environmentValidators,
+        body('gardenId').optional({ values: 'falsy' }).isInt({ min: 1 })
+    ], async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+            const environmentData = {
+                name: req.body.name,
+                type: req.body.type,
+                soilId: req.body.soilId || null,
+                gardenId: req.body.gardenId || null
+            };
+
+            if (environmentData.soilId && !(await environmentService.soilTypeExists(pool, environmentData.soilId))) {
+                return res.status(400).json({ message: 'Unknown soil type' });
+            }
+
+            const environment = await environmentService.createEnvironment(pool, environmentData, userId);
+
+            if (!environment) {
+                return res.status(404).json({ message: 'Garden not found or unauthorized' });
+            }
+
+            res.status(201).json({
+                message: 'Environment created successfully',
+                environment
+            });
+        } catch (error) {
+            console.error('Error creating environment:', error);
+            next(new AppError('Error creating environment', 500));
+        }
+    });
+
+    app.put('/api/environments/:id', requireAuth, environmentValidators, async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+            const environmentId = req.params.id;
+            const environmentData = {
+                name: req.body.name,
+                type: req.body.type,
+                soilId: req.body.soilId || null
+            };
+
+            if (environmentData.soilId && !(await environmentService.soilTypeExists(pool, environmentData.soilId))) {
+                return res.status(400).json({ message: 'Unknown soil type' });
+            }
+
+            const environment = await environmentService.updateEnvironment(pool, environmentId, environmentData, userId);
+
+            if (!environment) {
+                return res.status(404).json({ message: 'Environment not found or unauthorized' });
+            }
+
+            res.json({
+                message: 'Environment updated successfully',
+                environment
+            });
+        } catch (error) {
+            console.error('Error updating environment:', error);
+            next(new AppError('Error updating environment', 500));
+        }
+    });
+
+    app.delete('/api/environments/:id', requireAuth, async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const environmentId = req.params.id;
+
+            const success = await environmentService.deleteEnvironment(pool, environmentId, userId);
+
+            if (!success) {
+                return res.status(404).json({ message: 'Environment not found or unauthorized' });
+            }
+
+            res.json({ message: 'Environment deleted successfully' });
+        } catch (error) {
+            console.error('Error deleting environment:', error);
+            next(new AppError('Error deleting environment', 500));
+        }
+    });
+
+    app.put('/api/plants/:id/environment', requireAuth, [
+        body('environmentId').optional({ values: 'null' }).isInt({ min: 1 })
+    ], async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+            const plantId = req.params.id;
+            const environmentId = req.body.environmentId || null;
+
+            const success = await environmentService.assignPlantToEnvironment(pool, plantId, environmentId, userId);
+
+            if (!success) {
+                return res.status(404).json({ message: 'Plant or environment not found or unauthorized' });
+            }
+
+            res.json({ message: 'Plant environment updated successfully' });
+        } catch (error) {
+            console.error('Error assigning plant to environment:', error);
+            next(new AppError('Error assigning plant to environment', 500));
+        }
+    });
+
+    // Sensor API Routes
+    const sensorReadingValidators = (prefix) => [
+        body(`${prefix}sensorName`).trim().notEmpty().isLength({ max: 50 }),
+        body(`${prefix}sensorType`).optional({ values: 'null' }).trim().isLength({ max: 50 }),
+        body(`${prefix}value`).isFloat({ min: -99999999.99, max: 99999999.99 }).toFloat(),
+        body(`${prefix}timestamp`).optional().isISO8601()
+    ];
+
+    app.post('/api/environments/:id/readings', requireScope('sensors:write'), sensorReadingValidators(''), async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+            const environmentId = req.params.id;
+            const readingData = {
+                sensorName: req.body.sensorName,
+                sensorType: req.body.sensorType,
+                value: req.body.value,
+                timestamp: req.body.timestamp
+            };
+
+            const reading = await sensorService.addReading(pool, environmentId, readingData, userId);
+
+            if (reading === null) {
+                return res.status(404).json({ message: 'Environment not found or unauthorized' });
+            }
+
+            // Evaluate rules in the background so slow actuators don't hold up the sensor
+            automationEngine.evaluateEnvironment(environmentId)
+                .catch(error => console.error('Error evaluating automation rules:', error));
+
+            res.status(201).json({
+                message: 'Reading recorded successfully',
+                reading
+            });
+        } catch (error) {
+            console.error('Error recording sensor reading:', error);
+            next(new AppError('Error recording sensor reading', 500));
+        }
+    });
+
+    app.post('/api/environments/:id/readings/batch', requireScope('sensors:write'), [
+        body('readings').isArray({ min: 1, max: 500 }),
+        ...sensorReadingValidators('readings.*.')
+    ], async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+            const environmentId = req.params.id;
+            const readings = req.body.readings.map(reading => ({
+                sensorName: reading.sensorName,
+                sensorType: reading.sensorType,
+                value: reading.value,
+                timestamp: reading.timestamp
+            }));
+
+            const count = await sensorService.addReadings(pool, environmentId, readings, userId);
+
+            if (count === null) {
+                return res.status(404).json({ message: 'Environment not found or unauthorized' });
+            }
+
+            automationEngine.evaluateEnvironment(environmentId)
+                .catch(error => console.error('Error evaluating automation rules:', error));
+
+            res.status(201).json({
+                message: 'Readings recorded successfully',
+                count
+            });
+        } catch (error) {
+            console.error('Error recording sensor readings:', error);
+            next(new AppError('Error recording sensor readings', 500));
+        }
+    });
+
+    app.get('/api/environments/:id/readings', requireScope('sensors:read'), [
+        query('from').optional().isISO8601(),
+        query('to').optional().isISO8601(),
+        query('sensor').optional().trim().isLength({ max: 50 }),
+        query('type').optional().trim().isLength({ max: 50 }),
+        query('limit').optional().isInt({ min: 1, max: 5000 })
+    ], async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+            const environmentId = req.params.id;
+            const filters = {
+                from: req.query.from,
+                to: req.query.to,
+                sensorName: req.query.sensor,
+                sensorType: req.query.type,
+                limit: req.query.limit
+            };
+
+            const readings = await sensorService.getReadings(pool, environmentId, filters, userId);
+
+            if (readings === null) {
+                return res.status(404).json({ message: 'Environment not found or unauthorized' });
+            }
+
+            res.json(readings);
+        } catch (error) {
+            console.error('Error fetching sensor readings:', error);
+            next(new AppError('Error fetching sensor readings', 500));
+        }
+    });
+
+    app.get('/api/environments/:id/readings/latest', requireScope('sensors:read'), async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const environmentId = req.params.id;
+
+            const readings = await sensorService.getLatestReadings(pool, environmentId, userId);
+
+            if (readings === null) {
+                return res.status(404).json({ message: 'Environment not found or unauthorized' });
+            }
+
+            res.json(readings);
+        } catch (error) {
+            console.error('Error fetching latest sensor readings:', error);
+            next(new AppError('Error fetching latest sensor readings', 500));
+        }
+    });
+
+    // Actuator API Routes
+    app.get('/api/environments/:id/actuators', requireScope('sensors:read'), async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const environmentId = req.params.id;
+
+            const actuators = await actuatorService.getEnvironmentActuators(pool, environmentId, userId);
+
+            if (actuators === null) {
+                return res.status(404).json({ message: 'Environment not found or unauthorized' });
+            }
+
+            res.json(actuators);
+        } catch (error) {
+            console.error('Error fetching actuators:', error);
+            next(new AppError('Error fetching actuators', 500));
+        }
+    });
+
+    app.post('/api/environments/:id/actuators', requireAuth, [
+        body('name').trim().isLength({ min: 1, max: 50 }).escape(),
+        body('type').optional().isIn(actuatorService.ACTUATOR_TYPES),
+        body('driver').optional().custom(value => actuatorDrivers.getDriverNames().includes(value))
+            .withMessage('Unknown actuator driver')
+    ], async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+            const environmentId = req.params.id;
+            const actuatorData = {
+                name: req.body.name,
+                type: req.body.type,
+                driver: req.body.driver
+            };
+
+            const actuator = await actuatorService.registerActuator(pool, environmentId, actuatorData, userId);
+
+            if (actuator === null) {
+                return res.status(404).json({ message: 'Environment not found or unauthorized' });
+            }
+
+            res.status(201).json({
+                message: 'Actuator registered successfully',
+                actuator
+            });
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({ message: 'An actuator with this name already exists in the environment' });
+            }
+            console.error('Error registering actuator:', error);
+            next(new AppError('Error registering actuator', 500));
+        }
+    });
+
+    app.delete('/api/actuators/:id', requireAuth, async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const actuatorId = req.params.id;
+
+            const success = await actuatorService.deleteActuator(pool, actuatorId, userId);
+
+            if (!success) {
+                return res.status(404).json({ message: 'Actuator not found or unauthorized' });
+            }
+
+            res.json({ message: 'Actuator deleted successfully' });
+        } catch (error) {
+            console.error('Error deleting actuator:', error);
+            next(new AppError('Error deleting actuator', 500));
+        }
+    });
+
+    app.put('/api/actuators/:id/state', requireScope('actuators:control'), [
+        body('state').isBoolean().toBoolean()
+    ], async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+            const actuatorId = req.params.id;
+            const source = req.apiToken ? 'api' : 'manual';
+
+            const state = req.body.state ? 1 : 0;
+
+            const actuator = await actuatorService.setActuatorState(pool, actuatorId, state, userId, source);
+
+            if (actuator === null) {
+                return res.status(404).json({ message: 'Actuator not found or unauthorized' });
+            }
+
+            logSecurityEvent(req, 'ACTUATOR_STATE_CHANGED', { actuatorId: actuator.id, state: actuator.state, source });
+            res.json({
+                message: `Actuator switched ${actuator.state ? 'on' : 'off'}`,
+                actuator
+            });
+        } catch (error) {
+            console.error('Error switching actuator:', error);
+            next(new AppError('Error switching actuator', 500));
+        }
+    });
+
+    app.get('/api/actuators/:id/history', requireScope('sensors:read'), [
+        query('from').optional().isISO8601(),
+        query('to').optional().isISO8601(),
+        query('limit').optional().isInt({ min: 1, max: 1000 })
+    ], async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+            const actuatorId = req.params.id;
+            const filters = {
+                from: req.query.from,
+                to: req.query.to,
+                limit: req.query.limit
+            };
+
+            const history = await actuatorService.getActuatorHistory(pool, actuatorId, filters, userId);
+
+            if (history === null) {
+                return res.status(404).json({ message: 'Actuator not found or unauthorized' });
+            }
+
+            res.json(history);
+        } catch (error) {
+            console.error('Error fetching actuator history:', error);
+            next(new AppError('Error fetching actuator history', 500));
+        }
+    });
+
+    // Automation Rule API Routes
+    app.get('/api/environments/:id/rules', requireAuth, async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const environmentId = req.params.id;
+
+            const rules = await automationService.getEnvironmentRules(pool, environmentId, userId);
+
+            if (rules === null) {
+                return res.status(404).json({ message: 'Environment not found or unauthorized' });
+            }
+
+            res.json(rules);
+        } catch (error) {
+            console.error('Error fetching automation rules:', error);
+            next(new AppError('Error fetching automation rules', 500));
+        }
+    });
+
+    app.post('/api/environments/:id/rules', requireAuth, [
+        body('name').trim().isLength({ min: 1, max: 100 }).escape(),
+        body('sensorName').trim().isLength({ min: 1, max: 50 }),
+        body('comparator').isIn(Object.keys(automationService.COMPARATORS)),
+        body('threshold').isFloat({ min: -99999999.99, max: 99999999.99 }).toFloat(),
+        body('durationMinutes').optional().isInt({ min: 0, max: 10080 }).toInt(),
+        body('cooldownMinutes').optional().isInt({ min: 0, max: 10080 }).toInt(),
+        body('actionType').isIn(['actuator', 'reminder']),
+        body('actuatorId').if(body('actionType').equals('actuator')).isInt({ min: 1 }).toInt(),
+        body('actuatorState').if(body('actionType').equals('actuator')).isBoolean().toBoolean(),
+        body('actionDurationMinutes').if(body('actionType').equals('actuator')).optional({ values: 'null' })
+            .isInt({ min: 1, max: 1440 }).toInt(),
+        body('plantId').if(body('actionType').equals('reminder')).isInt({ min: 1 }).toInt(),
+        body('reminderType').if(body('actionType').equals('reminder'))
+            .isIn(['watering', 'fertilizing', 'harvesting', 'other']),
+        body('reminderNotes').optional({ values: 'null' }).trim().isLength({ max: 1000 })
+    ], async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+            const environmentId = req.params.id;
+            const ruleData = {
+                name: req.body.name,
+                sensorName: req.body.sensorName,
+                comparator: req.body.comparator,
+                threshold: req.body.threshold,
+                durationMinutes: req.body.durationMinutes,
+                cooldownMinutes: req.body.cooldownMinutes,
+                actionType: req.body.actionType,
+                actuatorId: req.body.actuatorId,
+                actuatorState: req.body.actuatorState ? 1 : 0,
+                actionDurationMinutes: req.body.actionDurationMinutes,
+                plantId: req.body.plantId,
+                reminderType: req.body.reminderType,
+                reminderNotes: req.body.reminderNotes
+            };
+
+            const rule = await automationService.createRule(pool, environmentId, ruleData, userId);
+
+            if (rule === null) {
+                return res.status(404).json({ message: 'Environment, actuator or plant not found or unauthorized' });
+            }
+
+            res.status(201).json({
+                message: 'Automation rule created successfully',
+                rule
+            });
+        } catch (error) {
+            console.error('Error creating automation rule:', error);
+            next(new AppError('Error creating automation rule', 500));
+        }
+    });
+
+    app.put('/api/rules/:id', requireAuth, [
+        body('isActive').isBoolean().toBoolean()
+    ], async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+            const ruleId = req.params.id;
+
+            const rule = await automationService.setRuleActive(pool, ruleId, req.body.isActive, userId);
+
+            if (rule === null) {
+                return res.status(404).json({ message: 'Automation rule not found or unauthorized' });
+            }
+
+            res.json({
+                message: `Automation rule ${rule.isActive ? 'enabled' : 'disabled'}`,
+                rule
+            });
+        } catch (error) {
+            console.error('Error updating automation rule:', error);
+            next(new AppError('Error updating automation rule', 500));
+        }
+    });
+
+    app.delete('/api/rules/:id', requireAuth, async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const ruleId = req.params.id;
+
+            const success = await automationService.deleteRule(pool, ruleId, userId);
+
+            if (!success) {
+                return res.status(404).json({ message: 'Automation rule not found or unauthorized' });
+            }
+
+            res.json({ message: 'Automation rule deleted successfully' });
+        } catch (error) {
+            console.error('Error deleting automation rule:', error);
+            next(new AppError('Error deleting automation rule', 500));
+        }
+    });
+
+    app.get('/api/environments/:id/rule-firings', requireAuth, async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const environmentId = req.params.id;
+            const limit = parseInt(req.query.limit) || 100;
+
+            const firings = await automationService.getEnvironmentFirings(pool, environmentId, limit, userId);
+
+            if (firings === null) {
+                return res.status(404).json({ message: 'Environment not found or unauthorized' });
+            }
+
+            res.json(firings);
+        } catch (error) {
+            console.error('Error fetching automation rule history:', error);
+            next(new AppError('Error fetching automation rule history', 500));
+        }
+    });
+
+    // Garden Routes: plants belong to gardens shared by their members
+    const gardenNameValidators = [
+        body('name').trim().isLength({ min: 1, max: 100 }).escape()
+    ];
+
+    const gardenRoleValidators = [
+        body('role').isIn(gardenService.GARDEN_ROLES)
+    ];
+
+    app.get('/api/gardens', requireScope('plants:read'), async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const gardens = await gardenService.getUserGardens(pool, userId);
+            res.json(gardens);
+        } catch (error) {
+            console.error('Error fetching gardens:', error);
+            next(new AppError('Error fetching gardens', 500));
+        }
+    });
+
+    app.post('/api/gardens', requireAuth, gardenNameValidators, async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+            const garden = await gardenService.createGarden(pool, req.body.name, userId);
+
+            res.status(201).json({
+                message: 'Garden created successfully',
+                garden
+            });
+        } catch (error) {
+            console.error('Error creating garden:', error);
+            next(new AppError('Error creating garden', 500));
+        }
+    });
+
+    app.put('/api/gardens/:id', requireAuth, gardenNameValidators, async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+            const garden = await gardenService.renameGarden(pool, req.params.id, req.body.name, userId);
+
+            if (!garden) {
+                return res.status(404).json({ message: 'Garden not found or unauthorized' });
+            }
+
+            res.json({
+                message: 'Garden renamed successfully',
+                garden
+            });
+        } catch (error) {
+            console.error('Error renaming garden:', error);
+            next(new AppError('Error renaming garden', 500));
+        }
+    });
+
+    app.get('/api/gardens/:id/members', requireScope('plants:read'), async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const members = await gardenService.getGardenMembers(pool, req.params.id, userId);
+
+            if (!members) {
+                return res.status(404).json({ message: 'Garden not found or unauthorized' });
+            }
+
+            res.json(members);
+        } catch (error) {
+            console.error('Error fetching garden members:', error);
+            next(new AppError('Error fetching garden members', 500));
+        }
+    });
+
+    app.post('/api/gardens/:id/invitations', requireAuth, [
+        body('username').trim().notEmpty().escape(),
+        ...gardenRoleValidators
+    ], async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+            const gardenId = req.params.id;
+            const { username, role } = req.body;
+
+            const invitation = await gardenService.inviteMember(pool, gardenId, username, role, userId);
+
+            if (invitation === null) {
+                return res.status(404).json({ message: 'Garden not found or unauthorized' });
+            }
+
+            if (invitation === false) {
+                return res.status(409).json({ message: 'No user with this username, or they are already a member' });
+            }
+
+            logSecurityEvent(req, 'GARDEN_MEMBER_INVITED', { gardenId, username, role });
+            res.status(201).json({
+                message: 'Invitation sent successfully',
+                invitation
+            });
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({ message: 'This user has already been invited' });
+            }
+            console.error('Error inviting garden member:', error);
+            next(new AppError('Error inviting garden member', 500));
+        }
+    });
+
+    app.delete('/api/gardens/:id/invitations/:invitationId', requireAuth, async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+
+            const success = await gardenService.cancelInvitation(pool, req.params.id, req.params.invitationId, userId);
+
+            if (!success) {
+                return res.status(404).json({ message: 'Invitation not found or unauthorized' });
+            }
+
+            res.json({ message: 'Invitation cancelled successfully' });
+        } catch (error) {
+            console.error('Error cancelling invitation:', error);
+            next(new AppError('Error cancelling invitation', 500));
+        }
+    });
+
+    app.put('/api/gardens/:id/members/:userId', requireAuth, gardenRoleValidators, async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+            const gardenId = req.params.id;
+            const memberId = req.params.userId;
+
+            const member = await gardenService.updateMemberRole(pool, gardenId, memberId, req.body.role, userId);
+
+            if (member === null) {
+                return res.status(404).json({ message: 'Member not found or unauthorized' });
+            }
+
+            if (member === false) {
+                return res.status(409).json({ message: 'A garden needs at least one owner' });
+            }
+
+            logSecurityEvent(req, 'GARDEN_MEMBER_ROLE_CHANGED', { gardenId, memberId, role: member.role });
+            res.json({
+                message: 'Member role updated successfully',
+                member
+            });
+        } catch (error) {
+            console.error('Error updating member role:', error);
+            next(new AppError('Error updating member role', 500));
+        }
+    });
+
+    // Owners remove members; members remove themselves to leave the garden
+    app.delete('/api/gardens/:id/members/:userId', requireAuth, async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const gardenId = req.params.id;
+            const memberId = req.params.userId;
+
+            const removed = await gardenService.removeMember(pool, gardenId, memberId, userId);
+
+            if (removed === null) {
+                return res.status(404).json({ message: 'Member not found or unauthorized' });
+            }
+
+            if (removed === false) {
+                return res.status(409).json({ message: 'A garden needs at least one owner' });
+            }
+
+            logSecurityEvent(req, 'GARDEN_MEMBER_REMOVED', { gardenId, memberId });
+            res.json({ message: 'Member removed successfully' });
+        } catch (error) {
+            console.error('Error removing garden member:', error);
+            next(new AppError('Error removing garden member', 500));
+        }
+    });
+
+    app.get('/api/invitations', requireAuth, async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const invitations = await gardenService.getInvitations(pool, userId);
+            res.json(invitations);
+        } catch (error) {
+            console.error('Error fetching invitations:', error);
+            next(new AppError('Error fetching invitations', 500));
+        }
+    });
+
+    app.post('/api/invitations/:id/accept', requireAuth, async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const garden = await gardenService.acceptInvitation(pool, req.params.id, userId);
+
+            if (!garden) {
+                return res.status(404).json({ message: 'Invitation not found or unauthorized' });
+            }
+
+            logSecurityEvent(req, 'GARDEN_INVITATION_ACCEPTED', { gardenId: garden.id, role: garden.role });
+            res.json({
+                message: 'Invitation accepted successfully',
+                garden
+            });
+        } catch (error) {
+            console.error('Error accepting invitation:', error);
+            next(new AppError('Error accepting invitation', 500));
+        }
+    });
+
+    app.delete('/api/invitations/:id', requireAuth, async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const success = await gardenService.declineInvitation(pool, req.params.id, userId);
+
+            if (!success) {
+                return res.status(404).json({ message: 'Invitation not found or unauthorized' });
+            }
+
+            res.json({ message: 'Invitation declined' });
+        } catch (error) {
+            console.error('Error declining invitation:', error);
+            next(new AppError('Error declining invitation', 500));
+        }
+    });
+
+    // API Token Routes
+    app.get('/api/tokens', requireAuth, async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const tokens = await tokenService.getUserTokens(pool, userId);
+            res.json(tokens);
+        } catch (error) {
+            console.error('Error fetching API tokens:', error);
+            next(new AppError('Error fetching API tokens', 500));
+        }
+    });
+
+    app.post('/api/tokens', requireAuth, [
+        body('name').trim().isLength({ min: 1, max: 100 }).escape(),
+        body('scopes').isArray({ min: 1 }),
+        body('scopes.*').isIn(tokenService.TOKEN_SCOPES),
+        body('expiresInDays').optional({ values: 'null' }).isInt({ min: 1, max: 3650 })
+    ], async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+            const tokenData = {
+                name: req.body.name,
+                scopes: [...new Set(req.body.scopes)],
+                expiresInDays: req.body.expiresInDays
+            };
+
+            const { token, apiToken } = await tokenService.createToken(pool, tokenData, userId);
+
+            logSecurityEvent(req, 'API_TOKEN_CREATED', { tokenId: apiToken.id, name: apiToken.name, scopes: apiToken.scopes });
+            res.status(201).json({
+                message: 'API token created successfully. Copy it now, it will not be shown again.',
+                token,
+                apiToken
+            });
+        } catch (error) {
+            console.error('Error creating API token:', error);
+            next(new AppError('Error creating API token', 500));
+        }
+    });
+
+    app.delete('/api/tokens/:id', requireAuth, async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const tokenId = req.params.id;
+
+            const success = await tokenService.revokeToken(pool, tokenId, userId);
+
+            if (!success) {
+                return res.status(404).json({ message: 'API token not found or already revoked' });
+            }
+
+            logSecurityEvent(req, 'API_TOKEN_REVOKED', { tokenId });
+            res.json({ message: 'API token revoked successfully' });
+        } catch (error) {
+            console.error('Error revoking API token:', error);
+            next(new AppError('Error revoking API token', 500));
+        }
+    });
+
+    // Calendar Routes
+    app.get('/api/calendar.ics', requireScope('plants:read'), async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+
+            const data = await calendarService.getCalendarData(pool, userId);
+
+            res.set('Content-Type', 'text/calendar; charset=utf-8');
+            res.attachment('plant-care.ics');
+            res.send(ical.buildCalendar(data, clock.now()));
+        } catch (error) {
+            console.error('Error exporting calendar:', error);
+            next(new AppError('Error exporting calendar', 500));
+        }
+    });
+
+    // Subscription URL for calendar apps; the secret token in the path is the only credential
+    app.get('/calendar/:token.ics', async (req, res, next) => {
+        try {
+            const userId = await calendarService.findFeedOwner(pool, req.params.token);
+
+            if (!userId) {
+                logSecurityEvent(req, 'FAILED_CALENDAR_FEED_AUTH', { reason: 'Unknown or revoked feed token' });
+                return res.status(404).json({ message: 'Calendar feed not found' });
+            }
+
+            const data = await calendarService.getCalendarData(pool, userId);
+
+            res.set('Content-Type', 'text/calendar; charset=utf-8');
+            res.set('Cache-Control', 'private, no-cache');
+            res.send(ical.buildCalendar(data, clock.now()));
+        } catch (error) {
+            console.error('Error serving calendar feed:', error);
+            next(new AppError('Error serving calendar feed', 500));
+        }
+    });
+
+    app.get('/api/calendar/feed', requireAuth, async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const feed = await calendarService.getFeed(pool, userId);
+            res.json({ feed });
+        } catch (error) {
+            console.error('Error fetching calendar feed:', error);
+            next(new AppError('Error fetching calendar feed', 500));
+        }
+    });
+
+    app.post('/api/calendar/feed', requireAuth, async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+
+            const token = await calendarService.createFeed(pool, userId);
+
+            logSecurityEvent(req, 'CALENDAR_FEED_CREATED', {});
+            res.status(201).json({
+                message: 'Calendar feed created. Copy the URL now, it will not be shown again.',
+                url: `${req.protocol}://${req.get('host')}/calendar/${token}.ics`
+            });
+        } catch (error) {
+            console.error('Error creating calendar feed:', error);
+            next(new AppError('Error creating calendar feed', 500));
+        }
+    });
+
+    app.delete('/api/calendar/feed', requireAuth, async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+
+            const success = await calendarService.revokeFeed(pool, userId);
+
+            if (!success) {
+                return res.status(404).json({ message: 'No calendar feed to revoke' });
+            }
+
+            logSecurityEvent(req, 'CALENDAR_FEED_REVOKED', {});
+            res.json({ message: 'Calendar feed revoked successfully' });
+        } catch (error) {
+            console.error('Error revoking calendar feed:', error);
+            next(new AppError('Error revoking calendar feed', 500));
+        }
+    });
+
+    // Account API Routes
+    app.get('/api/account/notifications', requireAuth, async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+
+            const settings = await notificationService.getNotificationSettings(pool, userId);
+
+            if (settings === null) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+
+            res.json(settings);
+        } catch (error) {
+            console.error('Error fetching notification settings:', error);
+            next(new AppError('Error fetching notification settings', 500));
+        }
+    });
+
+    app.put('/api/account/notifications', requireAuth, [
+        body('email').optional({ values: 'falsy' }).trim().isEmail().normalizeEmail().isLength({ max: 191 }),
+        body('notifyEmail').isBoolean().toBoolean()
+            .custom((value, { req }) => !value || Boolean(req.body.email))
+            .withMessage('An email address is required for email notifications'),
+        body('notifyTime').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Time must be HH:MM'),
+        body('timezone').custom(value => isValidTimeZone(value)).withMessage('Unknown timezone'),
+        body('notifyMode').isIn(['digest', 'per_reminder'])
+    ], async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+            const settings = {
+                email: req.body.email,
+                notifyEmail: req.body.notifyEmail,
+                notifyTime: req.body.notifyTime,
+                timezone: req.body.timezone,
+                notifyMode: req.body.notifyMode
+            };
+
+            const updated = await notificationService.updateNotificationSettings(pool, settings, userId);
+
+            if (updated === null) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+
+            res.json({
+                message: 'Notification settings saved',
+                settings: updated
+            });
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({ message: 'This email address is used by another account' });
+            }
+            console.error('Error saving notification settings:', error);
+            next(new AppError('Error saving notification settings', 500));
+        }
+    });
+
+    app.post('/api/account/notifications/test', requireAuth, async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+
+            const settings = await notificationService.getNotificationSettings(pool, userId);
+
+            if (!settings || !settings.email) {
+                return res.status(409).json({ message: 'Save an email address first' });
+            }
+
+            await mailer.send({
+                to: settings.email,
+                subject: 'Test email from Aedniku Abimees',
+                text: 'Reminder emails will be sent to this address.'
+            });
+
+            res.json({ message: `Test email sent to ${settings.email}` });
+        } catch (error) {
+            console.error('Error sending test email:', error);
+            next(new AppError('Error sending test email', 500));
+        }
+    });
+
+    // Push Notification API Routes
+    app.get('/api/push/public-key', requireAuth, (req, res) => {
+        if (!pushSender.isEnabled) {
+            return res.status(503).json({ message: 'Push notifications are not configured on this server' });
+        }
+
+        res.json({ publicKey: pushSender.publicKey });
+    });
+
+    app.get('/api/push/subscriptions', requireAuth, async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const subscriptions = await pushService.getUserSubscriptions(pool, userId);
+            res.json(subscriptions);
+        } catch (error) {
+            console.error('Error fetching push subscriptions:', error);
+            next(new AppError('Error fetching push subscriptions', 500));
+        }
+    });
+
+    app.post('/api/push/subscriptions', requireAuth, [
+        body('endpoint').isURL({ protocols: ['https'], require_tld: false }).isLength({ max: 500 }),
+        body('keys.p256dh').isString().isLength({ min: 1, max: 255 }),
+        body('keys.auth').isString().isLength({ min: 1, max: 255 })
+    ], async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+            const subscription = {
+                endpoint: req.body.endpoint,
+                keys: req.body.keys,
+                userAgent: req.get('User-Agent')
+            };
+
+            await pushService.saveSubscription(pool, subscription, userId);
+
+            res.status(201).json({ message: 'Push notifications enabled on this device' });
+        } catch (error) {
+            console.error('Error saving push subscription:', error);
+            next(new AppError('Error saving push subscription', 500));
+        }
+    });
+
+    app.delete('/api/push/subscriptions', requireAuth, [
+        body('endpoint').isString().notEmpty()
+    ], async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+
+            const success = await pushService.deleteSubscription(pool, req.body.endpoint, userId);
+
+            if (!success) {
+                return res.status(404).json({ message: 'Push subscription not found' });
+            }
+
+            res.json({ message: 'Push notifications disabled on this device' });
+        } catch (error) {
+            console.error('Error deleting push subscription:', error);
+            next(new AppError('Error deleting push subscription', 500));
+        }
+    });
+
+    // Harvest API Routes
+    app.get('/api/plants/:id/harvests', requireScope('plants:read'), async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const plantId = req.params.id;
+
+            const harvests = await harvestService.getPlantHarvests(pool, plantId, userId);
+
+            if (harvests === null) {
+                return res.status(404).json({ message: 'Plant not found or unauthorized' });
+            }
+
+            res.json(harvests);
+        } catch (error) {
+            console.error('Error fetching harvests:', error);
+            next(new AppError('Error fetching harvests', 500));
+        }
+    });
+
+    // Totals per unit and the first harvest compared with the est_cropping estimate
+    app.get('/api/plants/:id/harvests/summary', requireScope('plants:read'), async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const plantId = req.params.id;
+
+            const summary = await harvestService.getPlantHarvestSummary(pool, plantId, userId);
+
+            if (summary === null) {
+                return res.status(404).json({ message: 'Plant not found or unauthorized' });
+            }
+
+            res.json(summary);
+        } catch (error) {
+            console.error('Error fetching harvest summary:', error);
+            next(new AppError('Error fetching harvest summary', 500));
+        }
+    });
+
+    const harvestValidators = [
+        body('harvestedOn').isDate({ format: 'YYYY-MM-DD', strictMode: true })
+            .custom(value => value <= toDateString(clock.now())).withMessage('Harvest date cannot be in the future'),
+        body('quantity').isFloat({ min: 0.01, max: 99999999 }).toFloat(),
+        body('unit').isIn(harvestService.HARVEST_UNITS),
+        body('qualityNotes').optional({ values: 'null' }).isString().trim().isLength({ max: 1000 }).escape()
+    ];
+
+    app.post('/api/plants/:id/harvests', requireAuth, harvestValidators, async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+            const plantId = req.params.id;
+            const harvestData = {
+                harvestedOn: req.body.harvestedOn,
+                quantity: req.body.quantity,
+                unit: req.body.unit,
+                qualityNotes: req.body.qualityNotes
+            };
+
+            const harvest = await harvestService.addHarvest(pool, plantId, harvestData, userId);
+
+            if (harvest === null) {
+                return res.status(404).json({ message: 'Plant not found or unauthorized' });
+            }
+
+            res.status(201).json({
+                message: 'Harvest logged successfully',
+                harvest
+            });
+        } catch (error) {
+            console.error('Error logging harvest:', error);
+            next(new AppError('Error logging harvest', 500));
+        }
+    });
+
+    app.put('/api/harvests/:id', requireAuth, harvestValidators, async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+            const harvestId = req.params.id;
+            const harvestData = {
+                harvestedOn: req.body.harvestedOn,
+                quantity: req.body.quantity,
+                unit: req.body.unit,
+                qualityNotes: req.body.qualityNotes
+            };
+
+            const harvest = await harvestService.updateHarvest(pool, harvestId, harvestData, userId);
+
+            if (harvest === null) {
+                return res.status(404).json({ message: 'Harvest not found or unauthorized' });
+            }
+
+            res.json({
+                message: 'Harvest updated successfully',
+                harvest
+            });
+        } catch (error) {
+            console.error('Error updating harvest:', error);
+            next(new AppError('Error updating harvest', 500));
+        }
+    });
+
+    app.delete('/api/harvests/:id', requireAuth, async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const harvestId = req.params.id;
+
+            const success = await harvestService.deleteHarvest(pool, harvestId, userId);
+
+            if (!success) {
+                return res.status(404).json({ message: 'Harvest not found or unauthorized' });
+            }
+
+            res.json({ message: 'Harvest deleted successfully' });
+        } catch (error) {
+            console.error('Error deleting harvest:', error);
+            next(new AppError('Error deleting harvest', 500));
+        }
+    });
+
+    // Yield per plant, species or season (calendar year), optionally for one season only
+    app.get('/api/harvests/yield', requireScope('plants:read'), [
+        query('groupBy').optional().isIn(Object.keys(harvestService.YIELD_GROUPINGS)),
+        query('season').optional().isInt({ min: 1900, max: 2999 }).toInt()
+    ], async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+
+            const stats = await harvestService.getYieldStats(pool, userId, req.query.groupBy || 'plant', req.query.season || null);
+
+            res.json(stats);
+        } catch (error) {
+            console.error('Error fetching yield statistics:', error);
+            next(new AppError('Error fetching yield statistics', 500));
+        }
+    });
+
+    // Growth Measurement API Routes
+    app.get('/api/plants/:id/measurements', requireScope('plants:read'), [
+        query('metric').optional().isIn(Object.keys(measurementService.MEASUREMENT_METRICS))
+    ], async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+            const plantId = req.params.id;
+
+            const measurements = await measurementService.getPlantMeasurements(pool, plantId, userId, req.query.metric || null);
+
+            if (measurements === null) {
+                return res.status(404).json({ message: 'Plant not found or unauthorized' });
+            }
+
+            res.json(addPhotoUrls(measurements));
+        } catch (error) {
+            console.error('Error fetching measurements:', error);
+            next(new AppError('Error fetching measurements', 500));
+        }
+    });
+
+    app.get('/api/plants/:id/measurements.csv', requireScope('plants:read'), async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const plantId = req.params.id;
+
+            const measurements = await measurementService.getPlantMeasurements(pool, plantId, userId);
+
+            if (measurements === null) {
+                return res.status(404).json({ message: 'Plant not found or unauthorized' });
+            }
+
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.attachment(`plant-${plantId}-growth.csv`);
+            res.send(csv.buildCsv([
+                { header: 'date', value: measurement => measurement.measuredOn },
+                { header: 'metric', value: measurement => measurement.metric },
+                { header: 'value', value: measurement => measurement.value },
+                { header: 'unit', value: measurement => measurement.unit },
+                { header: 'base_value', value: measurement => measurement.baseValue },
+                { header: 'base_unit', value: measurement => measurement.baseUnit },
+                { header: 'photo_key', value: measurement => measurement.photoKey }
+            ], measurements));
+        } catch (error) {
+            console.error('Error exporting measurements:', error);
+            next(new AppError('Error exporting measurements', 500));
+        }
+    });
+
+    // Multipart when a photo is attached, so numbers arrive as strings and are converted here
+    const measurementValidators = [
+        body('metric').isIn(Object.keys(measurementService.MEASUREMENT_METRICS)),
+        body('measuredOn').isDate({ format: 'YYYY-MM-DD', strictMode: true })
+            .custom(value => value <= toDateString(clock.now())).withMessage('Measurement date cannot be in the future'),
+        body('unit').optional({ values: 'falsy' }).isIn(measurementService.MEASUREMENT_UNITS),
+        body('value').isFloat().withMessage('Value must be a number').bail().toFloat().custom((value, { req }) => {
+            const message = measurementService.checkMeasurement(req.body.metric, value, req.body.unit);
+            if (message) {
+                throw new Error(message);
+            }
+            return true;
+        })
+    ];
+
+    app.post('/api/plants/:id/measurements', requireAuth, fileUploadHandler, measurementValidators, async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+            const plantId = req.params.id;
+            const measurementData = {
+                metric: req.body.metric,
+                value: req.body.value,
+                unit: req.body.unit,
+                measuredOn: req.body.measuredOn,
+                photoKey: req.photoKey || null
+            };
+
+            const measurement = await measurementService.addMeasurement(pool, plantId, measurementData, userId);
+
+            if (measurement === null) {
+                return res.status(404).json({ message: 'Plant not found or unauthorized' });
+            }
+
+            res.status(201).json({
+                message: 'Measurement recorded successfully',
+                measurement: addPhotoUrls(measurement)
+            });
+        } catch (error) {
+            console.error('Error recording measurement:', error);
+            next(new AppError('Error recording measurement', 500));
+        }
+    });
+
+    app.put('/api/measurements/:id', requireAuth, fileUploadHandler, measurementValidators, async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+            const measurementId = req.params.id;
+            const measurementData = {
+                metric: req.body.metric,
+                value: req.body.value,
+                unit: req.body.unit,
+                measuredOn: req.body.measuredOn,
+                photoKey: req.photoKey || null
+            };
+
+            const measurement = await measurementService.updateMeasurement(pool, measurementId, measurementData, userId);
+
+            if (measurement === null) {
+                return res.status(404).json({ message: 'Measurement not found or unauthorized' });
+            }
+
+            res.json({
+                message: 'Measurement updated successfully',
+                measurement: addPhotoUrls(measurement)
+            });
+        } catch (error) {
+            console.error('Error updating measurement:', error);
+            next(new AppError('Error updating measurement', 500));
+        }
+    });
+
+    app.delete('/api/measurements/:id', requireAuth, async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const measurementId = req.params.id;
+
+            const success = await measurementService.deleteMeasurement(pool, measurementId, userId);
+
+            if (!success) {
+                return res.status(404).json({ message: 'Measurement not found or unauthorized' });
+            }
+
+            res.json({ message: 'Measurement deleted successfully' });
+        } catch (error) {
+            console.error('Error deleting measurement:', error);
+            next(new AppError('Error deleting measurement', 500));
+        }
+    });
+
+    // Photo Gallery API Routes
+    app.get('/api/plants/:id/photos', requireScope('plants:read'), async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const plantId = req.params.id;
+
+            const photos = await photoService.getPlantPhotos(pool, plantId, userId);
+
+            if (photos === null) {
+                return res.status(404).json({ message: 'Plant not found or unauthorized' });
+            }
+
+            res.json(addPhotoUrls(photos));
+        } catch (error) {
+            console.error('Error fetching photos:', error);
+            next(new AppError('Error fetching photos', 500));
+        }
+    });
+
+    const photoValidators = [
+        body('caption').optional({ values: 'null' }).isString().trim().isLength({ max: 255 }).escape(),
+        body('takenOn').optional({ values: 'falsy' }).isDate({ format: 'YYYY-MM-DD', strictMode: true })
+            .custom(value => value <= toDateString(clock.now())).withMessage('Photo date cannot be in the future'),
+        body('isCover').optional().isBoolean().toBoolean()
+    ];
+
+    app.post('/api/plants/:id/photos', requireAuth, fileUploadHandler, photoValidators, async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            if (!req.photoKey) {
+                return res.status(400).json({ message: 'No photo uploaded' });
+            }
+
+            const userId = req.session.user.id;
+            const plantId = req.params.id;
+            const photoData = {
+                photoKey: req.photoKey,
+                caption: req.body.caption,
+                takenOn: req.body.takenOn || toDateString(clock.now()),
+                isCover: req.body.isCover || false
+            };
+
+            const photo = await photoService.addPhoto(pool, plantId, photoData, userId);
+
+            if (photo === null) {
+                return res.status(404).json({ message: 'Plant not found or unauthorized' });
+            }
+
+            res.status(201).json({
+                message: 'Photo added successfully',
+                photo: addPhotoUrls(photo)
+            });
+        } catch (error) {
+            console.error('Error adding photo:', error);
+            next(new AppError('Error adding photo', 500));
+        }
+    });
+
+    app.put('/api/plants/:id/photos/order', requireAuth, [
+        body('photoIds').isArray({ min: 1 }),
+        body('photoIds.*').isInt({ min: 1 }).toInt()
+    ], async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+            const plantId = req.params.id;
+
+            const photos = await photoService.reorderPhotos(pool, plantId, req.body.photoIds, userId);
+
+            if (photos === null) {
+                return res.status(404).json({ message: 'Plant not found or unauthorized' });
+            }
+
+            if (photos === false) {
+                return res.status(400).json({ message: 'The new order must list every photo of the plant once' });
+            }
+
+            res.json(addPhotoUrls(photos));
+        } catch (error) {
+            console.error('Error reordering photos:', error);
+            next(new AppError('Error reordering photos', 500));
+        }
+    });
+
+    app.put('/api/photos/:id', requireAuth, photoValidators, async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+            const photoId = req.params.id;
+            const photoData = {
+                caption: req.body.caption,
+                takenOn: req.body.takenOn,
+                isCover: req.body.isCover
+            };
+
+            const photo = await photoService.updatePhoto(pool, photoId, photoData, userId);
+
+            if (photo === null) {
+                return res.status(404).json({ message: 'Photo not found or unauthorized' });
+            }
+
+            res.json({
+                message: 'Photo updated successfully',
+                photo: addPhotoUrls(photo)
+            });
+        } catch (error) {
+            console.error('Error updating photo:', error);
+            next(new AppError('Error updating photo', 500));
+        }
+    });
+
+    app.delete('/api/photos/:id', requireAuth, async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const photoId = req.params.id;
+
+            const success = await photoService.deletePhoto(pool, photoId, userId);
+
+            if (!success) {
+                return res.status(404).json({ message: 'Photo not found or unauthorized' });
+            }
+
+            res.json({ message: 'Photo deleted successfully' });
+        } catch (error) {
+            console.error('Error deleting photo:', error);
+            next(new AppError('Error deleting photo', 500));
+        }
+    });
+
+    // Photo Sharing API Routes
+    app.get('/api/plants/:id/sharing', requireAuth, async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const plantId = req.params.id;
+
+            const sharing = await sharingService.getSharing(pool, plantId, userId);
+
+            if (sharing === null) {
+                return res.status(404).json({ message: 'Plant not found or unauthorized' });
+            }
+
+            res.json(sharing);
+        } catch (error) {
+            console.error('Error fetching photo sharing:', error);
+            next(new AppError('Error fetching photo sharing', 500));
+        }
+    });
+
+    app.post('/api/plants/:id/sharing', requireAuth, async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const plantId = req.params.id;
+
+            const token = await sharingService.sharePlant(pool, plantId, userId);
+
+            if (token === null) {
+                return res.status(404).json({ message: 'Plant not found or unauthorized' });
+            }
+
+            logSecurityEvent(req, 'PLANT_SHARED', { plantId });
+            res.status(201).json({
+                message: 'Share link created. Copy the URL now, it will not be shown again.',
+                url: `${req.protocol}://${req.get('host')}/shared/${token}`
+            });
+        } catch (error) {
+            console.error('Error sharing plant:', error);
+            next(new AppError('Error sharing plant', 500));
+        }
+    });
+
+    app.delete('/api/plants/:id/sharing', requireAuth, async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+            const plantId = req.params.id;
+
+            const success = await sharingService.stopSharing(pool, plantId, userId);
+
+            if (!success) {
+                return res.status(404).json({ message: 'Plant not found, not shared or unauthorized' });
+            }
+
+            logSecurityEvent(req, 'PLANT_SHARING_STOPPED', { plantId });
+            res.json({ message: 'Plant is no longer shared' });
+        } catch (error) {
+            console.error('Error stopping photo sharing:', error);
+            next(new AppError('Error stopping photo sharing', 500));
+        }
+    });
+
+    // Gallery behind a share link; the secret token in the path is the only credential
+    app.get('/api/shared/:token', async (req, res, next) => {
+        try {
+            const plant = await sharingService.getSharedPlant(pool, req.params.token);
+
+            if (!plant) {
+                logSecurityEvent(req, 'FAILED_SHARE_LINK_AUTH', { reason: 'Unknown or revoked share token' });
+                return res.status(404).json({ message: 'Shared plant not found' });
+            }
+
+            res.set('Cache-Control', 'private, no-cache');
+            res.json({ ...plant, photos: addPhotoUrls(plant.photos, req.params.token) });
+        } catch (error) {
+            console.error('Error fetching shared plant:', error);
+            next(new AppError('Error fetching shared plant', 500));
+        }
+    });
+
+    // Statistics API Routes
+    app.get('/api/stats/species', requireScope('plants:read'), async (req, res, next) => {
+        try {
+            const userId = req.session.user.id;
+
+            const species = await statsService.getPlantsBySpecies(pool, userId);
+
+            res.json(species);
+        } catch (error) {
+            console.error('Error fetching species statistics:', error);
+            next(new AppError('Error fetching species statistics', 500));
+        }
+    });
+
+    app.get('/api/stats/plantings', requireScope('plants:read'), [
+        query('months').optional().isInt({ min: 1, max: 60 }).toInt()
+    ], async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+
+            const plantings = await statsService.getPlantingsByMonth(pool, userId, req.query.months || 12, clock);
+
+            res.json(plantings);
+        } catch (error) {
+            console.error('Error fetching planting statistics:', error);
+            next(new AppError('Error fetching planting statistics', 500));
+        }
+    });
+
+    app.get('/api/stats/adherence', requireScope('plants:read'), [
+        query('days').optional().isInt({ min: 1, max: 365 }).toInt()
+    ], async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+
+            const adherence = await statsService.getCareAdherence(pool, userId, req.query.days || 90, clock);
+
+            res.json(adherence);
+        } catch (error) {
+            console.error('Error fetching adherence statistics:', error);
+            next(new AppError('Error fetching adherence statistics', 500));
+        }
+    });
+
+    // Harvest totals per species; defaults to the current season
+    app.get('/api/stats/harvests', requireScope('plants:read'), [
+        query('season').optional().isInt({ min: 1900, max: 2999 }).toInt()
+    ], async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+            const season = req.query.season || clock.now().getFullYear();
+
+            const totals = await statsService.getHarvestTotals(pool, userId, season);
+
+            res.json(totals);
+        } catch (error) {
+            console.error('Error fetching harvest statistics:', error);
+            next(new AppError('Error fetching harvest statistics', 500));
+        }
+    });
+
+    app.get('/api/stats/sensors', requireScope('sensors:read'), [
+        query('days').optional().isInt({ min: 1, max: 365 }).toInt()
+    ], async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const userId = req.session.user.id;
+
+            const environments = await statsService.getSensorAverages(pool, userId, req.query.days || 30, clock);
+
+            res.json(environments);
+        } catch (error) {
+            console.error('Error fetching sensor statistics:', error);
+            next(new AppError('Error fetching sensor statistics', 500));
+        }
+    });
+
+    // Photo Routes
+    // Every photo request is checked: a signed in user sees the photos of their own plants,
+    // anyone else only gallery photos of a shared plant, with the share token as ?share=
+    const canViewPhoto = async (req, photoPath) => {
+        if (req.session.user && await findOwnedPhotoFile(pool, photoPath, req.session.user.id)) {
+            return true;
+        }
+
+        return typeof req.query.share === 'string'
+            && (await sharingService.findSharedPhotoFile(pool, photoPath, req.query.share)) !== null;
+    };
+
+    const sendPhoto = (req, res, next, photoPath, file) => {
+        // Files are never rewritten under the same key, so key, size and time identify a version
+        const lastModified = new Date(file.lastModified);
+        const etag = crypto.createHash('sha1')
+            .update(`${photoPath}\n${file.size}\n${lastModified.getTime()}`)
+            .digest('hex');
+
+        res.set('ETag', `"${etag}"`);
+        res.set('Last-Modified', lastModified.toUTCString());
+        // Only the browser may keep a copy: who can see a photo depends on the session
+        res.set('Cache-Control', 'private, max-age=86400');
+
+        if (req.fresh) {
+            file.body.destroy();
+            return res.status(304).end();
+        }
+
+        res.set('Content-Type', file.contentType);
+        res.set('Content-Length', file.size);
+        file.body.on('error', next);
+        file.body.pipe(res);
+    };
+
+    app.get('/media/*', async (req, res, next) => {
+        try {
+            const key = req.params[0];
+
+            // Unknown, not shared and other users' photos all look the same
+            if (!photoFolder(key) || !(await canViewPhoto(req, key))) {
+                return res.status(404).json({ message: 'Photo not found' });
+            }
+
+            // Who can see a photo may change, so only the signed URL is cached, not the way to it
+            if (storage.signedUrl) {
+                res.set('Cache-Control', 'private, no-cache');
+                return res.redirect(302, await storage.signedUrl(key, clock.now()));
+            }
+
+            const file = await storage.get(key);
+
+            if (!file) {
+                return res.status(404).json({ message: 'Photo not found' });
+            }
+
+            sendPhoto(req, res, next, key, file);
+        } catch (error) {
+            console.error('Error serving photo:', error);
+            next(new AppError('Error serving photo', 500));
+        }
+    });
+
+    app.get(`${LEGACY_PREFIX}:file`, async (req, res, next) => {
+        try {
+            const legacyPath = `${LEGACY_PREFIX}${req.params.file}`;
+
+            if (!(await canViewPhoto(req, legacyPath))) {
+                return res.status(404).json({ message: 'Photo not found' });
+            }
+
+            const file = await openLegacyUpload(legacyPath);
+
+            if (!file) {
+                return res.status(404).json({ message: 'Photo not found' });
+            }
+
+            sendPhoto(req, res, next, legacyPath, file);
+        } catch (error) {
+            console.error('Error serving photo:', error);
+            next(new AppError('Error serving photo', 500));
+        }
+    });
+
+    // Frontend Routes
+    app.get('/', (req, res) => {
+        res.sendFile(path.join(ROOT_DIR, 'public/index.html'));
+    });
+
+    app.get('/plants', requireAuth, (req, res) => {
+        res.sendFile(path.join(ROOT_DIR, 'public/plants.html'));
+    });
+
+    app.get('/dashboard', requireAuth, (req, res) => {
+        res.sendFile(path.join(ROOT_DIR, 'public/dashboard.html'));
+    });
+
+    app.get('/shared/:token', (req, res) => {
+        res.sendFile(path.join(ROOT_DIR, 'public/shared.html'));
+    });
+
+    // Catch-all route for frontend
+    app.get('*', (req, res) => {
+        res.sendFile(path.join(ROOT_DIR, 'public/index.html'));
+    });
+
+    // Error handler middleware (must be last)
+    app.use(handleError);
+
+    return app;
+};
+
+module.exports = { createApp };
@@ -0,0 +1,190 @@
+const automationService = require('../db/automationService');
+const actuatorService = require('../db/actuatorService');
+const reminderService = require('../db/reminderService');
+const recurrence = require('../reminders/recurrence');
+const { systemClock, toDateString } = require('../clock');
+
+/**
+ * Automation engine
+ * Evaluates sensor rules when new readings arrive and on a fixed schedule,
+ * runs their actuator or reminder actions and records every firing.
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Object} options - Engine options (intervalMs, staleAfterMinutes, clock)
+ * @returns {Object} Engine with evaluateEnvironment, runScheduled, start and stop
+ */
+const createAutomationEngine = (pool, options = {}) => {
+    const intervalMs = options.intervalMs || 60 * 1000;
+    const clock = options.clock || systemClock;
+    // A sensor's last reading stops counting once it is older than this
+    const staleAfterMs = (options.staleAfterMinutes || 15) * 60 * 1000;
+    let timer = null;
+
+    /**
+     * Run the action of a rule
+     *
+     * @param {Object} rule - automation_rules row
+     * @returns {Promise<Object>} Firing details (result, revertAt)
+     */
+    const runAction = async (rule) => {
+        if (rule.action_type === 'actuator') {
+            const actuator = await actuatorService.setActuatorState(
+                pool, rule.actuator_id, rule.actuator_state, rule.user_id, 'automation'
+            );
+
+            if (!actuator) {
+                throw new Error('Actuator no longer available');
+            }
+
+            // Timed actions are switched back by runScheduled, so they survive a restart
+            const revertAt = rule.action_duration_minutes
+                ? new Date(clock.now().getTime() + rule.action_duration_minutes * 60 * 1000)
+                : null;
+
+            return {
+                result: `Switched ${actuator.name} ${rule.actuator_state ? 'on' : 'off'}`,
+                revertAt
+            };
+        }
+
+        // One-off reminder, due today
+        const reminder = await reminderService.createReminder(pool, rule.user_plant_id, {
+            type: rule.reminder_type,
+            rule: recurrence.toRule({ frequency: 'DAILY', count: 1 }),
+            startDate: toDateString(clock.now()),
+            notes: rule.reminder_notes || rule.name
+        }, rule.user_id);
+
+        if (!reminder) {
+            throw new Error('Plant no longer available');
+        }
+
+        return { result: `Created ${rule.reminder_type} reminder`, revertAt: null };
+    };
+
+    /**
+     * Evaluate a single rule and fire it if its condition has held long enough
+     *
+     * @param {Object} rule - automation_rules row
+     * @returns {Promise<Boolean>} True if the rule fired
+     */
+    const evaluateRule = async (rule) => {
+        const now = clock.now().getTime();
+
+        const condition = await automationService.getConditionState(pool, rule, new Date(now - staleAfterMs));
+
+        if (!condition) {
+            return false;
+        }
+
+        if (now - new Date(condition.since).getTime() < rule.duration_minutes * 60 * 1000) {
+            return false; // Condition hasn't held long enough yet
+        }
+
+        if (!(await automationService.claimFiring(pool, rule.rule_id))) {
+            return false; // Still cooling down, or fired by an evaluation running alongside
+        }
+
+        try {
+            const { result, revertAt } = await runAction(rule);
+            await automationService.recordFiring(pool, rule.rule_id, {
+                sensorValue: condition.value,
+                success: true,
+                result,
+                revertAt
+            });
+        } catch (error) {
+            console.error(`Automation rule ${rule.rule_id} failed:`, error);
+            await automationService.recordFiring(pool, rule.rule_id, {
+                sensorValue: condition.value,
+                success: false,
+                result: error.message.slice(0, 255)
+            });
+        }
+
+        return true;
+    };
+
+    /**
+     * Evaluate the active rules of one environment, or of all environments
+     *
+     * @param {Number|null} environmentId - Environment ID, or null for all
+     * @returns {Promise<Number>} Number of rules that fired
+     */
+    const evaluateEnvironment = async (environmentId = null) => {
+        const rules = await automationService.getActiveRules(pool, environmentId);
+        let fired = 0;
+
+        for (const rule of rules) {
+            try {
+                if (await evaluateRule(rule)) {
+                    fired++;
+                }
+            } catch (error) {
+                console.error(`Error evaluating automation rule ${rule.rule_id}:`, error);
+            }
+        }
+
+        return fired;
+    };
+
+    /**
+     * Switch back timed actuator actions that have run their course
+     *
+     * @returns {Promise<void>}
+     */
+    const revertDueActions = async () => {
+        const firings = await automationService.getDueReverts(pool);
+
+        for (const firing of firings) {
+            try {
+                await actuatorService.setActuatorState(
+                    pool, firing.actuator_id, firing.actuator_state ? 0 : 1, firing.user_id, 'automation'
+                );
+                await automationService.markReverted(pool, firing.firing_id);
+            } catch (error) {
+                console.error(`Error reverting automation firing ${firing.firing_id}:`, error);
+            }
+        }
+    };
+
+    /**
+     * Scheduled tick: revert timed actions, then evaluate every active rule
+     *
+     * @returns {Promise<void>}
+     */
+    const runScheduled = async () => {
+        try {
+            await revertDueActions();
+            await evaluateEnvironment();
+        } catch (error) {
+            console.error('Automation engine error:', error);
+        }
+    };
+
+    /**
+     * Start the schedule
+     */
+    const start = () => {
+        if (timer) return;
+        timer = setInterval(runScheduled, intervalMs);
+        timer.unref();
+    };
+
+    /**
+     * Stop the schedule
+     */
+    const stop = () => {
+        clearInterval(timer);
+        timer = null;
+    };
+
+    return {
+        evaluateEnvironment,
+        runScheduled,
+        start,
+        stop
+    };
+};
+
+module.exports = { createAutomationEngine };
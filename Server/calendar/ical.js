@@ -0,0 +1,166 @@
+/**
+ * iCalendar (RFC 5545) export of plant care reminders and estimated harvests
+ * Each reminder becomes one all-day recurring event starting at its next due day, so a
+ * calendar app shows the same series as the Reminders panel. UIDs are derived from the
+ * database IDs, which lets subscribed calendars replace events instead of duplicating them.
+ */
+
+const recurrence = require('../reminders/recurrence');
+
+const PRODUCT_ID = '-//Aedniku Abimees//Plant Care//EN';
+const UID_DOMAIN = 'aedniku-abimees';
+const CALENDAR_NAME = 'Plant care';
+
+// Lines are folded at 75 octets (RFC 5545 section 3.1)
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value
+ *
+ * @param {String} value - Text
+ * @returns {String} Escaped text
+ */
+const escapeText = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line into chunks of at most 75 octets
+ * Continuation lines start with a single space; multi-byte characters are never split
+ *
+ * @param {String} line - Content line
+ * @returns {String} Folded line (CRLF separated)
+ */
+const foldLine = (line) => {
+    const chunks = [];
+    let chunk = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const size = Buffer.byteLength(char, 'utf8');
+        const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+        if (octets + size > limit) {
+            chunks.push(chunk);
+            chunk = '';
+            octets = 0;
+        }
+
+        chunk += char;
+        octets += size;
+    }
+    chunks.push(chunk);
+
+    return chunks.join('\r\n ');
+};
+
+/**
+ * Format a day as an iCalendar DATE
+ *
+ * @param {String} day - Day (YYYY-MM-DD)
+ * @returns {String} e.g. 20240501
+ */
+const formatDate = (day) => day.replace(/-/g, '');
+
+/**
+ * Format a moment as an iCalendar UTC DATE-TIME
+ *
+ * @param {Date} date - Moment
+ * @returns {String} e.g. 20240501T120000Z
+ */
+const formatTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Capitalise a reminder type for event titles
+ *
+ * @param {String} type - Reminder type
+ * @returns {String} e.g. Watering
+ */
+const formatType = (type) => type.charAt(0).toUpperCase() + type.slice(1);
+
+/**
+ * Build the VEVENT for a reminder series
+ *
+ * @param {Object} reminder - Reminder row (id, type, rrule, nextReminder, occurrencesDone, notes, plantName, plantSpecies)
+ * @param {String} dtstamp - Export timestamp
+ * @returns {Array<String>} Content lines
+ */
+const reminderEvent = (reminder, dtstamp) => {
+    const rule = recurrence.parseRRule(reminder.rrule);
+
+    // The event starts at the next due day, so only the occurrences still to come are counted
+    const remaining = rule.count ? Math.max(rule.count - reminder.occurrencesDone, 1) : null;
+    const plant = `${reminder.plantName} (${reminder.plantSpecies})`;
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:reminder-${reminder.id}@${UID_DOMAIN}`,
+        `DTSTAMP:${dtstamp}`,
+        `DTSTART;VALUE=DATE:${formatDate(recurrence.toDay(reminder.nextReminder))}`,
+        `RRULE:${recurrence.formatRRule({ ...rule, count: remaining })}`,
+        `SUMMARY:${escapeText(`${formatType(reminder.type)}: ${plant}`)}`,
+        ...(reminder.notes ? [`DESCRIPTION:${escapeText(reminder.notes)}`] : []),
+        `CATEGORIES:${escapeText(formatType(reminder.type))}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+    ];
+};
+
+/**
+ * Build the VEVENT for a plant's estimated harvest
+ *
+ * @param {Object} harvest - Row (plantId, plantName, plantSpecies, plantingTime, estCropping)
+ * @param {String} dtstamp - Export timestamp
+ * @returns {Array<String>} Content lines
+ */
+const harvestEvent = (harvest, dtstamp) => {
+    const plantedOn = recurrence.toDay(harvest.plantingTime);
+    const harvestOn = recurrence.addDays(plantedOn, harvest.estCropping);
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:harvest-${harvest.plantId}@${UID_DOMAIN}`,
+        `DTSTAMP:${dtstamp}`,
+        `DTSTART;VALUE=DATE:${formatDate(harvestOn)}`,
+        `SUMMARY:${escapeText(`Estimated harvest: ${harvest.plantName} (${harvest.plantSpecies})`)}`,
+        `DESCRIPTION:${escapeText(`Planted on ${plantedOn}, ${harvest.estCropping} days to cropping`)}`,
+        'CATEGORIES:Harvest',
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+    ];
+};
+
+/**
+ * Build an iCalendar document
+ *
+ * @param {Object} data - reminders and harvests from calendarService.getCalendarData
+ * @param {Date} now - Export time
+ * @returns {String} text/calendar body
+ */
+const buildCalendar = ({ reminders, harvests }, now = new Date()) => {
+    const dtstamp = formatTimestamp(now);
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${CALENDAR_NAME}`,
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H',
+        ...reminders.flatMap(reminder => reminderEvent(reminder, dtstamp)),
+        ...harvests.flatMap(harvest => harvestEvent(harvest, dtstamp)),
+        'END:VCALENDAR'
+    ];
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    escapeText,
+    foldLine,
+    buildCalendar
+};
@@ -0,0 +1,83 @@
+/**
+ * Upload cleanup command
+ * Removes uploaded files that no photo in the database refers to any more, and leftover
+ * temp files of express-fileupload, like the server does once a day. Files younger than
+ * the grace period are kept.
+ *
+ * Usage: npm run clean:uploads [-- <options>]
+ *   --dry-run          List what would be removed without removing anything
+ *   --grace-hours <n>  Grace period in hours (default UPLOAD_CLEANUP_GRACE_HOURS or 24)
+ */
+
+const path = require('path');
+const mysql = require('mysql2/promise');
+const { getDatabaseConfig } = require('./db/databaseConfig');
+const { loadConfig } = require('./config');
+const { createStorage } = require('./storage');
+const { createUploadCleaner, formatBytes } = require('./storage/cleaner');
+
+// Load environment variables
+require('dotenv').config();
+
+const log = (message) => console.log(message);
+
+/**
+ * Read the command line options
+ *
+ * @param {Array<String>} args - Arguments after the script name
+ * @returns {Object} { dryRun, graceHours }; graceHours is undefined when not given
+ * @throws {Error} If --grace-hours is not a non-negative number
+ */
+const parseOptions = (args) => {
+    const options = { dryRun: args.includes('--dry-run'), graceHours: undefined };
+    const graceIndex = args.indexOf('--grace-hours');
+
+    if (graceIndex !== -1) {
+        options.graceHours = Number(args[graceIndex + 1]);
+
+        if (!Number.isFinite(options.graceHours) || options.graceHours < 0) {
+            throw new Error('--grace-hours must be a number of hours, 0 or more');
+        }
+    }
+
+    return options;
+};
+
+const main = async () => {
+    let connection;
+
+    try {
+        const { dryRun, graceHours } = parseOptions(process.argv.slice(2));
+        const config = loadConfig();
+        const gracePeriodHours = graceHours !== undefined ? graceHours : config.uploadCleanup.gracePeriodHours;
+
+        connection = await mysql.createConnection(getDatabaseConfig());
+
+        const cleaner = createUploadCleaner(connection, {
+            storage: createStorage(config.storage),
+            tmpDir: path.join(__dirname, '..', 'tmp'),
+            gracePeriodMs: gracePeriodHours * 60 * 60 * 1000
+        });
+
+        const report = await cleaner.run({ dryRun });
+
+        report.files.forEach(file => {
+            log(`  ${dryRun ? 'would remove' : 'removed'} ${file.area}: ${file.name} (${formatBytes(file.size)})`);
+        });
+
+        log(`${report.files.length} orphaned file(s) older than ${gracePeriodHours} hour(s), `
+            + `${formatBytes(report.reclaimedBytes)} ${dryRun ? 'to reclaim' : 'reclaimed'}`
+            + (report.failed > 0 ? `, ${report.failed} could not be removed` : ''));
+
+        process.exitCode = report.failed > 0 ? 1 : 0;
+    } catch (error) {
+        console.error('Upload cleanup failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        if (connection) {
+            await connection.end();
+        }
+    }
+};
+
+main();
@@ -0,0 +1,77 @@
+/**
+ * Clock abstraction
+ * Code that depends on the current date takes a clock instead of calling new Date()
+ * directly, so tests can pin "now" with e.g. { now: () => new Date('2025-05-01') }.
+ */
+
+// Real time clock used unless another one is injected
+const systemClock = {
+    now: () => new Date()
+};
+
+/**
+ * Format a date as YYYY-MM-DD in server local time, the same day CURDATE() returns
+ *
+ * @param {Date} date - Date to format
+ * @returns {String} Date string
+ */
+const toDateString = (date) => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+].join('-');
+
+/**
+ * Whether a string is an IANA timezone name the runtime knows (e.g. Europe/Tallinn)
+ *
+ * @param {String} timeZone - Timezone name
+ * @returns {Boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Wall clock time of a moment in a timezone
+ * The result is a Date whose local fields (getFullYear, getHours, ...) read as the time in
+ * that timezone, so it can be passed to toDateString or used as a zoned clock's "now"
+ *
+ * @param {Date} date - Moment
+ * @param {String} timeZone - IANA timezone name
+ * @returns {Date} Date with the zoned wall clock time as local time
+ */
+const toZonedDate = (date, timeZone) => {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = parseInt(value);
+    });
+
+    return new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+};
+
+/**
+ * Clock that reads the wall clock time of a timezone
+ *
+ * @param {String} timeZone - IANA timezone name
+ * @param {Object} clock - Underlying clock
+ * @returns {Object} Clock
+ */
+const zonedClock = (timeZone, clock = systemClock) => ({
+    now: () => toZonedDate(clock.now(), timeZone)
+});
+
+module.exports = { systemClock, toDateString, isValidTimeZone, toZonedDate, zonedClock };
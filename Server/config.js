@@ -0,0 +1,73 @@
+/**
+ * Application settings
+ * Read once from the environment by the entrypoint and passed to createApp,
+ * so tests can build an app with their own settings.
+ *
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} Application config
+ */
+const loadConfig = (env = process.env) => {
+    const port = env.PORT || 4000;
+
+    return {
+        port,
+        isProduction: env.NODE_ENV === 'production',
+        sessionSecret: env.SESSION_SECRET || 'your-secret-key',
+        automationIntervalMs: parseInt(env.AUTOMATION_INTERVAL_MS) || 60 * 1000,
+        // Automation rules ignore sensors whose last reading is older than this
+        automationStaleMinutes: parseInt(env.AUTOMATION_STALE_MINUTES) || 15,
+        notificationIntervalMs: parseInt(env.NOTIFICATION_INTERVAL_MS) || 5 * 60 * 1000,
+        // Requests each API token may make per 15 minutes; sensors posting every few seconds need many
+        apiTokenRateLimit: parseInt(env.API_TOKEN_RATE_LIMIT) || 1000,
+        // Public base URL used in links sent by email
+        appUrl: env.APP_URL || `http://localhost:${port}`,
+        mail: {
+            transport: env.MAIL_TRANSPORT || 'console',
+            from: env.MAIL_FROM || 'Aedniku Abimees <noreply@localhost>',
+            dir: env.MAIL_DIR || 'tmp/mail',
+            smtp: {
+                host: env.SMTP_HOST || 'localhost',
+                port: parseInt(env.SMTP_PORT) || 587,
+                secure: env.SMTP_SECURE === 'true',
+                user: env.SMTP_USER,
+                password: env.SMTP_PASSWORD
+            }
+        },
+        // Uploaded photos; local keeps them in a directory outside the public folder
+        storage: {
+            driver: env.STORAGE_DRIVER || 'local',
+            dir: env.STORAGE_DIR || 'storage',
+            s3: {
+                bucket: env.S3_BUCKET,
+                region: env.S3_REGION || 'us-east-1',
+                endpoint: env.S3_ENDPOINT,
+                accessKeyId: env.S3_ACCESS_KEY_ID,
+                secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+                // Self-hosted servers usually need path-style URLs (http://host:9000/bucket/key)
+                forcePathStyle: env.S3_FORCE_PATH_STYLE ? env.S3_FORCE_PATH_STYLE === 'true' : Boolean(env.S3_ENDPOINT),
+                // Browsers load photos from the bucket through short-lived signed URLs; turn off when
+                // browsers cannot reach the bucket, and the app streams photos itself
+                signedUrls: env.S3_SIGNED_URLS !== 'false',
+                signedUrlSeconds: parseInt(env.S3_SIGNED_URL_SECONDS) || 300
+            }
+        },
+        // Removal of uploaded files nothing refers to any more; files younger than the grace period are kept
+        uploadCleanup: {
+            intervalMs: parseInt(env.UPLOAD_CLEANUP_INTERVAL_MS) || 24 * 60 * 60 * 1000,
+            gracePeriodHours: parseFloat(env.UPLOAD_CLEANUP_GRACE_HOURS) || 24
+        },
+        // Deleted plants stay in the trash this long before they are deleted for good
+        trash: {
+            retentionDays: parseInt(env.TRASH_RETENTION_DAYS) || 30,
+            purgeIntervalMs: parseInt(env.TRASH_PURGE_INTERVAL_MS) || 24 * 60 * 60 * 1000
+        },
+        // Web Push is disabled unless a VAPID key pair is configured
+        push: {
+            publicKey: env.VAPID_PUBLIC_KEY,
+            privateKey: env.VAPID_PRIVATE_KEY,
+            subject: env.VAPID_SUBJECT || 'mailto:admin@localhost'
+        }
+    };
+};
+
+module.exports = { loadConfig };
@@ -0,0 +1,224 @@
+/**
+ * Service layer for actuator-related database operations
+ * Every state change is applied through the actuator's driver and logged to actuator_outputs
+ */
+
+const { findOwnedEnvironment, findOwnedActuator } = require('./ownership');
+const actuatorDrivers = require('../actuators');
+
+// Allowed values for actuators.actuator_type
+const ACTUATOR_TYPES = ['pump', 'fan', 'light', 'heater', 'valve', 'other'];
+
+/**
+ * Format an actuators row for API responses
+ *
+ * @param {Object} row - actuators row
+ * @returns {Object} Formatted actuator
+ */
+const formatActuator = (row) => ({
+    id: row.actuator_id,
+    environmentId: row.enviroment_id,
+    name: row.name,
+    type: row.actuator_type,
+    driver: row.driver,
+    state: row.current_state,
+    createdAt: row.created_at
+});
+
+/**
+ * Get all actuators in a growing environment
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} environmentId - Growing environment ID
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Array|null>} Array of actuators or null if environment not found/unauthorized
+ */
+const getEnvironmentActuators = async (pool, environmentId, userId) => {
+    const environment = await findOwnedEnvironment(pool, environmentId, userId, 'viewer');
+
+    if (!environment) {
+        return null; // Environment not found or doesn't belong to user
+    }
+
+    const [actuators] = await pool.query(
+        'SELECT * FROM actuators WHERE enviroment_id = ? ORDER BY name ASC',
+        [environmentId]
+    );
+
+    return actuators.map(formatActuator);
+};
+
+/**
+ * Register a new actuator in a growing environment
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} environmentId - Growing environment ID
+ * @param {Object} actuatorData - Actuator data (name, type, driver)
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Object|null>} Created actuator or null if environment not found/unauthorized
+ */
+const registerActuator = async (pool, environmentId, actuatorData, userId) => {
+    const { name, type, driver } = actuatorData;
+
+    const environment = await findOwnedEnvironment(pool, environmentId, userId);
+
+    if (!environment) {
+        return null; // Environment not found or doesn't belong to user
+    }
+
+    const [insertResult] = await pool.query(
+        'INSERT INTO actuators (enviroment_id, name, actuator_type, driver) VALUES (?, ?, ?, ?)',
+        [environmentId, name, type || 'other', driver || 'simulated']
+    );
+
+    const [result] = await pool.query(
+        'SELECT * FROM actuators WHERE actuator_id = ?',
+        [insertResult.insertId]
+    );
+
+    return formatActuator(result[0]);
+};
+
+/**
+ * Remove an actuator and its command log
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} actuatorId - Actuator ID
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Boolean>} True if successful, false if not found/unauthorized
+ */
+const deleteActuator = async (pool, actuatorId, userId) => {
+    const actuator = await findOwnedActuator(pool, actuatorId, userId);
+
+    if (!actuator) {
+        return false; // Actuator not found or not authorized
+    }
+
+    const [result] = await pool.query(
+        'DELETE FROM actuators WHERE actuator_id = ?',
+        [actuatorId]
+    );
+
+    return result.affectedRows > 0;
+};
+
+/**
+ * Switch an actuator on or off
+ * The driver is called first so the log only records changes that were actually applied
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} actuatorId - Actuator ID
+ * @param {Number} state - 1 for on, 0 for off
+ * @param {Number} userId - User ID (for authorization and the audit log)
+ * @param {String} source - What triggered the change: 'manual', 'api' or 'automation'
+ * @returns {Promise<Object|null>} Updated actuator or null if not found/unauthorized
+ */
+const setActuatorState = async (pool, actuatorId, state, userId, source = 'manual') => {
+    const actuator = await findOwnedActuator(pool, actuatorId, userId);
+
+    if (!actuator) {
+        return null; // Actuator not found or not authorized
+    }
+
+    const driver = actuatorDrivers.getDriver(actuator.driver);
+
+    if (!driver) {
+        throw new Error(`No actuator driver registered for "${actuator.driver}"`);
+    }
+
+    await driver.setState(actuator, state);
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        await connection.query(
+            `INSERT INTO actuator_outputs (actuator_name, state, enviroment_id, actuator_id, changed_by, source)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [actuator.name, state, actuator.enviroment_id, actuatorId, userId, source]
+        );
+
+        await connection.query(
+            'UPDATE actuators SET current_state = ? WHERE actuator_id = ?',
+            [state, actuatorId]
+        );
+
+        await connection.commit();
+
+        const [result] = await connection.query(
+            'SELECT * FROM actuators WHERE actuator_id = ?',
+            [actuatorId]
+        );
+
+        return formatActuator(result[0]);
+    } catch (error) {
+        if (connection) {
+            await connection.rollback();
+        }
+        throw error;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+/**
+ * Get the state change history of an actuator
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} actuatorId - Actuator ID
+ * @param {Object} filters - Optional filters (from, to, limit)
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Array|null>} Array of state changes or null if not found/unauthorized
+ */
+const getActuatorHistory = async (pool, actuatorId, filters, userId) => {
+    const actuator = await findOwnedActuator(pool, actuatorId, userId, 'viewer');
+
+    if (!actuator) {
+        return null; // Actuator not found or not authorized
+    }
+
+    const { from, to } = filters;
+    const limit = Math.min(parseInt(filters.limit) || 100, 1000);
+
+    const conditions = ['ao.actuator_id = ?'];
+    const values = [actuatorId];
+
+    if (from) {
+        conditions.push('ao.timestamp >= ?');
+        values.push(new Date(from));
+    }
+
+    if (to) {
+        conditions.push('ao.timestamp <= ?');
+        values.push(new Date(to));
+    }
+
+    const [history] = await pool.query(`
+        SELECT
+            ao.output_id as id,
+            ao.state,
+            ao.timestamp,
+            ao.source,
+            ao.changed_by as changedById,
+            u.username as changedBy
+        FROM actuator_outputs ao
+        LEFT JOIN users u ON ao.changed_by = u.user_id
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY ao.timestamp DESC, ao.output_id DESC
+        LIMIT ?
+    `, [...values, limit]);
+
+    return history;
+};
+
+module.exports = {
+    ACTUATOR_TYPES,
+    getEnvironmentActuators,
+    registerActuator,
+    deleteActuator,
+    setActuatorState,
+    getActuatorHistory
+};
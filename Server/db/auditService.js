@@ -0,0 +1,193 @@
+/**
+ * Service layer for the audit log of plants, reminders and health remarks
+ * Services record every change they make with a snapshot of the entity's fields before and
+ * after it, and who made it. The log of a plant is its edit history; plant snapshots are
+ * the versions a plant can be reverted to.
+ */
+
+const { findOwnedPlant } = require('./ownership');
+
+// The fields recorded of plants and reminders, read the same way before and after a change;
+// a health remark is recorded as { remarks }
+const SNAPSHOT_QUERIES = {
+    plant: `
+        SELECT
+            ap.plant_cultivar as name,
+            ap.plant_species as species,
+            DATE_FORMAT(up.planting_time, '%Y-%m-%d') as plantingTime,
+            up.est_cropping as estCropping,
+            up.enviroment_id as environmentId,
+            ge.name as environment,
+            g.name as garden
+        FROM user_plants up
+        JOIN all_plants ap ON up.plant_id = ap.plant_id
+        JOIN gardens g ON up.garden_id = g.garden_id
+        LEFT JOIN growing_enviroments ge ON up.enviroment_id = ge.enviroment_id
+        WHERE up.user_plant_id = ?
+    `,
+    reminder: `
+        SELECT
+            reminder_type as type,
+            DATE_FORMAT(start_date, '%Y-%m-%d') as startDate,
+            rrule,
+            notes,
+            is_active = 1 as isActive
+        FROM plant_reminders
+        WHERE reminder_id = ?
+    `
+};
+
+// Snapshot fields that only identify something shown under another field
+const HIDDEN_FIELDS = ['environmentId'];
+
+/**
+ * Read the recorded fields of an entity
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {String} entityType - plant or reminder
+ * @param {Number} entityId - ID of the plant or reminder
+ * @returns {Promise<Object|null>} Snapshot or null if the entity does not exist
+ */
+const getSnapshot = async (db, entityType, entityId) => {
+    const [rows] = await db.query(SNAPSHOT_QUERIES[entityType], [entityId]);
+
+    if (rows.length === 0) {
+        return null;
+    }
+
+    const snapshot = { ...rows[0] };
+    if ('isActive' in snapshot) {
+        snapshot.isActive = snapshot.isActive === 1;
+    }
+    return snapshot;
+};
+
+/**
+ * Fields that differ between two snapshots
+ *
+ * @param {Object|null} before - Snapshot before the change
+ * @param {Object|null} after - Snapshot after the change
+ * @returns {Array} { field, before, after } per changed field
+ */
+const diffSnapshots = (before, after) => {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    return Array.from(fields)
+        .filter(field => !HIDDEN_FIELDS.includes(field))
+        .map(field => ({
+            field,
+            before: before && before[field] !== undefined ? before[field] : null,
+            after: after && after[field] !== undefined ? after[field] : null
+        }))
+        .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+};
+
+/**
+ * Record a change
+ * Updates that left every recorded field as it was are not recorded
+ *
+ * @param {Object} db - Database connection or pool (the connection of the change's transaction, if any)
+ * @param {Object} entry - plantId, entityType, entityId, action, before and after snapshots
+ * @param {Number} actorId - ID of the user who made the change
+ * @returns {Promise<Boolean>} True if the change was recorded
+ */
+const recordChange = async (db, entry, actorId) => {
+    const { plantId, entityType, entityId, action, before = null, after = null } = entry;
+
+    if (['update', 'revert'].includes(action) && diffSnapshots(before, after).length === 0) {
+        return false;
+    }
+
+    await db.query(
+        `INSERT INTO audit_log
+         (user_plant_id, entity_type, entity_id, action, before_values, after_values, actor_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+            plantId,
+            entityType,
+            entityId,
+            action,
+            before ? JSON.stringify(before) : null,
+            after ? JSON.stringify(after) : null,
+            actorId
+        ]
+    );
+
+    return true;
+};
+
+/**
+ * JSON column value as an object (some servers return JSON columns as text)
+ *
+ * @param {Object|String|null} value - Column value
+ * @returns {Object|null} Parsed value
+ */
+const parseSnapshot = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+/**
+ * Get the edit history of a plant: changes to the plant, its reminders and health remarks
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} plantId - Plant ID
+ * @param {Number} limit - Maximum number of entries to return
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Array|null>} Entries, newest first (id, entityType, entityId, action, changes,
+ *   actor, createdAt, canRevert), or null if not found/unauthorized
+ */
+const getPlantHistory = async (pool, plantId, limit, userId) => {
+    const plant = await findOwnedPlant(pool, plantId, userId, 'viewer');
+
+    if (!plant) {
+        return null; // Plant not found or user is not a member of its garden
+    }
+
+    const [entries] = await pool.query(`
+        SELECT a.*, u.username
+        FROM audit_log a
+        LEFT JOIN users u ON a.actor_id = u.user_id
+        WHERE a.user_plant_id = ?
+        ORDER BY a.created_at DESC, a.audit_id DESC
+        LIMIT ?
+    `, [plantId, Math.min(parseInt(limit) || 100, 500)]);
+
+    return entries.map(entry => {
+        const after = parseSnapshot(entry.after_values);
+
+        return {
+            id: entry.audit_id,
+            entityType: entry.entity_type,
+            entityId: entry.entity_id,
+            action: entry.action,
+            changes: diffSnapshots(parseSnapshot(entry.before_values), after),
+            actor: entry.username || null,
+            createdAt: entry.created_at,
+            // Every entry with the plant's fields after it is a version the plant can go back to
+            canRevert: entry.entity_type === 'plant' && after !== null
+        };
+    });
+};
+
+/**
+ * Get a version of a plant: its recorded fields after a change
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {Number} plantId - Plant ID
+ * @param {Number} auditId - ID of the history entry
+ * @returns {Promise<Object|null>} Plant snapshot or null if the entry is not a version of the plant
+ */
+const getPlantVersion = async (db, plantId, auditId) => {
+    const [entries] = await db.query(
+        `SELECT after_values FROM audit_log
+         WHERE audit_id = ? AND user_plant_id = ? AND entity_type = 'plant' AND after_values IS NOT NULL`,
+        [auditId, plantId]
+    );
+
+    return entries.length > 0 ? parseSnapshot(entries[0].after_values) : null;
+};
+
+module.exports = {
+    getSnapshot,
+    recordChange,
+    getPlantHistory,
+    getPlantVersion
+};
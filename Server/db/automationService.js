@@ -0,0 +1,370 @@
+/**
+ * Service layer for automation rule-related database operations
+ * The first group of functions is user-facing and checks ownership;
+ * the second group is used by the automation engine, which runs on behalf of rule owners.
+ */
+
+const {
+    findOwnedPlant,
+    findOwnedEnvironment,
+    findOwnedActuator,
+    findOwnedRule
+} = require('./ownership');
+
+// SQL operators for automation_rules.comparator
+const COMPARATORS = {
+    lt: '<',
+    lte: '<=',
+    gt: '>',
+    gte: '>='
+};
+
+/**
+ * Format an automation_rules row for API responses
+ *
+ * @param {Object} row - automation_rules row
+ * @returns {Object} Formatted rule
+ */
+const formatRule = (row) => ({
+    id: row.rule_id,
+    environmentId: row.enviroment_id,
+    name: row.name,
+    sensorName: row.sensor_name,
+    comparator: row.comparator,
+    threshold: Number(row.threshold),
+    durationMinutes: row.duration_minutes,
+    cooldownMinutes: row.cooldown_minutes,
+    actionType: row.action_type,
+    actuatorId: row.actuator_id,
+    actuatorState: row.actuator_state,
+    actionDurationMinutes: row.action_duration_minutes,
+    plantId: row.user_plant_id,
+    reminderType: row.reminder_type,
+    reminderNotes: row.reminder_notes,
+    isActive: row.is_active === 1,
+    lastFiredAt: row.last_fired_at
+});
+
+/**
+ * Get all automation rules of a growing environment
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} environmentId - Growing environment ID
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Array|null>} Array of rules or null if environment not found/unauthorized
+ */
+const getEnvironmentRules = async (pool, environmentId, userId) => {
+    const environment = await findOwnedEnvironment(pool, environmentId, userId, 'viewer');
+
+    if (!environment) {
+        return null; // Environment not found or doesn't belong to user
+    }
+
+    const [rules] = await pool.query(
+        'SELECT * FROM automation_rules WHERE enviroment_id = ? ORDER BY name ASC',
+        [environmentId]
+    );
+
+    return rules.map(formatRule);
+};
+
+/**
+ * Create an automation rule
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} environmentId - Growing environment ID
+ * @param {Object} ruleData - Rule data
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Object|null>} Created rule or null if environment, actuator or plant not found/unauthorized
+ */
+const createRule = async (pool, environmentId, ruleData, userId) => {
+    const environment = await findOwnedEnvironment(pool, environmentId, userId);
+
+    if (!environment) {
+        return null; // Environment not found or doesn't belong to user
+    }
+
+    if (ruleData.actionType === 'actuator') {
+        // The actuator must be in the same environment as the sensor
+        const actuator = await findOwnedActuator(pool, ruleData.actuatorId, userId);
+
+        if (!actuator || actuator.enviroment_id !== environment.enviroment_id) {
+            return null;
+        }
+    } else {
+        // The plant must be in the environment's garden
+        const plant = await findOwnedPlant(pool, ruleData.plantId, userId);
+
+        if (!plant || plant.garden_id !== environment.garden_id) {
+            return null;
+        }
+    }
+
+    const isActuatorAction = ruleData.actionType === 'actuator';
+
+    const [insertResult] = await pool.query(
+        `INSERT INTO automation_rules
+         (user_id, enviroment_id, name, sensor_name, comparator, threshold, duration_minutes, cooldown_minutes,
+          action_type, actuator_id, actuator_state, action_duration_minutes, user_plant_id, reminder_type, reminder_notes)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            userId,
+            environmentId,
+            ruleData.name,
+            ruleData.sensorName,
+            ruleData.comparator,
+            ruleData.threshold,
+            ruleData.durationMinutes || 0,
+            ruleData.cooldownMinutes === undefined ? 60 : ruleData.cooldownMinutes,
+            ruleData.actionType,
+            isActuatorAction ? ruleData.actuatorId : null,
+            isActuatorAction ? ruleData.actuatorState : null,
+            isActuatorAction ? ruleData.actionDurationMinutes || null : null,
+            isActuatorAction ? null : ruleData.plantId,
+            isActuatorAction ? null : ruleData.reminderType,
+            isActuatorAction ? null : ruleData.reminderNotes || null
+        ]
+    );
+
+    const [result] = await pool.query(
+        'SELECT * FROM automation_rules WHERE rule_id = ?',
+        [insertResult.insertId]
+    );
+
+    return formatRule(result[0]);
+};
+
+/**
+ * Enable or disable an automation rule
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} ruleId - Rule ID
+ * @param {Boolean} isActive - Whether the rule should be evaluated
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Object|null>} Updated rule or null if not found/unauthorized
+ */
+const setRuleActive = async (pool, ruleId, isActive, userId) => {
+    const rule = await findOwnedRule(pool, ruleId, userId);
+
+    if (!rule) {
+        return null; // Rule not found or not authorized
+    }
+
+    await pool.query(
+        'UPDATE automation_rules SET is_active = ? WHERE rule_id = ?',
+        [isActive ? 1 : 0, ruleId]
+    );
+
+    const [result] = await pool.query(
+        'SELECT * FROM automation_rules WHERE rule_id = ?',
+        [ruleId]
+    );
+
+    return formatRule(result[0]);
+};
+
+/**
+ * Delete an automation rule and its firing history
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} ruleId - Rule ID
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Boolean>} True if successful, false if not found/unauthorized
+ */
+const deleteRule = async (pool, ruleId, userId) => {
+    const rule = await findOwnedRule(pool, ruleId, userId);
+
+    if (!rule) {
+        return false; // Rule not found or not authorized
+    }
+
+    const [result] = await pool.query(
+        'DELETE FROM automation_rules WHERE rule_id = ?',
+        [ruleId]
+    );
+
+    return result.affectedRows > 0;
+};
+
+/**
+ * Get the firing history of all rules in a growing environment
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} environmentId - Growing environment ID
+ * @param {Number} limit - Maximum number of firings to return
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Array|null>} Array of firings or null if environment not found/unauthorized
+ */
+const getEnvironmentFirings = async (pool, environmentId, limit, userId) => {
+    const environment = await findOwnedEnvironment(pool, environmentId, userId, 'viewer');
+
+    if (!environment) {
+        return null; // Environment not found or doesn't belong to user
+    }
+
+    const [firings] = await pool.query(`
+        SELECT
+            f.firing_id as id,
+            f.rule_id as ruleId,
+            r.name as ruleName,
+            f.fired_at as firedAt,
+            f.sensor_value as sensorValue,
+            f.success,
+            f.result,
+            f.revert_at as revertAt,
+            f.reverted_at as revertedAt
+        FROM automation_firings f
+        JOIN automation_rules r ON f.rule_id = r.rule_id
+        WHERE r.enviroment_id = ?
+        ORDER BY f.fired_at DESC, f.firing_id DESC
+        LIMIT ?
+    `, [environmentId, Math.min(parseInt(limit) || 100, 1000)]);
+
+    return firings.map(firing => ({
+        ...firing,
+        sensorValue: firing.sensorValue === null ? null : Number(firing.sensorValue),
+        success: firing.success === 1
+    }));
+};
+
+/**
+ * Get active rules for the automation engine
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number|null} environmentId - Limit to one environment, or null for all
+ * @returns {Promise<Array>} automation_rules rows
+ */
+const getActiveRules = async (pool, environmentId = null) => {
+    const [rules] = environmentId
+        ? await pool.query('SELECT * FROM automation_rules WHERE is_active = 1 AND enviroment_id = ?', [environmentId])
+        : await pool.query('SELECT * FROM automation_rules WHERE is_active = 1');
+
+    return rules;
+};
+
+/**
+ * Find out whether a rule's condition currently holds and since when
+ * A sensor that stopped reporting says nothing about now: its last reading only counts
+ * if it was taken after freshAfter
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Object} rule - automation_rules row
+ * @param {Date} freshAfter - Readings taken before this are too old to act on
+ * @returns {Promise<Object|null>} { value, since } or null if the latest reading does not match or is too old
+ */
+const getConditionState = async (pool, rule, freshAfter) => {
+    const operator = COMPARATORS[rule.comparator];
+
+    // Only the latest reading decides whether the condition holds right now
+    const [latest] = await pool.query(`
+        SELECT value, timestamp
+        FROM sensor_inputs
+        WHERE enviroment_id = ? AND sensor_name = ? AND value ${operator} ?
+          AND timestamp >= ?
+          AND timestamp = (
+              SELECT MAX(timestamp) FROM sensor_inputs WHERE enviroment_id = ? AND sensor_name = ?
+          )
+        LIMIT 1
+    `, [rule.enviroment_id, rule.sensor_name, rule.threshold, freshAfter, rule.enviroment_id, rule.sensor_name]);
+
+    if (latest.length === 0) {
+        return null;
+    }
+
+    // The condition has held since the first reading after the last one that did not match
+    const [since] = await pool.query(`
+        SELECT MIN(timestamp) as since
+        FROM sensor_inputs
+        WHERE enviroment_id = ? AND sensor_name = ?
+          AND timestamp > COALESCE((
+              SELECT MAX(timestamp)
+              FROM sensor_inputs
+              WHERE enviroment_id = ? AND sensor_name = ? AND NOT (value ${operator} ?)
+          ), '1000-01-01')
+    `, [rule.enviroment_id, rule.sensor_name, rule.enviroment_id, rule.sensor_name, rule.threshold]);
+
+    return {
+        value: Number(latest[0].value),
+        since: since[0].since
+    };
+};
+
+/**
+ * Claim a firing of a rule by starting its cooldown
+ * The cooldown is checked and started in one statement, so when evaluations of the same
+ * rule overlap (a new reading during the scheduled run) only one of them fires it
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} ruleId - Rule ID
+ * @returns {Promise<Boolean>} True if the rule may fire, false if it is still cooling down
+ */
+const claimFiring = async (pool, ruleId) => {
+    const [result] = await pool.query(
+        `UPDATE automation_rules SET last_fired_at = NOW()
+         WHERE rule_id = ? AND (last_fired_at IS NULL OR last_fired_at < NOW() - INTERVAL cooldown_minutes MINUTE)`,
+        [ruleId]
+    );
+
+    return result.affectedRows === 1;
+};
+
+/**
+ * Record a rule firing (claimed with claimFiring)
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} ruleId - Rule ID
+ * @param {Object} firing - Firing data (sensorValue, success, result, revertAt)
+ * @returns {Promise<void>}
+ */
+const recordFiring = async (pool, ruleId, firing) => {
+    await pool.query(
+        'INSERT INTO automation_firings (rule_id, sensor_value, success, result, revert_at) VALUES (?, ?, ?, ?, ?)',
+        [ruleId, firing.sensorValue, firing.success ? 1 : 0, firing.result, firing.revertAt || null]
+    );
+};
+
+/**
+ * Get timed actuator actions that are due to be switched back
+ *
+ * @param {Object} pool - Database connection pool
+ * @returns {Promise<Array>} Firings joined with their rule
+ */
+const getDueReverts = async (pool) => {
+    const [firings] = await pool.query(`
+        SELECT f.firing_id, r.user_id, r.actuator_id, r.actuator_state
+        FROM automation_firings f
+        JOIN automation_rules r ON f.rule_id = r.rule_id
+        WHERE f.revert_at IS NOT NULL AND f.revert_at <= NOW() AND f.reverted_at IS NULL
+    `);
+
+    return firings;
+};
+
+/**
+ * Mark a timed actuator action as switched back
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} firingId - Firing ID
+ * @returns {Promise<void>}
+ */
+const markReverted = async (pool, firingId) => {
+    await pool.query(
+        'UPDATE automation_firings SET reverted_at = NOW() WHERE firing_id = ?',
+        [firingId]
+    );
+};
+
+module.exports = {
+    COMPARATORS,
+    getEnvironmentRules,
+    createRule,
+    setRuleActive,
+    deleteRule,
+    getEnvironmentFirings,
+    getActiveRules,
+    getConditionState,
+    claimFiring,
+    recordFiring,
+    getDueReverts,
+    markReverted
+};
@@ -0,0 +1,156 @@
+/**
+ * Service layer for calendar feed-related database operations
+ * Each user has at most one secret feed token; creating a new one replaces the old,
+ * so previously shared subscription URLs stop working
+ */
+
+const crypto = require('crypto');
+const { hashToken } = require('./tokenService');
+const { GARDEN_MEMBER_CONDITION, rolesAtLeast } = require('./ownership');
+
+/**
+ * Format a calendar_feeds row for API responses
+ *
+ * @param {Object} row - calendar_feeds row
+ * @returns {Object} Formatted feed (never includes the hash)
+ */
+const formatFeed = (row) => ({
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at
+});
+
+/**
+ * Get a user's calendar feed
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} userId - User ID
+ * @returns {Promise<Object|null>} Feed or null if the user has none
+ */
+const getFeed = async (pool, userId) => {
+    const [feeds] = await pool.query(
+        'SELECT * FROM calendar_feeds WHERE user_id = ?',
+        [userId]
+    );
+
+    return feeds.length > 0 ? formatFeed(feeds[0]) : null;
+};
+
+/**
+ * Create a calendar feed token, replacing the user's previous one
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} userId - User ID
+ * @returns {Promise<String>} Raw token (shown to the user once)
+ */
+const createFeed = async (pool, userId) => {
+    const rawToken = crypto.randomBytes(32).toString('hex');
+
+    await pool.query(
+        `INSERT INTO calendar_feeds (user_id, token_hash)
+         VALUES (?, ?)
+         ON DUPLICATE KEY UPDATE token_hash = VALUES(token_hash), created_at = NOW(), last_used_at = NULL`,
+        [userId, hashToken(rawToken)]
+    );
+
+    return rawToken;
+};
+
+/**
+ * Revoke a user's calendar feed
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} userId - User ID
+ * @returns {Promise<Boolean>} True if a feed was revoked
+ */
+const revokeFeed = async (pool, userId) => {
+    const [result] = await pool.query(
+        'DELETE FROM calendar_feeds WHERE user_id = ?',
+        [userId]
+    );
+
+    return result.affectedRows > 0;
+};
+
+/**
+ * Resolve a feed token to its owner
+ * Records the time of use as a side effect
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {String} rawToken - Raw token from the feed URL
+ * @returns {Promise<Number|null>} User ID or null if the token is unknown or revoked
+ */
+const findFeedOwner = async (pool, rawToken) => {
+    const tokenHash = hashToken(rawToken);
+
+    const [feeds] = await pool.query(
+        'SELECT user_id FROM calendar_feeds WHERE token_hash = ?',
+        [tokenHash]
+    );
+
+    if (feeds.length === 0) {
+        return null;
+    }
+
+    await pool.query(
+        'UPDATE calendar_feeds SET last_used_at = NOW() WHERE token_hash = ?',
+        [tokenHash]
+    );
+
+    return feeds[0].user_id;
+};
+
+/**
+ * Get the reminders and estimated harvests to export for a user
+ * Covers the plants of the gardens the user can edit. Finished series are left out; harvests
+ * need a planting date and an estimated cropping time
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} userId - User ID
+ * @returns {Promise<Object>} { reminders, harvests }
+ */
+const getCalendarData = async (pool, userId) => {
+    const [reminders] = await pool.query(`
+        SELECT
+            r.reminder_id as id,
+            r.reminder_type as type,
+            r.rrule,
+            r.next_reminder as nextReminder,
+            r.occurrences_done as occurrencesDone,
+            r.notes,
+            ap.plant_cultivar as plantName,
+            ap.plant_species as plantSpecies
+        FROM plant_reminders r
+        JOIN user_plants up ON r.user_plant_id = up.user_plant_id
+        JOIN all_plants ap ON up.plant_id = ap.plant_id
+        WHERE ${GARDEN_MEMBER_CONDITION}
+          AND up.is_deleted = 0
+          AND r.is_active = 1
+          AND r.next_reminder IS NOT NULL
+        ORDER BY r.reminder_id
+    `, [userId, rolesAtLeast('editor')]);
+
+    const [harvests] = await pool.query(`
+        SELECT
+            up.user_plant_id as plantId,
+            up.planting_time as plantingTime,
+            up.est_cropping as estCropping,
+            ap.plant_cultivar as plantName,
+            ap.plant_species as plantSpecies
+        FROM user_plants up
+        JOIN all_plants ap ON up.plant_id = ap.plant_id
+        WHERE ${GARDEN_MEMBER_CONDITION}
+          AND up.is_deleted = 0
+          AND up.est_cropping IS NOT NULL
+        ORDER BY up.user_plant_id
+    `, [userId, rolesAtLeast('editor')]);
+
+    return { reminders, harvests };
+};
+
+module.exports = {
+    getFeed,
+    createFeed,
+    revokeFeed,
+    findFeedOwner,
+    getCalendarData
+};
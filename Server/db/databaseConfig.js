@@ -0,0 +1,14 @@
+/**
+ * Database connection settings shared by the server and the migration command
+ *
+ * @returns {Object} mysql2 connection options read from the environment
+ */
+const getDatabaseConfig = () => ({
+    host: process.env.DB_HOST || 'localhost',
+    port: process.env.DB_PORT || 3306,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME
+});
+
+module.exports = { getDatabaseConfig };
@@ -0,0 +1,248 @@
+/**
+ * Service layer for growing environment-related database operations
+ * (greenhouses, raised beds, balconies) and the soil type catalog
+ * Environments belong to gardens: every member sees them, editors change them and assign plants.
+ */
+
+const {
+    ROLES,
+    findGardenMembership,
+    findDefaultGardenId,
+    findOwnedPlant,
+    findOwnedEnvironment
+} = require('./ownership');
+const auditService = require('./auditService');
+
+// Allowed values for growing_enviroments.environment_type
+const ENVIRONMENT_TYPES = ['greenhouse', 'raised_bed', 'balcony', 'field', 'indoor', 'other'];
+
+/**
+ * Get the soil type catalog
+ *
+ * @param {Object} pool - Database connection pool
+ * @returns {Promise<Array>} Array of soil type objects
+ */
+const getSoilTypes = async (pool) => {
+    const [soilTypes] = await pool.query(`
+        SELECT
+            soil_id as id,
+            soil_type as name,
+            ph_range as phRange,
+            description,
+            suitable_plants as suitablePlants
+        FROM soil_types
+        ORDER BY soil_type ASC
+    `);
+
+    return soilTypes;
+};
+
+/**
+ * Check that a soil type exists
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} soilId - Soil type ID
+ * @returns {Promise<Boolean>} True if the soil type exists
+ */
+const soilTypeExists = async (pool, soilId) => {
+    const [soilTypes] = await pool.query('SELECT soil_id FROM soil_types WHERE soil_id = ?', [soilId]);
+    return soilTypes.length > 0;
+};
+
+/**
+ * Get the growing environments of all gardens the user is a member of
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} userId - User ID
+ * @returns {Promise<Array>} Array of environment objects
+ */
+const getUserEnvironments = async (pool, userId) => {
+    const [environments] = await pool.query(`
+        SELECT
+            ge.enviroment_id as id,
+            ge.garden_id as gardenId,
+            ge.name,
+            ge.environment_type as type,
+            ge.soil_id as soilId,
+            st.soil_type as soilType,
+            st.ph_range as phRange,
+            (
+                SELECT COUNT(*)
+                FROM user_plants up
+                WHERE up.enviroment_id = ge.enviroment_id AND up.is_deleted = 0
+            ) as plantCount
+        FROM growing_enviroments ge
+        JOIN garden_members gm ON ge.garden_id = gm.garden_id
+        LEFT JOIN soil_types st ON ge.soil_id = st.soil_id
+        WHERE gm.user_id = ? AND gm.role IN (?)
+        ORDER BY ge.name ASC
+    `, [userId, ROLES]);
+
+    return environments;
+};
+
+/**
+ * Get a single growing environment by ID if the user is a member of its garden
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} environmentId - Environment ID
+ * @param {Number} userId - User ID
+ * @returns {Promise<Object|null>} Environment object or null if not found
+ */
+const getEnvironmentById = async (pool, environmentId, userId) => {
+    const [environments] = await pool.query(`
+        SELECT
+            ge.enviroment_id as id,
+            ge.garden_id as gardenId,
+            ge.name,
+            ge.environment_type as type,
+            ge.soil_id as soilId,
+            st.soil_type as soilType,
+            st.ph_range as phRange,
+            (
+                SELECT COUNT(*)
+                FROM user_plants up
+                WHERE up.enviroment_id = ge.enviroment_id AND up.is_deleted = 0
+            ) as plantCount
+        FROM growing_enviroments ge
+        JOIN garden_members gm ON ge.garden_id = gm.garden_id
+        LEFT JOIN soil_types st ON ge.soil_id = st.soil_id
+        WHERE ge.enviroment_id = ? AND gm.user_id = ? AND gm.role IN (?)
+    `, [environmentId, userId, ROLES]);
+
+    return environments.length > 0 ? environments[0] : null;
+};
+
+/**
+ * Create a new growing environment in a garden
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Object} environmentData - Environment data (name, type, soilId); gardenId defaults to the
+ *   user's own garden
+ * @param {Number} userId - User ID (recorded as the member who added the environment)
+ * @returns {Promise<Object|null>} Created environment or null if the user is not an editor of the garden
+ */
+const createEnvironment = async (pool, environmentData, userId) => {
+    const { name, type, soilId } = environmentData;
+
+    const gardenId = environmentData.gardenId
+        ? (await findGardenMembership(pool, environmentData.gardenId, userId, 'editor') || {}).garden_id
+        : await findDefaultGardenId(pool, userId);
+
+    if (!gardenId) {
+        return null;
+    }
+
+    const [insertResult] = await pool.query(
+        'INSERT INTO growing_enviroments (user_id, garden_id, name, environment_type, soil_id) VALUES (?, ?, ?, ?, ?)',
+        [userId, gardenId, name, type || 'other', soilId || null]
+    );
+
+    return getEnvironmentById(pool, insertResult.insertId, userId);
+};
+
+/**
+ * Update (rename, retype or change soil of) a growing environment
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} environmentId - Environment ID
+ * @param {Object} environmentData - Environment data (name, type, soilId)
+ * @param {Number} userId - User ID
+ * @returns {Promise<Object|null>} Updated environment or null if not found/unauthorized
+ */
+const updateEnvironment = async (pool, environmentId, environmentData, userId) => {
+    const { name, type, soilId } = environmentData;
+
+    // First verify the user may edit the environment
+    const environment = await findOwnedEnvironment(pool, environmentId, userId);
+
+    if (!environment) {
+        return null; // Environment not found or not authorized
+    }
+
+    await pool.query(
+        'UPDATE growing_enviroments SET name = ?, environment_type = ?, soil_id = ? WHERE enviroment_id = ?',
+        [name, type || environment.environment_type, soilId || null, environmentId]
+    );
+
+    return getEnvironmentById(pool, environmentId, userId);
+};
+
+/**
+ * Delete a growing environment
+ * Plants in the environment are kept and become unassigned
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} environmentId - Environment ID
+ * @param {Number} userId - User ID
+ * @returns {Promise<Boolean>} True if successful, false if not found/unauthorized
+ */
+const deleteEnvironment = async (pool, environmentId, userId) => {
+    const environment = await findOwnedEnvironment(pool, environmentId, userId);
+
+    if (!environment) {
+        return false; // Environment not found or not authorized
+    }
+
+    const [result] = await pool.query(
+        'DELETE FROM growing_enviroments WHERE enviroment_id = ?',
+        [environmentId]
+    );
+
+    return result.affectedRows > 0;
+};
+
+/**
+ * Assign a plant to a growing environment of its garden, or unassign it
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} plantId - Plant ID
+ * @param {Number|null} environmentId - Environment ID, or null to unassign
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Boolean>} True if successful, false if plant or environment not found/unauthorized
+ */
+const assignPlantToEnvironment = async (pool, plantId, environmentId, userId) => {
+    const plant = await findOwnedPlant(pool, plantId, userId);
+
+    if (!plant) {
+        return false; // Plant not found or doesn't belong to user
+    }
+
+    if (environmentId) {
+        const environment = await findOwnedEnvironment(pool, environmentId, userId);
+
+        if (!environment || environment.garden_id !== plant.garden_id) {
+            return false; // Environment not found or not in the plant's garden
+        }
+    }
+
+    const before = await auditService.getSnapshot(pool, 'plant', plantId);
+
+    await pool.query(
+        'UPDATE user_plants SET enviroment_id = ? WHERE user_plant_id = ?',
+        [environmentId || null, plantId]
+    );
+
+    await auditService.recordChange(pool, {
+        plantId,
+        entityType: 'plant',
+        entityId: plantId,
+        action: 'update',
+        before,
+        after: await auditService.getSnapshot(pool, 'plant', plantId)
+    }, userId);
+
+    return true;
+};
+
+module.exports = {
+    ENVIRONMENT_TYPES,
+    getSoilTypes,
+    soilTypeExists,
+    getUserEnvironments,
+    getEnvironmentById,
+    createEnvironment,
+    updateEnvironment,
+    deleteEnvironment,
+    assignPlantToEnvironment
+};
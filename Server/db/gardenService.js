@@ -0,0 +1,482 @@
+/**
+ * Service layer for gardens, their members and invitations
+ * A garden is a household sharing plants. Owners invite other users by username with a
+ * role; the invited user becomes a member once they accept. A garden always keeps at least
+ * one owner, so the last owner can neither leave nor be demoted.
+ */
+
+const { ROLES, findGardenMembership } = require('./ownership');
+
+/**
+ * Get the gardens a user is a member of, or one of them
+ *
+ * @param {Object} db - Database connection or pool
+ * @param {Number} userId - User ID
+ * @param {Number|null} gardenId - Only this garden (optional)
+ * @returns {Promise<Array>} Gardens with the user's role, member and plant counts
+ */
+const findUserGardens = async (db, userId, gardenId = null) => {
+    const params = [userId];
+    let gardenFilter = '';
+    if (gardenId) {
+        gardenFilter = 'AND g.garden_id = ?';
+        params.push(gardenId);
+    }
+
+    const [gardens] = await db.query(`
+        SELECT
+            g.garden_id as id,
+            g.name,
+            gm.role,
+            (SELECT COUNT(*) FROM garden_members m WHERE m.garden_id = g.garden_id) as memberCount,
+            (SELECT COUNT(*) FROM user_plants up WHERE up.garden_id = g.garden_id AND up.is_deleted = 0) as plantCount
+        FROM garden_members gm
+        JOIN gardens g ON gm.garden_id = g.garden_id
+        WHERE gm.user_id = ? ${gardenFilter}
+        ORDER BY gm.role = 'owner' DESC, g.name, g.garden_id
+    `, params);
+
+    return gardens.map(garden => ({
+        ...garden,
+        memberCount: Number(garden.memberCount),
+        plantCount: Number(garden.plantCount)
+    }));
+};
+
+/**
+ * Get the gardens a user is a member of
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} userId - User ID
+ * @returns {Promise<Array>} Gardens (id, name, role, memberCount, plantCount), own gardens first
+ */
+const getUserGardens = async (pool, userId) => findUserGardens(pool, userId);
+
+/**
+ * Insert a garden with the user as its owner
+ * Runs in the caller's transaction, so a garden is never left without its owner
+ *
+ * @param {Object} connection - Database connection inside a transaction
+ * @param {String} name - Garden name
+ * @param {Number} userId - User ID
+ * @returns {Promise<Number>} Garden ID
+ */
+const insertGarden = async (connection, name, userId) => {
+    const [result] = await connection.query(
+        'INSERT INTO gardens (name, created_by) VALUES (?, ?)',
+        [name, userId]
+    );
+
+    await connection.query(
+        'INSERT INTO garden_members (garden_id, user_id, role) VALUES (?, ?, ?)',
+        [result.insertId, userId, 'owner']
+    );
+
+    return result.insertId;
+};
+
+/**
+ * Create a garden; the user who creates it is its owner
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {String} name - Garden name
+ * @param {Number} userId - User ID
+ * @returns {Promise<Object>} Created garden
+ */
+const createGarden = async (pool, name, userId) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const gardenId = await insertGarden(connection, name, userId);
+
+        await connection.commit();
+
+        const [garden] = await findUserGardens(connection, userId, gardenId);
+        return garden;
+    } catch (error) {
+        if (connection) {
+            await connection.rollback();
+        }
+        throw error;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+/**
+ * Rename a garden
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} gardenId - Garden ID
+ * @param {String} name - New name
+ * @param {Number} userId - User ID (must be an owner)
+ * @returns {Promise<Object|null>} Updated garden or null if not found/unauthorized
+ */
+const renameGarden = async (pool, gardenId, name, userId) => {
+    const membership = await findGardenMembership(pool, gardenId, userId, 'owner');
+
+    if (!membership) {
+        return null; // Garden not found or user is not an owner
+    }
+
+    await pool.query('UPDATE gardens SET name = ? WHERE garden_id = ?', [name, gardenId]);
+
+    const [garden] = await findUserGardens(pool, userId, gardenId);
+    return garden;
+};
+
+/**
+ * Get the members of a garden; owners also see the pending invitations
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} gardenId - Garden ID
+ * @param {Number} userId - User ID (must be a member)
+ * @returns {Promise<Object|null>} { role, members, invitations } or null if not found/unauthorized;
+ *   the user is marked isYou among the members
+ */
+const getGardenMembers = async (pool, gardenId, userId) => {
+    const membership = await findGardenMembership(pool, gardenId, userId);
+
+    if (!membership) {
+        return null; // Garden not found or user is not a member
+    }
+
+    const [members] = await pool.query(`
+        SELECT
+            gm.user_id as userId,
+            u.username,
+            gm.role,
+            gm.joined_at as joinedAt
+        FROM garden_members gm
+        JOIN users u ON gm.user_id = u.user_id
+        WHERE gm.garden_id = ?
+        ORDER BY gm.joined_at, u.username
+    `, [gardenId]);
+
+    let invitations = [];
+    if (membership.role === 'owner') {
+        [invitations] = await pool.query(`
+            SELECT
+                i.invitation_id as id,
+                u.username,
+                i.role,
+                i.created_at as createdAt
+            FROM garden_invitations i
+            JOIN users u ON i.user_id = u.user_id
+            WHERE i.garden_id = ?
+            ORDER BY i.created_at, i.invitation_id
+        `, [gardenId]);
+    }
+
+    return {
+        role: membership.role,
+        members: members.map(member => ({ ...member, isYou: member.userId === Number(userId) })),
+        invitations
+    };
+};
+
+/**
+ * Invite a user to a garden by username
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} gardenId - Garden ID
+ * @param {String} username - Username of the user to invite
+ * @param {String} role - Role the user gets when they accept
+ * @param {Number} userId - User ID (must be an owner)
+ * @returns {Promise<Object|false|null>} Invitation, false if there is no such user or they already
+ *   are a member, or null if the garden is not found/unauthorized
+ */
+const inviteMember = async (pool, gardenId, username, role, userId) => {
+    const membership = await findGardenMembership(pool, gardenId, userId, 'owner');
+
+    if (!membership) {
+        return null; // Garden not found or user is not an owner
+    }
+
+    const [users] = await pool.query(`
+        SELECT u.user_id, gm.role
+        FROM users u
+        LEFT JOIN garden_members gm ON gm.user_id = u.user_id AND gm.garden_id = ?
+        WHERE u.username = ?
+    `, [gardenId, username]);
+
+    if (users.length === 0 || users[0].role) {
+        return false;
+    }
+
+    // A second invitation for the same user fails with ER_DUP_ENTRY
+    const [result] = await pool.query(
+        'INSERT INTO garden_invitations (garden_id, user_id, role, invited_by) VALUES (?, ?, ?, ?)',
+        [gardenId, users[0].user_id, role, userId]
+    );
+
+    return { id: result.insertId, username, role };
+};
+
+/**
+ * Cancel a pending invitation
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} gardenId - Garden ID
+ * @param {Number} invitationId - Invitation ID
+ * @param {Number} userId - User ID (must be an owner)
+ * @returns {Promise<Boolean>} True if cancelled, false if not found/unauthorized
+ */
+const cancelInvitation = async (pool, gardenId, invitationId, userId) => {
+    const membership = await findGardenMembership(pool, gardenId, userId, 'owner');
+
+    if (!membership) {
+        return false; // Garden not found or user is not an owner
+    }
+
+    const [result] = await pool.query(
+        'DELETE FROM garden_invitations WHERE invitation_id = ? AND garden_id = ?',
+        [invitationId, gardenId]
+    );
+
+    return result.affectedRows > 0;
+};
+
+/**
+ * Get the invitations waiting for a user
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} userId - User ID
+ * @returns {Promise<Array>} Invitations (id, gardenId, gardenName, role, invitedBy, createdAt)
+ */
+const getInvitations = async (pool, userId) => {
+    const [invitations] = await pool.query(`
+        SELECT
+            i.invitation_id as id,
+            i.garden_id as gardenId,
+            g.name as gardenName,
+            i.role,
+            u.username as invitedBy,
+            i.created_at as createdAt
+        FROM garden_invitations i
+        JOIN gardens g ON i.garden_id = g.garden_id
+        LEFT JOIN users u ON i.invited_by = u.user_id
+        WHERE i.user_id = ?
+        ORDER BY i.created_at DESC, i.invitation_id DESC
+    `, [userId]);
+
+    return invitations;
+};
+
+/**
+ * Accept an invitation and join the garden
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} invitationId - Invitation ID
+ * @param {Number} userId - User ID (must be the invited user)
+ * @returns {Promise<Object|null>} Joined garden or null if not found/unauthorized
+ */
+const acceptInvitation = async (pool, invitationId, userId) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [invitations] = await connection.query(
+            'SELECT * FROM garden_invitations WHERE invitation_id = ? AND user_id = ? FOR UPDATE',
+            [invitationId, userId]
+        );
+
+        if (invitations.length === 0) {
+            await connection.rollback();
+            return null;
+        }
+
+        const invitation = invitations[0];
+
+        await connection.query(
+            'INSERT INTO garden_members (garden_id, user_id, role) VALUES (?, ?, ?)',
+            [invitation.garden_id, userId, invitation.role]
+        );
+
+        await connection.query(
+            'DELETE FROM garden_invitations WHERE invitation_id = ?',
+            [invitationId]
+        );
+
+        await connection.commit();
+
+        const [garden] = await findUserGardens(connection, userId, invitation.garden_id);
+        return garden;
+    } catch (error) {
+        if (connection) {
+            await connection.rollback();
+        }
+        throw error;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+/**
+ * Decline an invitation
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} invitationId - Invitation ID
+ * @param {Number} userId - User ID (must be the invited user)
+ * @returns {Promise<Boolean>} True if declined, false if not found/unauthorized
+ */
+const declineInvitation = async (pool, invitationId, userId) => {
+    const [result] = await pool.query(
+        'DELETE FROM garden_invitations WHERE invitation_id = ? AND user_id = ?',
+        [invitationId, userId]
+    );
+
+    return result.affectedRows > 0;
+};
+
+/**
+ * Lock the members of a garden for a role change or removal
+ *
+ * @param {Object} connection - Database connection in a transaction
+ * @param {Number} gardenId - Garden ID
+ * @returns {Promise<Array>} garden_members rows
+ */
+const lockMembers = async (connection, gardenId) => {
+    const [members] = await connection.query(
+        'SELECT * FROM garden_members WHERE garden_id = ? FOR UPDATE',
+        [gardenId]
+    );
+
+    return members;
+};
+
+/**
+ * Whether a change would take away the garden's last owner
+ *
+ * @param {Array} members - garden_members rows
+ * @param {Object} member - Member losing their role
+ * @returns {Boolean} True if the member is the only owner
+ */
+const isLastOwner = (members, member) => (
+    member.role === 'owner' && members.filter(m => m.role === 'owner').length === 1
+);
+
+/**
+ * Change the role of a member
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} gardenId - Garden ID
+ * @param {Number} memberId - User ID of the member
+ * @param {String} role - New role
+ * @param {Number} userId - User ID (must be an owner)
+ * @returns {Promise<Object|false|null>} Member (userId, role), false if it would leave the garden
+ *   without an owner, or null if not found/unauthorized
+ */
+const updateMemberRole = async (pool, gardenId, memberId, role, userId) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const members = await lockMembers(connection, gardenId);
+        const caller = members.find(m => m.user_id === Number(userId));
+        const member = members.find(m => m.user_id === Number(memberId));
+
+        if (!caller || caller.role !== 'owner' || !member) {
+            await connection.rollback();
+            return null;
+        }
+
+        if (role !== 'owner' && isLastOwner(members, member)) {
+            await connection.rollback();
+            return false;
+        }
+
+        await connection.query(
+            'UPDATE garden_members SET role = ? WHERE garden_id = ? AND user_id = ?',
+            [role, gardenId, member.user_id]
+        );
+
+        await connection.commit();
+
+        return { userId: member.user_id, role };
+    } catch (error) {
+        if (connection) {
+            await connection.rollback();
+        }
+        throw error;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+/**
+ * Remove a member from a garden; owners remove anyone, other members can only leave
+ * The plants they added stay in the garden
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} gardenId - Garden ID
+ * @param {Number} memberId - User ID of the member
+ * @param {Number} userId - User ID (an owner, or the member themselves)
+ * @returns {Promise<Boolean|null>} True if removed, false if they are the last owner, or null if
+ *   not found/unauthorized
+ */
+const removeMember = async (pool, gardenId, memberId, userId) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const members = await lockMembers(connection, gardenId);
+        const caller = members.find(m => m.user_id === Number(userId));
+        const member = members.find(m => m.user_id === Number(memberId));
+
+        if (!caller || !member || (caller.role !== 'owner' && caller !== member)) {
+            await connection.rollback();
+            return null;
+        }
+
+        if (isLastOwner(members, member)) {
+            await connection.rollback();
+            return false;
+        }
+
+        await connection.query(
+            'DELETE FROM garden_members WHERE garden_id = ? AND user_id = ?',
+            [gardenId, member.user_id]
+        );
+
+        await connection.commit();
+
+        return true;
+    } catch (error) {
+        if (connection) {
+            await connection.rollback();
+        }
+        throw error;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+module.exports = {
+    GARDEN_ROLES: ROLES,
+    getUserGardens,
+    insertGarden,
+    createGarden,
+    renameGarden,
+    getGardenMembers,
+    inviteMember,
+    cancelInvitation,
+    getInvitations,
+    acceptInvitation,
+    declineInvitation,
+    updateMemberRole,
+    removeMember
+};
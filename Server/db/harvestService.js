@@ -0,0 +1,269 @@
+/**
+ * Service layer for harvest logging and yield statistics
+ * Quantities are only added up within the same unit: kilograms, pieces and bunches
+ * are never mixed. A season is the calendar year the harvest was picked in.
+ */
+
+const { GARDEN_MEMBER_CONDITION, ROLES, findOwnedPlant, findOwnedHarvest } = require('./ownership');
+const recurrence = require('../reminders/recurrence');
+
+const HARVEST_UNITS = ['kg', 'pieces', 'bunches'];
+
+// Yield groupings: selected columns and GROUP BY expression
+const YIELD_GROUPINGS = {
+    plant: {
+        columns: `up.user_plant_id as plantId, ap.plant_cultivar as plantName, ap.plant_species as species`,
+        groupBy: 'up.user_plant_id'
+    },
+    species: {
+        columns: `ap.plant_species as species, COUNT(DISTINCT up.user_plant_id) as plantCount`,
+        groupBy: 'ap.plant_species'
+    },
+    season: {
+        columns: `YEAR(h.harvested_on) as season, COUNT(DISTINCT up.user_plant_id) as plantCount`,
+        groupBy: 'YEAR(h.harvested_on)'
+    }
+};
+
+/**
+ * Format a harvests row for API responses
+ *
+ * @param {Object} row - harvests row
+ * @returns {Object} Formatted harvest
+ */
+const formatHarvest = (row) => ({
+    id: row.harvest_id,
+    plantId: row.user_plant_id,
+    harvestedOn: recurrence.toDay(row.harvested_on),
+    quantity: Number(row.quantity),
+    unit: row.unit,
+    qualityNotes: row.quality_notes,
+    createdAt: row.created_at
+});
+
+/**
+ * Get a single harvest
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} harvestId - Harvest ID
+ * @returns {Promise<Object|null>} Formatted harvest
+ */
+const fetchHarvest = async (pool, harvestId) => {
+    const [harvests] = await pool.query('SELECT * FROM harvests WHERE harvest_id = ?', [harvestId]);
+    return harvests.length > 0 ? formatHarvest(harvests[0]) : null;
+};
+
+/**
+ * Get the harvest log of a plant
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} plantId - Plant ID
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Array|null>} Harvests, newest first, or null if not found/unauthorized
+ */
+const getPlantHarvests = async (pool, plantId, userId) => {
+    // First verify the user is a member of the plant's garden
+    const plant = await findOwnedPlant(pool, plantId, userId, 'viewer');
+
+    if (!plant) {
+        return null; // Plant not found or user is not a member of its garden
+    }
+
+    const [harvests] = await pool.query(
+        'SELECT * FROM harvests WHERE user_plant_id = ? ORDER BY harvested_on DESC, harvest_id DESC',
+        [plantId]
+    );
+
+    return harvests.map(formatHarvest);
+};
+
+/**
+ * Log a harvest
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} plantId - Plant ID
+ * @param {Object} harvestData - Harvest data (harvestedOn, quantity, unit, qualityNotes)
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Object|null>} Created harvest or null if not found/unauthorized
+ */
+const addHarvest = async (pool, plantId, harvestData, userId) => {
+    const { harvestedOn, quantity, unit, qualityNotes } = harvestData;
+
+    // First verify the plant belongs to the user
+    const plant = await findOwnedPlant(pool, plantId, userId);
+
+    if (!plant) {
+        return null; // Plant not found or doesn't belong to user
+    }
+
+    const [insertResult] = await pool.query(
+        `INSERT INTO harvests (user_plant_id, harvested_on, quantity, unit, quality_notes)
+         VALUES (?, ?, ?, ?, ?)`,
+        [plantId, harvestedOn, quantity, unit, qualityNotes || null]
+    );
+
+    return fetchHarvest(pool, insertResult.insertId);
+};
+
+/**
+ * Correct a logged harvest
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} harvestId - Harvest ID
+ * @param {Object} harvestData - Harvest data (harvestedOn, quantity, unit, qualityNotes)
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Object|null>} Updated harvest or null if not found/unauthorized
+ */
+const updateHarvest = async (pool, harvestId, harvestData, userId) => {
+    const { harvestedOn, quantity, unit, qualityNotes } = harvestData;
+
+    // First verify the harvest is for a plant that belongs to the user
+    const harvest = await findOwnedHarvest(pool, harvestId, userId);
+
+    if (!harvest) {
+        return null; // Harvest not found or not authorized
+    }
+
+    await pool.query(
+        `UPDATE harvests
+         SET harvested_on = ?, quantity = ?, unit = ?, quality_notes = ?
+         WHERE harvest_id = ?`,
+        [harvestedOn, quantity, unit, qualityNotes || null, harvestId]
+    );
+
+    return fetchHarvest(pool, harvestId);
+};
+
+/**
+ * Delete a logged harvest
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} harvestId - Harvest ID
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Boolean>} True if successful, false if not found/unauthorized
+ */
+const deleteHarvest = async (pool, harvestId, userId) => {
+    // First verify the harvest is for a plant that belongs to the user
+    const harvest = await findOwnedHarvest(pool, harvestId, userId);
+
+    if (!harvest) {
+        return false; // Harvest not found or not authorized
+    }
+
+    const [result] = await pool.query('DELETE FROM harvests WHERE harvest_id = ?', [harvestId]);
+
+    return result.affectedRows > 0;
+};
+
+/**
+ * Summarise a plant's harvests and compare the first one with the est_cropping estimate
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} plantId - Plant ID
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Object|null>} Summary or null if not found/unauthorized
+ */
+const getPlantHarvestSummary = async (pool, plantId, userId) => {
+    // First verify the user is a member of the plant's garden
+    const plant = await findOwnedPlant(pool, plantId, userId, 'viewer');
+
+    if (!plant) {
+        return null; // Plant not found or user is not a member of its garden
+    }
+
+    const [totals] = await pool.query(`
+        SELECT
+            unit,
+            SUM(quantity) as quantity,
+            COUNT(*) as harvestCount,
+            MIN(harvested_on) as firstHarvestOn
+        FROM harvests
+        WHERE user_plant_id = ?
+        GROUP BY unit
+        ORDER BY unit
+    `, [plantId]);
+
+    const plantedOn = recurrence.toDay(plant.planting_time);
+    const estimatedFirstHarvestOn = plant.est_cropping ? recurrence.addDays(plantedOn, plant.est_cropping) : null;
+    const firstHarvestOn = totals.length > 0
+        ? totals.map(total => recurrence.toDay(total.firstHarvestOn)).sort()[0]
+        : null;
+
+    return {
+        plantedOn,
+        estCropping: plant.est_cropping,
+        estimatedFirstHarvestOn,
+        firstHarvestOn,
+        daysToFirstHarvest: firstHarvestOn ? recurrence.daysBetween(plantedOn, firstHarvestOn) : null,
+        // Positive when the first harvest came later than estimated, negative when earlier
+        daysFromEstimate: firstHarvestOn && estimatedFirstHarvestOn
+            ? recurrence.daysBetween(estimatedFirstHarvestOn, firstHarvestOn)
+            : null,
+        harvestCount: totals.reduce((count, total) => count + Number(total.harvestCount), 0),
+        totals: totals.map(total => ({ unit: total.unit, quantity: Number(total.quantity) }))
+    };
+};
+
+/**
+ * Yield totals per plant, per species or per season, over the plants of every garden the user is in
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} userId - User ID
+ * @param {String} groupBy - plant, species or season
+ * @param {Number|null} season - Only count harvests of this year
+ * @returns {Promise<Array>} One row per group and unit
+ */
+const getYieldStats = async (pool, userId, groupBy = 'plant', season = null) => {
+    const grouping = YIELD_GROUPINGS[groupBy];
+    const params = [userId, ROLES];
+
+    let seasonFilter = '';
+    if (season) {
+        seasonFilter = 'AND h.harvested_on >= ? AND h.harvested_on < ?';
+        params.push(`${season}-01-01`, `${season + 1}-01-01`);
+    }
+
+    const [rows] = await pool.query(`
+        SELECT
+            ${grouping.columns},
+            h.unit,
+            SUM(h.quantity) as totalQuantity,
+            COUNT(*) as harvestCount,
+            MIN(h.harvested_on) as firstHarvestOn,
+            MAX(h.harvested_on) as lastHarvestOn
+        FROM harvests h
+        JOIN user_plants up ON h.user_plant_id = up.user_plant_id
+        JOIN all_plants ap ON up.plant_id = ap.plant_id
+        WHERE ${GARDEN_MEMBER_CONDITION} AND up.is_deleted = 0 ${seasonFilter}
+        GROUP BY ${grouping.groupBy}, h.unit
+        ORDER BY ${grouping.groupBy}, h.unit
+    `, params);
+
+    return rows.map(row => {
+        const stats = {
+            ...row,
+            totalQuantity: Number(row.totalQuantity),
+            harvestCount: Number(row.harvestCount),
+            firstHarvestOn: recurrence.toDay(row.firstHarvestOn),
+            lastHarvestOn: recurrence.toDay(row.lastHarvestOn)
+        };
+
+        if (row.plantCount !== undefined) {
+            stats.plantCount = Number(row.plantCount);
+            stats.averagePerPlant = Math.round(stats.totalQuantity / stats.plantCount * 100) / 100;
+        }
+
+        return stats;
+    });
+};
+
+module.exports = {
+    HARVEST_UNITS,
+    YIELD_GROUPINGS,
+    getPlantHarvests,
+    addHarvest,
+    updateHarvest,
+    deleteHarvest,
+    getPlantHarvestSummary,
+    getYieldStats
+};
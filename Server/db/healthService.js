@@ -2,6 +2,9 @@
  * Service layer for plant health-related database operations
  */
 
+const { findOwnedPlant, findOwnedHealthRemark } = require('./ownership');
+const auditService = require('./auditService');
+
 /**
  * Get all health remarks for a specific plant
  * 
@@ -11,14 +14,11 @@
  * @returns {Promise<Array>} Array of health remark objects
  */
 const getPlantHealthRemarks = async (pool, plantId, userId) => {
-    // First verify the plant belongs to the user
-    const [plant] = await pool.query(
-        'SELECT * FROM user_plants WHERE user_plant_id = ? AND user_id = ? AND is_deleted = 0',
-        [plantId, userId]
-    );
+    // First verify the user is a member of the plant's garden
+    const plant = await findOwnedPlant(pool, plantId, userId, 'viewer');
     
-    if (plant.length === 0) {
-        return null; // Plant not found or doesn't belong to user
+    if (!plant) {
+        return null; // Plant not found or user is not a member of its garden
     }
     
     const [remarks] = await pool.query(`
@@ -45,12 +45,9 @@ const getPlantHealthRemarks = async (pool, plantId, userId) => {
  */
 const addHealthRemark = async (pool, plantId, remarks, userId) => {
     // First verify the plant belongs to the user
-    const [plant] = await pool.query(
-        'SELECT * FROM user_plants WHERE user_plant_id = ? AND user_id = ? AND is_deleted = 0',
-        [plantId, userId]
-    );
+    const plant = await findOwnedPlant(pool, plantId, userId);
     
-    if (plant.length === 0) {
+    if (!plant) {
         return null; // Plant not found or doesn't belong to user
     }
     
@@ -59,6 +56,14 @@ const addHealthRemark = async (pool, plantId, remarks, userId) => {
         [plantId, remarks]
     );
     
+    await auditService.recordChange(pool, {
+        plantId,
+        entityType: 'health',
+        entityId: insertResult.insertId,
+        action: 'create',
+        after: { remarks }
+    }, userId);
+    
     const [result] = await pool.query(
         'SELECT health_id as id, remarks, created_at as createdAt FROM plant_health WHERE health_id = ?',
         [insertResult.insertId]
@@ -78,14 +83,9 @@ const addHealthRemark = async (pool, plantId, remarks, userId) => {
  */
 const updateHealthRemark = async (pool, remarkId, remarks, userId) => {
     // First verify the health remark is for a plant that belongs to the user
-    const [healthRemarks] = await pool.query(`
-        SELECT h.*
-        FROM plant_health h
-        JOIN user_plants up ON h.user_plant_id = up.user_plant_id
-        WHERE h.health_id = ? AND up.user_id = ? AND up.is_deleted = 0
-    `, [remarkId, userId]);
-    
-    if (healthRemarks.length === 0) {
+    const healthRemark = await findOwnedHealthRemark(pool, remarkId, userId);
+    
+    if (!healthRemark) {
         return null; // Health remark not found or not authorized
     }
     
@@ -95,6 +95,15 @@ const updateHealthRemark = async (pool, remarkId, remarks, userId) => {
         [remarks, remarkId]
     );
     
+    await auditService.recordChange(pool, {
+        plantId: healthRemark.user_plant_id,
+        entityType: 'health',
+        entityId: remarkId,
+        action: 'update',
+        before: { remarks: healthRemark.remarks },
+        after: { remarks }
+    }, userId);
+    
     // Fetch the updated remark
     const [result] = await pool.query(
         'SELECT health_id as id, remarks, created_at as createdAt FROM plant_health WHERE health_id = ?',
@@ -114,14 +123,9 @@ const updateHealthRemark = async (pool, remarkId, remarks, userId) => {
  */
 const deleteHealthRemark = async (pool, remarkId, userId) => {
     // First verify the health remark is for a plant that belongs to the user
-    const [healthRemarks] = await pool.query(`
-        SELECT h.*
-        FROM plant_health h
-        JOIN user_plants up ON h.user_plant_id = up.user_plant_id
-        WHERE h.health_id = ? AND up.user_id = ? AND up.is_deleted = 0
-    `, [remarkId, userId]);
-    
-    if (healthRemarks.length === 0) {
+    const healthRemark = await findOwnedHealthRemark(pool, remarkId, userId);
+    
+    if (!healthRemark) {
         return false; // Health remark not found or not authorized
     }
     
@@ -131,6 +135,14 @@ const deleteHealthRemark = async (pool, remarkId, userId) => {
         [remarkId]
     );
     
+    await auditService.recordChange(pool, {
+        plantId: healthRemark.user_plant_id,
+        entityType: 'health',
+        entityId: remarkId,
+        action: 'delete',
+        before: { remarks: healthRemark.remarks }
+    }, userId);
+    
     return result.affectedRows > 0;
 };
 
@@ -143,14 +155,11 @@ const deleteHealthRemark = async (pool, remarkId, userId) => {
  * @returns {Promise<Object>} Latest health remark or null if none exists
  */
 const getLatestHealthRemark = async (pool, plantId, userId) => {
-    // First verify the plant belongs to the user
-    const [plant] = await pool.query(
-        'SELECT * FROM user_plants WHERE user_plant_id = ? AND user_id = ? AND is_deleted = 0',
-        [plantId, userId]
-    );
+    // First verify the user is a member of the plant's garden
+    const plant = await findOwnedPlant(pool, plantId, userId, 'viewer');
     
-    if (plant.length === 0) {
-        return null; // Plant not found or doesn't belong to user
+    if (!plant) {
+        return null; // Plant not found or user is not a member of its garden
     }
     
     const [remarks] = await pool.query(`
@@ -0,0 +1,239 @@
+/**
+ * Service layer for growth measurements
+ * Each metric has its own units, converted to a base unit so a series stays comparable
+ * when a plant was measured in centimetres one week and in metres the next.
+ */
+
+const { findOwnedPlant, findOwnedMeasurement } = require('./ownership');
+const recurrence = require('../reminders/recurrence');
+
+// Metrics: units with their factor to the base unit, and the allowed range in the base unit
+const MEASUREMENT_METRICS = {
+    height: {
+        label: 'Height',
+        baseUnit: 'cm',
+        units: { cm: 1, mm: 0.1, m: 100 },
+        wholeNumber: false,
+        min: 0,
+        max: 10000
+    },
+    leaf_count: {
+        label: 'Leaf count',
+        baseUnit: 'leaves',
+        units: { leaves: 1 },
+        wholeNumber: true,
+        min: 0,
+        max: 100000
+    },
+    fruit_count: {
+        label: 'Fruit count',
+        baseUnit: 'fruits',
+        units: { fruits: 1 },
+        wholeNumber: true,
+        min: 0,
+        max: 100000
+    }
+};
+
+// Every unit some metric is measured in
+const MEASUREMENT_UNITS = [...new Set(Object.values(MEASUREMENT_METRICS).flatMap(definition => Object.keys(definition.units)))];
+
+/**
+ * Check a value against the rules of its metric
+ *
+ * @param {String} metric - Metric name
+ * @param {Number} value - Measured value
+ * @param {String} unit - Unit (defaults to the base unit)
+ * @returns {String|null} Error message, or null when the value is valid
+ */
+const checkMeasurement = (metric, value, unit) => {
+    if (!Object.hasOwn(MEASUREMENT_METRICS, metric)) {
+        return 'Unknown metric';
+    }
+
+    const definition = MEASUREMENT_METRICS[metric];
+    const measuredIn = unit || definition.baseUnit;
+    if (!Object.hasOwn(definition.units, measuredIn)) {
+        return `${definition.label} is measured in ${Object.keys(definition.units).join(', ')}`;
+    }
+
+    if (definition.wholeNumber && !Number.isInteger(value)) {
+        return `${definition.label} must be a whole number`;
+    }
+
+    const baseValue = value * definition.units[measuredIn];
+    if (baseValue < definition.min || baseValue > definition.max) {
+        return `${definition.label} must be between ${definition.min} and ${definition.max} ${definition.baseUnit}`;
+    }
+
+    return null;
+};
+
+/**
+ * Format a growth_measurements row for API responses
+ *
+ * @param {Object} row - growth_measurements row
+ * @returns {Object} Formatted measurement
+ */
+const formatMeasurement = (row) => {
+    const definition = MEASUREMENT_METRICS[row.metric];
+    const value = Number(row.value);
+
+    return {
+        id: row.measurement_id,
+        plantId: row.user_plant_id,
+        metric: row.metric,
+        value,
+        unit: row.unit,
+        // Value in the metric's base unit, for charting a series
+        baseValue: Math.round(value * definition.units[row.unit] * 100) / 100,
+        baseUnit: definition.baseUnit,
+        measuredOn: recurrence.toDay(row.measured_on),
+        photoKey: row.photo_url,
+        createdAt: row.created_at
+    };
+};
+
+/**
+ * Get a single measurement
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} measurementId - Measurement ID
+ * @returns {Promise<Object|null>} Formatted measurement
+ */
+const fetchMeasurement = async (pool, measurementId) => {
+    const [measurements] = await pool.query(
+        'SELECT * FROM growth_measurements WHERE measurement_id = ?',
+        [measurementId]
+    );
+    return measurements.length > 0 ? formatMeasurement(measurements[0]) : null;
+};
+
+/**
+ * Get the measurements of a plant
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} plantId - Plant ID
+ * @param {Number} userId - User ID (for authorization)
+ * @param {String|null} metric - Only this metric (optional)
+ * @returns {Promise<Array|null>} Measurements, oldest first, or null if not found/unauthorized
+ */
+const getPlantMeasurements = async (pool, plantId, userId, metric = null) => {
+    // First verify the user is a member of the plant's garden
+    const plant = await findOwnedPlant(pool, plantId, userId, 'viewer');
+
+    if (!plant) {
+        return null; // Plant not found or user is not a member of its garden
+    }
+
+    const params = [plantId];
+    let metricFilter = '';
+    if (metric) {
+        metricFilter = 'AND metric = ?';
+        params.push(metric);
+    }
+
+    const [measurements] = await pool.query(`
+        SELECT * FROM growth_measurements
+        WHERE user_plant_id = ? ${metricFilter}
+        ORDER BY measured_on, measurement_id
+    `, params);
+
+    return measurements.map(formatMeasurement);
+};
+
+/**
+ * Record a measurement
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} plantId - Plant ID
+ * @param {Object} measurementData - Measurement data (metric, value, unit, measuredOn, photoKey)
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Object|null>} Created measurement or null if not found/unauthorized
+ */
+const addMeasurement = async (pool, plantId, measurementData, userId) => {
+    const { metric, value, unit, measuredOn, photoKey } = measurementData;
+
+    // First verify the plant belongs to the user
+    const plant = await findOwnedPlant(pool, plantId, userId);
+
+    if (!plant) {
+        return null; // Plant not found or doesn't belong to user
+    }
+
+    const [insertResult] = await pool.query(
+        `INSERT INTO growth_measurements (user_plant_id, metric, value, unit, measured_on, photo_url)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [plantId, metric, value, unit || MEASUREMENT_METRICS[metric].baseUnit, measuredOn, photoKey || null]
+    );
+
+    return fetchMeasurement(pool, insertResult.insertId);
+};
+
+/**
+ * Correct a measurement
+ * The photo is only replaced when a new one was uploaded
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} measurementId - Measurement ID
+ * @param {Object} measurementData - Measurement data (metric, value, unit, measuredOn, photoKey)
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Object|null>} Updated measurement or null if not found/unauthorized
+ */
+const updateMeasurement = async (pool, measurementId, measurementData, userId) => {
+    const { metric, value, unit, measuredOn, photoKey } = measurementData;
+
+    // First verify the measurement is for a plant that belongs to the user
+    const measurement = await findOwnedMeasurement(pool, measurementId, userId);
+
+    if (!measurement) {
+        return null; // Measurement not found or not authorized
+    }
+
+    await pool.query(
+        `UPDATE growth_measurements
+         SET metric = ?, value = ?, unit = ?, measured_on = ?, photo_url = ?
+         WHERE measurement_id = ?`,
+        [
+            metric,
+            value,
+            unit || MEASUREMENT_METRICS[metric].baseUnit,
+            measuredOn,
+            photoKey || measurement.photo_url,
+            measurementId
+        ]
+    );
+
+    return fetchMeasurement(pool, measurementId);
+};
+
+/**
+ * Delete a measurement
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} measurementId - Measurement ID
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Boolean>} True if successful, false if not found/unauthorized
+ */
+const deleteMeasurement = async (pool, measurementId, userId) => {
+    // First verify the measurement is for a plant that belongs to the user
+    const measurement = await findOwnedMeasurement(pool, measurementId, userId);
+
+    if (!measurement) {
+        return false; // Measurement not found or not authorized
+    }
+
+    const [result] = await pool.query('DELETE FROM growth_measurements WHERE measurement_id = ?', [measurementId]);
+
+    return result.affectedRows > 0;
+};
+
+module.exports = {
+    MEASUREMENT_METRICS,
+    MEASUREMENT_UNITS,
+    checkMeasurement,
+    getPlantMeasurements,
+    addMeasurement,
+    updateMeasurement,
+    deleteMeasurement
+};
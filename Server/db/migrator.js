@@ -0,0 +1,218 @@
+/**
+ * Versioned schema migrations
+ * Migrations live in sql/migrations as NNN_name.up.sql / NNN_name.down.sql pairs and are
+ * applied in version order. Each applied migration is recorded in schema_migrations together
+ * with a checksum of its up script, so edits to already applied migrations are detected.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'sql', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.up\.sql$/;
+
+/**
+ * Checksum of a migration script
+ * Line endings are normalised so a checkout with CRLF endings does not look modified
+ *
+ * @param {String} sql - Migration script
+ * @returns {String} Hex encoded SHA-256 hash
+ */
+const checksum = (sql) => crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+
+/**
+ * Read all migrations from disk
+ *
+ * @param {String} dir - Migrations directory
+ * @returns {Array} Migrations ({ version, name, checksum, up, down }) ordered by version
+ */
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+    const migrations = fs.readdirSync(dir)
+        .map(file => file.match(MIGRATION_FILE_PATTERN))
+        .filter(Boolean)
+        .map(([file, version, name]) => {
+            const up = fs.readFileSync(path.join(dir, file), 'utf8');
+            const downFile = path.join(dir, `${version}_${name}.down.sql`);
+
+            return {
+                version: parseInt(version),
+                name,
+                checksum: checksum(up),
+                up,
+                down: fs.existsSync(downFile) ? fs.readFileSync(downFile, 'utf8') : null
+            };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+        if (index > 0 && migrations[index - 1].version === migration.version) {
+            throw new Error(`Duplicate migration version ${migration.version}`);
+        }
+    });
+
+    return migrations;
+};
+
+/**
+ * Create the schema_migrations table if it does not exist yet
+ *
+ * @param {Object} connection - Database connection
+ * @returns {Promise<void>}
+ */
+const ensureMigrationsTable = async (connection) => {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS \`schema_migrations\` (
+            \`version\` INT(11) UNSIGNED NOT NULL,
+            \`name\` VARCHAR(191) NOT NULL,
+            \`checksum\` CHAR(64) NOT NULL,
+            \`applied_at\` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (\`version\`)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+};
+
+/**
+ * Get the migrations recorded as applied
+ *
+ * @param {Object} connection - Database connection or pool
+ * @returns {Promise<Array>} schema_migrations rows ordered by version
+ */
+const getAppliedMigrations = async (connection) => {
+    try {
+        const [rows] = await connection.query(
+            'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version ASC'
+        );
+        return rows;
+    } catch (error) {
+        if (error.code === 'ER_NO_SUCH_TABLE') {
+            return []; // Blank database
+        }
+        throw error;
+    }
+};
+
+/**
+ * Compare the migrations on disk with the ones applied to the database
+ *
+ * @param {Object} connection - Database connection or pool
+ * @param {Array} migrations - Migrations from loadMigrations
+ * @returns {Promise<Object>} { applied, pending, changed, missing }
+ */
+const getStatus = async (connection, migrations = loadMigrations()) => {
+    const applied = await getAppliedMigrations(connection);
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+    const versionsOnDisk = new Set(migrations.map(migration => migration.version));
+
+    return {
+        applied,
+        pending: migrations.filter(migration => !appliedByVersion.has(migration.version)),
+        changed: migrations.filter(migration =>
+            appliedByVersion.has(migration.version) &&
+            appliedByVersion.get(migration.version).checksum !== migration.checksum
+        ),
+        missing: applied.filter(row => !versionsOnDisk.has(row.version))
+    };
+};
+
+/**
+ * Apply all pending migrations in order
+ * MariaDB commits DDL implicitly, so a migration that fails halfway is not rolled back;
+ * it stays pending and has to be cleaned up by hand before running again.
+ * The connection must be created with multipleStatements enabled.
+ *
+ * @param {Object} connection - Database connection
+ * @param {Function} log - Progress logger
+ * @returns {Promise<Array>} Applied migrations
+ */
+const migrateUp = async (connection, log = () => {}) => {
+    await ensureMigrationsTable(connection);
+
+    const status = await getStatus(connection);
+
+    if (status.changed.length > 0) {
+        throw new Error(
+            `Applied migrations have been modified: ${status.changed.map(m => `${m.version}_${m.name}`).join(', ')}`
+        );
+    }
+
+    for (const migration of status.pending) {
+        log(`Applying ${migration.version}_${migration.name}`);
+
+        await connection.query(migration.up);
+        await connection.query(
+            'INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)',
+            [migration.version, migration.name, migration.checksum]
+        );
+    }
+
+    return status.pending;
+};
+
+/**
+ * Revert the most recently applied migrations
+ * The connection must be created with multipleStatements enabled.
+ *
+ * @param {Object} connection - Database connection
+ * @param {Number} steps - Number of migrations to revert
+ * @param {Function} log - Progress logger
+ * @returns {Promise<Array>} Reverted migrations
+ */
+const migrateDown = async (connection, steps = 1, log = () => {}) => {
+    await ensureMigrationsTable(connection);
+
+    const migrations = loadMigrations();
+    const applied = await getAppliedMigrations(connection);
+    const toRevert = applied.slice(-steps).reverse();
+    const reverted = [];
+
+    for (const row of toRevert) {
+        const migration = migrations.find(m => m.version === row.version);
+
+        if (!migration || !migration.down) {
+            throw new Error(`No down migration for ${row.version}_${row.name}`);
+        }
+
+        log(`Reverting ${migration.version}_${migration.name}`);
+
+        await connection.query(migration.down);
+        await connection.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+
+        reverted.push(migration);
+    }
+
+    return reverted;
+};
+
+/**
+ * Mark migrations up to a version as applied without running them
+ * Used once for databases that were created from the old loose SQL files
+ *
+ * @param {Object} connection - Database connection
+ * @param {Number} version - Last version that is already in the database
+ * @returns {Promise<Array>} Migrations that were marked as applied
+ */
+const baseline = async (connection, version) => {
+    await ensureMigrationsTable(connection);
+
+    const status = await getStatus(connection);
+    const marked = status.pending.filter(migration => migration.version <= version);
+
+    for (const migration of marked) {
+        await connection.query(
+            'INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)',
+            [migration.version, migration.name, migration.checksum]
+        );
+    }
+
+    return marked;
+};
+
+module.exports = {
+    MIGRATIONS_DIR,
+    loadMigrations,
+    getStatus,
+    migrateUp,
+    migrateDown,
+    baseline
+};
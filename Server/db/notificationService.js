@@ -0,0 +1,107 @@
+/**
+ * Service layer for user notification settings
+ * The settings live on the users table: email, notify_email, notify_time (wall clock time
+ * in the user's timezone), timezone, notify_mode and last_notified_on
+ */
+
+/**
+ * Format a users row for API responses
+ *
+ * @param {Object} row - users row
+ * @returns {Object} Notification settings
+ */
+const formatSettings = (row) => ({
+    email: row.email,
+    notifyEmail: row.notify_email === 1,
+    notifyTime: String(row.notify_time).slice(0, 5),
+    timezone: row.timezone,
+    notifyMode: row.notify_mode
+});
+
+/**
+ * Get a user's notification settings
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} userId - User ID
+ * @returns {Promise<Object|null>} Settings or null if the user does not exist
+ */
+const getNotificationSettings = async (pool, userId) => {
+    const [users] = await pool.query(
+        'SELECT email, notify_email, notify_time, timezone, notify_mode FROM users WHERE user_id = ?',
+        [userId]
+    );
+
+    return users.length > 0 ? formatSettings(users[0]) : null;
+};
+
+/**
+ * Update a user's notification settings
+ * Throws ER_DUP_ENTRY if the email address belongs to another user
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Object} settings - email, notifyEmail, notifyTime (HH:MM), timezone, notifyMode
+ * @param {Number} userId - User ID
+ * @returns {Promise<Object|null>} Updated settings or null if the user does not exist
+ */
+const updateNotificationSettings = async (pool, settings, userId) => {
+    const { email, notifyEmail, notifyTime, timezone, notifyMode } = settings;
+
+    const [result] = await pool.query(
+        `UPDATE users
+         SET email = ?,
+             notify_email = ?,
+             notify_time = ?,
+             timezone = ?,
+             notify_mode = ?
+         WHERE user_id = ?`,
+        [email || null, notifyEmail && email ? 1 : 0, notifyTime, timezone, notifyMode, userId]
+    );
+
+    if (result.affectedRows === 0) {
+        return null;
+    }
+
+    return getNotificationSettings(pool, userId);
+};
+
+/**
+ * Get the users who want reminder notifications, by email or on a device with Web Push
+ *
+ * @param {Object} pool - Database connection pool
+ * @returns {Promise<Array>} users rows (user_id, username, email, notify_email, notify_time, timezone,
+ *                           notify_mode, last_notified_on) with has_push set if a device is subscribed
+ */
+const getSubscribedUsers = async (pool) => {
+    const [users] = await pool.query(`
+        SELECT
+            u.user_id, u.username, u.email, u.notify_email, u.notify_time, u.timezone, u.notify_mode, u.last_notified_on,
+            EXISTS (SELECT 1 FROM push_subscriptions ps WHERE ps.user_id = u.user_id) as has_push
+        FROM users u
+        WHERE (u.notify_email = 1 AND u.email IS NOT NULL)
+           OR EXISTS (SELECT 1 FROM push_subscriptions ps WHERE ps.user_id = u.user_id)
+    `);
+
+    return users;
+};
+
+/**
+ * Record that a user has been notified for a day
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} userId - User ID
+ * @param {String} day - User's local day (YYYY-MM-DD)
+ * @returns {Promise<void>}
+ */
+const markNotified = async (pool, userId, day) => {
+    await pool.query(
+        'UPDATE users SET last_notified_on = ? WHERE user_id = ?',
+        [day, userId]
+    );
+};
+
+module.exports = {
+    getNotificationSettings,
+    updateNotificationSettings,
+    getSubscribedUsers,
+    markNotified
+};
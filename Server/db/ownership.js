@@ -0,0 +1,306 @@
+/**
+ * Shared ownership checks used by the service layer
+ * Every service verifies access through these helpers so the rules live in one place.
+ * Plants belong to gardens: a member's role in the plant's garden decides what they may
+ * do with the plant and everything recorded about it. Growing environments belong to gardens
+ * too, and their sensors, actuators and automation rules go with them.
+ */
+
+const { isLegacyPath, photoFolder } = require('../storage/keys');
+
+// Garden roles from least to most access: viewers look, editors tend plants, owners manage the garden
+const ROLES = ['viewer', 'editor', 'owner'];
+
+// Condition on user_plants up: the plant is in a garden the user is a member of with one of the
+// roles; parameters are the user ID and the roles (see rolesAtLeast)
+const GARDEN_MEMBER_CONDITION = 'up.garden_id IN (SELECT gm.garden_id FROM garden_members gm WHERE gm.user_id = ? AND gm.role IN (?))';
+
+// The same condition on growing_enviroments ge
+const ENVIRONMENT_MEMBER_CONDITION = GARDEN_MEMBER_CONDITION.replace('up.', 'ge.');
+
+/**
+ * Roles with at least the access of a role
+ *
+ * @param {String} role - viewer, editor or owner
+ * @returns {Array<String>} The role and the roles above it
+ */
+const rolesAtLeast = (role) => ROLES.slice(ROLES.indexOf(role));
+
+/**
+ * Find the user's membership of a garden
+ *
+ * @param {Object} pool - Database connection pool or connection
+ * @param {Number} gardenId - Garden ID
+ * @param {Number} userId - User ID
+ * @param {String} role - Least role required (default: viewer)
+ * @returns {Promise<Object|null>} garden_members row with the garden's name, or null if not a
+ *   member with the role
+ */
+const findGardenMembership = async (pool, gardenId, userId, role = 'viewer') => {
+    const [memberships] = await pool.query(`
+        SELECT gm.*, g.name
+        FROM garden_members gm
+        JOIN gardens g ON gm.garden_id = g.garden_id
+        WHERE gm.garden_id = ? AND gm.user_id = ? AND gm.role IN (?)
+    `, [gardenId, userId, rolesAtLeast(role)]);
+
+    return memberships.length > 0 ? memberships[0] : null;
+};
+
+/**
+ * Find a plant in a garden the user is a member of
+ *
+ * @param {Object} pool - Database connection pool or connection
+ * @param {Number} plantId - Plant ID
+ * @param {Number} userId - User ID
+ * @param {String} role - Least role required in the plant's garden (default: editor)
+ * @returns {Promise<Object|null>} user_plants row with the user's role, or null if not found/unauthorized
+ */
+const findOwnedPlant = async (pool, plantId, userId, role = 'editor') => {
+    const [plants] = await pool.query(`
+        SELECT up.*, gm.role
+        FROM user_plants up
+        JOIN garden_members gm ON up.garden_id = gm.garden_id
+        WHERE up.user_plant_id = ? AND gm.user_id = ? AND gm.role IN (?) AND up.is_deleted = 0
+    `, [plantId, userId, rolesAtLeast(role)]);
+
+    return plants.length > 0 ? plants[0] : null;
+};
+
+/**
+ * Find a reminder of a plant in a garden the user is a member of
+ *
+ * @param {Object} pool - Database connection pool or connection
+ * @param {Number} reminderId - Reminder ID
+ * @param {Number} userId - User ID
+ * @param {String} role - Least role required in the plant's garden (default: editor)
+ * @returns {Promise<Object|null>} plant_reminders row or null if not found/unauthorized
+ */
+const findOwnedReminder = async (pool, reminderId, userId, role = 'editor') => {
+    const [reminders] = await pool.query(`
+        SELECT r.*
+        FROM plant_reminders r
+        JOIN user_plants up ON r.user_plant_id = up.user_plant_id
+        JOIN garden_members gm ON up.garden_id = gm.garden_id
+        WHERE r.reminder_id = ? AND gm.user_id = ? AND gm.role IN (?) AND up.is_deleted = 0
+    `, [reminderId, userId, rolesAtLeast(role)]);
+
+    return reminders.length > 0 ? reminders[0] : null;
+};
+
+/**
+ * Find a health remark of a plant in a garden the user is a member of
+ *
+ * @param {Object} pool - Database connection pool or connection
+ * @param {Number} remarkId - Health remark ID
+ * @param {Number} userId - User ID
+ * @param {String} role - Least role required in the plant's garden (default: editor)
+ * @returns {Promise<Object|null>} plant_health row or null if not found/unauthorized
+ */
+const findOwnedHealthRemark = async (pool, remarkId, userId, role = 'editor') => {
+    const [healthRemarks] = await pool.query(`
+        SELECT h.*
+        FROM plant_health h
+        JOIN user_plants up ON h.user_plant_id = up.user_plant_id
+        JOIN garden_members gm ON up.garden_id = gm.garden_id
+        WHERE h.health_id = ? AND gm.user_id = ? AND gm.role IN (?) AND up.is_deleted = 0
+    `, [remarkId, userId, rolesAtLeast(role)]);
+
+    return healthRemarks.length > 0 ? healthRemarks[0] : null;
+};
+
+/**
+ * Find a harvest of a plant in a garden the user is a member of
+ *
+ * @param {Object} pool - Database connection pool or connection
+ * @param {Number} harvestId - Harvest ID
+ * @param {Number} userId - User ID
+ * @param {String} role - Least role required in the plant's garden (default: editor)
+ * @returns {Promise<Object|null>} harvests row or null if not found/unauthorized
+ */
+const findOwnedHarvest = async (pool, harvestId, userId, role = 'editor') => {
+    const [harvests] = await pool.query(`
+        SELECT h.*
+        FROM harvests h
+        JOIN user_plants up ON h.user_plant_id = up.user_plant_id
+        JOIN garden_members gm ON up.garden_id = gm.garden_id
+        WHERE h.harvest_id = ? AND gm.user_id = ? AND gm.role IN (?) AND up.is_deleted = 0
+    `, [harvestId, userId, rolesAtLeast(role)]);
+
+    return harvests.length > 0 ? harvests[0] : null;
+};
+
+/**
+ * Find a growth measurement of a plant in a garden the user is a member of
+ *
+ * @param {Object} pool - Database connection pool or connection
+ * @param {Number} measurementId - Measurement ID
+ * @param {Number} userId - User ID
+ * @param {String} role - Least role required in the plant's garden (default: editor)
+ * @returns {Promise<Object|null>} growth_measurements row or null if not found/unauthorized
+ */
+const findOwnedMeasurement = async (pool, measurementId, userId, role = 'editor') => {
+    const [measurements] = await pool.query(`
+        SELECT m.*
+        FROM growth_measurements m
+        JOIN user_plants up ON m.user_plant_id = up.user_plant_id
+        JOIN garden_members gm ON up.garden_id = gm.garden_id
+        WHERE m.measurement_id = ? AND gm.user_id = ? AND gm.role IN (?) AND up.is_deleted = 0
+    `, [measurementId, userId, rolesAtLeast(role)]);
+
+    return measurements.length > 0 ? measurements[0] : null;
+};
+
+/**
+ * Find a photo of a plant in a garden the user is a member of
+ *
+ * @param {Object} pool - Database connection pool or connection
+ * @param {Number} photoId - Photo ID
+ * @param {Number} userId - User ID
+ * @param {String} role - Least role required in the plant's garden (default: editor)
+ * @returns {Promise<Object|null>} plant_photos row or null if not found/unauthorized
+ */
+const findOwnedPhoto = async (pool, photoId, userId, role = 'editor') => {
+    const [photos] = await pool.query(`
+        SELECT pp.*
+        FROM plant_photos pp
+        JOIN user_plants up ON pp.user_plant_id = up.user_plant_id
+        JOIN garden_members gm ON up.garden_id = gm.garden_id
+        WHERE pp.photo_id = ? AND gm.user_id = ? AND gm.role IN (?) AND up.is_deleted = 0
+    `, [photoId, userId, rolesAtLeast(role)]);
+
+    return photos.length > 0 ? photos[0] : null;
+};
+
+/**
+ * Find the plant an uploaded photo file belongs to, if the user is a member of its garden
+ * Gallery photos and measurement photos both count; any role may see them
+ *
+ * @param {Object} pool - Database connection pool or connection
+ * @param {String} photoPath - Storage key of any variant of the photo, or a legacy /uploads/ path
+ * @param {Number} userId - User ID
+ * @returns {Promise<Object|null>} user_plants row or null if not found/unauthorized
+ */
+const findOwnedPhotoFile = async (pool, photoPath, userId) => {
+    // A variant key matches the stored key of the photo in the same folder; a legacy path matches itself
+    const folder = photoFolder(photoPath);
+    if (!folder && !isLegacyPath(photoPath)) {
+        return null;
+    }
+
+    const matches = (column) => (folder ? `LEFT(${column}, CHAR_LENGTH(?)) = ?` : `${column} = ?`);
+    const params = folder ? [folder, folder] : [photoPath];
+
+    const [plants] = await pool.query(`
+        SELECT up.*
+        FROM user_plants up
+        WHERE ${GARDEN_MEMBER_CONDITION} AND up.is_deleted = 0 AND (
+            EXISTS (SELECT 1 FROM plant_photos pp WHERE pp.user_plant_id = up.user_plant_id AND ${matches('pp.photo_url')})
+            OR EXISTS (SELECT 1 FROM growth_measurements m WHERE m.user_plant_id = up.user_plant_id AND ${matches('m.photo_url')})
+        )
+        LIMIT 1
+    `, [userId, ROLES, ...params, ...params]);
+
+    return plants.length > 0 ? plants[0] : null;
+};
+
+/**
+ * Find the garden a user's new plants and environments go to when they do not choose one
+ * Their own garden comes first, then the garden they joined first as an editor
+ *
+ * @param {Object} pool - Database connection pool or connection
+ * @param {Number} userId - User ID
+ * @returns {Promise<Number|null>} Garden ID or null if the user cannot add anything anywhere
+ */
+const findDefaultGardenId = async (pool, userId) => {
+    const [memberships] = await pool.query(`
+        SELECT garden_id
+        FROM garden_members
+        WHERE user_id = ? AND role IN (?)
+        ORDER BY role = 'owner' DESC, joined_at, garden_id
+        LIMIT 1
+    `, [userId, rolesAtLeast('editor')]);
+
+    return memberships.length > 0 ? memberships[0].garden_id : null;
+};
+
+/**
+ * Find a growing environment in a garden the user is a member of
+ *
+ * @param {Object} pool - Database connection pool or connection
+ * @param {Number} environmentId - Growing environment ID
+ * @param {Number} userId - User ID
+ * @param {String} role - Least role required in the environment's garden (default: editor)
+ * @returns {Promise<Object|null>} growing_enviroments row with the user's role, or null if not found/unauthorized
+ */
+const findOwnedEnvironment = async (pool, environmentId, userId, role = 'editor') => {
+    const [environments] = await pool.query(`
+        SELECT ge.*, gm.role
+        FROM growing_enviroments ge
+        JOIN garden_members gm ON ge.garden_id = gm.garden_id
+        WHERE ge.enviroment_id = ? AND gm.user_id = ? AND gm.role IN (?)
+    `, [environmentId, userId, rolesAtLeast(role)]);
+
+    return environments.length > 0 ? environments[0] : null;
+};
+
+/**
+ * Find an actuator in a growing environment of a garden the user is a member of
+ *
+ * @param {Object} pool - Database connection pool or connection
+ * @param {Number} actuatorId - Actuator ID
+ * @param {Number} userId - User ID
+ * @param {String} role - Least role required in the environment's garden (default: editor)
+ * @returns {Promise<Object|null>} actuators row or null if not found/unauthorized
+ */
+const findOwnedActuator = async (pool, actuatorId, userId, role = 'editor') => {
+    const [actuators] = await pool.query(`
+        SELECT a.*
+        FROM actuators a
+        JOIN growing_enviroments ge ON a.enviroment_id = ge.enviroment_id
+        JOIN garden_members gm ON ge.garden_id = gm.garden_id
+        WHERE a.actuator_id = ? AND gm.user_id = ? AND gm.role IN (?)
+    `, [actuatorId, userId, rolesAtLeast(role)]);
+
+    return actuators.length > 0 ? actuators[0] : null;
+};
+
+/**
+ * Find an automation rule in a growing environment of a garden the user is a member of
+ *
+ * @param {Object} pool - Database connection pool or connection
+ * @param {Number} ruleId - Automation rule ID
+ * @param {Number} userId - User ID
+ * @param {String} role - Least role required in the environment's garden (default: editor)
+ * @returns {Promise<Object|null>} automation_rules row or null if not found/unauthorized
+ */
+const findOwnedRule = async (pool, ruleId, userId, role = 'editor') => {
+    const [rules] = await pool.query(`
+        SELECT r.*
+        FROM automation_rules r
+        JOIN growing_enviroments ge ON r.enviroment_id = ge.enviroment_id
+        JOIN garden_members gm ON ge.garden_id = gm.garden_id
+        WHERE r.rule_id = ? AND gm.user_id = ? AND gm.role IN (?)
+    `, [ruleId, userId, rolesAtLeast(role)]);
+
+    return rules.length > 0 ? rules[0] : null;
+};
+
+module.exports = {
+    ROLES,
+    GARDEN_MEMBER_CONDITION,
+    ENVIRONMENT_MEMBER_CONDITION,
+    rolesAtLeast,
+    findGardenMembership,
+    findOwnedPlant,
+    findOwnedReminder,
+    findOwnedHealthRemark,
+    findOwnedHarvest,
+    findOwnedMeasurement,
+    findOwnedPhoto,
+    findOwnedPhotoFile,
+    findDefaultGardenId,
+    findOwnedEnvironment,
+    findOwnedActuator,
+    findOwnedRule
+};
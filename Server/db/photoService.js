@@ -0,0 +1,346 @@
+/**
+ * Service layer for plant photo galleries
+ * A plant has any number of photos in a user-defined order. Exactly one of them is the
+ * cover shown in the plant list: the first photo becomes the cover, and deleting the
+ * cover promotes the next photo in the gallery order.
+ */
+
+const { findOwnedPlant, findOwnedPhoto } = require('./ownership');
+const recurrence = require('../reminders/recurrence');
+
+/**
+ * Format a plant_photos row for API responses
+ *
+ * @param {Object} row - plant_photos row
+ * @param {String|null} plantedOn - Planting day of the plant (YYYY-MM-DD), for the timeline
+ * @returns {Object} Formatted photo
+ */
+const formatPhoto = (row, plantedOn = null) => {
+    const takenOn = recurrence.toDay(row.taken_on);
+
+    return {
+        id: row.photo_id,
+        plantId: row.user_plant_id,
+        photoKey: row.photo_url,
+        caption: row.caption,
+        takenOn,
+        daysSincePlanting: plantedOn ? recurrence.daysBetween(plantedOn, takenOn) : null,
+        isCover: row.is_cover === 1,
+        sortOrder: row.sort_order,
+        createdAt: row.created_at
+    };
+};
+
+/**
+ * Get a single photo
+ *
+ * @param {Object} pool - Database connection pool or connection
+ * @param {Number} photoId - Photo ID
+ * @returns {Promise<Object|null>} Formatted photo
+ */
+const fetchPhoto = async (pool, photoId) => {
+    const [photos] = await pool.query('SELECT * FROM plant_photos WHERE photo_id = ?', [photoId]);
+    return photos.length > 0 ? formatPhoto(photos[0]) : null;
+};
+
+/**
+ * Add a photo to a plant's gallery without checking ownership
+ * Used inside the plant transactions of plantService as well
+ *
+ * @param {Object} connection - Database connection
+ * @param {Number} plantId - Plant ID
+ * @param {Object} photoData - Photo data (photoKey, caption, takenOn, isCover)
+ * @returns {Promise<Number>} New photo ID
+ */
+const insertPhoto = async (connection, plantId, photoData) => {
+    const { photoKey, caption, takenOn, isCover } = photoData;
+
+    const [[gallery]] = await connection.query(
+        `SELECT COUNT(*) as photoCount, COALESCE(MAX(sort_order) + 1, 0) as nextOrder
+         FROM plant_photos WHERE user_plant_id = ?`,
+        [plantId]
+    );
+
+    // The first photo of a plant is always its cover
+    const cover = isCover || Number(gallery.photoCount) === 0;
+    if (cover) {
+        await connection.query('UPDATE plant_photos SET is_cover = 0 WHERE user_plant_id = ?', [plantId]);
+    }
+
+    const [insertResult] = await connection.query(
+        `INSERT INTO plant_photos (user_plant_id, photo_url, caption, taken_on, is_cover, sort_order)
+         VALUES (?, ?, ?, COALESCE(?, CURDATE()), ?, ?)`,
+        [plantId, photoKey, caption || null, takenOn || null, cover ? 1 : 0, Number(gallery.nextOrder)]
+    );
+
+    return insertResult.insertId;
+};
+
+/**
+ * Get the photos of a plant in gallery order without checking access
+ * Used by the read-only page behind a share link as well
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Object} plant - user_plants row
+ * @returns {Promise<Array>} Photos
+ */
+const getGalleryPhotos = async (pool, plant) => {
+    const [photos] = await pool.query(
+        'SELECT * FROM plant_photos WHERE user_plant_id = ? ORDER BY sort_order, photo_id',
+        [plant.user_plant_id]
+    );
+
+    const plantedOn = recurrence.toDay(plant.planting_time);
+    return photos.map(photo => formatPhoto(photo, plantedOn));
+};
+
+/**
+ * Get the photos of a plant in gallery order
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} plantId - Plant ID
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Array|null>} Photos or null if not found/unauthorized
+ */
+const getPlantPhotos = async (pool, plantId, userId) => {
+    // First verify the user is a member of the plant's garden
+    const plant = await findOwnedPlant(pool, plantId, userId, 'viewer');
+
+    if (!plant) {
+        return null; // Plant not found or user is not a member of its garden
+    }
+
+    return getGalleryPhotos(pool, plant);
+};
+
+/**
+ * Add a photo to a plant's gallery
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} plantId - Plant ID
+ * @param {Object} photoData - Photo data (photoKey, caption, takenOn, isCover)
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Object|null>} Created photo or null if not found/unauthorized
+ */
+const addPhoto = async (pool, plantId, photoData, userId) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        // First verify the plant belongs to the user
+        const plant = await findOwnedPlant(connection, plantId, userId);
+
+        if (!plant) {
+            await connection.rollback();
+            return null; // Plant not found or doesn't belong to user
+        }
+
+        const photoId = await insertPhoto(connection, plantId, photoData);
+
+        await connection.commit();
+
+        return fetchPhoto(connection, photoId);
+    } catch (error) {
+        if (connection) {
+            await connection.rollback();
+        }
+        throw error;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+/**
+ * Change the caption or date of a photo, or make it the cover
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} photoId - Photo ID
+ * @param {Object} photoData - Photo data (caption, takenOn, isCover); omitted fields stay unchanged
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Object|null>} Updated photo or null if not found/unauthorized
+ */
+const updatePhoto = async (pool, photoId, photoData, userId) => {
+    const { caption, takenOn, isCover } = photoData;
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        // First verify the photo is of a plant that belongs to the user
+        const photo = await findOwnedPhoto(connection, photoId, userId);
+
+        if (!photo) {
+            await connection.rollback();
+            return null; // Photo not found or not authorized
+        }
+
+        // Another photo only becomes the cover by being chosen, so isCover = false is ignored
+        if (isCover) {
+            await connection.query('UPDATE plant_photos SET is_cover = 0 WHERE user_plant_id = ?', [photo.user_plant_id]);
+        }
+
+        await connection.query(
+            `UPDATE plant_photos
+             SET caption = ?, taken_on = ?, is_cover = ?
+             WHERE photo_id = ?`,
+            [
+                caption !== undefined ? caption || null : photo.caption,
+                takenOn || photo.taken_on,
+                isCover ? 1 : photo.is_cover,
+                photoId
+            ]
+        );
+
+        await connection.commit();
+
+        return fetchPhoto(connection, photoId);
+    } catch (error) {
+        if (connection) {
+            await connection.rollback();
+        }
+        throw error;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+/**
+ * Delete a photo from a plant's gallery
+ * The uploaded file is removed later by the upload cleaner (see storage/cleaner.js)
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} photoId - Photo ID
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Boolean>} True if successful, false if not found/unauthorized
+ */
+const deletePhoto = async (pool, photoId, userId) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        // First verify the photo is of a plant that belongs to the user
+        const photo = await findOwnedPhoto(connection, photoId, userId);
+
+        if (!photo) {
+            await connection.rollback();
+            return false; // Photo not found or not authorized
+        }
+
+        await connection.query('DELETE FROM plant_photos WHERE photo_id = ?', [photoId]);
+
+        // The next photo in the gallery takes over as cover
+        if (photo.is_cover === 1) {
+            await connection.query(
+                'UPDATE plant_photos SET is_cover = 1 WHERE user_plant_id = ? ORDER BY sort_order, photo_id LIMIT 1',
+                [photo.user_plant_id]
+            );
+        }
+
+        await connection.commit();
+
+        return true;
+    } catch (error) {
+        if (connection) {
+            await connection.rollback();
+        }
+        throw error;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+/**
+ * Put the photos of a plant in a new order
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} plantId - Plant ID
+ * @param {Array} photoIds - Every photo ID of the plant, in the new order
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Array|false|null>} Photos in the new order, false if photoIds does not list
+ *   exactly the plant's photos, or null if not found/unauthorized
+ */
+const reorderPhotos = async (pool, plantId, photoIds, userId) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        // First verify the plant belongs to the user
+        const plant = await findOwnedPlant(connection, plantId, userId);
+
+        if (!plant) {
+            await connection.rollback();
+            return null; // Plant not found or doesn't belong to user
+        }
+
+        const [photos] = await connection.query(
+            'SELECT photo_id FROM plant_photos WHERE user_plant_id = ?',
+            [plantId]
+        );
+
+        const currentIds = photos.map(photo => photo.photo_id).sort((a, b) => a - b);
+        const requestedIds = [...photoIds].sort((a, b) => a - b);
+
+        if (currentIds.length !== requestedIds.length || currentIds.some((id, index) => id !== requestedIds[index])) {
+            await connection.rollback();
+            return false;
+        }
+
+        for (const [index, photoId] of photoIds.entries()) {
+            await connection.query(
+                'UPDATE plant_photos SET sort_order = ? WHERE photo_id = ?',
+                [index, photoId]
+            );
+        }
+
+        await connection.commit();
+    } catch (error) {
+        if (connection) {
+            await connection.rollback();
+        }
+        throw error;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+
+    return getPlantPhotos(pool, plantId, userId);
+};
+
+/**
+ * Every stored photo key or legacy path still in use, by gallery or measurement photos
+ * Photos of plants in the trash still count, so a restored plant gets them back
+ *
+ * @param {Object} pool - Database connection pool
+ * @returns {Promise<Array<String>>} Distinct photo keys and /uploads/ paths
+ */
+const getPhotoReferences = async (pool) => {
+    const [rows] = await pool.query(`
+        SELECT photo_url as photoKey FROM plant_photos
+        UNION
+        SELECT photo_url as photoKey FROM growth_measurements WHERE photo_url IS NOT NULL
+    `);
+
+    return rows.map(row => row.photoKey);
+};
+
+module.exports = {
+    insertPhoto,
+    getGalleryPhotos,
+    getPlantPhotos,
+    addPhoto,
+    updatePhoto,
+    deletePhoto,
+    reorderPhotos,
+    getPhotoReferences
+};
@@ -3,12 +3,30 @@
  * Centralizes and optimizes database queries
  */
 
+const {
+    GARDEN_MEMBER_CONDITION,
+    rolesAtLeast,
+    findGardenMembership,
+    findDefaultGardenId,
+    findOwnedPlant,
+    findOwnedEnvironment
+} = require('./ownership');
+const photoService = require('./photoService');
+const auditService = require('./auditService');
+
+// Storage key of the plant's cover photo from its gallery
+const COVER_PHOTO_KEY = `(
+    SELECT pp.photo_url FROM plant_photos pp
+    WHERE pp.user_plant_id = up.user_plant_id AND pp.is_cover = 1
+    LIMIT 1
+)`;
+
 /**
- * Get all plants for a specific user
+ * Get all plants of the gardens a user is a member of
  * 
  * @param {Object} pool - Database connection pool
  * @param {Number} userId - User ID
- * @returns {Promise<Array>} Array of plant objects
+ * @returns {Promise<Array>} Array of plant objects with their garden and the user's role in it
  */
 const getUserPlants = async (pool, userId) => {
     const [plants] = await pool.query(`
@@ -18,10 +36,18 @@ const getUserPlants = async (pool, userId) => {
             ap.plant_species as species,
             up.planting_time as plantingTime,
             up.est_cropping as estCropping,
-            up.photo_url as photoUrl
+            ${COVER_PHOTO_KEY} as photoKey,
+            up.enviroment_id as environmentId,
+            ge.name as environmentName,
+            up.garden_id as gardenId,
+            g.name as gardenName,
+            gm.role
         FROM user_plants up
         JOIN all_plants ap ON up.plant_id = ap.plant_id
-        WHERE up.user_id = ? AND up.is_deleted = 0
+        JOIN gardens g ON up.garden_id = g.garden_id
+        JOIN garden_members gm ON up.garden_id = gm.garden_id
+        LEFT JOIN growing_enviroments ge ON up.enviroment_id = ge.enviroment_id
+        WHERE gm.user_id = ? AND up.is_deleted = 0
         ORDER BY up.planting_time DESC
     `, [userId]);
     
@@ -29,9 +55,9 @@ const getUserPlants = async (pool, userId) => {
 };
 
 /**
- * Get a single plant by ID for a specific user
+ * Get a single plant by ID, if the user is a member of its garden
  * 
- * @param {Object} pool - Database connection pool
+ * @param {Object} pool - Database connection pool or connection
  * @param {Number} plantId - Plant ID
  * @param {Number} userId - User ID
  * @returns {Promise<Object|null>} Plant object or null if not found
@@ -44,10 +70,18 @@ const getPlantById = async (pool, plantId, userId) => {
             ap.plant_species as species,
             up.planting_time as plantingTime,
             up.est_cropping as estCropping,
-            up.photo_url as photoUrl
+            ${COVER_PHOTO_KEY} as photoKey,
+            up.enviroment_id as environmentId,
+            ge.name as environmentName,
+            up.garden_id as gardenId,
+            g.name as gardenName,
+            gm.role
         FROM user_plants up
         JOIN all_plants ap ON up.plant_id = ap.plant_id
-        WHERE up.user_plant_id = ? AND up.user_id = ? AND up.is_deleted = 0
+        JOIN gardens g ON up.garden_id = g.garden_id
+        JOIN garden_members gm ON up.garden_id = gm.garden_id
+        LEFT JOIN growing_enviroments ge ON up.enviroment_id = ge.enviroment_id
+        WHERE up.user_plant_id = ? AND gm.user_id = ? AND up.is_deleted = 0
     `, [plantId, userId]);
     
     return plants.length > 0 ? plants[0] : null;
@@ -82,47 +116,56 @@ const findOrCreatePlantType = async (connection, cultivar, species) => {
 };
 
 /**
- * Add a new plant for a user
+ * Add a new plant to a garden
  * 
  * @param {Object} pool - Database connection pool
- * @param {Object} plantData - Plant data
- * @param {Number} userId - User ID
- * @returns {Promise<Object>} Newly created plant
+ * @param {Object} plantData - Plant data; gardenId defaults to the user's own garden
+ * @param {Number} userId - User ID (recorded as the member who added the plant)
+ * @returns {Promise<Object|null>} Newly created plant or null if the user is not an editor of the garden
  */
 const addPlant = async (pool, plantData, userId) => {
-    const { cultivar, species, plantingTime, estCropping, photoUrl } = plantData;
+    const { cultivar, species, plantingTime, estCropping, photoKey } = plantData;
     
     let connection;
     try {
         connection = await pool.getConnection();
         await connection.beginTransaction();
 
+        const gardenId = plantData.gardenId
+            ? (await findGardenMembership(connection, plantData.gardenId, userId, 'editor') || {}).garden_id
+            : await findDefaultGardenId(connection, userId);
+
+        if (!gardenId) {
+            await connection.rollback();
+            return null;
+        }
+
         // Find or create plant type
         const plantTypeId = await findOrCreatePlantType(connection, cultivar, species);
 
-        // Add user's plant
+        // Add the plant to the garden
         const [userPlantResult] = await connection.query(
-            'INSERT INTO user_plants (user_id, plant_id, planting_time, est_cropping, photo_url) VALUES (?, ?, ?, ?, ?)',
-            [userId, plantTypeId, plantingTime, estCropping || null, photoUrl]
+            'INSERT INTO user_plants (user_id, garden_id, plant_id, planting_time, est_cropping) VALUES (?, ?, ?, ?, ?)',
+            [userId, gardenId, plantTypeId, plantingTime, estCropping || null]
         );
 
+        // The uploaded photo starts the plant's gallery
+        if (photoKey) {
+            await photoService.insertPhoto(connection, userPlantResult.insertId, { photoKey, isCover: true });
+        }
+
+        await auditService.recordChange(connection, {
+            plantId: userPlantResult.insertId,
+            entityType: 'plant',
+            entityId: userPlantResult.insertId,
+            action: 'create',
+            after: await auditService.getSnapshot(connection, 'plant', userPlantResult.insertId)
+        }, userId);
+
         await connection.commit();
 
         // Get the newly created plant
-        const [newPlant] = await connection.query(`
-            SELECT
-                up.user_plant_id as id,
-                ap.plant_cultivar as name,
-                ap.plant_species as species,
-                up.planting_time as plantingTime,
-                up.est_cropping as estCropping,
-                up.photo_url as photoUrl
-            FROM user_plants up
-            JOIN all_plants ap ON up.plant_id = ap.plant_id
-            WHERE up.user_plant_id = ?
-        `, [userPlantResult.insertId]);
-
-        return newPlant[0];
+        return await getPlantById(connection, userPlantResult.insertId, userId);
     } catch (error) {
         if (connection) {
             await connection.rollback();
@@ -137,74 +180,140 @@ const addPlant = async (pool, plantData, userId) => {
 
 /**
  * Update an existing plant
+ * Moving it to another garden (gardenId) takes an owner of its garden who is an editor of the other;
+ * the plant leaves its environment, which stays with the old garden
  * 
  * @param {Object} pool - Database connection pool
  * @param {Number} plantId - Plant ID
  * @param {Object} plantData - Plant data
  * @param {Number} userId - User ID
- * @returns {Promise<Object>} Updated plant
+ * @returns {Promise<Object|null>} Updated plant or null if not found/unauthorized
  */
 const updatePlant = async (pool, plantId, plantData, userId) => {
-    const { cultivar, species, plantingTime, estCropping, photoUrl } = plantData;
+    const { cultivar, species, plantingTime, estCropping, photoKey } = plantData;
     
     let connection;
     try {
         connection = await pool.getConnection();
         await connection.beginTransaction();
 
-        // First verify the plant belongs to the user
-        const [existingPlant] = await connection.query(
-            'SELECT up.* FROM user_plants up WHERE up.user_plant_id = ? AND up.user_id = ? AND up.is_deleted = 0',
-            [plantId, userId]
-        );
+        // First verify the user may edit the plant
+        const existingPlant = await findOwnedPlant(connection, plantId, userId);
+        const gardenId = plantData.gardenId ? Number(plantData.gardenId) : existingPlant && existingPlant.garden_id;
+        const moving = existingPlant && gardenId !== existingPlant.garden_id;
 
-        if (existingPlant.length === 0) {
+        if (!existingPlant || (moving && (existingPlant.role !== 'owner'
+            || !await findGardenMembership(connection, gardenId, userId, 'editor')))) {
             await connection.rollback();
             return null;
         }
 
+        const before = await auditService.getSnapshot(connection, 'plant', plantId);
+
         // Find or create plant type
         const plantTypeId = await findOrCreatePlantType(connection, cultivar, species);
 
         // Update the user_plants record
         const updateData = {
             plant_id: plantTypeId,
+            garden_id: gardenId,
             planting_time: plantingTime,
             est_cropping: estCropping || null,
+            ...(moving ? { enviroment_id: null } : {})
         };
         
-        // Only update photo_url if a new photo was uploaded
-        if (photoUrl) {
-            updateData.photo_url = photoUrl;
+        // A new photo is added to the gallery as the cover; earlier photos are kept
+        if (photoKey) {
+            await photoService.insertPhoto(connection, plantId, { photoKey, isCover: true });
         }
 
         const updateFields = Object.entries(updateData)
             .map(([key]) => `${key} = ?`)
             .join(', ');
-        const updateValues = [...Object.values(updateData), plantId, userId];
+        const updateValues = [...Object.values(updateData), plantId];
 
         await connection.query(
-            `UPDATE user_plants SET ${updateFields} WHERE user_plant_id = ? AND user_id = ?`,
+            `UPDATE user_plants SET ${updateFields} WHERE user_plant_id = ?`,
             updateValues
         );
 
+        await auditService.recordChange(connection, {
+            plantId,
+            entityType: 'plant',
+            entityId: plantId,
+            action: 'update',
+            before,
+            after: await auditService.getSnapshot(connection, 'plant', plantId)
+        }, userId);
+
         await connection.commit();
 
         // Fetch the updated plant data
-        const [updatedPlant] = await connection.query(`
-            SELECT
-                up.user_plant_id as id,
-                ap.plant_cultivar as name,
-                ap.plant_species as species,
-                up.planting_time as plantingTime,
-                up.est_cropping as estCropping,
-                up.photo_url as photoUrl
-            FROM user_plants up
-            JOIN all_plants ap ON up.plant_id = ap.plant_id
-            WHERE up.user_plant_id = ?
-        `, [plantId]);
-
-        return updatedPlant[0];
+        return await getPlantById(connection, plantId, userId);
+    } catch (error) {
+        if (connection) {
+            await connection.rollback();
+        }
+        throw error;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+/**
+ * Revert a plant to an earlier version from its history
+ * Name, species, planting date, estimated cropping and environment are set back; an
+ * environment that no longer exists or is no longer in the plant's garden is left as it is now.
+ * The revert is recorded too.
+ * 
+ * @param {Object} pool - Database connection pool
+ * @param {Number} plantId - Plant ID
+ * @param {Number} auditId - ID of the history entry whose version to return to
+ * @param {Number} userId - User ID
+ * @returns {Promise<Object|null>} Reverted plant or null if the plant or version is not found
+ */
+const revertPlant = async (pool, plantId, auditId, userId) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const existingPlant = await findOwnedPlant(connection, plantId, userId);
+        const version = existingPlant && await auditService.getPlantVersion(connection, plantId, auditId);
+
+        if (!version) {
+            await connection.rollback();
+            return null;
+        }
+
+        const before = await auditService.getSnapshot(connection, 'plant', plantId);
+        const plantTypeId = await findOrCreatePlantType(connection, version.name, version.species);
+        const environment = version.environmentId !== null
+            && await findOwnedEnvironment(connection, version.environmentId, userId);
+        const environmentId = version.environmentId === null
+            || (environment && environment.garden_id === existingPlant.garden_id)
+            ? version.environmentId
+            : existingPlant.enviroment_id;
+
+        await connection.query(
+            `UPDATE user_plants
+             SET plant_id = ?, planting_time = ?, est_cropping = ?, enviroment_id = ?
+             WHERE user_plant_id = ?`,
+            [plantTypeId, version.plantingTime, version.estCropping, environmentId, plantId]
+        );
+
+        await auditService.recordChange(connection, {
+            plantId,
+            entityType: 'plant',
+            entityId: plantId,
+            action: 'revert',
+            before,
+            after: await auditService.getSnapshot(connection, 'plant', plantId)
+        }, userId);
+
+        await connection.commit();
     } catch (error) {
         if (connection) {
             await connection.rollback();
@@ -215,10 +324,13 @@ const updatePlant = async (pool, plantId, plantData, userId) => {
             connection.release();
         }
     }
+
+    return getPlantById(pool, plantId, userId);
 };
 
 /**
  * Delete a plant (soft delete)
+ * The plant moves to the trash and its active reminders are paused until it is restored
  * 
  * @param {Object} pool - Database connection pool
  * @param {Number} plantId - Plant ID
@@ -226,18 +338,243 @@ const updatePlant = async (pool, plantId, plantData, userId) => {
  * @returns {Promise<Boolean>} True if successful, false if plant not found
  */
 const deletePlant = async (pool, plantId, userId) => {
-    const [result] = await pool.query(
-        'UPDATE user_plants SET is_deleted = 1 WHERE user_plant_id = ? AND user_id = ?',
-        [plantId, userId]
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [result] = await connection.query(
+            `UPDATE user_plants up SET up.is_deleted = 1, up.deleted_at = NOW()
+             WHERE up.user_plant_id = ? AND up.is_deleted = 0 AND ${GARDEN_MEMBER_CONDITION}`,
+            [plantId, userId, rolesAtLeast('editor')]
+        );
+
+        if (result.affectedRows === 0) {
+            await connection.rollback();
+            return false;
+        }
+
+        await connection.query(
+            'UPDATE plant_reminders SET is_active = 0, paused_with_plant = 1 WHERE user_plant_id = ? AND is_active = 1',
+            [plantId]
+        );
+
+        await auditService.recordChange(connection, {
+            plantId,
+            entityType: 'plant',
+            entityId: plantId,
+            action: 'delete'
+        }, userId);
+
+        await connection.commit();
+
+        return true;
+    } catch (error) {
+        if (connection) {
+            await connection.rollback();
+        }
+        throw error;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+/**
+ * Get the deleted plants of the gardens a user is an editor or owner of
+ * 
+ * @param {Object} pool - Database connection pool
+ * @param {Number} userId - User ID
+ * @param {Number} retentionDays - Days a deleted plant is kept before it is purged
+ * @returns {Promise<Array>} Deleted plants, most recently deleted first, with deletedAt, purgeAt,
+ *   their garden and the user's role in it
+ */
+const getDeletedPlants = async (pool, userId, retentionDays) => {
+    const [plants] = await pool.query(`
+        SELECT 
+            up.user_plant_id as id,
+            ap.plant_cultivar as name,
+            ap.plant_species as species,
+            up.planting_time as plantingTime,
+            ${COVER_PHOTO_KEY} as photoKey,
+            up.deleted_at as deletedAt,
+            DATE_ADD(up.deleted_at, INTERVAL ? DAY) as purgeAt,
+            up.garden_id as gardenId,
+            g.name as gardenName,
+            gm.role
+        FROM user_plants up
+        JOIN all_plants ap ON up.plant_id = ap.plant_id
+        JOIN gardens g ON up.garden_id = g.garden_id
+        JOIN garden_members gm ON up.garden_id = gm.garden_id
+        WHERE gm.user_id = ? AND gm.role IN (?) AND up.is_deleted = 1
+        ORDER BY up.deleted_at DESC, up.user_plant_id DESC
+    `, [retentionDays, userId, rolesAtLeast('editor')]);
+    
+    return plants;
+};
+
+/**
+ * Restore a plant from the trash, resuming the reminders that were paused with it
+ * 
+ * @param {Object} pool - Database connection pool
+ * @param {Number} plantId - Plant ID
+ * @param {Number} userId - User ID
+ * @returns {Promise<Object|null>} Restored plant or null if not in the trash of a garden the user edits
+ */
+const restorePlant = async (pool, plantId, userId) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [result] = await connection.query(
+            `UPDATE user_plants up SET up.is_deleted = 0, up.deleted_at = NULL
+             WHERE up.user_plant_id = ? AND up.is_deleted = 1 AND ${GARDEN_MEMBER_CONDITION}`,
+            [plantId, userId, rolesAtLeast('editor')]
+        );
+
+        if (result.affectedRows === 0) {
+            await connection.rollback();
+            return null;
+        }
+
+        await connection.query(
+            'UPDATE plant_reminders SET is_active = 1, paused_with_plant = 0 WHERE user_plant_id = ? AND paused_with_plant = 1',
+            [plantId]
+        );
+
+        await auditService.recordChange(connection, {
+            plantId,
+            entityType: 'plant',
+            entityId: plantId,
+            action: 'restore'
+        }, userId);
+
+        await connection.commit();
+    } catch (error) {
+        if (connection) {
+            await connection.rollback();
+        }
+        throw error;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+
+    return getPlantById(pool, plantId, userId);
+};
+
+/**
+ * Photo keys of plants, from their galleries and measurements
+ * 
+ * @param {Object} connection - Database connection
+ * @param {Array<Number>} plantIds - Plant IDs
+ * @returns {Promise<Array<String>>} Distinct photo keys and legacy paths
+ */
+const findPlantPhotoKeys = async (connection, plantIds) => {
+    if (plantIds.length === 0) {
+        return [];
+    }
+
+    const [rows] = await connection.query(`
+        SELECT photo_url as photoKey FROM plant_photos WHERE user_plant_id IN (?)
+        UNION
+        SELECT photo_url as photoKey FROM growth_measurements WHERE user_plant_id IN (?) AND photo_url IS NOT NULL
+    `, [plantIds, plantIds]);
+
+    return rows.map(row => row.photoKey);
+};
+
+/**
+ * Permanently delete plants from the trash
+ * Reminders, health remarks, harvests, measurements and photos go with them (ON DELETE CASCADE)
+ * 
+ * @param {Object} pool - Database connection pool
+ * @param {String} condition - SQL condition on up (user_plants), besides being in the trash
+ * @param {Array} params - Parameters of the condition
+ * @returns {Promise<Object>} purged (number of plants) and photoKeys whose files can be removed
+ */
+const purgeDeletedPlants = async (pool, condition, params) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [plants] = await connection.query(
+            `SELECT up.user_plant_id FROM user_plants up WHERE up.is_deleted = 1 AND ${condition} FOR UPDATE`,
+            params
+        );
+        const plantIds = plants.map(plant => plant.user_plant_id);
+
+        if (plantIds.length === 0) {
+            await connection.rollback();
+            return { purged: 0, photoKeys: [] };
+        }
+
+        const photoKeys = await findPlantPhotoKeys(connection, plantIds);
+
+        await connection.query('DELETE FROM user_plants WHERE user_plant_id IN (?)', [plantIds]);
+
+        await connection.commit();
+
+        return { purged: plantIds.length, photoKeys };
+    } catch (error) {
+        if (connection) {
+            await connection.rollback();
+        }
+        throw error;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+/**
+ * Permanently delete a plant from the trash; only owners of its garden can
+ * 
+ * @param {Object} pool - Database connection pool
+ * @param {Number} plantId - Plant ID
+ * @param {Number} userId - User ID
+ * @returns {Promise<Array<String>|null>} Photo keys whose files can be removed, or null if the
+ *   plant is not in the trash of a garden the user owns
+ */
+const purgePlant = async (pool, plantId, userId) => {
+    const { purged, photoKeys } = await purgeDeletedPlants(
+        pool,
+        `up.user_plant_id = ? AND ${GARDEN_MEMBER_CONDITION}`,
+        [plantId, userId, rolesAtLeast('owner')]
     );
 
-    return result.affectedRows > 0;
+    return purged > 0 ? photoKeys : null;
 };
 
+/**
+ * Permanently delete every plant that has been in the trash for longer than the retention period
+ * The retention counts from deleted_at. Migration 018 added it for the upload cleaner's grace
+ * period, which no longer uses it; plants deleted before that migration count from when it ran
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Date} deletedBefore - Plants deleted before this time are purged
+ * @returns {Promise<Object>} purged (number of plants) and photoKeys whose files can be removed
+ */
+const purgeExpiredPlants = async (pool, deletedBefore) => purgeDeletedPlants(
+    pool,
+    'up.deleted_at < ?',
+    [deletedBefore]
+);
+
 module.exports = {
     getUserPlants,
     getPlantById,
     addPlant,
     updatePlant,
-    deletePlant
+    revertPlant,
+    deletePlant,
+    getDeletedPlants,
+    restorePlant,
+    purgePlant,
+    purgeExpiredPlants
 };
@@ -0,0 +1,127 @@
+/**
+ * Service layer for Web Push subscription-related database operations
+ * A subscription belongs to one browser/device; its endpoint URL identifies it
+ */
+
+/**
+ * Format a push_subscriptions row for API responses
+ *
+ * @param {Object} row - push_subscriptions row
+ * @returns {Object} Formatted subscription (without the encryption keys)
+ */
+const formatSubscription = (row) => ({
+    id: row.subscription_id,
+    userAgent: row.user_agent,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at
+});
+
+/**
+ * Get a user's subscriptions
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} userId - User ID
+ * @returns {Promise<Array>} Array of subscription objects
+ */
+const getUserSubscriptions = async (pool, userId) => {
+    const [subscriptions] = await pool.query(
+        'SELECT * FROM push_subscriptions WHERE user_id = ? ORDER BY created_at DESC',
+        [userId]
+    );
+
+    return subscriptions.map(formatSubscription);
+};
+
+/**
+ * Save a subscription for a user
+ * Browsers reuse the endpoint when resubscribing, so an existing row is taken over
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Object} subscription - PushSubscription JSON (endpoint, keys.p256dh, keys.auth) and userAgent
+ * @param {Number} userId - User ID
+ * @returns {Promise<void>}
+ */
+const saveSubscription = async (pool, subscription, userId) => {
+    const { endpoint, keys, userAgent } = subscription;
+
+    await pool.query(
+        `INSERT INTO push_subscriptions (user_id, endpoint, p256dh, auth, user_agent)
+         VALUES (?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+             user_id = VALUES(user_id),
+             p256dh = VALUES(p256dh),
+             auth = VALUES(auth),
+             user_agent = VALUES(user_agent)`,
+        [userId, endpoint, keys.p256dh, keys.auth, userAgent ? userAgent.slice(0, 255) : null]
+    );
+};
+
+/**
+ * Delete one of a user's subscriptions by endpoint
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {String} endpoint - Subscription endpoint
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Boolean>} True if deleted, false if not found/unauthorized
+ */
+const deleteSubscription = async (pool, endpoint, userId) => {
+    const [result] = await pool.query(
+        'DELETE FROM push_subscriptions WHERE endpoint = ? AND user_id = ?',
+        [endpoint, userId]
+    );
+
+    return result.affectedRows > 0;
+};
+
+/**
+ * Get the subscriptions to deliver a user's notifications to
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} userId - User ID
+ * @returns {Promise<Array>} push_subscriptions rows including the keys
+ */
+const getDeliveryTargets = async (pool, userId) => {
+    const [subscriptions] = await pool.query(
+        'SELECT * FROM push_subscriptions WHERE user_id = ?',
+        [userId]
+    );
+
+    return subscriptions;
+};
+
+/**
+ * Record a successful delivery
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} subscriptionId - Subscription ID
+ * @returns {Promise<void>}
+ */
+const markUsed = async (pool, subscriptionId) => {
+    await pool.query(
+        'UPDATE push_subscriptions SET last_used_at = NOW() WHERE subscription_id = ?',
+        [subscriptionId]
+    );
+};
+
+/**
+ * Remove a subscription the push service reported as gone
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} subscriptionId - Subscription ID
+ * @returns {Promise<void>}
+ */
+const removeExpired = async (pool, subscriptionId) => {
+    await pool.query(
+        'DELETE FROM push_subscriptions WHERE subscription_id = ?',
+        [subscriptionId]
+    );
+};
+
+module.exports = {
+    getUserSubscriptions,
+    saveSubscription,
+    deleteSubscription,
+    getDeliveryTargets,
+    markUsed,
+    removeExpired
+};
@@ -1,7 +1,55 @@
 /**
  * Service layer for plant reminder-related database operations
+ * Each reminder follows a recurrence rule (see reminders/recurrence.js); next_reminder
+ * holds the next due day and is NULL once a series with an end date or count has finished.
  */
 
+const { GARDEN_MEMBER_CONDITION, rolesAtLeast, findOwnedPlant, findOwnedReminder } = require('./ownership');
+const { systemClock, toDateString } = require('../clock');
+const recurrence = require('../reminders/recurrence');
+const auditService = require('./auditService');
+
+// Upper bound for occurrences returned per reminder by getUpcomingReminders
+const MAX_OCCURRENCES_PER_REMINDER = 31;
+
+/**
+ * Format a plant_reminders row for API responses
+ * 
+ * @param {Object} row - plant_reminders row
+ * @returns {Object} Formatted reminder
+ */
+const formatReminder = (row) => {
+    const rule = recurrence.parseRRule(row.rrule);
+    
+    return {
+        id: row.reminder_id,
+        type: row.reminder_type,
+        startDate: row.start_date,
+        rrule: row.rrule,
+        recurrence: rule,
+        intervalDays: recurrence.toIntervalDays(rule),
+        nextReminder: row.next_reminder,
+        lastCompleted: row.last_completed,
+        occurrencesDone: row.occurrences_done,
+        notes: row.notes,
+        isActive: row.is_active === 1
+    };
+};
+
+/**
+ * First due day of a new or rescheduled series
+ * A reminder given as "every N days" is first due one interval after its start date,
+ * as it was before recurrence rules; other rules can be due on the start date itself
+ * 
+ * @param {Object} reminderData - Reminder data (rule, startDate, fromIntervalDays)
+ * @returns {String|null} First due day (YYYY-MM-DD)
+ */
+const getFirstDue = ({ rule, startDate, fromIntervalDays }) => (
+    fromIntervalDays
+        ? recurrence.restartInterval(rule, startDate)
+        : recurrence.firstOccurrence(rule, startDate)
+);
+
 /**
  * Get all reminders for a specific plant
  * 
@@ -11,179 +59,522 @@
  * @returns {Promise<Array>} Array of reminder objects
  */
 const getPlantReminders = async (pool, plantId, userId) => {
-    // First verify the plant belongs to the user
-    const [plant] = await pool.query(
-        'SELECT * FROM user_plants WHERE user_plant_id = ? AND user_id = ? AND is_deleted = 0',
-        [plantId, userId]
-    );
+    // First verify the user is a member of the plant's garden
+    const plant = await findOwnedPlant(pool, plantId, userId, 'viewer');
     
-    if (plant.length === 0) {
-        return null; // Plant not found or doesn't belong to user
+    if (!plant) {
+        return null; // Plant not found or user is not a member of its garden
     }
     
+    // Finished series go last
     const [reminders] = await pool.query(`
-        SELECT 
-            reminder_id as id,
-            reminder_type as type,
-            start_date as startDate,
-            interval_days as intervalDays,
-            next_reminder as nextReminder,
-            last_completed as lastCompleted,
-            notes,
-            is_active as isActive
+        SELECT *
         FROM plant_reminders
         WHERE user_plant_id = ? AND is_active = 1
-        ORDER BY next_reminder ASC
+        ORDER BY next_reminder IS NULL, next_reminder ASC
     `, [plantId]);
     
-    return reminders;
+    return reminders.map(formatReminder);
 };
 
 /**
- * Create or update a reminder for a plant
+ * Create a reminder for a plant
+ * A plant can have any number of reminders, also several of the same type
  * 
  * @param {Object} pool - Database connection pool
  * @param {Number} plantId - Plant ID
- * @param {Object} reminderData - Reminder data
+ * @param {Object} reminderData - Reminder data (type, rule, startDate, fromIntervalDays, notes)
  * @param {Number} userId - User ID (for authorization)
- * @returns {Promise<Object>} Created/updated reminder
+ * @returns {Promise<Object>} Created reminder
  */
-const saveReminder = async (pool, plantId, reminderData, userId) => {
-    const { type, intervalDays, startDate, notes } = reminderData;
+const createReminder = async (pool, plantId, reminderData, userId) => {
+    const { type, rule, startDate, notes } = reminderData;
     
     // First verify the plant belongs to the user
-    const [plant] = await pool.query(
-        'SELECT * FROM user_plants WHERE user_plant_id = ? AND user_id = ? AND is_deleted = 0',
-        [plantId, userId]
-    );
+    const plant = await findOwnedPlant(pool, plantId, userId);
     
-    if (plant.length === 0) {
+    if (!plant) {
         return null; // Plant not found or doesn't belong to user
     }
     
-    // Calculate next reminder date
-    const nextReminder = new Date(startDate);
-    nextReminder.setDate(nextReminder.getDate() + parseInt(intervalDays));
-    const nextReminderStr = nextReminder.toISOString().split('T')[0];
+    const nextReminder = getFirstDue(reminderData);
+    
+    const [insertResult] = await pool.query(
+        `INSERT INTO plant_reminders 
+         (user_plant_id, reminder_type, start_date, rrule, next_reminder, notes)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [plantId, type, startDate, recurrence.formatRRule(rule), nextReminder, notes || null]
+    );
+    
+    await auditService.recordChange(pool, {
+        plantId,
+        entityType: 'reminder',
+        entityId: insertResult.insertId,
+        action: 'create',
+        after: await auditService.getSnapshot(pool, 'reminder', insertResult.insertId)
+    }, userId);
     
-    // Check if a reminder of this type already exists for this plant
-    const [existingReminders] = await pool.query(
-        'SELECT * FROM plant_reminders WHERE user_plant_id = ? AND reminder_type = ? AND is_active = 1',
-        [plantId, type]
+    const [result] = await pool.query(
+        'SELECT * FROM plant_reminders WHERE reminder_id = ?',
+        [insertResult.insertId]
     );
     
-    let result;
-    if (existingReminders.length > 0) {
-        // Update existing reminder
-        const reminderId = existingReminders[0].reminder_id;
+    return result.length > 0 ? formatReminder(result[0]) : null;
+};
+
+/**
+ * Change the schedule of a reminder
+ * The series starts over from the new start date; notes are kept unless given
+ * 
+ * @param {Object} pool - Database connection pool
+ * @param {Number} reminderId - Reminder ID
+ * @param {Object} reminderData - Reminder data (type, rule, startDate, fromIntervalDays, notes)
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Object>} Updated reminder
+ */
+const updateReminder = async (pool, reminderId, reminderData, userId) => {
+    const { type, rule, startDate, notes } = reminderData;
+    
+    // First verify the reminder is for a plant that belongs to the user
+    const reminder = await findOwnedReminder(pool, reminderId, userId);
+    
+    if (!reminder) {
+        return null; // Reminder not found or not authorized
+    }
+    
+    const before = await auditService.getSnapshot(pool, 'reminder', reminderId);
+    
+    await pool.query(
+        `UPDATE plant_reminders 
+         SET reminder_type = ?,
+             start_date = ?,
+             rrule = ?,
+             next_reminder = ?,
+             occurrences_done = 0,
+             notes = ?
+         WHERE reminder_id = ?`,
+        [
+            type,
+            startDate,
+            recurrence.formatRRule(rule),
+            getFirstDue(reminderData),
+            notes === undefined ? reminder.notes : notes || null,
+            reminderId
+        ]
+    );
+    
+    await auditService.recordChange(pool, {
+        plantId: reminder.user_plant_id,
+        entityType: 'reminder',
+        entityId: reminderId,
+        action: 'update',
+        before,
+        after: await auditService.getSnapshot(pool, 'reminder', reminderId)
+    }, userId);
+    
+    const [result] = await pool.query(
+        'SELECT * FROM plant_reminders WHERE reminder_id = ?',
+        [reminderId]
+    );
+    
+    return result.length > 0 ? formatReminder(result[0]) : null;
+};
+
+/**
+ * Format a reminder_completions row for API responses
+ * 
+ * @param {Object} row - reminder_completions row joined with reminder type and username
+ * @returns {Object} Formatted history entry
+ */
+const formatCompletion = (row) => ({
+    id: row.completion_id,
+    reminderId: row.reminder_id,
+    plantId: row.user_plant_id,
+    type: row.reminder_type,
+    action: row.action,
+    completedAt: row.completed_at,
+    completedBy: row.username || null,
+    dueDate: row.due_date,
+    newDate: row.new_date,
+    isLate: row.is_late === 1,
+    quantity: row.quantity === null ? null : Number(row.quantity),
+    quantityUnit: row.quantity_unit,
+    note: row.note
+});
+
+/**
+ * Record an action in the reminder history and apply its changes to the reminder
+ * The changes are worked out from a row read earlier; expected columns are checked again
+ * when the reminder is updated, so an action that raced with another one is not recorded
+ * 
+ * @param {Object} pool - Database connection pool
+ * @param {Object} reminder - plant_reminders row
+ * @param {Object} entry - History entry (action, userId, now, dueDate, newDate, quantity, quantityUnit, note)
+ * @param {Object} changes - plant_reminders columns to update
+ * @param {Object} expected - plant_reminders columns that must still hold these values (optional)
+ * @returns {Promise<Object|false>} Updated reminder, false if an expected column has changed
+ */
+const recordReminderAction = async (pool, reminder, entry, changes, expected = {}) => {
+    const today = toDateString(entry.now);
+    const columns = Object.keys(changes);
+    const expectedColumns = Object.keys(expected);
+    
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
         
-        await pool.query(
-            `UPDATE plant_reminders 
-             SET interval_days = ?, 
-                 start_date = ?, 
-                 next_reminder = ?,
-                 notes = ?
-             WHERE reminder_id = ?`,
-            [intervalDays, startDate, nextReminderStr, notes || null, reminderId]
+        await connection.query(
+            `INSERT INTO reminder_completions 
+             (reminder_id, user_plant_id, action, completed_by, completed_at, due_date, new_date, is_late, quantity, quantity_unit, note)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                reminder.reminder_id,
+                reminder.user_plant_id,
+                entry.action,
+                entry.userId,
+                entry.now,
+                entry.dueDate,
+                entry.newDate || null,
+                entry.dueDate && today > entry.dueDate ? 1 : 0,
+                entry.quantity === undefined ? null : entry.quantity,
+                entry.quantityUnit || null,
+                entry.note || null
+            ]
         );
         
-        [result] = await pool.query(
-            'SELECT * FROM plant_reminders WHERE reminder_id = ?',
-            [reminderId]
-        );
-    } else {
-        // Create new reminder
-        const [insertResult] = await pool.query(
-            `INSERT INTO plant_reminders 
-             (user_plant_id, reminder_type, interval_days, start_date, next_reminder, notes)
-             VALUES (?, ?, ?, ?, ?, ?)`,
-            [plantId, type, intervalDays, startDate, nextReminderStr, notes || null]
+        // Update the reminder (<=> also matches NULL, e.g. a finished series)
+        const [updateResult] = await connection.query(
+            `UPDATE plant_reminders 
+             SET ${columns.map(column => `${column} = ?`).join(', ')}
+             WHERE reminder_id = ?${expectedColumns.map(column => ` AND ${column} <=> ?`).join('')}`,
+            [
+                ...columns.map(column => changes[column]),
+                reminder.reminder_id,
+                ...expectedColumns.map(column => expected[column])
+            ]
         );
         
-        [result] = await pool.query(
+        if (updateResult.affectedRows === 0) {
+            await connection.rollback();
+            return false;
+        }
+        
+        await connection.commit();
+        
+        // Fetch updated reminder
+        const [updatedResult] = await connection.query(
             'SELECT * FROM plant_reminders WHERE reminder_id = ?',
-            [insertResult.insertId]
+            [reminder.reminder_id]
         );
+        
+        if (updatedResult.length === 0) {
+            return null;
+        }
+        
+        return formatReminder(updatedResult[0]);
+    } catch (error) {
+        if (connection) {
+            await connection.rollback();
+        }
+        throw error;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
     }
+};
+
+/**
+ * Mark a reminder as completed and log the completion
+ * An overdue interval reminder normally restarts from today; with keepSchedule it keeps
+ * the rhythm of its original due day instead
+ * 
+ * Completions queued offline are replayed later: completedAt dates them to when the work
+ * was done, and expectedDueDate makes sure the reminder has not been completed, skipped or
+ * rescheduled elsewhere in the meantime. The due day and count read here are checked again
+ * when the reminder is updated, so two completions at once cannot both be recorded.
+ * 
+ * @param {Object} pool - Database connection pool
+ * @param {Number} reminderId - Reminder ID
+ * @param {Object} completionData - Optional details (note, quantity, quantityUnit, keepSchedule, completedAt, expectedDueDate)
+ * @param {Number} userId - User ID (for authorization and the completion log)
+ * @param {Object} clock - Clock that decides what "today" is
+ * @returns {Promise<Object|false|null>} Updated reminder, false if it is no longer due on expectedDueDate
+ *                                        or was changed while completing, null if not found/unauthorized
+ */
+const completeReminder = async (pool, reminderId, completionData, userId, clock = systemClock) => {
+    const { note, quantity, quantityUnit, keepSchedule, completedAt, expectedDueDate } = completionData;
     
-    if (result.length === 0) {
-        return null;
+    // First verify the reminder is for a plant that belongs to the user
+    const reminder = await findOwnedReminder(pool, reminderId, userId);
+    
+    if (!reminder) {
+        return null; // Reminder not found or not authorized
     }
     
-    // Format response
-    const reminder = result[0];
-    return {
-        id: reminder.reminder_id,
-        type: reminder.reminder_type,
-        startDate: reminder.start_date,
-        intervalDays: reminder.interval_days,
-        nextReminder: reminder.next_reminder,
-        lastCompleted: reminder.last_completed,
-        notes: reminder.notes,
-        isActive: reminder.is_active === 1
-    };
+    const dueDate = reminder.next_reminder ? recurrence.toDay(reminder.next_reminder) : null;
+    
+    if (expectedDueDate && expectedDueDate !== dueDate) {
+        return false;
+    }
+    
+    // A completion time ahead of the server clock is taken as now
+    const now = completedAt && completedAt < clock.now() ? completedAt : clock.now();
+    const today = toDateString(now);
+    const rule = recurrence.parseRRule(reminder.rrule);
+    const occurrencesDone = reminder.occurrences_done + 1;
+    
+    const dtstart = recurrence.toDay(reminder.start_date);
+    
+    // Calculate next reminder date, unless the series is used up
+    let nextReminder = null;
+    if (!rule.count || occurrencesDone < rule.count) {
+        nextReminder = keepSchedule && dueDate && dueDate < today
+            ? recurrence.nextOnSchedule(rule, dtstart, dueDate, today)
+            : recurrence.nextAfterCompletion(rule, dtstart, today, dueDate);
+    }
+    
+    return recordReminderAction(
+        pool,
+        reminder,
+        { action: 'completed', userId, now, dueDate, quantity, quantityUnit, note },
+        { last_completed: today, next_reminder: nextReminder, occurrences_done: occurrencesDone },
+        { next_reminder: dueDate, occurrences_done: reminder.occurrences_done }
+    );
 };
 
 /**
- * Mark a reminder as completed
+ * Snooze a reminder: move its next due day without touching the rest of the schedule
  * 
  * @param {Object} pool - Database connection pool
  * @param {Number} reminderId - Reminder ID
- * @param {Number} userId - User ID (for authorization)
- * @returns {Promise<Object>} Updated reminder
+ * @param {Object} snoozeData - Either days (snooze by N days from today) or until (YYYY-MM-DD), optional note
+ * @param {Number} userId - User ID (for authorization and the history)
+ * @param {Object} clock - Clock that decides what "today" is
+ * @returns {Promise<Object|false|null>} Updated reminder, false if the series has finished, null if not found/unauthorized
  */
-const completeReminder = async (pool, reminderId, userId) => {
-    // First verify the reminder is for a plant that belongs to the user
-    const [reminders] = await pool.query(`
-        SELECT r.* 
-        FROM plant_reminders r
-        JOIN user_plants up ON r.user_plant_id = up.user_plant_id
-        WHERE r.reminder_id = ? AND up.user_id = ? AND up.is_deleted = 0
-    `, [reminderId, userId]);
+const snoozeReminder = async (pool, reminderId, snoozeData, userId, clock = systemClock) => {
+    const { days, until, note } = snoozeData;
+    
+    const reminder = await findOwnedReminder(pool, reminderId, userId);
     
-    if (reminders.length === 0) {
+    if (!reminder) {
         return null; // Reminder not found or not authorized
     }
     
-    const reminder = reminders[0];
-    const today = new Date().toISOString().split('T')[0];
+    if (!reminder.next_reminder) {
+        return false; // Nothing left to snooze
+    }
     
-    // Calculate next reminder date
-    const nextReminder = new Date();
-    nextReminder.setDate(nextReminder.getDate() + parseInt(reminder.interval_days));
-    const nextReminderStr = nextReminder.toISOString().split('T')[0];
+    const now = clock.now();
+    const newDate = until || recurrence.addDays(toDateString(now), parseInt(days));
     
-    // Update the reminder
-    await pool.query(
-        `UPDATE plant_reminders 
-         SET last_completed = ?, 
-             next_reminder = ?
-         WHERE reminder_id = ?`,
-        [today, nextReminderStr, reminderId]
+    return recordReminderAction(
+        pool,
+        reminder,
+        { action: 'snoozed', userId, now, dueDate: recurrence.toDay(reminder.next_reminder), newDate, note },
+        { next_reminder: newDate }
+    );
+};
+
+/**
+ * Skip the next occurrence of a reminder ("it rained, no watering needed")
+ * The occurrence counts towards COUNT but not towards adherence
+ * 
+ * @param {Object} pool - Database connection pool
+ * @param {Number} reminderId - Reminder ID
+ * @param {Object} skipData - Optional note
+ * @param {Number} userId - User ID (for authorization and the history)
+ * @param {Object} clock - Clock that decides what "today" is
+ * @returns {Promise<Object|false|null>} Updated reminder, false if the series has finished, null if not found/unauthorized
+ */
+const skipReminder = async (pool, reminderId, skipData, userId, clock = systemClock) => {
+    const reminder = await findOwnedReminder(pool, reminderId, userId);
+    
+    if (!reminder) {
+        return null; // Reminder not found or not authorized
+    }
+    
+    if (!reminder.next_reminder) {
+        return false; // Nothing left to skip
+    }
+    
+    const dueDate = recurrence.toDay(reminder.next_reminder);
+    const rule = recurrence.parseRRule(reminder.rrule);
+    const occurrencesDone = reminder.occurrences_done + 1;
+    
+    // The schedule carries on as if the skipped occurrence had been done on its due day
+    const nextReminder = rule.count && occurrencesDone >= rule.count
+        ? null
+        : recurrence.followingOccurrence(rule, recurrence.toDay(reminder.start_date), dueDate);
+    
+    return recordReminderAction(
+        pool,
+        reminder,
+        { action: 'skipped', userId, now: clock.now(), dueDate, newDate: nextReminder, note: skipData.note },
+        { next_reminder: nextReminder, occurrences_done: occurrencesDone }
     );
+};
+
+/**
+ * Reschedule a reminder so its series starts again from a day
+ * Weekday and day-of-month rules keep their pattern, intervals count from the new day
+ * 
+ * @param {Object} pool - Database connection pool
+ * @param {Number} reminderId - Reminder ID
+ * @param {Object} rescheduleData - date (YYYY-MM-DD), optional note
+ * @param {Number} userId - User ID (for authorization and the history)
+ * @param {Object} clock - Clock that decides what "today" is
+ * @returns {Promise<Object|null>} Updated reminder or null if not found/unauthorized
+ */
+const rescheduleReminder = async (pool, reminderId, rescheduleData, userId, clock = systemClock) => {
+    const { date, note } = rescheduleData;
     
-    // Fetch updated reminder
-    const [updatedResult] = await pool.query(
-        'SELECT * FROM plant_reminders WHERE reminder_id = ?',
-        [reminderId]
+    const reminder = await findOwnedReminder(pool, reminderId, userId);
+    
+    if (!reminder) {
+        return null; // Reminder not found or not authorized
+    }
+    
+    const rule = recurrence.parseRRule(reminder.rrule);
+    const nextReminder = rule.count && reminder.occurrences_done >= rule.count
+        ? null
+        : recurrence.firstOccurrence(rule, date);
+    
+    return recordReminderAction(
+        pool,
+        reminder,
+        {
+            action: 'rescheduled',
+            userId,
+            now: clock.now(),
+            dueDate: reminder.next_reminder ? recurrence.toDay(reminder.next_reminder) : null,
+            newDate: nextReminder,
+            note
+        },
+        { start_date: date, next_reminder: nextReminder }
     );
+};
+
+/**
+ * Get the history of a reminder: completions, snoozes, skips and reschedules
+ * 
+ * @param {Object} pool - Database connection pool
+ * @param {Number} reminderId - Reminder ID
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Array|null>} History entries, newest first, or null if not found/unauthorized
+ */
+const getReminderHistory = async (pool, reminderId, userId) => {
+    const reminder = await findOwnedReminder(pool, reminderId, userId, 'viewer');
     
-    if (updatedResult.length === 0) {
-        return null;
+    if (!reminder) {
+        return null; // Reminder not found or not authorized
     }
     
-    // Format response
-    const updatedReminder = updatedResult[0];
-    return {
-        id: updatedReminder.reminder_id,
-        type: updatedReminder.reminder_type,
-        startDate: updatedReminder.start_date,
-        intervalDays: updatedReminder.interval_days,
-        nextReminder: updatedReminder.next_reminder,
-        lastCompleted: updatedReminder.last_completed,
-        notes: updatedReminder.notes,
-        isActive: updatedReminder.is_active === 1
-    };
+    const [completions] = await pool.query(`
+        SELECT c.*, r.reminder_type, u.username
+        FROM reminder_completions c
+        JOIN plant_reminders r ON c.reminder_id = r.reminder_id
+        LEFT JOIN users u ON c.completed_by = u.user_id
+        WHERE c.reminder_id = ?
+        ORDER BY c.completed_at DESC, c.completion_id DESC
+    `, [reminderId]);
+    
+    return completions.map(formatCompletion);
+};
+
+/**
+ * Get the care history of a plant across all its reminders
+ * Completions of deleted reminders are included, the care still happened
+ * 
+ * @param {Object} pool - Database connection pool
+ * @param {Number} plantId - Plant ID
+ * @param {Number} limit - Maximum number of completions to return
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Array|null>} Completions, newest first, or null if not found/unauthorized
+ */
+const getPlantCareHistory = async (pool, plantId, limit, userId) => {
+    const plant = await findOwnedPlant(pool, plantId, userId, 'viewer');
+    
+    if (!plant) {
+        return null; // Plant not found or user is not a member of its garden
+    }
+    
+    const [completions] = await pool.query(`
+        SELECT c.*, r.reminder_type, u.username
+        FROM reminder_completions c
+        JOIN plant_reminders r ON c.reminder_id = r.reminder_id
+        LEFT JOIN users u ON c.completed_by = u.user_id
+        WHERE c.user_plant_id = ?
+        ORDER BY c.completed_at DESC, c.completion_id DESC
+        LIMIT ?
+    `, [plantId, Math.min(parseInt(limit) || 50, 500)]);
+    
+    return completions.map(formatCompletion);
+};
+
+/**
+ * Get care adherence per plant
+ * Adherence is the share of completions done on or before their due day;
+ * the streak counts the most recent on-time completions in a row, by any member of the garden
+ * 
+ * @param {Object} pool - Database connection pool
+ * @param {Number} userId - User ID
+ * @param {Number} days - Number of days to look back (default: 90)
+ * @param {Object} clock - Clock that decides what "today" is
+ * @returns {Promise<Array>} Per plant: plantId, plantName, completions, onTime, adherence (0-100), streak
+ */
+const getAdherence = async (pool, userId, days = 90, clock = systemClock) => {
+    const since = clock.now();
+    since.setDate(since.getDate() - days);
+    
+    const [completions] = await pool.query(`
+        SELECT 
+            c.user_plant_id as plantId,
+            ap.plant_cultivar as plantName,
+            c.is_late as isLate
+        FROM reminder_completions c
+        JOIN user_plants up ON c.user_plant_id = up.user_plant_id
+        JOIN all_plants ap ON up.plant_id = ap.plant_id
+        WHERE ${GARDEN_MEMBER_CONDITION}
+          AND up.is_deleted = 0
+          AND c.action = 'completed'
+          AND c.completed_at >= ?
+        ORDER BY c.completed_at DESC, c.completion_id DESC
+    `, [userId, rolesAtLeast('editor'), since]);
+    
+    const plants = new Map();
+    
+    completions.forEach(completion => {
+        if (!plants.has(completion.plantId)) {
+            plants.set(completion.plantId, {
+                plantId: completion.plantId,
+                plantName: completion.plantName,
+                completions: 0,
+                onTime: 0,
+                streak: 0,
+                streakBroken: false
+            });
+        }
+        
+        const plant = plants.get(completion.plantId);
+        plant.completions++;
+        
+        if (completion.isLate) {
+            plant.streakBroken = true;
+        } else {
+            plant.onTime++;
+            if (!plant.streakBroken) {
+                plant.streak++;
+            }
+        }
+    });
+    
+    return Array.from(plants.values()).map(({ streakBroken, ...plant }) => ({
+        ...plant,
+        adherence: Math.round((plant.onTime / plant.completions) * 100)
+    }));
 };
 
 /**
@@ -196,48 +587,50 @@ const completeReminder = async (pool, reminderId, userId) => {
  */
 const deleteReminder = async (pool, reminderId, userId) => {
     // First verify the reminder is for a plant that belongs to the user
-    const [reminders] = await pool.query(`
-        SELECT r.* 
-        FROM plant_reminders r
-        JOIN user_plants up ON r.user_plant_id = up.user_plant_id
-        WHERE r.reminder_id = ? AND up.user_id = ? AND up.is_deleted = 0
-    `, [reminderId, userId]);
+    const reminder = await findOwnedReminder(pool, reminderId, userId);
     
-    if (reminders.length === 0) {
+    if (!reminder) {
         return false; // Reminder not found or not authorized
     }
     
+    const before = await auditService.getSnapshot(pool, 'reminder', reminderId);
+    
     // Soft delete by setting is_active to 0
     const [result] = await pool.query(
         'UPDATE plant_reminders SET is_active = 0 WHERE reminder_id = ?',
         [reminderId]
     );
     
+    await auditService.recordChange(pool, {
+        plantId: reminder.user_plant_id,
+        entityType: 'reminder',
+        entityId: reminderId,
+        action: 'delete',
+        before
+    }, userId);
+    
     return result.affectedRows > 0;
 };
 
 /**
- * Get all upcoming reminders for a user
+ * Get the active reminders the user can take care of (plants in gardens they edit)
+ * whose next due day matches a condition
  * 
  * @param {Object} pool - Database connection pool
  * @param {Number} userId - User ID
- * @param {Number} daysAhead - Number of days to look ahead (default: 7)
- * @returns {Promise<Array>} Array of upcoming reminder objects
+ * @param {String} condition - SQL condition on r.next_reminder
+ * @param {Array} params - Parameters for the condition
+ * @returns {Promise<Array>} Reminder rows with plant details
  */
-const getUpcomingReminders = async (pool, userId, daysAhead = 7) => {
-    const today = new Date().toISOString().split('T')[0];
-    
-    // Calculate the future date
-    const futureDate = new Date();
-    futureDate.setDate(futureDate.getDate() + daysAhead);
-    const futureDateStr = futureDate.toISOString().split('T')[0];
-    
+const findActiveReminders = async (pool, userId, condition, params) => {
     const [reminders] = await pool.query(`
         SELECT 
             r.reminder_id as id,
             r.reminder_type as type,
+            r.start_date as startDate,
+            r.rrule,
             r.next_reminder as nextReminder,
-            r.interval_days as intervalDays,
+            r.occurrences_done as occurrencesDone,
             r.notes,
             up.user_plant_id as plantId,
             ap.plant_cultivar as plantName,
@@ -245,20 +638,139 @@ const getUpcomingReminders = async (pool, userId, daysAhead = 7) => {
         FROM plant_reminders r
         JOIN user_plants up ON r.user_plant_id = up.user_plant_id
         JOIN all_plants ap ON up.plant_id = ap.plant_id
-        WHERE up.user_id = ? 
+        WHERE ${GARDEN_MEMBER_CONDITION}
           AND up.is_deleted = 0
           AND r.is_active = 1
-          AND r.next_reminder BETWEEN ? AND ?
+          AND ${condition}
         ORDER BY r.next_reminder ASC
-    `, [userId, today, futureDateStr]);
+    `, [userId, rolesAtLeast('editor'), ...params]);
     
     return reminders;
 };
 
+/**
+ * Format an overdue reminder row
+ * 
+ * @param {Object} row - Row from findActiveReminders
+ * @param {String} today - Today (YYYY-MM-DD)
+ * @returns {Object} Overdue reminder with isOverdue and daysOverdue
+ */
+const formatOverdueReminder = ({ startDate, occurrencesDone, ...reminder }, today) => {
+    const rule = recurrence.parseRRule(reminder.rrule);
+    const dueDate = recurrence.toDay(reminder.nextReminder);
+    
+    return {
+        ...reminder,
+        recurrence: rule,
+        intervalDays: recurrence.toIntervalDays(rule),
+        nextReminder: dueDate,
+        isNext: true,
+        isOverdue: true,
+        daysOverdue: recurrence.daysBetween(dueDate, today)
+    };
+};
+
+/**
+ * Get the reminders that are past their due day
+ * 
+ * @param {Object} pool - Database connection pool
+ * @param {Number} userId - User ID
+ * @param {Object} clock - Clock that decides what "today" is
+ * @returns {Promise<Array>} Overdue reminders, most overdue first
+ */
+const getOverdueReminders = async (pool, userId, clock = systemClock) => {
+    const today = toDateString(clock.now());
+    
+    const reminders = await findActiveReminders(pool, userId, 'r.next_reminder < ?', [today]);
+    
+    return reminders.map(reminder => formatOverdueReminder(reminder, today))
+        .sort((a, b) => b.daysOverdue - a.daysOverdue);
+};
+
+/**
+ * Get all upcoming reminders for a user
+ * Recurring reminders are expanded, so "water every Monday and Thursday" shows up twice a week;
+ * only the first occurrence of each reminder can be completed (isNext).
+ * With includeOverdue, reminders past their due day come first (most overdue first), and their
+ * later occurrences are projected as if they were done today.
+ * 
+ * @param {Object} pool - Database connection pool
+ * @param {Number} userId - User ID
+ * @param {Number} daysAhead - Number of days to look ahead (default: 7)
+ * @param {Boolean} includeOverdue - Include overdue reminders (default: false)
+ * @param {Object} clock - Clock that decides what "today" is
+ * @returns {Promise<Array>} Array of reminder occurrences
+ */
+const getUpcomingReminders = async (pool, userId, daysAhead = 7, includeOverdue = false, clock = systemClock) => {
+    const today = toDateString(clock.now());
+    
+    // Calculate the future date
+    const futureDate = clock.now();
+    futureDate.setDate(futureDate.getDate() + daysAhead);
+    const futureDateStr = toDateString(futureDate);
+    
+    const reminders = await findActiveReminders(pool, userId, 'r.next_reminder BETWEEN ? AND ?', [today, futureDateStr]);
+    const overdue = includeOverdue
+        ? await findActiveReminders(pool, userId, 'r.next_reminder < ?', [today])
+        : [];
+    
+    /**
+     * Expand a reminder's occurrences from a day up to the end of the window
+     * @param {Object} row - Row from findActiveReminders
+     * @param {Boolean} overdueRow - Whether the row is overdue (only later occurrences are listed)
+     * @returns {Array} Reminder occurrences
+     */
+    const expand = ({ startDate, occurrencesDone, ...reminder }, overdueRow) => {
+        const rule = recurrence.parseRRule(reminder.rrule);
+        const dtstart = recurrence.toDay(startDate);
+        const dueDate = recurrence.toDay(reminder.nextReminder);
+        const remaining = rule.count
+            ? rule.count - occurrencesDone - (overdueRow ? 1 : 0)
+            : MAX_OCCURRENCES_PER_REMINDER;
+        const from = overdueRow
+            ? remaining > 0 && recurrence.nextAfterCompletion(rule, dtstart, today, dueDate)
+            : dueDate;
+        
+        return recurrence.expandOccurrences(
+            rule,
+            dtstart,
+            from || null,
+            futureDateStr,
+            Math.min(remaining, MAX_OCCURRENCES_PER_REMINDER)
+        ).map((day, index) => ({
+            ...reminder,
+            recurrence: rule,
+            intervalDays: recurrence.toIntervalDays(rule),
+            nextReminder: day,
+            isNext: !overdueRow && index === 0,
+            isOverdue: false
+        }));
+    };
+    
+    const occurrences = [
+        ...reminders.flatMap(reminder => expand(reminder, false)),
+        ...overdue.flatMap(reminder => expand(reminder, true))
+    ].sort((a, b) => a.nextReminder.localeCompare(b.nextReminder));
+    
+    return [
+        ...overdue.map(reminder => formatOverdueReminder(reminder, today))
+            .sort((a, b) => b.daysOverdue - a.daysOverdue),
+        ...occurrences
+    ];
+};
+
 module.exports = {
     getPlantReminders,
-    saveReminder,
+    createReminder,
+    updateReminder,
     completeReminder,
+    snoozeReminder,
+    skipReminder,
+    rescheduleReminder,
+    getReminderHistory,
+    getPlantCareHistory,
+    getAdherence,
     deleteReminder,
+    getOverdueReminders,
     getUpcomingReminders
 };
@@ -0,0 +1,202 @@
+/**
+ * Service layer for sensor reading-related database operations
+ */
+
+const { findOwnedEnvironment } = require('./ownership');
+
+// Upper bound for rows returned by a single range query
+const MAX_READINGS_LIMIT = 5000;
+
+/**
+ * Format a sensor_inputs row for API responses
+ *
+ * @param {Object} row - sensor_inputs row
+ * @returns {Object} Formatted reading
+ */
+const formatReading = (row) => ({
+    id: row.input_id,
+    environmentId: row.enviroment_id,
+    sensorName: row.sensor_name,
+    sensorType: row.sensor_type,
+    value: row.value === null ? null : Number(row.value),
+    timestamp: row.timestamp
+});
+
+/**
+ * Convert a reading payload into an insertable row
+ *
+ * @param {Number} environmentId - Growing environment ID
+ * @param {Object} reading - Reading data
+ * @returns {Array} Column values in insert order
+ */
+const toRowValues = (environmentId, reading) => [
+    reading.sensorName,
+    reading.sensorType || null,
+    reading.value,
+    reading.timestamp ? new Date(reading.timestamp) : new Date(),
+    environmentId
+];
+
+/**
+ * Record a single sensor reading
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} environmentId - Growing environment ID
+ * @param {Object} reading - Reading data (sensorName, sensorType, value, timestamp)
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Object|null>} Created reading or null if environment not found/unauthorized
+ */
+const addReading = async (pool, environmentId, reading, userId) => {
+    // First verify the environment belongs to the user
+    const environment = await findOwnedEnvironment(pool, environmentId, userId);
+
+    if (!environment) {
+        return null; // Environment not found or doesn't belong to user
+    }
+
+    const [insertResult] = await pool.query(
+        'INSERT INTO sensor_inputs (sensor_name, sensor_type, value, timestamp, enviroment_id) VALUES (?, ?, ?, ?, ?)',
+        toRowValues(environmentId, reading)
+    );
+
+    const [result] = await pool.query(
+        'SELECT * FROM sensor_inputs WHERE input_id = ?',
+        [insertResult.insertId]
+    );
+
+    return result.length > 0 ? formatReading(result[0]) : null;
+};
+
+/**
+ * Record a batch of sensor readings in a single transaction
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} environmentId - Growing environment ID
+ * @param {Array} readings - Array of reading data objects
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Number|null>} Number of stored readings or null if environment not found/unauthorized
+ */
+const addReadings = async (pool, environmentId, readings, userId) => {
+    const environment = await findOwnedEnvironment(pool, environmentId, userId);
+
+    if (!environment) {
+        return null; // Environment not found or doesn't belong to user
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const rows = readings.map(reading => toRowValues(environmentId, reading));
+        const [insertResult] = await connection.query(
+            'INSERT INTO sensor_inputs (sensor_name, sensor_type, value, timestamp, enviroment_id) VALUES ?',
+            [rows]
+        );
+
+        await connection.commit();
+
+        return insertResult.affectedRows;
+    } catch (error) {
+        if (connection) {
+            await connection.rollback();
+        }
+        throw error;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+/**
+ * Get sensor readings for an environment within a time range
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} environmentId - Growing environment ID
+ * @param {Object} filters - Optional filters (from, to, sensorName, sensorType, limit)
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Array|null>} Array of readings or null if environment not found/unauthorized
+ */
+const getReadings = async (pool, environmentId, filters, userId) => {
+    const environment = await findOwnedEnvironment(pool, environmentId, userId, 'viewer');
+
+    if (!environment) {
+        return null; // Environment not found or doesn't belong to user
+    }
+
+    const { from, to, sensorName, sensorType } = filters;
+    const limit = Math.min(parseInt(filters.limit) || 500, MAX_READINGS_LIMIT);
+
+    const conditions = ['enviroment_id = ?'];
+    const values = [environmentId];
+
+    if (from) {
+        conditions.push('timestamp >= ?');
+        values.push(new Date(from));
+    }
+
+    if (to) {
+        conditions.push('timestamp <= ?');
+        values.push(new Date(to));
+    }
+
+    if (sensorName) {
+        conditions.push('sensor_name = ?');
+        values.push(sensorName);
+    }
+
+    if (sensorType) {
+        conditions.push('sensor_type = ?');
+        values.push(sensorType);
+    }
+
+    const [rows] = await pool.query(`
+        SELECT *
+        FROM sensor_inputs
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY timestamp DESC
+        LIMIT ?
+    `, [...values, limit]);
+
+    return rows.map(formatReading);
+};
+
+/**
+ * Get the most recent reading of every sensor in an environment
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} environmentId - Growing environment ID
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Array|null>} One reading per sensor or null if environment not found/unauthorized
+ */
+const getLatestReadings = async (pool, environmentId, userId) => {
+    const environment = await findOwnedEnvironment(pool, environmentId, userId, 'viewer');
+
+    if (!environment) {
+        return null; // Environment not found or doesn't belong to user
+    }
+
+    const [rows] = await pool.query(`
+        SELECT si.*
+        FROM sensor_inputs si
+        WHERE si.enviroment_id = ?
+          AND si.input_id = (
+              SELECT s2.input_id
+              FROM sensor_inputs s2
+              WHERE s2.enviroment_id = si.enviroment_id AND s2.sensor_name = si.sensor_name
+              ORDER BY s2.timestamp DESC, s2.input_id DESC
+              LIMIT 1
+          )
+        ORDER BY si.sensor_name ASC
+    `, [environmentId]);
+
+    return rows.map(formatReading);
+};
+
+module.exports = {
+    addReading,
+    addReadings,
+    getReadings,
+    getLatestReadings
+};
@@ -0,0 +1,175 @@
+/**
+ * Service layer for sharing plant photo galleries
+ * Photos are private to the members of the plant's garden unless an owner of the garden
+ * shares the plant. Sharing creates a secret link to a read-only page with the plant's
+ * gallery; creating a new link replaces the old one and turning sharing off makes the
+ * link stop working. Measurement photos are never shared.
+ */
+
+const crypto = require('crypto');
+const { GARDEN_MEMBER_CONDITION, rolesAtLeast, findOwnedPlant } = require('./ownership');
+const { hashToken } = require('./tokenService');
+const photoService = require('./photoService');
+const { isLegacyPath, photoFolder } = require('../storage/keys');
+
+/**
+ * Get whether a plant is shared
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} plantId - Plant ID
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Object|null>} Sharing state (shared, sharedAt) or null if not found/unauthorized
+ */
+const getSharing = async (pool, plantId, userId) => {
+    const plant = await findOwnedPlant(pool, plantId, userId, 'owner');
+
+    if (!plant) {
+        return null; // Plant not found or user is not an owner of its garden
+    }
+
+    return {
+        shared: plant.share_token_hash !== null,
+        sharedAt: plant.shared_at
+    };
+};
+
+/**
+ * Create a share link token for a plant, replacing its previous one
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} plantId - Plant ID
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<String|null>} Raw token (shown to the user once) or null if not found/unauthorized
+ */
+const sharePlant = async (pool, plantId, userId) => {
+    const plant = await findOwnedPlant(pool, plantId, userId, 'owner');
+
+    if (!plant) {
+        return null; // Plant not found or user is not an owner of its garden
+    }
+
+    const rawToken = crypto.randomBytes(32).toString('hex');
+
+    await pool.query(
+        'UPDATE user_plants SET share_token_hash = ?, shared_at = NOW() WHERE user_plant_id = ?',
+        [hashToken(rawToken), plantId]
+    );
+
+    return rawToken;
+};
+
+/**
+ * Stop sharing a plant
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} plantId - Plant ID
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Boolean>} True if a share link was turned off, false if the plant was not
+ *   shared or not found/unauthorized
+ */
+const stopSharing = async (pool, plantId, userId) => {
+    const [result] = await pool.query(
+        `UPDATE user_plants up
+         SET up.share_token_hash = NULL, up.shared_at = NULL
+         WHERE up.user_plant_id = ? AND up.is_deleted = 0 AND up.share_token_hash IS NOT NULL
+           AND ${GARDEN_MEMBER_CONDITION}`,
+        [plantId, userId, rolesAtLeast('owner')]
+    );
+
+    return result.affectedRows > 0;
+};
+
+/**
+ * Find the plant a share token belongs to
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {String} rawToken - Raw token from the share link
+ * @returns {Promise<Object|null>} user_plants row or null if the token is unknown or revoked
+ */
+const findSharedPlant = async (pool, rawToken) => {
+    if (typeof rawToken !== 'string' || rawToken === '') {
+        return null;
+    }
+
+    const [plants] = await pool.query(
+        'SELECT * FROM user_plants WHERE share_token_hash = ? AND is_deleted = 0',
+        [hashToken(rawToken)]
+    );
+
+    return plants.length > 0 ? plants[0] : null;
+};
+
+/**
+ * Get the shared view of a plant: its name and gallery, nothing else
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {String} rawToken - Raw token from the share link
+ * @returns {Promise<Object|null>} Shared plant (name, species, plantingTime, photos) or null
+ *   if the token is unknown or revoked
+ */
+const getSharedPlant = async (pool, rawToken) => {
+    const plant = await findSharedPlant(pool, rawToken);
+
+    if (!plant) {
+        return null;
+    }
+
+    const [plantTypes] = await pool.query(
+        'SELECT plant_cultivar, plant_species FROM all_plants WHERE plant_id = ?',
+        [plant.plant_id]
+    );
+
+    const photos = await photoService.getGalleryPhotos(pool, plant);
+
+    return {
+        name: plantTypes[0].plant_cultivar,
+        species: plantTypes[0].plant_species,
+        plantingTime: plant.planting_time,
+        photos: photos.map(({ id, photoKey, caption, takenOn, daysSincePlanting }) => ({
+            id,
+            photoKey,
+            caption,
+            takenOn,
+            daysSincePlanting
+        }))
+    };
+};
+
+/**
+ * Find the shared plant a gallery photo file belongs to
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {String} photoPath - Storage key of any variant of the photo, or a legacy /uploads/ path
+ * @param {String} rawToken - Raw token from the share link
+ * @returns {Promise<Object|null>} user_plants row or null if the photo is not in that shared gallery
+ */
+const findSharedPhotoFile = async (pool, photoPath, rawToken) => {
+    // A variant key matches the stored key of the photo in the same folder; a legacy path matches itself
+    const folder = photoFolder(photoPath);
+    if (!folder && !isLegacyPath(photoPath)) {
+        return null;
+    }
+
+    const plant = await findSharedPlant(pool, rawToken);
+
+    if (!plant) {
+        return null;
+    }
+
+    const [photos] = await pool.query(
+        `SELECT photo_id FROM plant_photos
+         WHERE user_plant_id = ? AND ${folder ? 'LEFT(photo_url, CHAR_LENGTH(?)) = ?' : 'photo_url = ?'}
+         LIMIT 1`,
+        [plant.user_plant_id, ...(folder ? [folder, folder] : [photoPath])]
+    );
+
+    return photos.length > 0 ? plant : null;
+};
+
+module.exports = {
+    getSharing,
+    sharePlant,
+    stopSharing,
+    getSharedPlant,
+    findSharedPhotoFile
+};
@@ -0,0 +1,210 @@
+/**
+ * Service layer for the garden statistics dashboard
+ * Plant queries cover every garden the user is a member of; sensor queries the user's own
+ * growing environments
+ */
+
+const harvestService = require('./harvestService');
+const { GARDEN_MEMBER_CONDITION, ENVIRONMENT_MEMBER_CONDITION, ROLES } = require('./ownership');
+const { systemClock, toDateString } = require('../clock');
+
+/**
+ * Share of on-time completions as a whole percentage
+ *
+ * @param {Number} onTime - On-time completions
+ * @param {Number} completions - All completions
+ * @returns {Number|null} 0-100, or null without completions
+ */
+const toAdherence = (onTime, completions) => (
+    completions > 0 ? Math.round((onTime / completions) * 100) : null
+);
+
+/**
+ * Plants per species, with the average estimated days until cropping
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} userId - User ID
+ * @returns {Promise<Array>} species, plantCount, averageEstCropping; largest first
+ */
+const getPlantsBySpecies = async (pool, userId) => {
+    const [rows] = await pool.query(`
+        SELECT
+            ap.plant_species as species,
+            COUNT(*) as plantCount,
+            AVG(up.est_cropping) as averageEstCropping
+        FROM user_plants up
+        JOIN all_plants ap ON up.plant_id = ap.plant_id
+        WHERE ${GARDEN_MEMBER_CONDITION} AND up.is_deleted = 0
+        GROUP BY ap.plant_species
+        ORDER BY plantCount DESC, ap.plant_species
+    `, [userId, ROLES]);
+
+    return rows.map(row => ({
+        species: row.species,
+        plantCount: Number(row.plantCount),
+        averageEstCropping: row.averageEstCropping === null ? null : Math.round(Number(row.averageEstCropping))
+    }));
+};
+
+/**
+ * Plantings per month, including months without any
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} userId - User ID
+ * @param {Number} months - Number of months up to and including the current one
+ * @param {Object} clock - Clock that decides what "today" is
+ * @returns {Promise<Array>} month (YYYY-MM) and plantCount, oldest first
+ */
+const getPlantingsByMonth = async (pool, userId, months = 12, clock = systemClock) => {
+    const now = clock.now();
+    const first = new Date(now.getFullYear(), now.getMonth() - months + 1, 1);
+
+    const [rows] = await pool.query(`
+        SELECT
+            DATE_FORMAT(up.planting_time, '%Y-%m') as month,
+            COUNT(*) as plantCount
+        FROM user_plants up
+        WHERE ${GARDEN_MEMBER_CONDITION} AND up.is_deleted = 0 AND up.planting_time >= ?
+        GROUP BY month
+    `, [userId, ROLES, toDateString(first)]);
+
+    const counts = new Map(rows.map(row => [row.month, Number(row.plantCount)]));
+
+    return Array.from({ length: months }, (_, index) => {
+        const month = toDateString(new Date(first.getFullYear(), first.getMonth() + index, 1)).slice(0, 7);
+        return { month, plantCount: counts.get(month) || 0 };
+    });
+};
+
+/**
+ * Care adherence overall, per reminder type and per month
+ * Adherence is the share of completions done on or before their due day
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} userId - User ID
+ * @param {Number} days - Number of days to look back
+ * @param {Object} clock - Clock that decides what "today" is
+ * @returns {Promise<Object>} { overall, byType, byMonth } with completions, onTime and adherence
+ */
+const getCareAdherence = async (pool, userId, days = 90, clock = systemClock) => {
+    const since = clock.now();
+    since.setDate(since.getDate() - days);
+
+    const [rows] = await pool.query(`
+        SELECT
+            r.reminder_type as type,
+            DATE_FORMAT(c.completed_at, '%Y-%m') as month,
+            COUNT(*) as completions,
+            SUM(c.is_late = 0) as onTime
+        FROM reminder_completions c
+        JOIN plant_reminders r ON c.reminder_id = r.reminder_id
+        JOIN user_plants up ON c.user_plant_id = up.user_plant_id
+        WHERE ${GARDEN_MEMBER_CONDITION}
+          AND up.is_deleted = 0
+          AND c.action = 'completed'
+          AND c.completed_at >= ?
+        GROUP BY r.reminder_type, month
+        ORDER BY month, r.reminder_type
+    `, [userId, ROLES, since]);
+
+    // Add up the type and month groups
+    const sum = (key) => {
+        const groups = new Map();
+
+        rows.forEach(row => {
+            const group = groups.get(row[key]) || { [key]: row[key], completions: 0, onTime: 0 };
+            group.completions += Number(row.completions);
+            group.onTime += Number(row.onTime);
+            groups.set(row[key], group);
+        });
+
+        return Array.from(groups.values()).map(group => ({
+            ...group,
+            adherence: toAdherence(group.onTime, group.completions)
+        }));
+    };
+
+    const completions = rows.reduce((total, row) => total + Number(row.completions), 0);
+    const onTime = rows.reduce((total, row) => total + Number(row.onTime), 0);
+
+    return {
+        overall: { completions, onTime, adherence: toAdherence(onTime, completions) },
+        byType: sum('type'),
+        byMonth: sum('month')
+    };
+};
+
+/**
+ * Harvest totals per species for a season
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} userId - User ID
+ * @param {Number} season - Year
+ * @returns {Promise<Array>} One row per species and unit
+ */
+const getHarvestTotals = async (pool, userId, season) => (
+    harvestService.getYieldStats(pool, userId, 'species', season)
+);
+
+/**
+ * Sensor averages per growing environment and sensor type, with the number of
+ * actuators currently switched on
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} userId - User ID
+ * @param {Number} days - Number of days to look back
+ * @param {Object} clock - Clock that decides what "today" is
+ * @returns {Promise<Array>} Per environment: environmentId, environmentName, activeActuators, sensors
+ */
+const getSensorAverages = async (pool, userId, days = 30, clock = systemClock) => {
+    const since = clock.now();
+    since.setDate(since.getDate() - days);
+
+    const [environments] = await pool.query(`
+        SELECT
+            ge.enviroment_id as environmentId,
+            ge.name as environmentName,
+            (SELECT COUNT(*) FROM actuators a WHERE a.enviroment_id = ge.enviroment_id AND a.current_state <> 0) as activeActuators
+        FROM growing_enviroments ge
+        WHERE ${ENVIRONMENT_MEMBER_CONDITION}
+        ORDER BY ge.name
+    `, [userId, ROLES]);
+
+    const [averages] = await pool.query(`
+        SELECT
+            si.enviroment_id as environmentId,
+            COALESCE(si.sensor_type, si.sensor_name) as sensorType,
+            AVG(si.value) as average,
+            MIN(si.value) as minimum,
+            MAX(si.value) as maximum,
+            COUNT(si.value) as readings
+        FROM sensor_inputs si
+        JOIN growing_enviroments ge ON si.enviroment_id = ge.enviroment_id
+        WHERE ${ENVIRONMENT_MEMBER_CONDITION} AND si.timestamp >= ? AND si.value IS NOT NULL
+        GROUP BY si.enviroment_id, sensorType
+        ORDER BY sensorType
+    `, [userId, ROLES, since]);
+
+    return environments.map(environment => ({
+        environmentId: environment.environmentId,
+        environmentName: environment.environmentName,
+        activeActuators: Number(environment.activeActuators),
+        sensors: averages
+            .filter(average => average.environmentId === environment.environmentId)
+            .map(average => ({
+                sensorType: average.sensorType,
+                average: Math.round(Number(average.average) * 100) / 100,
+                minimum: Number(average.minimum),
+                maximum: Number(average.maximum),
+                readings: Number(average.readings)
+            }))
+    }));
+};
+
+module.exports = {
+    getPlantsBySpecies,
+    getPlantingsByMonth,
+    getCareAdherence,
+    getHarvestTotals,
+    getSensorAverages
+};
@@ -0,0 +1,155 @@
+/**
+ * Service layer for personal API token-related database operations
+ * Tokens are shown to the user once; only their SHA-256 hash is stored
+ */
+
+const crypto = require('crypto');
+
+// Scopes a token can be granted
+const TOKEN_SCOPES = ['plants:read', 'sensors:read', 'sensors:write', 'actuators:control', 'reminders:complete'];
+
+// Prefix that makes leaked tokens easy to recognise in logs and secret scanners
+const TOKEN_PREFIX = 'aab_';
+
+/**
+ * Hash a raw token for storage and lookup
+ *
+ * @param {String} rawToken - Raw token as sent by the client
+ * @returns {String} Hex encoded SHA-256 hash
+ */
+const hashToken = (rawToken) => crypto.createHash('sha256').update(rawToken).digest('hex');
+
+/**
+ * Format an api_tokens row for API responses
+ *
+ * @param {Object} row - api_tokens row
+ * @returns {Object} Formatted token (never includes the hash)
+ */
+const formatToken = (row) => ({
+    id: row.token_id,
+    name: row.name,
+    tokenPrefix: row.token_prefix,
+    scopes: row.scopes ? row.scopes.split(',') : [],
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    expiresAt: row.expires_at,
+    revokedAt: row.revoked_at
+});
+
+/**
+ * Get all tokens for a user
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} userId - User ID
+ * @returns {Promise<Array>} Array of token objects
+ */
+const getUserTokens = async (pool, userId) => {
+    const [tokens] = await pool.query(
+        'SELECT * FROM api_tokens WHERE user_id = ? ORDER BY created_at DESC',
+        [userId]
+    );
+
+    return tokens.map(formatToken);
+};
+
+/**
+ * Create a new token for a user
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Object} tokenData - Token data (name, scopes, expiresInDays)
+ * @param {Number} userId - User ID
+ * @returns {Promise<Object>} Created token with the raw token value
+ */
+const createToken = async (pool, tokenData, userId) => {
+    const { name, scopes, expiresInDays } = tokenData;
+
+    const rawToken = TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+
+    let expiresAt = null;
+    if (expiresInDays) {
+        expiresAt = new Date();
+        expiresAt.setDate(expiresAt.getDate() + parseInt(expiresInDays));
+    }
+
+    const [insertResult] = await pool.query(
+        `INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scopes, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [userId, name, hashToken(rawToken), rawToken.slice(0, TOKEN_PREFIX.length + 6), scopes.join(','), expiresAt]
+    );
+
+    const [result] = await pool.query(
+        'SELECT * FROM api_tokens WHERE token_id = ?',
+        [insertResult.insertId]
+    );
+
+    return {
+        token: rawToken,
+        apiToken: formatToken(result[0])
+    };
+};
+
+/**
+ * Revoke a token
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Number} tokenId - Token ID
+ * @param {Number} userId - User ID (for authorization)
+ * @returns {Promise<Boolean>} True if successful, false if not found/unauthorized/already revoked
+ */
+const revokeToken = async (pool, tokenId, userId) => {
+    const [result] = await pool.query(
+        'UPDATE api_tokens SET revoked_at = NOW() WHERE token_id = ? AND user_id = ? AND revoked_at IS NULL',
+        [tokenId, userId]
+    );
+
+    return result.affectedRows > 0;
+};
+
+/**
+ * Resolve a raw token to its owner if it is active
+ * Records the time of use as a side effect
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {String} rawToken - Raw token as sent by the client
+ * @returns {Promise<Object|null>} Token owner and scopes or null if invalid, expired or revoked
+ */
+const findActiveToken = async (pool, rawToken) => {
+    const [tokens] = await pool.query(`
+        SELECT
+            t.token_id as id,
+            t.scopes,
+            u.user_id as userId,
+            u.username
+        FROM api_tokens t
+        JOIN users u ON t.user_id = u.user_id
+        WHERE t.token_hash = ?
+          AND t.revoked_at IS NULL
+          AND (t.expires_at IS NULL OR t.expires_at > NOW())
+    `, [hashToken(rawToken)]);
+
+    if (tokens.length === 0) {
+        return null;
+    }
+
+    const token = tokens[0];
+
+    await pool.query(
+        'UPDATE api_tokens SET last_used_at = NOW() WHERE token_id = ?',
+        [token.id]
+    );
+
+    return {
+        id: token.id,
+        scopes: token.scopes ? token.scopes.split(',') : [],
+        user: { id: token.userId, username: token.username }
+    };
+};
+
+module.exports = {
+    TOKEN_SCOPES,
+    hashToken,
+    getUserTokens,
+    createToken,
+    revokeToken,
+    findActiveToken
+};
@@ -0,0 +1,46 @@
+/**
+ * Service layer for user accounts
+ */
+
+const { insertGarden } = require('./gardenService');
+
+/**
+ * Create a user together with the garden of their own every user starts with
+ * Throws ER_DUP_ENTRY if the username is taken
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {String} username - Username
+ * @param {String} passwordHash - bcrypt hash of the password
+ * @returns {Promise<Number>} User ID
+ */
+const createUser = async (pool, username, passwordHash) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [result] = await connection.query(
+            'INSERT INTO users (username, password) VALUES (?, ?)',
+            [username, passwordHash]
+        );
+
+        await insertGarden(connection, `${username}'s garden`, result.insertId);
+
+        await connection.commit();
+
+        return result.insertId;
+    } catch (error) {
+        if (connection) {
+            await connection.rollback();
+        }
+        throw error;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+module.exports = {
+    createUser
+};
@@ -16,6 +16,15 @@ class AppError extends Error {
  * Handles both operational and programming errors
  */
 const handleError = (err, req, res, next) => {
+    // Missing or stale CSRF token: clients can fetch a fresh one and retry
+    if (err.code === 'EBADCSRFTOKEN') {
+        return res.status(403).json({
+            status: 'error',
+            code: err.code,
+            message: 'Invalid or expired CSRF token'
+        });
+    }
+    
     const statusCode = err.statusCode || 500;
     const message = err.isOperational ? err.message : 'Something went wrong!';
     
@@ -43,7 +52,7 @@ const logSecurityEvent = (req, event, details) => {
     console.log({
         timestamp: new Date().toISOString(),
         ip: req.ip,
-        userId: req.session.user?.id || 'unauthenticated',
+        userId: req.session?.user?.id || 'unauthenticated',
         event,
         details,
         path: req.originalUrl,
@@ -0,0 +1,49 @@
+/**
+ * CSV (RFC 4180) export
+ * Fields are quoted when needed and lines end in CRLF. Text that a spreadsheet would
+ * run as a formula (starting with =, +, - or @) is prefixed with an apostrophe.
+ */
+
+// Characters that make a spreadsheet treat a text cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Escape a single field
+ *
+ * @param {*} value - Field value; null and undefined become an empty field
+ * @returns {String} Escaped field
+ */
+const escapeField = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text = String(value);
+
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document
+ *
+ * @param {Array} columns - { header, value } where value picks the field from a row
+ * @param {Array} rows - Rows to export
+ * @returns {String} CSV with a header line
+ */
+const buildCsv = (columns, rows) => {
+    const lines = [
+        columns.map(column => escapeField(column.header)).join(','),
+        ...rows.map(row => columns.map(column => escapeField(column.value(row))).join(','))
+    ];
+
+    return `${lines.join('\r\n')}\r\n`;
+};
+
+module.exports = {
+    escapeField,
+    buildCsv
+};
@@ -1,56 +1,63 @@
-const path = require('path');
+const fs = require('fs');
 const { AppError } = require('./errorHandler');
+const { processImage, InvalidImageError } = require('./images/processor');
+const { newPhotoKey, variantKey } = require('./storage/keys');
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
 
 /**
- * Enhanced middleware for handling photo uploads
- * Validates file type, sanitizes filenames, and handles errors
- * Sets req.photoUrl if upload is successful
+ * Create the middleware for handling photo uploads
+ * The file type is checked from its content, EXIF data (including GPS positions) is
+ * removed and the original, medium and thumbnail variants are written to storage.
+ * Sets req.photoKey (storage key of the original) if upload is successful
+ *
+ * @param {Object} storage - Storage driver (see storage/index.js)
+ * @returns {Function} Express middleware
  */
-const fileUploadHandler = async (req, res, next) => {
+const createFileUploadHandler = (storage) => async (req, res, next) => {
     // Skip if no files were uploaded
     if (!req.files || !req.files.photo) {
         return next();
     }
     
     const uploadedPhoto = req.files.photo;
-    const allowedTypes = ['image/jpeg', 'image/png', 'image/gif'];
-    const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
     
     try {
-        // Check file type
-        if (!allowedTypes.includes(uploadedPhoto.mimetype)) {
-            throw new AppError('Invalid file type. Only JPEG, PNG, and GIF are allowed.', 400);
-        }
-        
         // Check file size again (even though we have the limit in the fileUpload middleware)
         if (uploadedPhoto.size > MAX_FILE_SIZE) {
             throw new AppError('File size exceeds the 5MB limit.', 400);
         }
         
-        // Sanitize filename - remove potentially dangerous characters
-        const safeFileName = uploadedPhoto.name.replace(/[^a-zA-Z0-9\._-]/g, '_');
-        const fileName = `${Date.now()}-${safeFileName}`;
+        // With temp files enabled the contents are on disk, not in data
+        const contents = uploadedPhoto.tempFilePath
+            ? await fs.promises.readFile(uploadedPhoto.tempFilePath)
+            : uploadedPhoto.data;
         
-        // Get root directory (parent of server folder)
-        const ROOT_DIR = path.join(__dirname, '..');
+        const variants = await processImage(contents);
+        const photoKey = newPhotoKey(variants[0].extension);
         
-        // Upload path
-        const uploadPath = path.join(ROOT_DIR, 'public/uploads/', fileName);
+        await Promise.all(variants.map(variant => (
+            storage.put(variantKey(photoKey, variant.name), variant.body, variant.contentType)
+        )));
         
-        // Move the file to the uploads directory
-        await uploadedPhoto.mv(uploadPath);
-        
-        // Set the photo URL for use in the route handler
-        req.photoUrl = `/uploads/${fileName}`;
+        // Set the photo key for use in the route handler
+        req.photoKey = photoKey;
         
         next();
     } catch (err) {
         if (err instanceof AppError) {
             return next(err);
         }
+        if (err instanceof InvalidImageError) {
+            return next(new AppError(err.message, 400));
+        }
         console.error('Photo upload error:', err);
         return next(new AppError('Photo upload failed', 500));
+    } finally {
+        if (uploadedPhoto.tempFilePath) {
+            fs.promises.rm(uploadedPhoto.tempFilePath, { force: true }).catch(() => {});
+        }
     }
 };
 
-module.exports = { fileUploadHandler };
+module.exports = { MAX_FILE_SIZE, createFileUploadHandler };
@@ -0,0 +1,108 @@
+/**
+ * Uploaded image processing
+ * The file type is taken from the file's first bytes, never from the client's mimetype.
+ * Every image is decoded and encoded again: rotated upright according to its EXIF
+ * orientation and written without any metadata, so camera details and GPS positions
+ * never leave the server. The resized thumbnail and medium variants are WebP.
+ */
+
+const sharp = require('sharp');
+
+// Signatures at the start of the file
+const SIGNATURES = [
+    { type: 'image/jpeg', extension: 'jpg', matches: (bytes) => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff },
+    {
+        type: 'image/png',
+        extension: 'png',
+        matches: (bytes) => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+    },
+    { type: 'image/gif', extension: 'gif', matches: (bytes) => /^GIF8[79]a$/.test(bytes.toString('latin1', 0, 6)) },
+    {
+        type: 'image/webp',
+        extension: 'webp',
+        matches: (bytes) => bytes.toString('latin1', 0, 4) === 'RIFF' && bytes.toString('latin1', 8, 12) === 'WEBP'
+    }
+];
+
+// Larger images are refused before they are decoded (about 50 megapixels)
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+// Resized variants: longest side in pixels
+const VARIANTS = {
+    thumbnail: { size: 320, quality: 75 },
+    medium: { size: 1280, quality: 80 }
+};
+
+/**
+ * Error for files that are not a supported, readable image
+ */
+class InvalidImageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidImageError';
+    }
+}
+
+/**
+ * Recognise an image type from its first bytes
+ *
+ * @param {Buffer} buffer - File contents
+ * @returns {Object|null} { type, extension } or null for anything else
+ */
+const sniffImageType = (buffer) => {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+        return null;
+    }
+
+    const signature = SIGNATURES.find(candidate => candidate.matches(buffer));
+    return signature ? { type: signature.type, extension: signature.extension } : null;
+};
+
+/**
+ * Process an uploaded image into its stored variants
+ * The original keeps its format and size, without metadata; animated GIFs keep their first frame
+ *
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<Array>} Variants: { name, extension, contentType, body, width, height }
+ * @throws {InvalidImageError} If the file is not a supported image or cannot be decoded
+ */
+const processImage = async (buffer) => {
+    const detected = sniffImageType(buffer);
+
+    if (!detected) {
+        throw new InvalidImageError('Invalid file type. Only JPEG, PNG, GIF and WebP images are allowed.');
+    }
+
+    // rotate() without an angle applies the EXIF orientation; metadata is not copied to the output
+    const source = sharp(buffer, { failOn: 'error', limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+
+    const encode = async (name, pipeline, extension, contentType) => {
+        const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+        return { name, extension, contentType, body: data, width: info.width, height: info.height };
+    };
+
+    try {
+        const variants = [
+            await encode('original', source.clone().toFormat(detected.extension === 'jpg' ? 'jpeg' : detected.extension),
+                detected.extension, detected.type)
+        ];
+
+        for (const [name, variant] of Object.entries(VARIANTS)) {
+            const resized = source.clone()
+                .resize(variant.size, variant.size, { fit: 'inside', withoutEnlargement: true })
+                .webp({ quality: variant.quality });
+            variants.push(await encode(name, resized, 'webp', 'image/webp'));
+        }
+
+        return variants;
+    } catch (error) {
+        throw new InvalidImageError(`The image could not be read: ${error.message}`);
+    }
+};
+
+module.exports = {
+    VARIANTS,
+    InvalidImageError,
+    sniffImageType,
+    processImage
+};
@@ -0,0 +1,114 @@
+/**
+ * Schema migration command
+ *
+ * Usage: npm run migrate [-- <command>]
+ *   up                  Apply all pending migrations (default); creates the database if needed
+ *   down [steps]        Revert the last applied migration(s), one by default
+ *   status              List applied and pending migrations
+ *   baseline <version>  Mark migrations up to <version> as applied without running them
+ */
+
+const mysql = require('mysql2/promise');
+const { getDatabaseConfig } = require('./db/databaseConfig');
+const migrator = require('./db/migrator');
+
+// Load environment variables
+require('dotenv').config();
+
+const log = (message) => console.log(message);
+
+/**
+ * Connect to the server and select the application database
+ *
+ * @param {Boolean} createDatabase - Create the database if it does not exist
+ * @returns {Promise<Object>} Database connection
+ */
+const connect = async (createDatabase) => {
+    const { database, ...serverConfig } = getDatabaseConfig();
+
+    if (!database) {
+        throw new Error('DB_NAME is not set');
+    }
+
+    const connection = await mysql.createConnection({ ...serverConfig, multipleStatements: true });
+
+    if (createDatabase) {
+        await connection.query(
+            'CREATE DATABASE IF NOT EXISTS ?? CHARACTER SET utf8mb4 COLLATE utf8mb4_general_ci',
+            [database]
+        );
+    }
+
+    await connection.query('USE ??', [database]);
+
+    return connection;
+};
+
+/**
+ * Print applied, pending and modified migrations
+ *
+ * @param {Object} connection - Database connection
+ * @returns {Promise<Boolean>} True if the schema is up to date
+ */
+const printStatus = async (connection) => {
+    const status = await migrator.getStatus(connection);
+    const changed = new Set(status.changed.map(migration => migration.version));
+
+    status.applied.forEach(row => {
+        const flag = changed.has(row.version) ? ' (modified since applied)' : '';
+        log(`  applied  ${row.version}_${row.name}${flag}`);
+    });
+    status.missing.forEach(row => log(`  missing  ${row.version}_${row.name} (applied, but not on disk)`));
+    status.pending.forEach(migration => log(`  pending  ${migration.version}_${migration.name}`));
+
+    return status.pending.length === 0 && status.changed.length === 0;
+};
+
+const main = async () => {
+    const [command = 'up', argument] = process.argv.slice(2);
+    let connection;
+
+    try {
+        connection = await connect(command === 'up');
+
+        switch (command) {
+            case 'up': {
+                const applied = await migrator.migrateUp(connection, log);
+                log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+                break;
+            }
+            case 'down': {
+                const steps = argument === undefined ? 1 : parseInt(argument);
+                if (!(steps > 0)) {
+                    throw new Error('down expects a positive number of steps');
+                }
+                const reverted = await migrator.migrateDown(connection, steps, log);
+                log(`Reverted ${reverted.length} migration(s)`);
+                break;
+            }
+            case 'status':
+                process.exitCode = await printStatus(connection) ? 0 : 1;
+                break;
+            case 'baseline': {
+                const version = parseInt(argument);
+                if (!(version > 0)) {
+                    throw new Error('baseline expects the last version that is already in the database');
+                }
+                const marked = await migrator.baseline(connection, version);
+                log(`Marked ${marked.length} migration(s) as applied`);
+                break;
+            }
+            default:
+                throw new Error(`Unknown command "${command}"`);
+        }
+    } catch (error) {
+        console.error('Migration failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        if (connection) {
+            await connection.end();
+        }
+    }
+};
+
+main();
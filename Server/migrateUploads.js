@@ -0,0 +1,127 @@
+/**
+ * Upload migration command
+ * Moves photos saved under public/uploads before the storage backend existed into the
+ * configured storage: each one is processed like a new upload (EXIF removed, variants
+ * generated) and its /uploads/... path in the database is replaced by the storage key.
+ *
+ * Usage: npm run migrate:uploads [-- <options>]
+ *   --dry-run  List what would be moved without changing anything
+ *   --keep     Leave the original files in public/uploads after moving them
+ */
+
+const fs = require('fs');
+const mysql = require('mysql2/promise');
+const { getDatabaseConfig } = require('./db/databaseConfig');
+const { loadConfig } = require('./config');
+const { createStorage } = require('./storage');
+const { LEGACY_PREFIX, newPhotoKey, variantKey } = require('./storage/keys');
+const { legacyFile } = require('./storage/legacyUploads');
+const { processImage } = require('./images/processor');
+
+// Load environment variables
+require('dotenv').config();
+
+// Columns that hold photo paths or keys
+const PHOTO_COLUMNS = [
+    { table: 'plant_photos', column: 'photo_url' },
+    { table: 'growth_measurements', column: 'photo_url' }
+];
+
+const log = (message) => console.log(message);
+
+/**
+ * Find the distinct legacy paths still in the database
+ *
+ * @param {Object} connection - Database connection
+ * @returns {Promise<Array<String>>} /uploads/... paths
+ */
+const findLegacyPaths = async (connection) => {
+    const paths = new Set();
+
+    for (const { table, column } of PHOTO_COLUMNS) {
+        const [rows] = await connection.query(
+            'SELECT DISTINCT ?? as photoPath FROM ?? WHERE ?? LIKE ?',
+            [column, table, column, `${LEGACY_PREFIX}%`]
+        );
+        rows.forEach(row => paths.add(row.photoPath));
+    }
+
+    return Array.from(paths);
+};
+
+/**
+ * Process one legacy file into storage and point the database at it
+ *
+ * @param {Object} connection - Database connection
+ * @param {Object} storage - Storage driver
+ * @param {String} legacyPath - /uploads/... path
+ * @returns {Promise<String>} New storage key
+ */
+const moveUpload = async (connection, storage, legacyPath) => {
+    const file = legacyFile(legacyPath);
+    const stats = await fs.promises.stat(file);
+    const variants = await processImage(await fs.promises.readFile(file));
+    const photoKey = newPhotoKey(variants[0].extension, stats.mtime);
+
+    await Promise.all(variants.map(variant => (
+        storage.put(variantKey(photoKey, variant.name), variant.body, variant.contentType)
+    )));
+
+    for (const { table, column } of PHOTO_COLUMNS) {
+        await connection.query('UPDATE ?? SET ?? = ? WHERE ?? = ?', [table, column, photoKey, column, legacyPath]);
+    }
+
+    return photoKey;
+};
+
+const main = async () => {
+    const options = new Set(process.argv.slice(2));
+    const dryRun = options.has('--dry-run');
+    const keep = options.has('--keep');
+    let connection;
+
+    try {
+        const storage = createStorage(loadConfig().storage);
+        connection = await mysql.createConnection(getDatabaseConfig());
+
+        const legacyPaths = await findLegacyPaths(connection);
+        log(`${legacyPaths.length} photo(s) in ${LEGACY_PREFIX} to move`);
+
+        let moved = 0;
+        let failed = 0;
+
+        for (const legacyPath of legacyPaths) {
+            if (dryRun) {
+                log(`  would move ${legacyPath}`);
+                continue;
+            }
+
+            try {
+                const photoKey = await moveUpload(connection, storage, legacyPath);
+                moved++;
+                log(`  moved ${legacyPath} -> ${photoKey}`);
+
+                if (!keep) {
+                    await fs.promises.rm(legacyFile(legacyPath), { force: true });
+                }
+            } catch (error) {
+                failed++;
+                log(`  failed ${legacyPath}: ${error.message}`);
+            }
+        }
+
+        if (!dryRun) {
+            log(`Moved ${moved} photo(s), ${failed} failed`);
+        }
+        process.exitCode = failed > 0 ? 1 : 0;
+    } catch (error) {
+        console.error('Upload migration failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        if (connection) {
+            await connection.end();
+        }
+    }
+};
+
+main();
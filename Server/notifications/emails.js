@@ -0,0 +1,126 @@
+/**
+ * Reminder notification content
+ * Every email has a plain text and an HTML body built from the same reminder list;
+ * push notifications carry what the service worker needs to show and handle them
+ */
+
+/**
+ * Escape text for HTML bodies
+ *
+ * @param {String} value - Text
+ * @returns {String} Escaped text
+ */
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Capitalise a reminder type
+ *
+ * @param {String} type - Reminder type
+ * @returns {String} e.g. Watering
+ */
+const formatType = (type) => type.charAt(0).toUpperCase() + type.slice(1);
+
+/**
+ * Describe one reminder in a line
+ *
+ * @param {Object} reminder - Reminder from reminderService.getUpcomingReminders
+ * @returns {String} e.g. "Watering: Tomato (Solanum lycopersicum), 2 days overdue"
+ */
+const describeReminder = (reminder) => {
+    let line = `${formatType(reminder.type)}: ${reminder.plantName} (${reminder.plantSpecies})`;
+
+    if (reminder.isOverdue) {
+        line += reminder.daysOverdue === 1 ? ', 1 day overdue' : `, ${reminder.daysOverdue} days overdue`;
+    }
+
+    if (reminder.notes) {
+        line += ` – ${reminder.notes}`;
+    }
+
+    return line;
+};
+
+/**
+ * Build a message listing reminders
+ *
+ * @param {String} subject - Subject line
+ * @param {String} greeting - Opening sentence
+ * @param {Array} reminders - Reminders to list
+ * @param {String} appUrl - Base URL of the app for the link
+ * @returns {Object} { subject, text, html }
+ */
+const buildMessage = (subject, greeting, reminders, appUrl) => {
+    const lines = reminders.map(describeReminder);
+    const link = `${appUrl}/plants`;
+
+    return {
+        subject,
+        text: [greeting, '', ...lines.map(line => `- ${line}`), '', `Open your plants: ${link}`].join('\n'),
+        html: `
+            <p>${escapeHtml(greeting)}</p>
+            <ul>${lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>
+            <p><a href="${escapeHtml(link)}">Open your plants</a></p>
+        `
+    };
+};
+
+/**
+ * Daily digest of everything that is due or overdue
+ *
+ * @param {Object} user - users row (username)
+ * @param {Array} reminders - Due and overdue reminders
+ * @param {String} appUrl - Base URL of the app
+ * @returns {Object} { subject, text, html }
+ */
+const buildDigestEmail = (user, reminders, appUrl) => {
+    const overdue = reminders.filter(reminder => reminder.isOverdue).length;
+    const subject = overdue > 0
+        ? `${reminders.length} plant care task(s) today, ${overdue} overdue`
+        : `${reminders.length} plant care task(s) today`;
+
+    return buildMessage(subject, `Hi ${user.username}, here is what your plants need today:`, reminders, appUrl);
+};
+
+/**
+ * Email for a single reminder (per reminder mode)
+ *
+ * @param {Object} user - users row (username)
+ * @param {Object} reminder - Due or overdue reminder
+ * @param {String} appUrl - Base URL of the app
+ * @returns {Object} { subject, text, html }
+ */
+const buildReminderEmail = (user, reminder, appUrl) => buildMessage(
+    `${formatType(reminder.type)}: ${reminder.plantName}${reminder.isOverdue ? ' (overdue)' : ''}`,
+    `Hi ${user.username}, a plant care task is due:`,
+    [reminder],
+    appUrl
+);
+
+/**
+ * Push notification payload for a single reminder
+ * The service worker opens the plant's details with the reminder highlighted on click
+ *
+ * @param {Object} reminder - Due or overdue reminder
+ * @returns {Object} { title, body, tag, data }
+ */
+const buildReminderPush = (reminder) => ({
+    title: `${formatType(reminder.type)} ${reminder.isOverdue ? 'overdue' : 'due'}`,
+    body: describeReminder(reminder),
+    // One notification per reminder: a newer one replaces the previous
+    tag: `reminder-${reminder.id}`,
+    data: {
+        reminderId: reminder.id,
+        plantId: reminder.plantId,
+        url: `/plants?plant=${reminder.plantId}&reminder=${reminder.id}`
+    }
+});
+
+module.exports = {
+    buildDigestEmail,
+    buildReminderEmail,
+    buildReminderPush
+};
@@ -0,0 +1,86 @@
+/**
+ * Outbound email
+ * A transport is created by a factory registered under a name; MAIL_TRANSPORT picks one.
+ * Built in: smtp (any SMTP server, including a local mail catcher such as MailHog on port 1025),
+ * file (writes .eml files) and console (logs messages, the default for development).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const transports = new Map();
+
+/**
+ * Register a transport factory
+ * The factory receives the mail config and returns an object with async send(message)
+ *
+ * @param {String} name - Transport name as used in MAIL_TRANSPORT
+ * @param {Function} factory - Transport factory
+ */
+const registerTransport = (name, factory) => {
+    if (typeof factory !== 'function') {
+        throw new TypeError(`Mail transport "${name}" must be a factory function`);
+    }
+    transports.set(name, factory);
+};
+
+registerTransport('smtp', (config) => {
+    const transporter = nodemailer.createTransport({
+        host: config.smtp.host,
+        port: config.smtp.port,
+        secure: config.smtp.secure,
+        auth: config.smtp.user ? { user: config.smtp.user, pass: config.smtp.password } : undefined
+    });
+
+    return {
+        send: (message) => transporter.sendMail(message)
+    };
+});
+
+registerTransport('file', (config) => {
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+    return {
+        send: async (message) => {
+            const info = await transporter.sendMail(message);
+            const file = path.join(config.dir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+
+            await fs.promises.mkdir(config.dir, { recursive: true });
+            await fs.promises.writeFile(file, info.message);
+
+            return { ...info, file };
+        }
+    };
+});
+
+registerTransport('console', () => ({
+    send: async (message) => {
+        console.log(`Email to ${message.to}: ${message.subject}\n${message.text}`);
+        return { messageId: null };
+    }
+}));
+
+/**
+ * Create a mailer for the configured transport
+ *
+ * @param {Object} config - Mail config (transport, from, dir, smtp)
+ * @returns {Object} Mailer with async send({ to, subject, text, html })
+ * @throws {Error} If the transport is not registered
+ */
+const createMailer = (config = {}) => {
+    const name = config.transport || 'console';
+    const factory = transports.get(name);
+
+    if (!factory) {
+        throw new Error(`Unknown mail transport "${name}"`);
+    }
+
+    const transport = factory(config);
+
+    return {
+        send: (message) => transport.send({ from: config.from, ...message })
+    };
+};
+
+module.exports = { registerTransport, createMailer };
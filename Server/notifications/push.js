@@ -0,0 +1,71 @@
+/**
+ * Web Push sender
+ * Delivers notifications to every subscribed device of a user, signed with the VAPID key pair.
+ * Without VAPID keys push is disabled and sending is a no-op.
+ * Generate keys once with: npx web-push generate-vapid-keys
+ */
+
+const webPush = require('web-push');
+const pushService = require('../db/pushService');
+
+// Seconds a push service keeps an undelivered notification (the reminder is for today)
+const TIME_TO_LIVE = 12 * 60 * 60;
+
+/**
+ * Create a push sender
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Object} config - Push config (publicKey, privateKey, subject)
+ * @returns {Object} Sender with isEnabled, publicKey and async sendToUser(userId, payload)
+ */
+const createPushSender = (pool, config = {}) => {
+    const isEnabled = Boolean(config.publicKey && config.privateKey);
+    const vapidDetails = isEnabled
+        ? { subject: config.subject, publicKey: config.publicKey, privateKey: config.privateKey }
+        : null;
+
+    /**
+     * Send a notification to all of a user's devices
+     * Subscriptions the push service reports as expired (404/410) are removed
+     *
+     * @param {Number} userId - User ID
+     * @param {Object} payload - Notification data for the service worker (title, body, tag, data)
+     * @returns {Promise<Number>} Number of devices the notification was delivered to
+     */
+    const sendToUser = async (userId, payload) => {
+        if (!isEnabled) {
+            return 0;
+        }
+
+        const subscriptions = await pushService.getDeliveryTargets(pool, userId);
+        let delivered = 0;
+
+        for (const subscription of subscriptions) {
+            try {
+                await webPush.sendNotification(
+                    { endpoint: subscription.endpoint, keys: { p256dh: subscription.p256dh, auth: subscription.auth } },
+                    JSON.stringify(payload),
+                    { vapidDetails, TTL: TIME_TO_LIVE }
+                );
+                await pushService.markUsed(pool, subscription.subscription_id);
+                delivered++;
+            } catch (error) {
+                if (error.statusCode === 404 || error.statusCode === 410) {
+                    await pushService.removeExpired(pool, subscription.subscription_id);
+                } else {
+                    console.error(`Error sending push notification to subscription ${subscription.subscription_id}:`, error.message);
+                }
+            }
+        }
+
+        return delivered;
+    };
+
+    return {
+        isEnabled,
+        publicKey: isEnabled ? config.publicKey : null,
+        sendToUser
+    };
+};
+
+module.exports = { createPushSender };
@@ -0,0 +1,134 @@
+const notificationService = require('../db/notificationService');
+const reminderService = require('../db/reminderService');
+const recurrence = require('../reminders/recurrence');
+const { buildDigestEmail, buildReminderEmail, buildReminderPush } = require('./emails');
+const { systemClock, toDateString, zonedClock } = require('../clock');
+
+/**
+ * Reminder notification scheduler
+ * Checks on a fixed interval which users have reached their notification time of day
+ * (in their own timezone) and have not been notified yet that day, gathers their due and
+ * overdue reminders and emails them as one digest or one message per reminder. Devices
+ * subscribed to Web Push get one notification per reminder.
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Object} options - Scheduler options (mailer, pushSender, intervalMs, appUrl, clock)
+ * @returns {Object} Scheduler with notifyUser, runDue, start and stop
+ */
+const createNotificationScheduler = (pool, options = {}) => {
+    const { mailer, pushSender } = options;
+    const intervalMs = options.intervalMs || 5 * 60 * 1000;
+    const appUrl = options.appUrl || '';
+    const clock = options.clock || systemClock;
+    let timer = null;
+
+    /**
+     * Send a user the reminders that are due today in their timezone, plus overdue ones
+     *
+     * @param {Object} user - users row from notificationService.getSubscribedUsers
+     * @returns {Promise<Number>} Number of reminders notified about
+     */
+    const notifyUser = async (user) => {
+        const userClock = zonedClock(user.timezone, clock);
+        const reminders = (await reminderService.getUpcomingReminders(pool, user.user_id, 0, true, userClock))
+            .filter(reminder => reminder.isNext);
+
+        if (reminders.length === 0) {
+            return 0;
+        }
+
+        if (user.notify_email && user.email) {
+            if (user.notify_mode === 'per_reminder') {
+                for (const reminder of reminders) {
+                    await mailer.send({ to: user.email, ...buildReminderEmail(user, reminder, appUrl) });
+                }
+            } else {
+                await mailer.send({ to: user.email, ...buildDigestEmail(user, reminders, appUrl) });
+            }
+        }
+
+        if (user.has_push && pushSender) {
+            for (const reminder of reminders) {
+                await pushSender.sendToUser(user.user_id, buildReminderPush(reminder));
+            }
+        }
+
+        return reminders.length;
+    };
+
+    /**
+     * Notify every user whose notification time has come today
+     *
+     * @returns {Promise<Number>} Number of users notified
+     */
+    const runDue = async () => {
+        const users = await notificationService.getSubscribedUsers(pool);
+        let notified = 0;
+
+        for (const user of users) {
+            try {
+                const localNow = zonedClock(user.timezone, clock).now();
+                const today = toDateString(localNow);
+                const time = localNow.toTimeString().slice(0, 8);
+
+                if (time < String(user.notify_time)) {
+                    continue;
+                }
+
+                if (user.last_notified_on && recurrence.toDay(user.last_notified_on) >= today) {
+                    continue;
+                }
+
+                if (await notifyUser(user) > 0) {
+                    notified++;
+                }
+
+                // Days without anything due count as handled too
+                await notificationService.markNotified(pool, user.user_id, today);
+            } catch (error) {
+                console.error(`Error notifying user ${user.user_id}:`, error);
+            }
+        }
+
+        return notified;
+    };
+
+    /**
+     * Scheduled tick
+     *
+     * @returns {Promise<void>}
+     */
+    const runScheduled = async () => {
+        try {
+            await runDue();
+        } catch (error) {
+            console.error('Notification scheduler error:', error);
+        }
+    };
+
+    /**
+     * Start the schedule
+     */
+    const start = () => {
+        if (timer) return;
+        timer = setInterval(runScheduled, intervalMs);
+        timer.unref();
+    };
+
+    /**
+     * Stop the schedule
+     */
+    const stop = () => {
+        clearInterval(timer);
+        timer = null;
+    };
+
+    return {
+        notifyUser,
+        runDue,
+        start,
+        stop
+    };
+};
+
+module.exports = { createNotificationScheduler };
@@ -0,0 +1,480 @@
+/**
+ * Reminder recurrence rules
+ * A subset of iCalendar RRULE (RFC 5545): FREQ=DAILY|WEEKLY|MONTHLY with INTERVAL,
+ * BYDAY (plain weekdays), BYMONTHDAY, BYMONTH (seasonal window), UNTIL and COUNT.
+ * Days are handled as YYYY-MM-DD strings so time zones can never move a reminder by a day.
+ */
+
+const { toDateString } = require('../clock');
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Give up looking for the next occurrence after this many days
+const MAX_SEARCH_DAYS = 366 * 5;
+
+// Longest length of each month, February in leap years
+const MAX_MONTH_DAYS = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Convert a DATE value to YYYY-MM-DD
+ * mysql2 returns DATE columns as Date objects at local midnight
+ *
+ * @param {Date|String} value - Date or date string
+ * @returns {String} Day string
+ */
+const toDay = (value) => (value instanceof Date ? toDateString(value) : String(value).slice(0, 10));
+
+const parseDay = (day) => {
+    const [year, month, date] = day.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, date));
+};
+
+const formatDay = (date) => date.toISOString().split('T')[0];
+
+const addDays = (day, days) => {
+    const date = parseDay(day);
+    date.setUTCDate(date.getUTCDate() + days);
+    return formatDay(date);
+};
+
+const daysInMonth = (year, monthIndex) => new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+
+// Adds months, clamping to the last day of shorter months (Jan 31 + 1 month = Feb 28/29)
+const addMonths = (day, months) => {
+    const date = parseDay(day);
+    const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+    const lastDay = daysInMonth(target.getUTCFullYear(), target.getUTCMonth());
+    target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+    return formatDay(target);
+};
+
+const daysBetween = (from, to) => Math.round((parseDay(to) - parseDay(from)) / (24 * 60 * 60 * 1000));
+
+const monthsBetween = (from, to) => {
+    const a = parseDay(from);
+    const b = parseDay(to);
+    return (b.getUTCFullYear() - a.getUTCFullYear()) * 12 + b.getUTCMonth() - a.getUTCMonth();
+};
+
+// Weeks start on Monday (RRULE default WKST=MO)
+const weekStart = (day) => addDays(day, -((parseDay(day).getUTCDay() + 6) % 7));
+
+const isValidDay = (day) => typeof day === 'string' && DAY_PATTERN.test(day) && formatDay(parseDay(day)) === day;
+
+// Whether any of the month days (-1 for the last) exists in a month (1-12) in some year
+const fitsMonth = (monthDays, month) => monthDays.some(d => d === -1 || d <= MAX_MONTH_DAYS[month - 1]);
+
+/**
+ * Validate and normalise a rule given as an API object
+ *
+ * @param {Object} input - { frequency, interval, byWeekday, byMonthDay, byMonth, until, count }
+ * @returns {Object} Normalised rule
+ * @throws {Error} If the rule is invalid
+ */
+const normalizeRule = (input) => {
+    if (!input || typeof input !== 'object') {
+        throw new Error('Recurrence must be an object or an RRULE string');
+    }
+
+    const frequency = String(input.frequency || '').toUpperCase();
+    if (!FREQUENCIES.includes(frequency)) {
+        throw new Error(`Frequency must be one of ${FREQUENCIES.join(', ')}`);
+    }
+
+    const interval = input.interval === undefined || input.interval === null ? 1 : Number(input.interval);
+    if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+        throw new Error('Interval must be a whole number between 1 and 365');
+    }
+
+    const toList = (value) => (Array.isArray(value) ? value : value === undefined || value === null ? [] : [value]);
+
+    const byWeekday = toList(input.byWeekday).map(day => String(day).toUpperCase());
+    if (byWeekday.some(day => !WEEKDAYS.includes(day))) {
+        throw new Error(`Weekdays must be some of ${WEEKDAYS.join(', ')}`);
+    }
+
+    const byMonthDay = toList(input.byMonthDay).map(Number);
+    if (byMonthDay.some(day => !Number.isInteger(day) || day === 0 || day < -1 || day > 31)) {
+        throw new Error('Month days must be between 1 and 31, or -1 for the last day');
+    }
+    if (byMonthDay.length > 0 && frequency !== 'MONTHLY') {
+        throw new Error('Month days can only be used with a monthly frequency');
+    }
+
+    const byMonth = toList(input.byMonth).map(Number);
+    if (byMonth.some(month => !Number.isInteger(month) || month < 1 || month > 12)) {
+        throw new Error('Months must be between 1 and 12');
+    }
+
+    const until = input.until || null;
+    if (until !== null && !isValidDay(until)) {
+        throw new Error('End date must be a YYYY-MM-DD date');
+    }
+
+    const count = input.count === undefined || input.count === null ? null : Number(input.count);
+    if (count !== null && (!Number.isInteger(count) || count < 1 || count > 1000)) {
+        throw new Error('Count must be a whole number between 1 and 1000');
+    }
+
+    if (until && count) {
+        throw new Error('Use either an end date or a count, not both');
+    }
+
+    return {
+        frequency,
+        interval,
+        byWeekday: [...new Set(byWeekday)].sort((a, b) => WEEKDAYS.indexOf(a) - WEEKDAYS.indexOf(b)),
+        byMonthDay: [...new Set(byMonthDay)].sort((a, b) => a - b),
+        byMonth: [...new Set(byMonth)].sort((a, b) => a - b),
+        until,
+        count
+    };
+};
+
+/**
+ * Parse an RRULE string such as "FREQ=WEEKLY;BYDAY=MO,TH"
+ *
+ * @param {String} rrule - RRULE value, with or without the "RRULE:" prefix
+ * @returns {Object} Normalised rule
+ * @throws {Error} If the rule is invalid or uses unsupported parts
+ */
+const parseRRule = (rrule) => {
+    const input = {};
+
+    String(rrule).replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+        const [key, value = ''] = part.split('=');
+
+        switch (key.toUpperCase()) {
+            case 'FREQ':
+                input.frequency = value;
+                break;
+            case 'INTERVAL':
+                input.interval = Number(value);
+                break;
+            case 'BYDAY':
+                input.byWeekday = value.split(',');
+                break;
+            case 'BYMONTHDAY':
+                input.byMonthDay = value.split(',').map(Number);
+                break;
+            case 'BYMONTH':
+                input.byMonth = value.split(',').map(Number);
+                break;
+            case 'UNTIL': {
+                const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+                input.until = match ? `${match[1]}-${match[2]}-${match[3]}` : value;
+                break;
+            }
+            case 'COUNT':
+                input.count = Number(value);
+                break;
+            default:
+                throw new Error(`Unsupported RRULE part "${key}"`);
+        }
+    });
+
+    return normalizeRule(input);
+};
+
+/**
+ * Accept a rule as an RRULE string or an API object
+ *
+ * @param {String|Object} value - Rule
+ * @returns {Object} Normalised rule
+ * @throws {Error} If the rule is invalid
+ */
+const toRule = (value) => (typeof value === 'string' ? parseRRule(value) : normalizeRule(value));
+
+/**
+ * Format a rule as an RRULE string
+ *
+ * @param {Object} rule - Normalised rule
+ * @returns {String} RRULE value (without the "RRULE:" prefix)
+ */
+const formatRRule = (rule) => {
+    const parts = [`FREQ=${rule.frequency}`];
+
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.byWeekday.length > 0) parts.push(`BYDAY=${rule.byWeekday.join(',')}`);
+    if (rule.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+    if (rule.byMonth.length > 0) parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+    if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+
+    return parts.join(';');
+};
+
+/**
+ * Rule equivalent to the old "every N days" reminders
+ *
+ * @param {Number} intervalDays - Days between reminders
+ * @returns {Object} Normalised rule
+ */
+const fromIntervalDays = (intervalDays) => normalizeRule({ frequency: 'DAILY', interval: parseInt(intervalDays) });
+
+/**
+ * Days between reminders, for rules that are a plain "every N days"
+ *
+ * @param {Object} rule - Normalised rule
+ * @returns {Number|null} Interval in days or null for calendar based rules
+ */
+const toIntervalDays = (rule) => (
+    rule.frequency === 'DAILY' && rule.byWeekday.length === 0 && rule.byMonth.length === 0
+        ? rule.interval
+        : null
+);
+
+/**
+ * Whether a rule is pinned to weekdays or days of the month
+ * Pinned rules keep their calendar; plain interval rules restart from the completion day
+ *
+ * @param {Object} rule - Normalised rule
+ * @returns {Boolean}
+ */
+const isPinned = (rule) => rule.byWeekday.length > 0 || rule.byMonthDay.length > 0;
+
+/**
+ * Whether a day is an occurrence of a rule started on dtstart
+ * UNTIL and COUNT are not checked here
+ *
+ * @param {Object} rule - Normalised rule
+ * @param {String} dtstart - First possible day (YYYY-MM-DD)
+ * @param {String} day - Day to test (YYYY-MM-DD)
+ * @returns {Boolean}
+ */
+const matches = (rule, dtstart, day) => {
+    if (day < dtstart) {
+        return false;
+    }
+
+    const date = parseDay(day);
+    const start = parseDay(dtstart);
+
+    if (rule.byMonth.length > 0 && !rule.byMonth.includes(date.getUTCMonth() + 1)) {
+        return false;
+    }
+
+    if (rule.byWeekday.length > 0 && !rule.byWeekday.includes(WEEKDAYS[date.getUTCDay()])) {
+        return false;
+    }
+
+    if (rule.byMonthDay.length > 0) {
+        const lastDay = daysInMonth(date.getUTCFullYear(), date.getUTCMonth());
+        const dayOfMonth = date.getUTCDate();
+        if (!rule.byMonthDay.some(d => d === dayOfMonth || (d === -1 && dayOfMonth === lastDay))) {
+            return false;
+        }
+    }
+
+    switch (rule.frequency) {
+        case 'DAILY':
+            return daysBetween(dtstart, day) % rule.interval === 0;
+        case 'WEEKLY':
+            if (rule.byWeekday.length === 0 && date.getUTCDay() !== start.getUTCDay()) {
+                return false;
+            }
+            return (daysBetween(weekStart(dtstart), weekStart(day)) / 7) % rule.interval === 0;
+        case 'MONTHLY':
+            if (rule.byWeekday.length === 0 && rule.byMonthDay.length === 0 && date.getUTCDate() !== start.getUTCDate()) {
+                return false;
+            }
+            return monthsBetween(dtstart, day) % rule.interval === 0;
+        default:
+            return false;
+    }
+};
+
+/**
+ * Whether a monthly rule started on dtstart has any month it can occur in
+ * Its interval only reaches some months of the year (every 12 months: only the start month),
+ * its month days may not exist in the months it is limited to (BYMONTH=2;BYMONTHDAY=30), and
+ * without weekdays or month days it repeats the start day, which short months lack
+ *
+ * @param {Object} rule - Normalised rule
+ * @param {String} dtstart - First possible day (YYYY-MM-DD)
+ * @returns {Boolean} False if the rule can never occur
+ */
+const canOccur = (rule, dtstart) => {
+    if (rule.frequency !== 'MONTHLY') {
+        return true;
+    }
+
+    const startMonth = parseDay(dtstart).getUTCMonth();
+    const monthDays = rule.byWeekday.length === 0 && rule.byMonthDay.length === 0
+        ? [parseDay(dtstart).getUTCDate()]
+        : rule.byMonthDay;
+
+    return Array.from({ length: 12 }, (_, i) => (startMonth + i * rule.interval) % 12 + 1)
+        .filter(month => rule.byMonth.length === 0 || rule.byMonth.includes(month))
+        .some(month => monthDays.length === 0 || fitsMonth(monthDays, month));
+};
+
+/**
+ * First occurrence strictly after a day
+ * A rule that can never occur returns null straight away instead of searching
+ *
+ * @param {Object} rule - Normalised rule
+ * @param {String} dtstart - First possible day (YYYY-MM-DD)
+ * @param {String} after - Search starts the day after this one (YYYY-MM-DD)
+ * @returns {String|null} Next occurrence or null if the series has ended
+ */
+const nextOccurrence = (rule, dtstart, after) => {
+    if (!canOccur(rule, dtstart)) {
+        return null;
+    }
+
+    let day = after < dtstart ? dtstart : addDays(after, 1);
+
+    for (let i = 0; i < MAX_SEARCH_DAYS; i++, day = addDays(day, 1)) {
+        if (rule.until && day > rule.until) {
+            return null;
+        }
+        if (matches(rule, dtstart, day)) {
+            return day;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * First occurrence of a series
+ *
+ * @param {Object} rule - Normalised rule
+ * @param {String} dtstart - First possible day (YYYY-MM-DD)
+ * @returns {String|null} First occurrence or null if the rule never occurs
+ */
+const firstOccurrence = (rule, dtstart) => nextOccurrence(rule, dtstart, addDays(dtstart, -1));
+
+/**
+ * Restart a plain interval rule from a day ("every 3 days" after it was done)
+ * A seasonal window moves the date to the start of the next month inside the window
+ *
+ * @param {Object} rule - Normalised rule
+ * @param {String} from - Day the interval counts from (YYYY-MM-DD)
+ * @returns {String|null} Next occurrence or null if the series has ended
+ */
+const restartInterval = (rule, from) => {
+    let day;
+    switch (rule.frequency) {
+        case 'WEEKLY':
+            day = addDays(from, 7 * rule.interval);
+            break;
+        case 'MONTHLY':
+            day = addMonths(from, rule.interval);
+            break;
+        default:
+            day = addDays(from, rule.interval);
+    }
+
+    for (let i = 0; i < 12 && rule.byMonth.length > 0 && !rule.byMonth.includes(parseDay(day).getUTCMonth() + 1); i++) {
+        day = addMonths(`${day.slice(0, 8)}01`, 1);
+    }
+
+    if (rule.until && day > rule.until) {
+        return null;
+    }
+
+    return day;
+};
+
+/**
+ * Next due day after a reminder was completed
+ *
+ * @param {Object} rule - Normalised rule
+ * @param {String} dtstart - Series start (YYYY-MM-DD)
+ * @param {String} completedOn - Day the reminder was done (YYYY-MM-DD)
+ * @param {String|null} dueOn - Day it was due (YYYY-MM-DD)
+ * @returns {String|null} Next due day or null if the series has ended
+ */
+const nextAfterCompletion = (rule, dtstart, completedOn, dueOn) => {
+    if (!isPinned(rule)) {
+        return restartInterval(rule, completedOn);
+    }
+
+    // Done early: the next occurrence is the one after the day it was due
+    const after = dueOn && dueOn > completedOn ? dueOn : completedOn;
+    return nextOccurrence(rule, dtstart, after);
+};
+
+/**
+ * Occurrence that follows a due day when that one is done on time or skipped
+ *
+ * @param {Object} rule - Normalised rule
+ * @param {String} dtstart - Series start (YYYY-MM-DD)
+ * @param {String} dueOn - Due day (YYYY-MM-DD)
+ * @returns {String|null} Following occurrence or null if the series has ended
+ */
+const followingOccurrence = (rule, dtstart, dueOn) => (
+    isPinned(rule) ? nextOccurrence(rule, dtstart, dueOn) : restartInterval(rule, dueOn)
+);
+
+/**
+ * First occurrence after a day on the schedule anchored at a due day
+ * Used when an overdue reminder is done late but should keep its original rhythm
+ * instead of restarting the interval from the completion day
+ *
+ * @param {Object} rule - Normalised rule
+ * @param {String} dtstart - Series start (YYYY-MM-DD)
+ * @param {String} dueOn - Day it was due (YYYY-MM-DD)
+ * @param {String} after - Result is strictly after this day (YYYY-MM-DD)
+ * @returns {String|null} Next due day or null if the series has ended
+ */
+const nextOnSchedule = (rule, dtstart, dueOn, after) => {
+    let day = dueOn;
+
+    for (let i = 0; i < MAX_SEARCH_DAYS && day && day <= after; i++) {
+        day = followingOccurrence(rule, dtstart, day);
+    }
+
+    return day && day > after ? day : null;
+};
+
+/**
+ * Expand the occurrences of a reminder from its next due day up to a day
+ * Later occurrences assume each one is done on the day it is due
+ *
+ * @param {Object} rule - Normalised rule
+ * @param {String} dtstart - Series start (YYYY-MM-DD)
+ * @param {String} firstDue - Next due day (YYYY-MM-DD)
+ * @param {String} to - Last day to include (YYYY-MM-DD)
+ * @param {Number} limit - Maximum number of occurrences
+ * @returns {Array<String>} Occurrence days
+ */
+const expandOccurrences = (rule, dtstart, firstDue, to, limit) => {
+    const days = [];
+    let day = firstDue;
+
+    while (day && day <= to && days.length < limit) {
+        days.push(day);
+        day = followingOccurrence(rule, dtstart, day);
+    }
+
+    return days;
+};
+
+module.exports = {
+    FREQUENCIES,
+    WEEKDAYS,
+    toDay,
+    addDays,
+    isValidDay,
+    daysBetween,
+    toRule,
+    parseRRule,
+    formatRRule,
+    fromIntervalDays,
+    toIntervalDays,
+    isPinned,
+    firstOccurrence,
+    canOccur,
+    nextOccurrence,
+    restartInterval,
+    nextAfterCompletion,
+    followingOccurrence,
+    nextOnSchedule,
+    expandOccurrences
+};
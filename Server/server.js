@@ -0,0 +1,45 @@
+// Entrypoint: creates the database pool, checks the schema and starts the server
+const mysql = require('mysql2/promise');
+
+// Load environment variables
+require('dotenv').config();
+
+const { createApp } = require('./app');
+const { loadConfig } = require('./config');
+const { getDatabaseConfig } = require('./db/databaseConfig');
+const migrator = require('./db/migrator');
+
+const config = loadConfig();
+
+// Database connection pool
+const pool = mysql.createPool({
+    ...getDatabaseConfig(),
+    waitForConnections: true,
+    connectionLimit: 10,
+    queueLimit: 0
+});
+
+const app = createApp({ pool, config });
+
+// Start server once the database schema is up to date
+migrator.getStatus(pool)
+    .then(status => {
+        if (status.pending.length > 0 || status.changed.length > 0) {
+            status.pending.forEach(m => console.error(`Pending migration: ${m.version}_${m.name}`));
+            status.changed.forEach(m => console.error(`Modified migration: ${m.version}_${m.name}`));
+            console.error('Database schema is not up to date, run "npm run migrate" first');
+            process.exit(1);
+        }
+
+        app.listen(config.port, () => {
+            console.log(`Server running on port ${config.port}`);
+            app.locals.automationEngine.start();
+            app.locals.notificationScheduler.start();
+            app.locals.uploadCleaner.start();
+            app.locals.trashPurger.start();
+        });
+    })
+    .catch(error => {
+        console.error('Error checking database migrations:', error);
+        process.exit(1);
+    });
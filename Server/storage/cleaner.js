@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const photoService = require('../db/photoService');
+const { isLegacyPath, variantKey, photoFolder } = require('./keys');
+const { VARIANTS } = require('../images/processor');
+const { LEGACY_DIR, legacyFile } = require('./legacyUploads');
+const { systemClock } = require('../clock');
+
+// Stored photos live under this prefix; anything else in the bucket or folder is left alone
+const PHOTO_PREFIX = 'photos/';
+
+// express-fileupload names its temp files tmp-<counter>-<time>; other files in tmp/ are not ours
+const TEMP_FILE_PATTERN = /^tmp-\d+-\d+$/;
+
+/**
+ * Human readable size
+ *
+ * @param {Number} bytes - Size in bytes
+ * @returns {String} e.g. "1.5 MB"
+ */
+const formatBytes = (bytes) => {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let size = bytes;
+    let unit = 0;
+
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+    }
+
+    return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+};
+
+/**
+ * Files directly in a directory with their size and modification time
+ *
+ * @param {String} dir - Directory
+ * @returns {Promise<Array>} { name, size, lastModified }, empty if the directory does not exist
+ */
+const listFiles = async (dir) => {
+    let entries;
+    try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const files = [];
+    for (const entry of entries.filter(candidate => candidate.isFile())) {
+        const stats = await fs.promises.stat(path.join(dir, entry.name));
+        files.push({ name: entry.name, size: stats.size, lastModified: stats.mtime });
+    }
+    return files;
+};
+
+/**
+ * Remove the files of photos whose rows are gone, e.g. of a plant purged from the trash
+ * Failures are logged and skipped; the upload cleaner removes whatever is left behind.
+ *
+ * @param {Object} storage - Storage backend
+ * @param {Array<String>} photoKeys - Stored photo keys or legacy /uploads/ paths
+ * @returns {Promise<Number>} Number of photos whose files could not all be removed
+ */
+const removePhotoFiles = async (storage, photoKeys) => {
+    let failed = 0;
+
+    for (const photoKey of photoKeys) {
+        try {
+            if (isLegacyPath(photoKey)) {
+                await fs.promises.rm(legacyFile(photoKey), { force: true });
+            } else {
+                for (const variant of ['original', ...Object.keys(VARIANTS)]) {
+                    await storage.delete(variantKey(photoKey, variant));
+                }
+            }
+        } catch (error) {
+            failed++;
+            console.error(`Error removing photo ${photoKey}:`, error);
+        }
+    }
+
+    return failed;
+};
+
+/**
+ * Orphaned upload cleaner
+ * Reconciles uploaded files against the photo keys in the database and removes files
+ * nothing points at any more: replaced and deleted photos, photos whose removal failed
+ * when their plant was purged from the trash, uploads of requests that failed after the
+ * file was stored, and express-fileupload temp files that were never removed. Only files older
+ * than the grace period are touched, so an upload whose database row is still being
+ * written is never mistaken for an orphan.
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Object} options - Cleaner options (storage, tmpDir, uploadsDir (defaults to
+ *   public/uploads), gracePeriodMs, intervalMs, clock)
+ * @returns {Object} Cleaner with run, start and stop
+ */
+const createUploadCleaner = (pool, options = {}) => {
+    const { storage, tmpDir } = options;
+    const uploadsDir = options.uploadsDir || LEGACY_DIR;
+    const gracePeriodMs = options.gracePeriodMs !== undefined ? options.gracePeriodMs : 24 * 60 * 60 * 1000;
+    const intervalMs = options.intervalMs || 24 * 60 * 60 * 1000;
+    const clock = options.clock || systemClock;
+    let timer = null;
+
+    // Where each kind of orphan lives and how it is removed
+    const areas = {
+        storage: (name) => storage.delete(name),
+        uploads: (name) => fs.promises.rm(path.join(uploadsDir, path.basename(name)), { force: true }),
+        tmp: (name) => fs.promises.rm(path.join(tmpDir, name), { force: true })
+    };
+
+    /**
+     * Find the files to remove
+     *
+     * @param {Date} cutoff - Only files last modified before this time are candidates
+     * @returns {Promise<Array>} { area, name, size } of every orphan
+     */
+    const findOrphans = async (cutoff) => {
+        const references = await photoService.getPhotoReferences(pool);
+        const referencedFolders = new Set(references.map(photoFolder).filter(Boolean));
+        const referencedLegacyPaths = new Set(references.filter(isLegacyPath));
+        const isOld = (file) => new Date(file.lastModified) < cutoff;
+
+        const storedFiles = await storage.list(PHOTO_PREFIX);
+        const legacyFiles = await listFiles(uploadsDir);
+        const tempFiles = tmpDir ? await listFiles(tmpDir) : [];
+
+        return [
+            // A stored photo is kept as a whole: all variants in its folder stay while one key points there
+            ...storedFiles
+                .filter(file => photoFolder(file.key) && !referencedFolders.has(photoFolder(file.key)) && isOld(file))
+                .map(file => ({ area: 'storage', name: file.key, size: file.size })),
+            ...legacyFiles
+                .filter(file => !file.name.startsWith('.') && !referencedLegacyPaths.has(`/uploads/${file.name}`) && isOld(file))
+                .map(file => ({ area: 'uploads', name: `/uploads/${file.name}`, size: file.size })),
+            ...tempFiles
+                .filter(file => TEMP_FILE_PATTERN.test(file.name) && isOld(file))
+                .map(file => ({ area: 'tmp', name: file.name, size: file.size }))
+        ];
+    };
+
+    /**
+     * Remove orphaned files once
+     *
+     * @param {Object} runOptions - { dryRun }: only report what would be removed
+     * @returns {Promise<Object>} Report: dryRun, files ({ area, name, size }, removed or to be
+     *   removed), reclaimedBytes and failed (files that could not be removed)
+     */
+    const run = async ({ dryRun = false } = {}) => {
+        const cutoff = new Date(clock.now().getTime() - gracePeriodMs);
+        const orphans = await findOrphans(cutoff);
+        const report = { dryRun, files: [], reclaimedBytes: 0, failed: 0 };
+
+        for (const orphan of orphans) {
+            try {
+                if (!dryRun) {
+                    await areas[orphan.area](orphan.name);
+                }
+                report.files.push(orphan);
+                report.reclaimedBytes += orphan.size;
+            } catch (error) {
+                report.failed++;
+                console.error(`Error removing orphaned upload ${orphan.name}:`, error);
+            }
+        }
+
+        return report;
+    };
+
+    /**
+     * Scheduled tick
+     *
+     * @returns {Promise<void>}
+     */
+    const runScheduled = async () => {
+        try {
+            const report = await run();
+
+            if (report.files.length > 0) {
+                console.log(`Upload cleanup: removed ${report.files.length} file(s), ${formatBytes(report.reclaimedBytes)} reclaimed`);
+            }
+        } catch (error) {
+            console.error('Upload cleanup error:', error);
+        }
+    };
+
+    /**
+     * Start the schedule
+     */
+    const start = () => {
+        if (timer) return;
+        timer = setInterval(runScheduled, intervalMs);
+        timer.unref();
+    };
+
+    /**
+     * Stop the schedule
+     */
+    const stop = () => {
+        clearInterval(timer);
+        timer = null;
+    };
+
+    return {
+        run,
+        start,
+        stop
+    };
+};
+
+module.exports = { createUploadCleaner, removePhotoFiles, formatBytes };
@@ -0,0 +1,52 @@
+/**
+ * Upload storage
+ * A driver is created by a factory registered under a name; STORAGE_DRIVER picks one.
+ * Built in: local (a directory on disk, the default) and s3 (AWS S3 or a compatible server
+ * such as MinIO). A driver has async put(key, body, contentType), get(key) returning
+ * { body, contentType, size, lastModified } or null, delete(key), list(prefix) returning
+ * { key, size, lastModified } objects. Files are never public: the app serves them after
+ * checking access. A driver that can hand out short-lived URLs also has async
+ * signedUrl(key, now) and the origin those URLs point to; the app then redirects instead.
+ */
+
+const { createLocalStorage } = require('./localStorage');
+const { createS3Storage } = require('./s3Storage');
+
+const drivers = new Map();
+
+/**
+ * Register a storage driver factory
+ * The factory receives the storage config and returns a driver
+ *
+ * @param {String} name - Driver name as used in STORAGE_DRIVER
+ * @param {Function} factory - Driver factory
+ */
+const registerStorageDriver = (name, factory) => {
+    if (typeof factory !== 'function') {
+        throw new TypeError(`Storage driver "${name}" must be a factory function`);
+    }
+    drivers.set(name, factory);
+};
+
+registerStorageDriver('local', createLocalStorage);
+registerStorageDriver('s3', createS3Storage);
+
+/**
+ * Create the configured storage
+ *
+ * @param {Object} config - Storage config (driver, dir, s3)
+ * @returns {Object} Storage driver
+ * @throws {Error} If the driver is not registered
+ */
+const createStorage = (config = {}) => {
+    const name = config.driver || 'local';
+    const factory = drivers.get(name);
+
+    if (!factory) {
+        throw new Error(`Unknown storage driver "${name}"`);
+    }
+
+    return factory(config);
+};
+
+module.exports = { registerStorageDriver, createStorage };
@@ -0,0 +1,76 @@
+/**
+ * Storage keys of uploaded photos
+ * A photo is stored as a folder of variants; the database keeps the key of its original,
+ * e.g. photos/2026/10/<id>/original.jpg, and the other variants sit next to it.
+ * Values starting with /uploads/ are public paths from before photos moved to storage.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+
+const LEGACY_PREFIX = '/uploads/';
+
+// Letters, digits, dots, dashes and underscores in slash separated segments; no "..", no leading slash
+const KEY_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9._-]*(\/[A-Za-z0-9_-][A-Za-z0-9._-]*)*$/;
+
+// A variant inside the folder of one photo
+const PHOTO_FILE_PATTERN = /^photos\/\d{4}\/\d{2}\/[A-Za-z0-9-]+\/(original\.[a-z]+|thumbnail\.webp|medium\.webp)$/;
+
+/**
+ * Whether a value is a valid storage key
+ *
+ * @param {String} key - Storage key
+ * @returns {Boolean}
+ */
+const isValidKey = (key) => typeof key === 'string' && key.length <= 255 && KEY_PATTERN.test(key) && !key.includes('..');
+
+/**
+ * Whether a stored photo value is a public path from before storage keys
+ *
+ * @param {String} value - photo_url column value
+ * @returns {Boolean}
+ */
+const isLegacyPath = (value) => typeof value === 'string' && value.startsWith(LEGACY_PREFIX);
+
+/**
+ * Key for the original of a new photo
+ *
+ * @param {String} extension - File extension of the original
+ * @param {Date} date - Upload date, used to spread photos over folders
+ * @returns {String} Storage key
+ */
+const newPhotoKey = (extension, date = new Date()) => {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    return `photos/${date.getFullYear()}/${month}/${crypto.randomUUID()}/original.${extension}`;
+};
+
+/**
+ * Key of a variant of a photo
+ *
+ * @param {String} photoKey - Key of the original
+ * @param {String} variant - original, thumbnail or medium
+ * @returns {String} Storage key
+ */
+const variantKey = (photoKey, variant) => (
+    variant === 'original' ? photoKey : `${path.posix.dirname(photoKey)}/${variant}.webp`
+);
+
+/**
+ * Folder of the photo a variant key belongs to
+ * Every key stored in the database starts with it, whichever variant was requested
+ *
+ * @param {String} key - Storage key of any variant
+ * @returns {String|null} Folder with a trailing slash, or null if the key is not a photo variant
+ */
+const photoFolder = (key) => (
+    isValidKey(key) && PHOTO_FILE_PATTERN.test(key) ? `${path.posix.dirname(key)}/` : null
+);
+
+module.exports = {
+    LEGACY_PREFIX,
+    isValidKey,
+    isLegacyPath,
+    newPhotoKey,
+    variantKey,
+    photoFolder
+};
@@ -0,0 +1,56 @@
+/**
+ * Photos saved under public/uploads before the storage backend existed
+ * They are served through the app like stored photos until `npm run migrate:uploads` has
+ * moved them. Old file names have no reliable extension, so the type is taken from the
+ * file's first bytes, and anything that is not an image is never served.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { sniffImageType } = require('../images/processor');
+
+const LEGACY_DIR = path.join(__dirname, '..', '..', 'public', 'uploads');
+
+/**
+ * Path of a legacy upload on disk
+ * Only the file name is used, so a stored path cannot point outside the uploads folder
+ *
+ * @param {String} legacyPath - /uploads/... path
+ * @returns {String} Absolute path
+ */
+const legacyFile = (legacyPath) => path.join(LEGACY_DIR, path.basename(legacyPath));
+
+/**
+ * Open a legacy upload, in the same shape as storage get()
+ *
+ * @param {String} legacyPath - /uploads/... path
+ * @returns {Promise<Object|null>} { body, contentType, size, lastModified } or null if the
+ *   file is missing or not an image
+ */
+const openLegacyUpload = async (legacyPath) => {
+    const file = legacyFile(legacyPath);
+
+    try {
+        const [contents, stats] = await Promise.all([fs.promises.readFile(file), fs.promises.stat(file)]);
+        const imageType = sniffImageType(contents);
+
+        if (!imageType) {
+            return null;
+        }
+
+        return {
+            body: Readable.from([contents]),
+            contentType: imageType.type,
+            size: stats.size,
+            lastModified: stats.mtime
+        };
+    } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+            return null;
+        }
+        throw error;
+    }
+};
+
+module.exports = { LEGACY_DIR, legacyFile, openLegacyUpload };
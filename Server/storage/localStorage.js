@@ -0,0 +1,119 @@
+/**
+ * Local disk storage driver
+ * Files live under one directory outside the public folder, so they are only reachable
+ * through the app's /media route.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { isValidKey } = require('./keys');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+const CONTENT_TYPES = {
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp'
+};
+
+/**
+ * Create a local disk storage
+ *
+ * @param {Object} config - Storage config (dir)
+ * @returns {Object} Storage driver
+ */
+const createLocalStorage = (config) => {
+    const baseDir = path.resolve(ROOT_DIR, config.dir || 'storage');
+
+    /**
+     * Path of a key on disk
+     * @param {String} key - Storage key
+     * @returns {String} Absolute path inside baseDir
+     * @throws {Error} If the key is not valid
+     */
+    const toPath = (key) => {
+        if (!isValidKey(key)) {
+            throw new Error(`Invalid storage key "${key}"`);
+        }
+        return path.join(baseDir, ...key.split('/'));
+    };
+
+    const put = async (key, body) => {
+        const file = toPath(key);
+        const partial = `${file}.${crypto.randomBytes(4).toString('hex')}.part`;
+
+        // Written next to the target first, so readers never see half a file
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(partial, body);
+        await fs.promises.rename(partial, file);
+    };
+
+    const get = async (key) => {
+        const file = toPath(key);
+
+        try {
+            const stats = await fs.promises.stat(file);
+            return {
+                body: fs.createReadStream(file),
+                contentType: CONTENT_TYPES[path.extname(file).slice(1).toLowerCase()] || 'application/octet-stream',
+                size: stats.size,
+                lastModified: stats.mtime
+            };
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    };
+
+    const remove = async (key) => {
+        const file = toPath(key);
+        await fs.promises.rm(file, { force: true });
+
+        // A photo folder goes with its last variant; fails harmlessly while other files remain
+        await fs.promises.rmdir(path.dirname(file)).catch(() => {});
+    };
+
+    const list = async (prefix = '') => {
+        const objects = [];
+
+        const walk = async (dir) => {
+            let entries;
+            try {
+                entries = await fs.promises.readdir(dir, { withFileTypes: true });
+            } catch (error) {
+                if (error.code === 'ENOENT') return;
+                throw error;
+            }
+
+            for (const entry of entries) {
+                const file = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    await walk(file);
+                } else if (entry.isFile() && !entry.name.endsWith('.part')) {
+                    const key = path.relative(baseDir, file).split(path.sep).join('/');
+                    if (key.startsWith(prefix)) {
+                        const stats = await fs.promises.stat(file);
+                        objects.push({ key, size: stats.size, lastModified: stats.mtime });
+                    }
+                }
+            }
+        };
+
+        await walk(baseDir);
+        return objects;
+    };
+
+    return {
+        put,
+        get,
+        delete: remove,
+        list
+    };
+};
+
+module.exports = { createLocalStorage };
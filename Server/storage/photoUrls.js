@@ -0,0 +1,52 @@
+/**
+ * Photo URLs for API responses
+ * Services return the stored photoKey; responses carry URLs of the variants instead:
+ * photoUrl (medium), thumbnailUrl and originalUrl. They point at the app's /media route,
+ * which checks access on every request. Public paths from before storage keys are passed
+ * through until the uploads are migrated; /uploads is access checked the same way.
+ */
+
+const { isLegacyPath, variantKey } = require('./keys');
+
+/**
+ * URLs of the variants of a photo
+ *
+ * @param {String|null} photoKey - Stored photo key or legacy path
+ * @param {String|null} shareToken - Share token to add, for the shared gallery page
+ * @returns {Object} photoUrl, thumbnailUrl and originalUrl
+ */
+const urlsFor = (photoKey, shareToken) => {
+    if (!photoKey) {
+        return { photoUrl: null, thumbnailUrl: null, originalUrl: null };
+    }
+
+    const query = shareToken ? `?share=${encodeURIComponent(shareToken)}` : '';
+
+    if (isLegacyPath(photoKey)) {
+        const url = `${photoKey}${query}`;
+        return { photoUrl: url, thumbnailUrl: url, originalUrl: url };
+    }
+
+    const [photoUrl, thumbnailUrl, originalUrl] = ['medium', 'thumbnail', 'original'].map(variant => (
+        `/media/${variantKey(photoKey, variant).split('/').map(encodeURIComponent).join('/')}${query}`
+    ));
+    return { photoUrl, thumbnailUrl, originalUrl };
+};
+
+/**
+ * Replace photoKey with the photo URLs
+ *
+ * @param {Object|Array} value - Item or items with a photoKey
+ * @param {String|null} shareToken - Share token to add to the URLs (optional)
+ * @returns {Object|Array} Item or items with photoUrl, thumbnailUrl and originalUrl
+ */
+const addPhotoUrls = (value, shareToken = null) => {
+    if (Array.isArray(value)) {
+        return value.map(item => addPhotoUrls(item, shareToken));
+    }
+
+    const { photoKey, ...item } = value;
+    return { ...item, ...urlsFor(photoKey, shareToken) };
+};
+
+module.exports = { addPhotoUrls };
@@ -0,0 +1,141 @@
+/**
+ * S3-compatible object storage driver
+ * Works with AWS S3 and with self-hosted stand-ins such as MinIO: set S3_ENDPOINT to the
+ * server's URL and requests use path-style addressing. The bucket should stay private:
+ * after checking access the app sends browsers to a short-lived signed URL of the photo,
+ * or streams it itself when signed URLs are turned off.
+ */
+
+const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+    ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { isValidKey } = require('./keys');
+
+/**
+ * Create an S3-compatible storage
+ *
+ * @param {Object} config - Storage config (s3: bucket, region, endpoint, accessKeyId,
+ *                          secretAccessKey, forcePathStyle, signedUrls, signedUrlSeconds)
+ * @returns {Object} Storage driver
+ * @throws {Error} If no bucket is configured
+ */
+const createS3Storage = (config) => {
+    const {
+        bucket,
+        region,
+        endpoint,
+        accessKeyId,
+        secretAccessKey,
+        forcePathStyle,
+        signedUrls,
+        signedUrlSeconds = 300
+    } = config.s3;
+
+    if (!bucket) {
+        throw new Error('S3_BUCKET is not set');
+    }
+
+    const client = new S3Client({
+        region,
+        endpoint: endpoint || undefined,
+        forcePathStyle,
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+
+    const checkKey = (key) => {
+        if (!isValidKey(key)) {
+            throw new Error(`Invalid storage key "${key}"`);
+        }
+    };
+
+    const put = async (key, body, contentType) => {
+        checkKey(key);
+        await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }));
+    };
+
+    const get = async (key) => {
+        checkKey(key);
+
+        try {
+            const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+            return {
+                body: response.Body,
+                contentType: response.ContentType,
+                size: response.ContentLength,
+                lastModified: response.LastModified
+            };
+        } catch (error) {
+            if (error.name === 'NoSuchKey' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+                return null;
+            }
+            throw error;
+        }
+    };
+
+    const remove = async (key) => {
+        checkKey(key);
+        await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    };
+
+    const list = async (prefix = '') => {
+        const objects = [];
+        let continuationToken;
+
+        do {
+            const response = await client.send(new ListObjectsV2Command({
+                Bucket: bucket,
+                Prefix: prefix,
+                ContinuationToken: continuationToken
+            }));
+
+            (response.Contents || []).forEach(object => {
+                objects.push({ key: object.Key, size: object.Size, lastModified: object.LastModified });
+            });
+            continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+        } while (continuationToken);
+
+        return objects;
+    };
+
+    // Where signed URLs point: the page must be allowed to load images from there
+    const getOrigin = () => {
+        if (!endpoint) {
+            return `https://${bucket}.s3.${region}.amazonaws.com`;
+        }
+        const url = new URL(endpoint);
+        return forcePathStyle ? url.origin : `${url.protocol}//${bucket}.${url.host}`;
+    };
+
+    // Signed at the start of the current window and valid for two, so a photo keeps one URL,
+    // and stays in the browser cache, for a whole window
+    const signedUrl = async (key, now = new Date()) => {
+        checkKey(key);
+
+        const windowMs = signedUrlSeconds * 1000;
+        const command = new GetObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            ResponseCacheControl: `private, max-age=${signedUrlSeconds}`
+        });
+
+        return getSignedUrl(client, command, {
+            expiresIn: 2 * signedUrlSeconds,
+            signingDate: new Date(Math.floor(now.getTime() / windowMs) * windowMs)
+        });
+    };
+
+    return {
+        put,
+        get,
+        delete: remove,
+        list,
+        ...(signedUrls ? { signedUrl, origin: getOrigin() } : {})
+    };
+};
+
+module.exports = { createS3Storage };
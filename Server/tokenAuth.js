@@ -0,0 +1,53 @@
+const { AppError, logSecurityEvent } = require('./errorHandler');
+const tokenService = require('./db/tokenService');
+
+/**
+ * Middleware factory for bearer token authentication
+ * Must be registered before the session middleware: express-session leaves an
+ * already populated req.session alone, so token requests never get a session cookie.
+ * Sets req.apiToken if a valid token was presented
+ */
+const authenticateToken = (pool) => async (req, res, next) => {
+    const authHeader = req.get('Authorization');
+
+    // Requests without a bearer token fall through to session authentication
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return next();
+    }
+
+    try {
+        const token = await tokenService.findActiveToken(pool, authHeader.slice('Bearer '.length).trim());
+
+        if (!token) {
+            logSecurityEvent(req, 'FAILED_TOKEN_AUTH', { reason: 'Invalid, expired or revoked token' });
+            return res.status(401).json({ message: 'Invalid or expired API token' });
+        }
+
+        req.session = { user: token.user };
+        req.apiToken = { id: token.id, scopes: token.scopes };
+
+        next();
+    } catch (err) {
+        console.error('Token authentication error:', err);
+        return next(new AppError('Error authenticating API token', 500));
+    }
+};
+
+/**
+ * Middleware factory for routes that API tokens may use
+ * Session users are always allowed; token requests need the given scope
+ */
+const requireScope = (scope) => (req, res, next) => {
+    if (!req.session.user) {
+        return res.status(401).json({ message: 'Unauthorized' });
+    }
+
+    if (req.apiToken && !req.apiToken.scopes.includes(scope)) {
+        logSecurityEvent(req, 'TOKEN_SCOPE_DENIED', { tokenId: req.apiToken.id, scope });
+        return res.status(403).json({ message: `API token is missing the "${scope}" scope` });
+    }
+
+    next();
+};
+
+module.exports = { authenticateToken, requireScope };
@@ -0,0 +1,76 @@
+const plantService = require('../db/plantService');
+const { removePhotoFiles } = require('../storage/cleaner');
+const { systemClock } = require('../clock');
+
+/**
+ * Trash purger
+ * Deletes plants for good once they have been in the trash for longer than the retention
+ * period, together with everything recorded about them and their photo files.
+ *
+ * @param {Object} pool - Database connection pool
+ * @param {Object} options - Purger options (storage, retentionDays, intervalMs, clock)
+ * @returns {Object} Purger with run, start and stop
+ */
+const createTrashPurger = (pool, options = {}) => {
+    const { storage } = options;
+    const retentionDays = options.retentionDays || 30;
+    const intervalMs = options.intervalMs || 24 * 60 * 60 * 1000;
+    const clock = options.clock || systemClock;
+    let timer = null;
+
+    /**
+     * Purge expired plants once
+     *
+     * @returns {Promise<Object>} purged (number of plants) and failedFiles (photos whose files
+     *   are left for the upload cleaner)
+     */
+    const run = async () => {
+        const deletedBefore = new Date(clock.now().getTime() - retentionDays * 24 * 60 * 60 * 1000);
+        const { purged, photoKeys } = await plantService.purgeExpiredPlants(pool, deletedBefore);
+        const failedFiles = await removePhotoFiles(storage, photoKeys);
+
+        return { purged, failedFiles };
+    };
+
+    /**
+     * Scheduled tick
+     *
+     * @returns {Promise<void>}
+     */
+    const runScheduled = async () => {
+        try {
+            const { purged } = await run();
+
+            if (purged > 0) {
+                console.log(`Trash: deleted ${purged} plant(s) older than ${retentionDays} day(s)`);
+            }
+        } catch (error) {
+            console.error('Trash purge error:', error);
+        }
+    };
+
+    /**
+     * Start the schedule
+     */
+    const start = () => {
+        if (timer) return;
+        timer = setInterval(runScheduled, intervalMs);
+        timer.unref();
+    };
+
+    /**
+     * Stop the schedule
+     */
+    const stop = () => {
+        clearInterval(timer);
+        timer = null;
+    };
+
+    return {
+        run,
+        start,
+        stop
+    };
+};
+
+module.exports = { createTrashPurger };
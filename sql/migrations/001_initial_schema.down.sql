@@ -0,0 +1,8 @@
+DROP TABLE IF EXISTS `sensor_inputs`;
+DROP TABLE IF EXISTS `actuator_outputs`;
+DROP TABLE IF EXISTS `growing_enviroments`;
+DROP TABLE IF EXISTS `soil_types`;
+DROP TABLE IF EXISTS `weather_data`;
+DROP TABLE IF EXISTS `user_plants`;
+DROP TABLE IF EXISTS `all_plants`;
+DROP TABLE IF EXISTS `users`;
@@ -0,0 +1,11 @@
+DROP TABLE IF EXISTS `plant_health`;
+DROP TABLE IF EXISTS `plant_reminders`;
+
+-- Recreate the single-column foreign key indexes first in case InnoDB is using the composite ones
+ALTER TABLE `user_plants`
+    ADD INDEX IF NOT EXISTS `user_id` (`user_id`),
+    ADD INDEX IF NOT EXISTS `plant_id` (`plant_id`);
+ALTER TABLE `user_plants`
+    DROP INDEX idx_user_deleted,
+    DROP INDEX idx_plant_id;
+ALTER TABLE `all_plants` DROP INDEX idx_plant_name;
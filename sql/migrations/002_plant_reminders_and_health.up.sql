@@ -1,5 +1,7 @@
+-- Care reminders and health remarks per user plant
+
 -- Table: PlantReminders
-CREATE TABLE IF NOT EXISTS `plant_reminders` (
+CREATE TABLE `plant_reminders` (
     `reminder_id` INT(11) UNSIGNED NOT NULL AUTO_INCREMENT,
     `user_plant_id` INT(11) UNSIGNED NOT NULL,
     `reminder_type` ENUM('watering', 'fertilizing', 'harvesting', 'other') NOT NULL,
@@ -17,7 +19,7 @@ CREATE TABLE IF NOT EXISTS `plant_reminders` (
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
 
 -- Table: PlantHealth
-CREATE TABLE IF NOT EXISTS `plant_health` (
+CREATE TABLE `plant_health` (
     `health_id` INT(11) UNSIGNED NOT NULL AUTO_INCREMENT,
     `user_plant_id` INT(11) UNSIGNED NOT NULL,
     `remarks` TEXT NOT NULL,
@@ -0,0 +1,4 @@
+ALTER TABLE `sensor_inputs` ADD INDEX IF NOT EXISTS `enviroment_id` (`enviroment_id`);
+ALTER TABLE `sensor_inputs`
+    DROP INDEX idx_env_timestamp,
+    DROP INDEX idx_env_sensor_timestamp;
@@ -0,0 +1,3 @@
+-- Indexes for sensor ingestion queries (time ranges and latest value per sensor)
+ALTER TABLE `sensor_inputs` ADD INDEX idx_env_timestamp (`enviroment_id`, `timestamp`);
+ALTER TABLE `sensor_inputs` ADD INDEX idx_env_sensor_timestamp (`enviroment_id`, `sensor_name`, `timestamp`);
@@ -0,0 +1,18 @@
+-- Table: ApiTokens
+-- Long-lived bearer tokens for headless clients (sensor loggers, scripts)
+CREATE TABLE `api_tokens` (
+    `token_id` INT(11) UNSIGNED NOT NULL AUTO_INCREMENT,
+    `user_id` INT(11) UNSIGNED NOT NULL,
+    `name` VARCHAR(100) NOT NULL,
+    `token_hash` CHAR(64) NOT NULL,
+    `token_prefix` VARCHAR(20) NOT NULL,
+    `scopes` VARCHAR(255) NOT NULL,
+    `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    `last_used_at` DATETIME DEFAULT NULL,
+    `expires_at` DATETIME DEFAULT NULL,
+    `revoked_at` DATETIME DEFAULT NULL,
+    PRIMARY KEY (`token_id`),
+    UNIQUE KEY uq_token_hash (`token_hash`),
+    INDEX idx_user_id (`user_id`),
+    FOREIGN KEY (`user_id`) REFERENCES `users` (`user_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
@@ -0,0 +1,19 @@
+ALTER TABLE `user_plants`
+    DROP FOREIGN KEY `fk_user_plants_environment`,
+    DROP INDEX idx_enviroment_id,
+    DROP COLUMN `enviroment_id`;
+
+ALTER TABLE `growing_enviroments` ADD INDEX IF NOT EXISTS `user_id` (`user_id`);
+ALTER TABLE `growing_enviroments` DROP INDEX idx_user_id;
+
+-- Environments without a soil type cannot be represented in the old schema
+DELETE FROM `growing_enviroments` WHERE `soil_id` IS NULL;
+
+ALTER TABLE `growing_enviroments`
+    DROP COLUMN `name`,
+    DROP COLUMN `environment_type`,
+    DROP COLUMN `created_at`,
+    MODIFY `soil_id` INT(11) NOT NULL;
+
+-- The seeded soil types are kept, they may be referenced by environments
+ALTER TABLE `soil_types` DROP INDEX uq_soil_type;
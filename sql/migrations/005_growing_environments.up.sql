@@ -0,0 +1,26 @@
+-- Growing environments: names, types and plant assignment
+ALTER TABLE `growing_enviroments`
+    ADD COLUMN `name` VARCHAR(100) NOT NULL DEFAULT 'My garden' AFTER `user_id`,
+    ADD COLUMN `environment_type` ENUM('greenhouse', 'raised_bed', 'balcony', 'field', 'indoor', 'other') NOT NULL DEFAULT 'other' AFTER `name`,
+    ADD COLUMN `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    MODIFY `soil_id` INT(11) DEFAULT NULL;
+
+ALTER TABLE `growing_enviroments` ADD INDEX idx_user_id (`user_id`);
+
+ALTER TABLE `user_plants`
+    ADD COLUMN `enviroment_id` INT(11) DEFAULT NULL,
+    ADD INDEX idx_enviroment_id (`enviroment_id`),
+    ADD CONSTRAINT `fk_user_plants_environment` FOREIGN KEY (`enviroment_id`) REFERENCES `growing_enviroments` (`enviroment_id`) ON DELETE SET NULL;
+
+-- Soil type catalog
+ALTER TABLE `soil_types` ADD UNIQUE KEY uq_soil_type (`soil_type`);
+
+INSERT IGNORE INTO `soil_types` (`soil_type`, `ph_range`, `description`, `suitable_plants`) VALUES
+    ('Loam', '6.0-7.0', 'Balanced mix of sand, silt and clay. Holds moisture and nutrients while draining well.', 'Most vegetables, tomatoes, beans, lettuce, herbs'),
+    ('Sandy', '5.5-6.5', 'Light, warms quickly in spring and drains fast, but loses water and nutrients easily.', 'Carrots, radishes, potatoes, strawberries, lavender'),
+    ('Clay', '6.0-7.5', 'Heavy and slow to drain, rich in nutrients. Compacts when worked wet.', 'Cabbage, broccoli, kale, beans, peas'),
+    ('Silt', '6.0-7.0', 'Smooth and fertile, retains moisture well but can compact and crust.', 'Onions, lettuce, leafy greens, most fruit'),
+    ('Peat', '3.5-5.5', 'Acidic and high in organic matter, holds a lot of water.', 'Blueberries, cranberries, rhododendrons, brassicas with liming'),
+    ('Chalky', '7.1-8.0', 'Alkaline and stony, free draining; may cause iron deficiency in some plants.', 'Spinach, beets, sweet corn, cabbage, lilac'),
+    ('Potting mix', '5.5-6.5', 'Soilless container blend of peat or coir, compost and perlite.', 'Container herbs, peppers, tomatoes, balcony plants'),
+    ('Compost-rich raised bed mix', '6.0-7.0', 'Topsoil blended with compost for raised beds, loose and fertile.', 'Salad crops, courgettes, cucumbers, herbs');
@@ -0,0 +1,9 @@
+ALTER TABLE `actuator_outputs`
+    DROP FOREIGN KEY `fk_actuator_outputs_actuator`,
+    DROP FOREIGN KEY `fk_actuator_outputs_changed_by`,
+    DROP INDEX idx_actuator_timestamp,
+    DROP COLUMN `actuator_id`,
+    DROP COLUMN `changed_by`,
+    DROP COLUMN `source`;
+
+DROP TABLE IF EXISTS `actuators`;
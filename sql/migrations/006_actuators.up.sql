@@ -0,0 +1,23 @@
+-- Table: Actuators
+-- Registered pumps, fans, lights etc. per growing environment
+CREATE TABLE `actuators` (
+    `actuator_id` INT(11) UNSIGNED NOT NULL AUTO_INCREMENT,
+    `enviroment_id` INT(11) NOT NULL,
+    `name` VARCHAR(50) NOT NULL,
+    `actuator_type` ENUM('pump', 'fan', 'light', 'heater', 'valve', 'other') NOT NULL DEFAULT 'other',
+    `driver` VARCHAR(50) NOT NULL DEFAULT 'simulated',
+    `current_state` TINYINT(1) NOT NULL DEFAULT 0,
+    `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (`actuator_id`),
+    UNIQUE KEY uq_env_name (`enviroment_id`, `name`),
+    FOREIGN KEY (`enviroment_id`) REFERENCES `growing_enviroments` (`enviroment_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- actuator_outputs becomes the command log: one row per state change
+ALTER TABLE `actuator_outputs`
+    ADD COLUMN `actuator_id` INT(11) UNSIGNED DEFAULT NULL,
+    ADD COLUMN `changed_by` INT(11) UNSIGNED DEFAULT NULL,
+    ADD COLUMN `source` ENUM('manual', 'api', 'automation') NOT NULL DEFAULT 'manual',
+    ADD INDEX idx_actuator_timestamp (`actuator_id`, `timestamp`),
+    ADD CONSTRAINT `fk_actuator_outputs_actuator` FOREIGN KEY (`actuator_id`) REFERENCES `actuators` (`actuator_id`) ON DELETE CASCADE,
+    ADD CONSTRAINT `fk_actuator_outputs_changed_by` FOREIGN KEY (`changed_by`) REFERENCES `users` (`user_id`) ON DELETE SET NULL;
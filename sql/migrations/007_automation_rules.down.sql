@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS `automation_firings`;
+DROP TABLE IF EXISTS `automation_rules`;
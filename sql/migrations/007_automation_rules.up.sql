@@ -0,0 +1,46 @@
+-- Table: AutomationRules
+-- "If <sensor> <comparator> <threshold> for <duration>, then <action>" rules per growing environment
+CREATE TABLE `automation_rules` (
+    `rule_id` INT(11) UNSIGNED NOT NULL AUTO_INCREMENT,
+    `user_id` INT(11) UNSIGNED NOT NULL,
+    `enviroment_id` INT(11) NOT NULL,
+    `name` VARCHAR(100) NOT NULL,
+    `sensor_name` VARCHAR(50) NOT NULL,
+    `comparator` ENUM('lt', 'lte', 'gt', 'gte') NOT NULL,
+    `threshold` DECIMAL(10, 2) NOT NULL,
+    `duration_minutes` INT(11) UNSIGNED NOT NULL DEFAULT 0,
+    `cooldown_minutes` INT(11) UNSIGNED NOT NULL DEFAULT 60,
+    `action_type` ENUM('actuator', 'reminder') NOT NULL,
+    `actuator_id` INT(11) UNSIGNED DEFAULT NULL,
+    `actuator_state` TINYINT(1) DEFAULT NULL,
+    `action_duration_minutes` INT(11) UNSIGNED DEFAULT NULL,
+    `user_plant_id` INT(11) UNSIGNED DEFAULT NULL,
+    `reminder_type` ENUM('watering', 'fertilizing', 'harvesting', 'other') DEFAULT NULL,
+    `reminder_notes` TEXT DEFAULT NULL,
+    `is_active` TINYINT(1) DEFAULT 1,
+    `last_fired_at` DATETIME DEFAULT NULL,
+    `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (`rule_id`),
+    INDEX idx_env_active (`enviroment_id`, `is_active`),
+    FOREIGN KEY (`user_id`) REFERENCES `users` (`user_id`) ON DELETE CASCADE,
+    FOREIGN KEY (`enviroment_id`) REFERENCES `growing_enviroments` (`enviroment_id`) ON DELETE CASCADE,
+    FOREIGN KEY (`actuator_id`) REFERENCES `actuators` (`actuator_id`) ON DELETE CASCADE,
+    FOREIGN KEY (`user_plant_id`) REFERENCES `user_plants` (`user_plant_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- Table: AutomationFirings
+-- History of rule firings; revert_at schedules switching a timed actuator back
+CREATE TABLE `automation_firings` (
+    `firing_id` INT(11) UNSIGNED NOT NULL AUTO_INCREMENT,
+    `rule_id` INT(11) UNSIGNED NOT NULL,
+    `fired_at` DATETIME DEFAULT CURRENT_TIMESTAMP,
+    `sensor_value` DECIMAL(10, 2) DEFAULT NULL,
+    `success` TINYINT(1) NOT NULL DEFAULT 1,
+    `result` VARCHAR(255) DEFAULT NULL,
+    `revert_at` DATETIME DEFAULT NULL,
+    `reverted_at` DATETIME DEFAULT NULL,
+    PRIMARY KEY (`firing_id`),
+    INDEX idx_rule_fired (`rule_id`, `fired_at`),
+    INDEX idx_pending_revert (`revert_at`, `reverted_at`),
+    FOREIGN KEY (`rule_id`) REFERENCES `automation_rules` (`rule_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
@@ -0,0 +1,20 @@
+ALTER TABLE `plant_reminders` ADD COLUMN `interval_days` INT(11) NOT NULL DEFAULT 1 AFTER `start_date`;
+
+-- Calendar based rules are approximated by their frequency
+UPDATE `plant_reminders`
+SET `interval_days` = CAST(COALESCE(NULLIF(REGEXP_SUBSTR(`rrule`, '(?<=INTERVAL=)[0-9]+'), ''), '1') AS UNSIGNED) *
+    CASE
+        WHEN `rrule` LIKE '%FREQ=WEEKLY%' THEN 7
+        WHEN `rrule` LIKE '%FREQ=MONTHLY%' THEN 30
+        ELSE 1
+    END;
+
+-- Finished series have no next date in the old schema
+UPDATE `plant_reminders`
+SET `is_active` = 0, `next_reminder` = COALESCE(`last_completed`, `start_date`)
+WHERE `next_reminder` IS NULL;
+
+ALTER TABLE `plant_reminders`
+    DROP COLUMN `rrule`,
+    DROP COLUMN `occurrences_done`,
+    MODIFY `next_reminder` DATE NOT NULL;
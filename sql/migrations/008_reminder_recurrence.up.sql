@@ -0,0 +1,11 @@
+-- Reminder schedules become RRULE-style recurrence rules (see Server/reminders/recurrence.js)
+-- next_reminder is NULL once a series with an end date or count has finished
+ALTER TABLE `plant_reminders`
+    ADD COLUMN `rrule` VARCHAR(255) NOT NULL AFTER `start_date`,
+    ADD COLUMN `occurrences_done` INT(11) UNSIGNED NOT NULL DEFAULT 0 AFTER `last_completed`,
+    MODIFY `next_reminder` DATE DEFAULT NULL;
+
+-- "Every N days" is FREQ=DAILY;INTERVAL=N
+UPDATE `plant_reminders` SET `rrule` = CONCAT('FREQ=DAILY;INTERVAL=', `interval_days`);
+
+ALTER TABLE `plant_reminders` DROP COLUMN `interval_days`;
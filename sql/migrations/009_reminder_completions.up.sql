@@ -0,0 +1,27 @@
+-- Table: ReminderCompletions
+-- One row per time a reminder was done; is_late compares the completion day with the due day
+CREATE TABLE `reminder_completions` (
+    `completion_id` INT(11) UNSIGNED NOT NULL AUTO_INCREMENT,
+    `reminder_id` INT(11) UNSIGNED NOT NULL,
+    `user_plant_id` INT(11) UNSIGNED NOT NULL,
+    `completed_by` INT(11) UNSIGNED DEFAULT NULL,
+    `completed_at` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    `due_date` DATE DEFAULT NULL,
+    `is_late` TINYINT(1) NOT NULL DEFAULT 0,
+    `quantity` DECIMAL(10, 2) DEFAULT NULL,
+    `quantity_unit` VARCHAR(20) DEFAULT NULL,
+    `note` TEXT DEFAULT NULL,
+    PRIMARY KEY (`completion_id`),
+    INDEX idx_reminder_completed (`reminder_id`, `completed_at`),
+    INDEX idx_plant_completed (`user_plant_id`, `completed_at`),
+    FOREIGN KEY (`reminder_id`) REFERENCES `plant_reminders` (`reminder_id`) ON DELETE CASCADE,
+    FOREIGN KEY (`user_plant_id`) REFERENCES `user_plants` (`user_plant_id`) ON DELETE CASCADE,
+    FOREIGN KEY (`completed_by`) REFERENCES `users` (`user_id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- Keep the last completion recorded so far; its due day is unknown
+INSERT INTO `reminder_completions` (`reminder_id`, `user_plant_id`, `completed_by`, `completed_at`)
+SELECT r.`reminder_id`, r.`user_plant_id`, up.`user_id`, r.`last_completed`
+FROM `plant_reminders` r
+JOIN `user_plants` up ON r.`user_plant_id` = up.`user_plant_id`
+WHERE r.`last_completed` IS NOT NULL;
@@ -0,0 +1,5 @@
+DELETE FROM `reminder_completions` WHERE `action` <> 'completed';
+
+ALTER TABLE `reminder_completions`
+    DROP COLUMN `action`,
+    DROP COLUMN `new_date`;
@@ -0,0 +1,4 @@
+-- reminder_completions becomes the reminder action log: snoozes, skips and reschedules are recorded next to completions
+ALTER TABLE `reminder_completions`
+    ADD COLUMN `action` ENUM('completed', 'snoozed', 'skipped', 'rescheduled') NOT NULL DEFAULT 'completed' AFTER `user_plant_id`,
+    ADD COLUMN `new_date` DATE DEFAULT NULL AFTER `due_date`;
@@ -0,0 +1,13 @@
+-- Table: CalendarFeeds
+-- Secret iCalendar subscription URL per user; only the SHA-256 hash of the token is stored
+CREATE TABLE `calendar_feeds` (
+    `feed_id` INT(11) UNSIGNED NOT NULL AUTO_INCREMENT,
+    `user_id` INT(11) UNSIGNED NOT NULL,
+    `token_hash` CHAR(64) NOT NULL,
+    `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    `last_used_at` DATETIME DEFAULT NULL,
+    PRIMARY KEY (`feed_id`),
+    UNIQUE KEY uq_calendar_feed_user (`user_id`),
+    UNIQUE KEY uq_calendar_feed_token (`token_hash`),
+    FOREIGN KEY (`user_id`) REFERENCES `users` (`user_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
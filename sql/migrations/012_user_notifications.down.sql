@@ -0,0 +1,8 @@
+ALTER TABLE `users`
+    DROP INDEX uq_users_email,
+    DROP COLUMN `email`,
+    DROP COLUMN `notify_email`,
+    DROP COLUMN `notify_time`,
+    DROP COLUMN `timezone`,
+    DROP COLUMN `notify_mode`,
+    DROP COLUMN `last_notified_on`;
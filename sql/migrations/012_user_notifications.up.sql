@@ -0,0 +1,11 @@
+-- Email address and notification preferences for reminder emails
+-- notify_time is wall clock time in the user's timezone (IANA name);
+-- last_notified_on is the user's local day of the last notification, so each day is sent once
+ALTER TABLE `users`
+    ADD COLUMN `email` VARCHAR(191) DEFAULT NULL AFTER `username`,
+    ADD COLUMN `notify_email` TINYINT(1) NOT NULL DEFAULT 0 AFTER `email`,
+    ADD COLUMN `notify_time` TIME NOT NULL DEFAULT '08:00:00' AFTER `notify_email`,
+    ADD COLUMN `timezone` VARCHAR(64) NOT NULL DEFAULT 'UTC' AFTER `notify_time`,
+    ADD COLUMN `notify_mode` ENUM('digest', 'per_reminder') NOT NULL DEFAULT 'digest' AFTER `timezone`,
+    ADD COLUMN `last_notified_on` DATE DEFAULT NULL AFTER `notify_mode`,
+    ADD UNIQUE KEY uq_users_email (`email`);
@@ -0,0 +1,16 @@
+-- Table: PushSubscriptions
+-- Web Push subscriptions, one per browser/device a user has enabled notifications on
+CREATE TABLE `push_subscriptions` (
+    `subscription_id` INT(11) UNSIGNED NOT NULL AUTO_INCREMENT,
+    `user_id` INT(11) UNSIGNED NOT NULL,
+    `endpoint` VARCHAR(500) NOT NULL,
+    `p256dh` VARCHAR(255) NOT NULL,
+    `auth` VARCHAR(255) NOT NULL,
+    `user_agent` VARCHAR(255) DEFAULT NULL,
+    `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    `last_used_at` DATETIME DEFAULT NULL,
+    PRIMARY KEY (`subscription_id`),
+    UNIQUE KEY uq_push_endpoint (`endpoint`),
+    INDEX idx_user_id (`user_id`),
+    FOREIGN KEY (`user_id`) REFERENCES `users` (`user_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
@@ -0,0 +1,14 @@
+-- Table: Harvests
+-- What was actually picked from a plant; est_cropping on user_plants stays the estimate
+CREATE TABLE `harvests` (
+    `harvest_id` INT(11) UNSIGNED NOT NULL AUTO_INCREMENT,
+    `user_plant_id` INT(11) UNSIGNED NOT NULL,
+    `harvested_on` DATE NOT NULL,
+    `quantity` DECIMAL(10, 2) NOT NULL,
+    `unit` ENUM('kg', 'pieces', 'bunches') NOT NULL,
+    `quality_notes` TEXT DEFAULT NULL,
+    `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (`harvest_id`),
+    INDEX idx_plant_harvested (`user_plant_id`, `harvested_on`),
+    FOREIGN KEY (`user_plant_id`) REFERENCES `user_plants` (`user_plant_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
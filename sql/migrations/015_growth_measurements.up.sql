@@ -0,0 +1,15 @@
+-- Table: Growth Measurements
+-- Typed, dated measurements per plant (height, leaf count, fruit count); plant_health keeps the free-text remarks
+CREATE TABLE `growth_measurements` (
+    `measurement_id` INT(11) UNSIGNED NOT NULL AUTO_INCREMENT,
+    `user_plant_id` INT(11) UNSIGNED NOT NULL,
+    `metric` ENUM('height', 'leaf_count', 'fruit_count') NOT NULL,
+    `value` DECIMAL(10, 2) NOT NULL,
+    `unit` VARCHAR(10) NOT NULL,
+    `measured_on` DATE NOT NULL,
+    `photo_url` VARCHAR(255) DEFAULT NULL,
+    `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (`measurement_id`),
+    INDEX idx_plant_metric_measured (`user_plant_id`, `metric`, `measured_on`),
+    FOREIGN KEY (`user_plant_id`) REFERENCES `user_plants` (`user_plant_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
@@ -0,0 +1,8 @@
+ALTER TABLE `user_plants` ADD COLUMN `photo_url` VARCHAR(255) DEFAULT NULL;
+
+-- Only the cover photo fits back into user_plants
+UPDATE `user_plants` up
+JOIN `plant_photos` pp ON pp.`user_plant_id` = up.`user_plant_id` AND pp.`is_cover` = 1
+SET up.`photo_url` = pp.`photo_url`;
+
+DROP TABLE IF EXISTS `plant_photos`;
@@ -0,0 +1,23 @@
+-- Table: PlantPhotos
+-- Several photos per plant; the cover photo (is_cover) is the one shown in the plant list
+CREATE TABLE `plant_photos` (
+    `photo_id` INT(11) UNSIGNED NOT NULL AUTO_INCREMENT,
+    `user_plant_id` INT(11) UNSIGNED NOT NULL,
+    `photo_url` VARCHAR(255) NOT NULL,
+    `caption` VARCHAR(255) DEFAULT NULL,
+    `taken_on` DATE NOT NULL,
+    `is_cover` TINYINT(1) NOT NULL DEFAULT 0,
+    `sort_order` INT(11) UNSIGNED NOT NULL DEFAULT 0,
+    `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (`photo_id`),
+    INDEX idx_plant_sort (`user_plant_id`, `sort_order`),
+    FOREIGN KEY (`user_plant_id`) REFERENCES `user_plants` (`user_plant_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- The single photo kept so far becomes the cover; when it was taken is unknown, so use the planting day
+INSERT INTO `plant_photos` (`user_plant_id`, `photo_url`, `taken_on`, `is_cover`)
+SELECT `user_plant_id`, `photo_url`, `planting_time`, 1
+FROM `user_plants`
+WHERE `photo_url` IS NOT NULL AND `photo_url` <> '';
+
+ALTER TABLE `user_plants` DROP COLUMN `photo_url`;
@@ -0,0 +1,4 @@
+ALTER TABLE `user_plants`
+    DROP INDEX uq_share_token_hash,
+    DROP COLUMN `share_token_hash`,
+    DROP COLUMN `shared_at`;
@@ -0,0 +1,6 @@
+-- Photo sharing is opt-in per plant: anyone with the secret token of a share link can see
+-- the plant's gallery. Only a hash of the token is kept, like API and calendar tokens.
+ALTER TABLE `user_plants`
+    ADD COLUMN `share_token_hash` CHAR(64) DEFAULT NULL,
+    ADD COLUMN `shared_at` TIMESTAMP NULL DEFAULT NULL,
+    ADD UNIQUE KEY uq_share_token_hash (`share_token_hash`);
@@ -0,0 +1 @@
+ALTER TABLE `user_plants` DROP COLUMN `deleted_at`;
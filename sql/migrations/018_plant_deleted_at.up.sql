@@ -0,0 +1,5 @@
+-- When a plant was deleted, so files only its deleted plant still points at can be cleaned up
+-- after a grace period. Plants deleted before now count from the time of this migration.
+ALTER TABLE `user_plants` ADD COLUMN `deleted_at` TIMESTAMP NULL DEFAULT NULL;
+
+UPDATE `user_plants` SET `deleted_at` = NOW() WHERE `is_deleted` = 1;
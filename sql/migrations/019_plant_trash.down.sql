@@ -0,0 +1,5 @@
+ALTER TABLE `user_plants` DROP INDEX idx_deleted_at;
+
+UPDATE `plant_reminders` SET `is_active` = 1 WHERE `paused_with_plant` = 1;
+
+ALTER TABLE `plant_reminders` DROP COLUMN `paused_with_plant`;
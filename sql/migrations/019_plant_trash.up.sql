@@ -0,0 +1,10 @@
+-- Deleting a plant moves it to the trash and pauses its active reminders; restoring it
+-- resumes exactly those, not the ones the user had turned off before
+ALTER TABLE `plant_reminders` ADD COLUMN `paused_with_plant` TINYINT(1) NOT NULL DEFAULT 0;
+
+UPDATE `plant_reminders` r
+JOIN `user_plants` up ON r.`user_plant_id` = up.`user_plant_id`
+SET r.`is_active` = 0, r.`paused_with_plant` = 1
+WHERE up.`is_deleted` = 1 AND r.`is_active` = 1;
+
+ALTER TABLE `user_plants` ADD INDEX idx_deleted_at (`is_deleted`, `deleted_at`);
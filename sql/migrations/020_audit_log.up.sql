@@ -0,0 +1,19 @@
+-- Table: AuditLog
+-- One row per change to a plant, one of its reminders or health remarks; before_values and
+-- after_values hold the entity's recorded fields around the change, NULL on the side where it
+-- did not exist (and on both sides when a plant moves to or out of the trash)
+CREATE TABLE `audit_log` (
+    `audit_id` INT(11) UNSIGNED NOT NULL AUTO_INCREMENT,
+    `user_plant_id` INT(11) UNSIGNED NOT NULL,
+    `entity_type` ENUM('plant', 'reminder', 'health') NOT NULL,
+    `entity_id` INT(11) UNSIGNED NOT NULL,
+    `action` ENUM('create', 'update', 'delete', 'restore', 'revert') NOT NULL,
+    `before_values` JSON DEFAULT NULL,
+    `after_values` JSON DEFAULT NULL,
+    `actor_id` INT(11) UNSIGNED DEFAULT NULL,
+    `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (`audit_id`),
+    INDEX idx_plant_created (`user_plant_id`, `created_at`),
+    FOREIGN KEY (`user_plant_id`) REFERENCES `user_plants` (`user_plant_id`) ON DELETE CASCADE,
+    FOREIGN KEY (`actor_id`) REFERENCES `users` (`user_id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
@@ -0,0 +1,8 @@
+ALTER TABLE `user_plants`
+    DROP FOREIGN KEY `fk_user_plants_garden`,
+    DROP INDEX idx_garden,
+    DROP COLUMN `garden_id`;
+
+DROP TABLE IF EXISTS `garden_invitations`;
+DROP TABLE IF EXISTS `garden_members`;
+DROP TABLE IF EXISTS `gardens`;
@@ -0,0 +1,59 @@
+-- Table: Gardens
+-- Plants belong to a garden; every member of the garden sees its plants
+CREATE TABLE `gardens` (
+    `garden_id` INT(11) UNSIGNED NOT NULL AUTO_INCREMENT,
+    `name` VARCHAR(100) NOT NULL,
+    `created_by` INT(11) UNSIGNED DEFAULT NULL,
+    `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (`garden_id`),
+    FOREIGN KEY (`created_by`) REFERENCES `users` (`user_id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- Table: GardenMembers
+-- Viewers only look, editors tend the plants, owners also manage the members
+CREATE TABLE `garden_members` (
+    `garden_id` INT(11) UNSIGNED NOT NULL,
+    `user_id` INT(11) UNSIGNED NOT NULL,
+    `role` ENUM('owner', 'editor', 'viewer') NOT NULL,
+    `joined_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (`garden_id`, `user_id`),
+    INDEX idx_user (`user_id`),
+    FOREIGN KEY (`garden_id`) REFERENCES `gardens` (`garden_id`) ON DELETE CASCADE,
+    FOREIGN KEY (`user_id`) REFERENCES `users` (`user_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- Table: GardenInvitations
+-- Pending invitations by username; accepting one makes the user a member with the role
+CREATE TABLE `garden_invitations` (
+    `invitation_id` INT(11) UNSIGNED NOT NULL AUTO_INCREMENT,
+    `garden_id` INT(11) UNSIGNED NOT NULL,
+    `user_id` INT(11) UNSIGNED NOT NULL,
+    `role` ENUM('owner', 'editor', 'viewer') NOT NULL,
+    `invited_by` INT(11) UNSIGNED DEFAULT NULL,
+    `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (`invitation_id`),
+    UNIQUE KEY uq_garden_user (`garden_id`, `user_id`),
+    INDEX idx_user (`user_id`),
+    FOREIGN KEY (`garden_id`) REFERENCES `gardens` (`garden_id`) ON DELETE CASCADE,
+    FOREIGN KEY (`user_id`) REFERENCES `users` (`user_id`) ON DELETE CASCADE,
+    FOREIGN KEY (`invited_by`) REFERENCES `users` (`user_id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- Every user gets a garden of their own with the plants they have so far
+INSERT INTO `gardens` (`name`, `created_by`)
+SELECT CONCAT(`username`, '''s garden'), `user_id` FROM `users`;
+
+INSERT INTO `garden_members` (`garden_id`, `user_id`, `role`)
+SELECT `garden_id`, `created_by`, 'owner' FROM `gardens`;
+
+-- user_plants.user_id stays as the member who added the plant
+ALTER TABLE `user_plants` ADD COLUMN `garden_id` INT(11) UNSIGNED DEFAULT NULL AFTER `user_id`;
+
+UPDATE `user_plants` up
+JOIN `gardens` g ON g.`created_by` = up.`user_id`
+SET up.`garden_id` = g.`garden_id`;
+
+ALTER TABLE `user_plants`
+    MODIFY `garden_id` INT(11) UNSIGNED NOT NULL,
+    ADD INDEX idx_garden (`garden_id`, `is_deleted`),
+    ADD CONSTRAINT `fk_user_plants_garden` FOREIGN KEY (`garden_id`) REFERENCES `gardens` (`garden_id`);
@@ -0,0 +1,8 @@
+-- Plants whose member's account was deleted cannot be represented in the old schema
+DELETE FROM `user_plants` WHERE `user_id` IS NULL;
+
+ALTER TABLE `user_plants` DROP FOREIGN KEY `fk_user_plants_added_by`;
+
+ALTER TABLE `user_plants`
+    MODIFY `user_id` INT(11) UNSIGNED NOT NULL,
+    ADD CONSTRAINT `user_plants_ibfk_1` FOREIGN KEY (`user_id`) REFERENCES `users` (`user_id`) ON DELETE CASCADE;
@@ -0,0 +1,7 @@
+-- user_plants.user_id only records the member who added a plant, so deleting their account must not
+-- delete plants of a garden they shared: it is cleared instead. The key was created unnamed in 001.
+ALTER TABLE `user_plants` DROP FOREIGN KEY `user_plants_ibfk_1`;
+
+ALTER TABLE `user_plants`
+    MODIFY `user_id` INT(11) UNSIGNED DEFAULT NULL,
+    ADD CONSTRAINT `fk_user_plants_added_by` FOREIGN KEY (`user_id`) REFERENCES `users` (`user_id`) ON DELETE SET NULL;
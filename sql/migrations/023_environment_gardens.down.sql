@@ -0,0 +1,12 @@
+-- Environments whose member's account was deleted cannot be represented in the old schema
+DELETE FROM `growing_enviroments` WHERE `user_id` IS NULL;
+
+ALTER TABLE `growing_enviroments`
+    DROP FOREIGN KEY `fk_growing_enviroments_added_by`,
+    DROP FOREIGN KEY `fk_growing_enviroments_garden`,
+    DROP INDEX idx_garden,
+    DROP COLUMN `garden_id`;
+
+ALTER TABLE `growing_enviroments`
+    MODIFY `user_id` INT(11) UNSIGNED NOT NULL,
+    ADD CONSTRAINT `growing_enviroments_ibfk_1` FOREIGN KEY (`user_id`) REFERENCES `users` (`user_id`) ON DELETE CASCADE;
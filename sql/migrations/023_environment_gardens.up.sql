@@ -0,0 +1,23 @@
+-- Growing environments belong to a garden like its plants, so every member sees the environments
+-- the garden's plants are in and editors can assign them; user_id stays as the member who added it
+ALTER TABLE `growing_enviroments` ADD COLUMN `garden_id` INT(11) UNSIGNED DEFAULT NULL AFTER `user_id`;
+
+UPDATE `growing_enviroments` ge
+JOIN `gardens` g ON g.`created_by` = ge.`user_id`
+SET ge.`garden_id` = g.`garden_id`;
+
+-- A plant may only be in an environment of its own garden
+UPDATE `user_plants` up
+JOIN `growing_enviroments` ge ON up.`enviroment_id` = ge.`enviroment_id`
+SET up.`enviroment_id` = NULL
+WHERE ge.`garden_id` <> up.`garden_id`;
+
+-- The key was created unnamed in 001
+ALTER TABLE `growing_enviroments` DROP FOREIGN KEY `growing_enviroments_ibfk_1`;
+
+ALTER TABLE `growing_enviroments`
+    MODIFY `garden_id` INT(11) UNSIGNED NOT NULL,
+    MODIFY `user_id` INT(11) UNSIGNED DEFAULT NULL,
+    ADD INDEX idx_garden (`garden_id`),
+    ADD CONSTRAINT `fk_growing_enviroments_garden` FOREIGN KEY (`garden_id`) REFERENCES `gardens` (`garden_id`) ON DELETE CASCADE,
+    ADD CONSTRAINT `fk_growing_enviroments_added_by` FOREIGN KEY (`user_id`) REFERENCES `users` (`user_id`) ON DELETE SET NULL;
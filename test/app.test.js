@@ -0,0 +1,622 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const { toDateString } = require('../Server/clock');
+const { createStorage } = require('../Server/storage');
+const { createUser, startApp } = require('./helpers/testApp');
+
+const TOMATO = { plant_cultivar: 'Moneymaker', plant_species: 'Tomato', planting_time: '2024-04-01' };
+
+/**
+ * Sign in a new user in a client of the app
+ *
+ * @param {Object} app - Started app (see helpers/testApp.js)
+ * @param {String} username - Username
+ * @returns {Promise<Object>} Signed in client with the user's userId and username
+ */
+const signedIn = async (app, username) => {
+    const userId = await createUser(app.pool, username);
+    const client = app.client();
+    assert.equal((await client.signIn(username)).status, 200);
+    return Object.assign(client, { userId, username });
+};
+
+const addPlant = async (client, plant = TOMATO) => {
+    const response = await client.request('POST', '/api/plants', plant);
+    assert.equal(response.status, 201);
+    return response.body.plant;
+};
+
+/**
+ * Invite a member to a garden and have them accept
+ *
+ * @param {Object} owner - Signed in client of an owner of the garden
+ * @param {Object} member - Signed in client of the user to invite
+ * @param {Number} gardenId - Garden ID
+ * @param {String} role - Role of the new member
+ */
+const joinGarden = async (owner, member, gardenId, role) => {
+    const invited = await owner.request('POST', `/api/gardens/${gardenId}/invitations`, { username: member.username, role });
+    assert.equal(invited.status, 201);
+
+    const [invitation] = (await member.request('GET', '/api/invitations')).body;
+    assert.equal((await member.request('POST', `/api/invitations/${invitation.id}/accept`)).status, 200);
+};
+
+const photoForm = async () => {
+    const image = await sharp({ create: { width: 16, height: 16, channels: 3, background: '#2e7d32' } }).png().toBuffer();
+    const form = new FormData();
+    form.append('photo', new Blob([image], { type: 'image/png' }), 'tomato.png');
+    form.append('caption', 'First truss');
+    return form;
+};
+
+test('plant routes need a signed in user', async () => {
+    const app = await startApp();
+
+    try {
+        const response = await app.client().request('GET', '/api/plants');
+        assert.equal(response.status, 401);
+    } finally {
+        await app.close();
+    }
+});
+
+test('signup creates the user with a garden of their own, and the username only once', async () => {
+    const app = await startApp();
+    const client = app.client();
+
+    try {
+        const signup = await client.request('POST', '/signup', { username: 'jaan', password: 'correct horse battery' });
+        assert.equal(signup.status, 201);
+
+        const again = await app.client().request('POST', '/signup', { username: 'jaan', password: 'another password' });
+        assert.equal(again.status, 409);
+
+        assert.equal((await client.signIn('jaan')).status, 200);
+        const gardens = await client.request('GET', '/api/gardens');
+        assert.deepEqual(gardens.body.map(garden => [garden.name, garden.role]), [['jaan\'s garden', 'owner']]);
+    } finally {
+        await app.close();
+    }
+});
+
+test('signin rejects a wrong password and keeps the session signed out', async () => {
+    const app = await startApp();
+
+    try {
+        await createUser(app.pool, 'mari');
+        const client = app.client();
+
+        const signin = await client.signIn('mari', 'wrong password');
+        assert.equal(signin.status, 401);
+
+        const plants = await client.request('GET', '/api/plants');
+        assert.equal(plants.status, 401);
+    } finally {
+        await app.close();
+    }
+});
+
+test('changes need the CSRF token of the session', async () => {
+    const app = await startApp();
+
+    try {
+        const client = await signedIn(app, 'mari');
+
+        const forged = await client.request('POST', '/api/plants', TOMATO, { 'X-XSRF-TOKEN': 'forged' });
+        assert.equal(forged.status, 403);
+        assert.equal(forged.body.code, 'EBADCSRFTOKEN');
+        assert.deepEqual((await client.request('GET', '/api/plants')).body, []);
+
+        await addPlant(client);
+
+        const plants = await client.request('GET', '/api/plants');
+        assert.deepEqual(plants.body.map(plant => [plant.name, plant.role]), [['Moneymaker', 'owner']]);
+    } finally {
+        await app.close();
+    }
+});
+
+test('an "every N days" reminder is first due one interval after its start date', async () => {
+    const app = await startApp();
+
+    try {
+        const client = await signedIn(app, 'mari');
+        const plant = await addPlant(client);
+
+        const created = await client.request('POST', `/api/plants/${plant.id}/reminders`, {
+            type: 'watering',
+            intervalDays: 3,
+            startDate: '2024-05-01'
+        });
+        assert.equal(created.status, 201);
+        assert.equal(created.body.reminder.rrule, 'FREQ=DAILY;INTERVAL=3');
+        // DATE columns come back as local midnight
+        assert.equal(toDateString(new Date(created.body.reminder.nextReminder)), '2024-05-04');
+    } finally {
+        await app.close();
+    }
+});
+
+test('upcoming reminders look ahead at most a year', async () => {
+    const app = await startApp();
+
+    try {
+        const client = await signedIn(app, 'mari');
+        const plant = await addPlant(client);
+        await client.request('POST', `/api/plants/${plant.id}/reminders`, { type: 'watering', intervalDays: 200, startDate: '2024-05-01' });
+
+        const upcoming = await client.request('GET', '/api/reminders/upcoming?days=365');
+        assert.equal(upcoming.status, 200);
+        assert.equal(upcoming.body.length, 1);
+
+        for (const days of ['366', '100000', '0', 'soon']) {
+            assert.equal((await client.request('GET', `/api/reminders/upcoming?days=${days}`)).status, 400, days);
+        }
+    } finally {
+        await app.close();
+    }
+});
+
+test('a recurrence that never falls on or after the start date is refused', async () => {
+    const app = await startApp();
+
+    try {
+        const client = await signedIn(app, 'mari');
+        const plant = await addPlant(client);
+
+        const created = await client.request('POST', `/api/plants/${plant.id}/reminders`, {
+            type: 'fertilizing',
+            recurrence: 'FREQ=MONTHLY;BYMONTHDAY=30;BYMONTH=2',
+            startDate: '2024-05-01'
+        });
+        assert.equal(created.status, 400);
+        assert.equal(created.body.errors[0].msg, 'The recurrence never falls on or after the start date');
+
+        const [reminders] = await app.pool.query('SELECT * FROM plant_reminders');
+        assert.deepEqual(reminders, []);
+    } finally {
+        await app.close();
+    }
+});
+
+test('a plant outside the user\'s gardens is not found', async () => {
+    const app = await startApp();
+
+    try {
+        const mari = await signedIn(app, 'mari');
+        const jaan = await signedIn(app, 'jaan');
+        const plant = await addPlant(mari);
+
+        assert.equal((await jaan.request('GET', `/api/plants/${plant.id}`)).status, 404);
+
+        const reminder = await jaan.request('POST', `/api/plants/${plant.id}/reminders`, {
+            type: 'watering',
+            intervalDays: 3,
+            startDate: '2024-05-01'
+        });
+        assert.equal(reminder.status, 404);
+
+        const [reminders] = await app.pool.query('SELECT * FROM plant_reminders');
+        assert.deepEqual(reminders, []);
+    } finally {
+        await app.close();
+    }
+});
+
+test('an API token reads plants without a session, but not session-only routes', async () => {
+    const app = await startApp();
+
+    try {
+        const client = await signedIn(app, 'mari');
+        await addPlant(client);
+
+        const created = await client.request('POST', '/api/tokens', { name: 'Greenhouse display', scopes: ['plants:read'] });
+        assert.equal(created.status, 201);
+        const device = app.client();
+        const bearer = { Authorization: `Bearer ${created.body.token}` };
+
+        const plants = await device.request('GET', '/api/plants', undefined, bearer);
+        assert.equal(plants.status, 200);
+        assert.deepEqual(plants.body.map(plant => plant.name), ['Moneymaker']);
+        assert.equal(plants.headers.get('Set-Cookie'), null);
+
+        const tokens = await device.request('GET', '/api/tokens', undefined, bearer);
+        assert.equal(tokens.status, 403);
+    } finally {
+        await app.close();
+    }
+});
+
+/**
+ * Create an API token with scopes for a signed in user
+ *
+ * @param {Object} client - Signed in client
+ * @param {Array<String>} scopes - Token scopes
+ * @returns {Promise<Object>} { id, headers: Authorization header of the token }
+ */
+const createToken = async (client, scopes) => {
+    const created = await client.request('POST', '/api/tokens', { name: 'Greenhouse sensor', scopes });
+    assert.equal(created.status, 201);
+    return { id: created.body.apiToken.id, headers: { Authorization: `Bearer ${created.body.token}` } };
+};
+
+const READING = { sensorName: 'soil', value: 31.5 };
+
+test('an API token needs the scope of the route, and stops working once revoked', async () => {
+    const app = await startApp();
+
+    try {
+        const client = await signedIn(app, 'mari');
+        const { environment } = (await client.request('POST', '/api/environments', { name: 'Greenhouse' })).body;
+        const device = app.client();
+        const token = await createToken(client, ['plants:read']);
+
+        const denied = await device.request('POST', `/api/environments/${environment.id}/readings`, READING, token.headers);
+        assert.equal(denied.status, 403);
+        assert.equal((await device.request('GET', '/api/plants', undefined, token.headers)).status, 200);
+
+        assert.equal((await client.request('DELETE', `/api/tokens/${token.id}`)).status, 200);
+        assert.equal((await device.request('GET', '/api/plants', undefined, token.headers)).status, 401);
+    } finally {
+        await app.close();
+    }
+});
+
+test('only requests with a valid API token skip the CSRF check', async () => {
+    const app = await startApp();
+
+    try {
+        const client = await signedIn(app, 'mari');
+        const { environment } = (await client.request('POST', '/api/environments', { name: 'Greenhouse' })).body;
+        const path = `/api/environments/${environment.id}/readings`;
+        const token = await createToken(client, ['sensors:write']);
+
+        const forged = await client.request('POST', path, READING, { 'X-XSRF-TOKEN': 'forged' });
+        assert.equal(forged.status, 403);
+        assert.equal(forged.body.code, 'EBADCSRFTOKEN');
+
+        const unknownToken = await app.client().request('POST', path, READING, { Authorization: 'Bearer not-a-token' });
+        assert.equal(unknownToken.status, 401);
+
+        // A device has no cookies and sends no CSRF token
+        assert.equal((await app.client().request('POST', path, READING, token.headers)).status, 201);
+
+        const [readings] = await app.pool.query('SELECT * FROM sensor_inputs');
+        assert.equal(readings.length, 1);
+    } finally {
+        await app.close();
+    }
+});
+
+test('API tokens are rate limited per token, not by the per-IP limit of the app', async () => {
+    const app = await startApp({ config: { apiTokenRateLimit: 150 } });
+
+    try {
+        const client = await signedIn(app, 'mari');
+        const { environment } = (await client.request('POST', '/api/environments', { name: 'Greenhouse' })).body;
+        const path = `/api/environments/${environment.id}/readings`;
+        const sensor = await createToken(client, ['sensors:write']);
+        const display = await createToken(client, ['plants:read']);
+        const device = app.client();
+
+        // More than the 100 requests per IP a browser may make in 15 minutes
+        for (let i = 0; i < 150; i++) {
+            assert.equal((await device.request('POST', path, READING, sensor.headers)).status, 201);
+        }
+        assert.equal((await device.request('POST', path, READING, sensor.headers)).status, 429);
+
+        assert.equal((await device.request('GET', '/api/plants', undefined, display.headers)).status, 200);
+        assert.equal((await client.request('GET', '/api/plants')).status, 200);
+    } finally {
+        await app.close();
+    }
+});
+
+test('a member invited to a garden sees and tends its plants', async () => {
+    const app = await startApp();
+
+    try {
+        const mari = await signedIn(app, 'mari');
+        const jaan = await signedIn(app, 'jaan');
+        const plant = await addPlant(mari);
+
+        const invited = await mari.request('POST', `/api/gardens/${plant.gardenId}/invitations`, { username: 'jaan', role: 'editor' });
+        assert.equal(invited.status, 201);
+        assert.deepEqual((await jaan.request('GET', '/api/plants')).body, []);
+
+        const [invitation] = (await jaan.request('GET', '/api/invitations')).body;
+        assert.equal((await jaan.request('POST', `/api/invitations/${invitation.id}/accept`)).status, 200);
+
+        const plants = await jaan.request('GET', '/api/plants');
+        assert.deepEqual(plants.body.map(p => [p.id, p.role]), [[plant.id, 'editor']]);
+
+        const reminder = await jaan.request('POST', `/api/plants/${plant.id}/reminders`, {
+            type: 'watering',
+            intervalDays: 2,
+            startDate: '2024-05-01'
+        });
+        assert.equal(reminder.status, 201);
+
+        const members = await mari.request('GET', `/api/gardens/${plant.gardenId}/members`);
+        assert.deepEqual(members.body.members.map(member => [member.username, member.role]).sort(), [['jaan', 'editor'], ['mari', 'owner']]);
+    } finally {
+        await app.close();
+    }
+});
+
+test('a viewer sees the garden\'s plants but cannot change or delete them', async () => {
+    const app = await startApp();
+
+    try {
+        const mari = await signedIn(app, 'mari');
+        const liis = await signedIn(app, 'liis');
+        const plant = await addPlant(mari);
+        await joinGarden(mari, liis, plant.gardenId, 'viewer');
+
+        assert.deepEqual((await liis.request('GET', '/api/plants')).body.map(p => [p.id, p.role]), [[plant.id, 'viewer']]);
+        assert.equal((await liis.request('PUT', `/api/plants/${plant.id}`, { ...TOMATO, plant_cultivar: 'Gardener\'s Delight' })).status, 404);
+        assert.equal((await liis.request('DELETE', `/api/plants/${plant.id}`)).status, 404);
+
+        const [kept] = (await mari.request('GET', '/api/plants')).body;
+        assert.equal(kept.name, 'Moneymaker');
+    } finally {
+        await app.close();
+    }
+});
+
+test('only owners manage the members of a garden', async () => {
+    const app = await startApp();
+
+    try {
+        const mari = await signedIn(app, 'mari');
+        const jaan = await signedIn(app, 'jaan');
+        const liis = await signedIn(app, 'liis');
+        await signedIn(app, 'tiit');
+        const { gardenId } = await addPlant(mari);
+        await joinGarden(mari, jaan, gardenId, 'editor');
+        await joinGarden(mari, liis, gardenId, 'viewer');
+
+        assert.equal((await jaan.request('POST', `/api/gardens/${gardenId}/invitations`, { username: 'tiit', role: 'viewer' })).status, 404);
+        assert.equal((await jaan.request('PUT', `/api/gardens/${gardenId}/members/${liis.userId}`, { role: 'editor' })).status, 404);
+        assert.equal((await jaan.request('PUT', `/api/gardens/${gardenId}/members/${jaan.userId}`, { role: 'owner' })).status, 404);
+        assert.equal((await jaan.request('DELETE', `/api/gardens/${gardenId}/members/${liis.userId}`)).status, 404);
+
+        const members = await mari.request('GET', `/api/gardens/${gardenId}/members`);
+        assert.deepEqual(members.body.members.map(member => [member.username, member.role]).sort(), [['jaan', 'editor'], ['liis', 'viewer'], ['mari', 'owner']]);
+        assert.deepEqual(members.body.invitations, []);
+
+        // Members other than owners can only leave
+        assert.equal((await jaan.request('DELETE', `/api/gardens/${gardenId}/members/${jaan.userId}`)).status, 200);
+    } finally {
+        await app.close();
+    }
+});
+
+test('the last owner of a garden can be neither demoted nor removed', async () => {
+    const app = await startApp();
+
+    try {
+        const mari = await signedIn(app, 'mari');
+        const jaan = await signedIn(app, 'jaan');
+        const { gardenId } = await addPlant(mari);
+        await joinGarden(mari, jaan, gardenId, 'editor');
+
+        assert.equal((await mari.request('PUT', `/api/gardens/${gardenId}/members/${mari.userId}`, { role: 'editor' })).status, 409);
+        assert.equal((await mari.request('DELETE', `/api/gardens/${gardenId}/members/${mari.userId}`)).status, 409);
+
+        // With a second owner the first may step down
+        assert.equal((await mari.request('PUT', `/api/gardens/${gardenId}/members/${jaan.userId}`, { role: 'owner' })).status, 200);
+        assert.equal((await mari.request('PUT', `/api/gardens/${gardenId}/members/${mari.userId}`, { role: 'editor' })).status, 200);
+        assert.equal((await jaan.request('DELETE', `/api/gardens/${gardenId}/members/${jaan.userId}`)).status, 409);
+    } finally {
+        await app.close();
+    }
+});
+
+test('a deleted plant waits in the trash until it is restored or purged', async () => {
+    const app = await startApp();
+
+    try {
+        const client = await signedIn(app, 'mari');
+        const plant = await addPlant(client);
+
+        assert.equal((await client.request('DELETE', `/api/plants/${plant.id}`)).status, 200);
+        assert.deepEqual((await client.request('GET', '/api/plants')).body, []);
+
+        const trash = await client.request('GET', '/api/plants/trash');
+        assert.deepEqual(trash.body.map(p => [p.id, p.deletedAt, p.purgeAt]), [[plant.id, '2024-05-01 12:00:00', '2024-05-31 12:00:00']]);
+
+        const restored = await client.request('POST', `/api/plants/trash/${plant.id}/restore`);
+        assert.equal(restored.status, 200);
+        assert.deepEqual((await client.request('GET', '/api/plants')).body.map(p => p.id), [plant.id]);
+
+        // Only plants in the trash can be purged
+        assert.equal((await client.request('DELETE', `/api/plants/trash/${plant.id}`)).status, 404);
+
+        await client.request('DELETE', `/api/plants/${plant.id}`);
+        assert.equal((await client.request('DELETE', `/api/plants/trash/${plant.id}`)).status, 200);
+        assert.deepEqual((await client.request('GET', '/api/plants/trash')).body, []);
+
+        const [rows] = await app.pool.query('SELECT * FROM user_plants');
+        assert.deepEqual(rows, []);
+    } finally {
+        await app.close();
+    }
+});
+
+/**
+ * History entries of a plant as [action, entry ID], newest first
+ *
+ * @param {Object} client - Signed in client
+ * @param {Number} plantId - Plant ID
+ * @returns {Promise<Array>} [action, id] per entry
+ */
+const plantHistory = async (client, plantId) => {
+    const history = await client.request('GET', `/api/plants/${plantId}/history`);
+    assert.equal(history.status, 200);
+    return history.body.map(entry => [entry.action, entry.id]);
+};
+
+test('a plant goes back to an earlier version once, and reverting to it again changes nothing', async () => {
+    const app = await startApp();
+
+    try {
+        const client = await signedIn(app, 'mari');
+        const plant = await addPlant(client);
+        assert.equal((await client.request('PUT', `/api/plants/${plant.id}`, { ...TOMATO, plant_cultivar: 'Sungold' })).status, 200);
+
+        const [[, updated], [, created]] = await plantHistory(client, plant.id);
+        const path = `/api/plants/${plant.id}/history/${created}/revert`;
+
+        const reverted = await client.request('POST', path);
+        assert.equal(reverted.status, 200);
+        assert.equal(reverted.body.plant.name, 'Moneymaker');
+
+        const again = await client.request('POST', path);
+        assert.equal(again.status, 200);
+        assert.equal(again.body.plant.name, 'Moneymaker');
+
+        const history = await plantHistory(client, plant.id);
+        assert.deepEqual(history.map(([action]) => action), ['revert', 'update', 'create']);
+
+        // The revert is a version of its own; the update can be gone back to as well
+        assert.equal((await client.request('POST', `/api/plants/${plant.id}/history/${updated}/revert`)).body.plant.name, 'Sungold');
+    } finally {
+        await app.close();
+    }
+});
+
+test('a plant in the trash or in a garden the user only views cannot be reverted', async () => {
+    const app = await startApp();
+
+    try {
+        const mari = await signedIn(app, 'mari');
+        const liis = await signedIn(app, 'liis');
+        const plant = await addPlant(mari);
+        await joinGarden(mari, liis, plant.gardenId, 'viewer');
+        assert.equal((await mari.request('PUT', `/api/plants/${plant.id}`, { ...TOMATO, plant_cultivar: 'Sungold' })).status, 200);
+
+        const [, [, created]] = await plantHistory(liis, plant.id);
+        const path = `/api/plants/${plant.id}/history/${created}/revert`;
+
+        assert.equal((await liis.request('POST', path)).status, 404);
+
+        assert.equal((await mari.request('DELETE', `/api/plants/${plant.id}`)).status, 200);
+        assert.equal((await mari.request('POST', path)).status, 404);
+
+        const [[stored]] = await app.pool.query(
+            'SELECT ap.plant_cultivar FROM user_plants up JOIN all_plants ap ON up.plant_id = ap.plant_id WHERE up.user_plant_id = ?',
+            [plant.id]
+        );
+        assert.equal(stored.plant_cultivar, 'Sungold');
+
+        // Back from the trash it can be reverted again
+        assert.equal((await mari.request('POST', `/api/plants/trash/${plant.id}/restore`)).status, 200);
+        assert.equal((await mari.request('POST', path)).body.plant.name, 'Moneymaker');
+    } finally {
+        await app.close();
+    }
+});
+
+test('an uploaded photo is served to members of the plant\'s garden only, and purged with the plant', async () => {
+    const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'photos-'));
+    const storage = createStorage({ driver: 'local', dir: storageDir });
+    const app = await startApp({ storage });
+
+    try {
+        const mari = await signedIn(app, 'mari');
+        const jaan = await signedIn(app, 'jaan');
+        const plant = await addPlant(mari);
+
+        const uploaded = await mari.request('POST', `/api/plants/${plant.id}/photos`, await photoForm());
+        assert.equal(uploaded.status, 201);
+        assert.equal(uploaded.body.photo.caption, 'First truss');
+        assert.equal(uploaded.body.photo.isCover, true);
+
+        const { thumbnailUrl } = (await mari.request('GET', `/api/plants/${plant.id}`)).body;
+        assert.equal(thumbnailUrl, uploaded.body.photo.thumbnailUrl);
+
+        const photo = await mari.request('GET', thumbnailUrl);
+        assert.equal(photo.status, 200);
+        assert.equal(photo.headers.get('Content-Type'), 'image/webp');
+        assert.equal((await sharp(photo.body).metadata()).format, 'webp');
+
+        assert.equal((await jaan.request('GET', thumbnailUrl)).status, 404);
+        assert.equal((await app.client().request('GET', thumbnailUrl)).status, 404);
+
+        await mari.request('DELETE', `/api/plants/${plant.id}`);
+        await mari.request('DELETE', `/api/plants/trash/${plant.id}`);
+        assert.deepEqual(await storage.list(''), []);
+    } finally {
+        await app.close();
+        fs.rmSync(storageDir, { recursive: true, force: true });
+    }
+});
+
+test('a photo in storage with signed URLs is a redirect, after the access check', async () => {
+    const signed = [];
+    const storage = {
+        origin: 'https://garden-photos.s3.eu-north-1.amazonaws.com',
+        put: async () => {},
+        signedUrl: async (photoKey) => {
+            signed.push(photoKey);
+            return `https://garden-photos.s3.eu-north-1.amazonaws.com/${photoKey}?X-Amz-Signature=abc`;
+        }
+    };
+    const app = await startApp({ storage });
+
+    try {
+        const client = await signedIn(app, 'mari');
+        const plant = await addPlant(client);
+        const { photo } = (await client.request('POST', `/api/plants/${plant.id}/photos`, await photoForm())).body;
+        const key = photo.thumbnailUrl.replace('/media/', '');
+
+        const anonymous = await app.client().request('GET', photo.thumbnailUrl);
+        assert.equal(anonymous.status, 404);
+        assert.deepEqual(signed, []);
+
+        const response = await client.request('GET', photo.thumbnailUrl);
+        assert.equal(response.status, 302);
+        assert.equal(response.headers.get('Location'), `${storage.origin}/${key}?X-Amz-Signature=abc`);
+        assert.match(response.headers.get('Content-Security-Policy'), /img-src 'self' data: blob: https:\/\/garden-photos/);
+    } finally {
+        await app.close();
+    }
+});
+
+test('a measurement is only stored in a unit of its metric', async () => {
+    const app = await startApp();
+
+    try {
+        const client = await signedIn(app, 'mari');
+        const plant = await addPlant(client);
+        const measure = (unit, value = 12) => client.request('POST', `/api/plants/${plant.id}/measurements`, {
+            metric: 'height',
+            value,
+            unit,
+            measuredOn: '2024-05-01'
+        });
+
+        assert.equal((await measure('toString')).status, 400);
+        assert.equal((await measure('leaves')).status, 400);
+
+        const measured = await measure('m', 120);
+        assert.equal(measured.status, 400);
+        assert.equal(measured.body.errors[0].msg, 'Height must be between 0 and 10000 cm');
+
+        const stored = await measure('mm');
+        assert.equal(stored.status, 201);
+        assert.equal(stored.body.measurement.baseValue, 1.2);
+
+        const [rows] = await app.pool.query('SELECT unit FROM growth_measurements');
+        assert.deepEqual(rows, [{ unit: 'mm' }]);
+    } finally {
+        await app.close();
+    }
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAutomationEngine } = require('../Server/automation/engine');
+const automationService = require('../Server/db/automationService');
+const environmentService = require('../Server/db/environmentService');
+const plantService = require('../Server/db/plantService');
+const sensorService = require('../Server/db/sensorService');
+const userService = require('../Server/db/userService');
+const { createTestDatabase } = require('./helpers/testDatabase');
+
+const minutesBefore = (date, minutes) => new Date(date.getTime() - minutes * 60 * 1000);
+
+/**
+ * Test database with a greenhouse and a rule that asks for watering below 30 % soil moisture
+ *
+ * @param {Object} ruleData - Rule settings to override
+ * @returns {Promise<Object>} { pool, clock, engine, environmentId, ruleId, read(value, minutesAgo) }
+ */
+const createGreenhouse = async (ruleData = {}) => {
+    const clock = { time: new Date('2024-05-01T12:00:00'), now: () => clock.time };
+    const pool = await createTestDatabase({ clock });
+    const userId = await userService.createUser(pool, 'mari', 'hash');
+    const environment = await environmentService.createEnvironment(pool, { name: 'Greenhouse', type: 'greenhouse' }, userId);
+    const plant = await plantService.addPlant(pool, { cultivar: 'Moneymaker', species: 'Tomato', plantingTime: '2024-04-01' }, userId);
+    const rule = await automationService.createRule(pool, environment.id, {
+        name: 'Dry soil',
+        sensorName: 'soil',
+        comparator: 'lt',
+        threshold: 30,
+        cooldownMinutes: 60,
+        actionType: 'reminder',
+        plantId: plant.id,
+        reminderType: 'watering',
+        ...ruleData
+    }, userId);
+
+    return {
+        pool,
+        clock,
+        engine: createAutomationEngine(pool, { clock, staleAfterMinutes: 15 }),
+        environmentId: environment.id,
+        ruleId: rule.id,
+        read: (value, minutesAgo = 0) => sensorService.addReading(pool, environment.id, {
+            sensorName: 'soil',
+            value,
+            timestamp: minutesBefore(clock.time, minutesAgo)
+        }, userId)
+    };
+};
+
+const countRows = async (pool, table) => (await pool.query(`SELECT COUNT(*) as count FROM ${table}`))[0][0].count;
+
+test('a rule does not fire on a sensor whose last reading is too old', async () => {
+    const greenhouse = await createGreenhouse();
+
+    await greenhouse.read(12, 30);
+    assert.equal(await greenhouse.engine.evaluateEnvironment(greenhouse.environmentId), 0);
+
+    await greenhouse.read(14, 1);
+    assert.equal(await greenhouse.engine.evaluateEnvironment(greenhouse.environmentId), 1);
+    assert.equal(await countRows(greenhouse.pool, 'plant_reminders'), 1);
+});
+
+test('a rule fires once its condition has held for the rule\'s duration', async () => {
+    const greenhouse = await createGreenhouse({ durationMinutes: 20 });
+
+    await greenhouse.read(40, 40);
+    await greenhouse.read(25, 10);
+    assert.equal(await greenhouse.engine.evaluateEnvironment(greenhouse.environmentId), 0);
+
+    greenhouse.clock.time = new Date('2024-05-01T12:15:00');
+    await greenhouse.read(22);
+    assert.equal(await greenhouse.engine.evaluateEnvironment(greenhouse.environmentId), 1);
+});
+
+test('overlapping evaluations fire a rule once per cooldown', async () => {
+    const greenhouse = await createGreenhouse();
+    await greenhouse.read(12, 1);
+
+    const fired = await Promise.all([
+        greenhouse.engine.evaluateEnvironment(greenhouse.environmentId),
+        greenhouse.engine.evaluateEnvironment(greenhouse.environmentId)
+    ]);
+
+    assert.equal(fired[0] + fired[1], 1);
+    assert.equal(await countRows(greenhouse.pool, 'automation_firings'), 1);
+    assert.equal(await countRows(greenhouse.pool, 'plant_reminders'), 1);
+
+    // Still cooling down half an hour later
+    greenhouse.clock.time = new Date('2024-05-01T12:30:00');
+    await greenhouse.read(11);
+    assert.equal(await greenhouse.engine.evaluateEnvironment(greenhouse.environmentId), 0);
+
+    greenhouse.clock.time = new Date('2024-05-01T13:01:00');
+    await greenhouse.read(10);
+    assert.equal(await greenhouse.engine.evaluateEnvironment(greenhouse.environmentId), 1);
+    assert.equal(await countRows(greenhouse.pool, 'automation_firings'), 2);
+});
+
+test('claimFiring lets only one of two claims of a rule through', async () => {
+    const greenhouse = await createGreenhouse();
+
+    assert.deepEqual(await Promise.all([
+        automationService.claimFiring(greenhouse.pool, greenhouse.ruleId),
+        automationService.claimFiring(greenhouse.pool, greenhouse.ruleId)
+    ]), [true, false]);
+});
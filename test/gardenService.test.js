@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const environmentService = require('../Server/db/environmentService');
+const gardenService = require('../Server/db/gardenService');
+const plantService = require('../Server/db/plantService');
+const userService = require('../Server/db/userService');
+const { createTestDatabase } = require('./helpers/testDatabase');
+
+const TOMATO = { cultivar: 'Moneymaker', species: 'Tomato', plantingTime: '2024-04-01' };
+
+/**
+ * Test database with mari's garden and members with the given roles
+ *
+ * @param {Object} roles - Role by username of the members to add besides mari (the owner)
+ * @returns {Promise<Object>} { pool, gardenId, users: user ID by username }
+ */
+const createGarden = async (roles = {}) => {
+    const pool = await createTestDatabase();
+    const users = { mari: await userService.createUser(pool, 'mari', 'hash') };
+    const [{ id: gardenId }] = await gardenService.getUserGardens(pool, users.mari);
+
+    for (const [username, role] of Object.entries(roles)) {
+        users[username] = await userService.createUser(pool, username, 'hash');
+        const invitation = await gardenService.inviteMember(pool, gardenId, username, role, users.mari);
+        await gardenService.acceptInvitation(pool, invitation.id, users[username]);
+    }
+
+    return { pool, gardenId, users };
+};
+
+test('deleting a member\'s account keeps the plants they added to a shared garden', async () => {
+    const { pool, gardenId, users } = await createGarden({ jaan: 'editor' });
+    const plant = await plantService.addPlant(pool, { ...TOMATO, gardenId }, users.jaan);
+
+    await pool.query('DELETE FROM users WHERE user_id = ?', [users.jaan]);
+
+    const plants = await plantService.getUserPlants(pool, users.mari);
+    assert.deepEqual(plants.map(p => p.id), [plant.id]);
+
+    const [[row]] = await pool.query('SELECT user_id FROM user_plants WHERE user_plant_id = ?', [plant.id]);
+    assert.equal(row.user_id, null);
+});
+
+test('members share the environments of a garden and editors assign its plants to them', async () => {
+    const { pool, gardenId, users } = await createGarden({ jaan: 'editor', liis: 'viewer' });
+    const greenhouse = await environmentService.createEnvironment(pool, { name: 'Greenhouse', gardenId }, users.mari);
+    const plant = await plantService.addPlant(pool, { ...TOMATO, gardenId }, users.mari);
+
+    assert.equal(await environmentService.assignPlantToEnvironment(pool, plant.id, greenhouse.id, users.jaan), true);
+    assert.equal(await environmentService.assignPlantToEnvironment(pool, plant.id, null, users.liis), false);
+
+    for (const username of ['jaan', 'liis']) {
+        const [environment] = await environmentService.getUserEnvironments(pool, users[username]);
+        assert.equal(environment.id, greenhouse.id);
+        assert.equal((await plantService.getPlantById(pool, plant.id, users[username])).environmentName, 'Greenhouse');
+    }
+    assert.equal(await environmentService.updateEnvironment(pool, greenhouse.id, { name: 'Glasshouse' }, users.liis), null);
+    assert.equal(await environmentService.deleteEnvironment(pool, greenhouse.id, users.liis), false);
+});
+
+test('a plant can only be put in an environment of its own garden', async () => {
+    const { pool, gardenId, users } = await createGarden({ jaan: 'editor' });
+    const [ownGarden] = (await gardenService.getUserGardens(pool, users.jaan)).filter(garden => garden.id !== gardenId);
+    const balcony = await environmentService.createEnvironment(pool, { name: 'Balcony' }, users.jaan);
+    const plant = await plantService.addPlant(pool, { ...TOMATO, gardenId }, users.jaan);
+
+    assert.equal(balcony.gardenId, ownGarden.id);
+    assert.equal(await environmentService.assignPlantToEnvironment(pool, plant.id, balcony.id, users.jaan), false);
+    assert.deepEqual(await environmentService.getUserEnvironments(pool, users.mari), []);
+});
@@ -0,0 +1,325 @@
+/**
+ * SQLite schema built from the MariaDB migrations
+ * The up scripts in sql/migrations are replayed into a model of the tables (the subset of
+ * CREATE TABLE and ALTER TABLE they use), which is then written out as SQLite DDL. Tests
+ * therefore run against the schema the migrations build, not a copy that can drift.
+ * Statements that only move data are skipped: the test database starts empty. Plain
+ * INSERT ... VALUES statements (seed data such as the soil types) are kept.
+ */
+
+const { loadMigrations } = require('../../Server/db/migrator');
+
+const INTEGER_TYPES = ['INT', 'INTEGER', 'TINYINT', 'SMALLINT', 'MEDIUMINT', 'BIGINT'];
+const TEXT_TYPES = ['VARCHAR', 'CHAR', 'TEXT', 'ENUM', 'JSON'];
+const DATE_TYPES = ['DATE', 'DATETIME', 'TIMESTAMP', 'TIME'];
+
+const unquote = (name) => name.replace(/`/g, '').trim();
+
+const splitList = (text) => text.split(',').map(unquote).filter(Boolean);
+
+/**
+ * Split on a separator outside parentheses and quotes
+ *
+ * @param {String} text - SQL text
+ * @param {String} separator - Single character
+ * @returns {Array<String>} Trimmed parts
+ */
+const splitTopLevel = (text, separator) => {
+    const parts = [];
+    let depth = 0;
+    let quoted = false;
+    let current = '';
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (char === '\'') {
+            // '' inside a string is an escaped quote
+            if (quoted && text[i + 1] === '\'') {
+                current += '\'\'';
+                i++;
+                continue;
+            }
+            quoted = !quoted;
+        } else if (!quoted && char === '(') {
+            depth++;
+        } else if (!quoted && char === ')') {
+            depth--;
+        } else if (!quoted && depth === 0 && char === separator) {
+            parts.push(current.trim());
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+
+    if (current.trim()) {
+        parts.push(current.trim());
+    }
+    return parts;
+};
+
+/**
+ * Parse a column definition such as "`name` VARCHAR(100) NOT NULL DEFAULT 'x'"
+ *
+ * @param {String} definition - Column definition
+ * @returns {Object} Column (name, type, size, values, notNull, defaultValue, autoIncrement, unique)
+ */
+const parseColumn = (definition) => {
+    const match = definition.match(/^`?(\w+)`?\s+(\w+)(?:\s*\(([^)]*)\))?(.*)$/s);
+    if (!match) {
+        throw new Error(`Unsupported column definition: ${definition}`);
+    }
+
+    const [, name, type, args, rest] = match;
+    const attributes = rest.replace(/ON UPDATE CURRENT_TIMESTAMP/i, '');
+    const defaultMatch = attributes.match(/DEFAULT\s+('(?:[^']|'')*'|[\w.-]+)/i);
+
+    return {
+        name,
+        type: type.toUpperCase(),
+        size: args && type.toUpperCase() !== 'ENUM' ? args : null,
+        values: type.toUpperCase() === 'ENUM' ? args : null,
+        notNull: /NOT NULL/i.test(attributes),
+        defaultValue: defaultMatch ? defaultMatch[1] : null,
+        autoIncrement: /AUTO_INCREMENT/i.test(attributes),
+        unique: /\bUNIQUE\b/i.test(attributes)
+    };
+};
+
+/**
+ * Parse a FOREIGN KEY clause
+ *
+ * @param {String} name - Constraint name (optional)
+ * @param {String} clause - "FOREIGN KEY (...) REFERENCES `t` (...) ON DELETE ..."
+ * @returns {Object} Foreign key (name, columns, table, references, onDelete)
+ */
+const parseForeignKey = (name, clause) => {
+    const match = clause.match(/FOREIGN KEY\s*\(([^)]*)\)\s*REFERENCES\s*`?(\w+)`?\s*\(([^)]*)\)(?:\s*ON DELETE\s+(CASCADE|SET NULL|RESTRICT|NO ACTION))?/i);
+    if (!match) {
+        throw new Error(`Unsupported foreign key: ${clause}`);
+    }
+
+    return {
+        name,
+        columns: splitList(match[1]),
+        table: match[2],
+        references: splitList(match[3]),
+        onDelete: match[4] ? match[4].toUpperCase() : null
+    };
+};
+
+/**
+ * Apply a table item (key, index or constraint) of CREATE TABLE or ALTER TABLE ... ADD
+ *
+ * @param {Object} table - Table model
+ * @param {String} item - Item text
+ * @returns {Boolean} True if the item was a key, index or constraint
+ */
+const addTableItem = (table, item) => {
+    let match;
+
+    if ((match = item.match(/^PRIMARY KEY\s*\(([^)]*)\)/i))) {
+        table.primaryKey = splitList(match[1]);
+    } else if ((match = item.match(/^UNIQUE(?:\s+(?:KEY|INDEX))?\s*`?(\w+)?`?\s*\(([^)]*)\)/i))) {
+        table.uniques.push({ name: match[1] || null, columns: splitList(match[2]) });
+    } else if ((match = item.match(/^(?:INDEX|KEY)\s+`?(\w+)`?\s*\(([^)]*)\)/i))) {
+        table.indexes.push({ name: match[1], columns: splitList(match[2]) });
+    } else if ((match = item.match(/^CONSTRAINT\s+`?(\w+)`?\s+(FOREIGN KEY.*)$/is))) {
+        table.foreignKeys.push(parseForeignKey(match[1], match[2]));
+    } else if (/^FOREIGN KEY/i.test(item)) {
+        table.foreignKeys.push(parseForeignKey(null, item));
+    } else {
+        return false;
+    }
+    return true;
+};
+
+/**
+ * Remove a column and every key that uses it
+ *
+ * @param {Object} table - Table model
+ * @param {String} column - Column name
+ */
+const dropColumn = (table, column) => {
+    const uses = (key) => key.columns.includes(column);
+
+    table.columns = table.columns.filter(c => c.name !== column);
+    table.uniques = table.uniques.filter(key => !uses(key));
+    table.indexes = table.indexes.filter(key => !uses(key));
+    table.foreignKeys = table.foreignKeys.filter(key => !uses(key));
+};
+
+/**
+ * Apply one ALTER TABLE item
+ *
+ * @param {Object} table - Table model
+ * @param {String} item - Item text
+ */
+const alterTable = (table, item) => {
+    let match;
+
+    if ((match = item.match(/^ADD COLUMN\s+(.*?)(?:\s+AFTER\s+`?(\w+)`?)?$/is))) {
+        const column = parseColumn(match[1]);
+        const after = match[2] ? table.columns.findIndex(c => c.name === match[2]) : -1;
+        table.columns.splice(after >= 0 ? after + 1 : table.columns.length, 0, column);
+    } else if ((match = item.match(/^MODIFY(?:\s+COLUMN)?\s+(.*)$/is))) {
+        const column = parseColumn(match[1]);
+        table.columns = table.columns.map(c => (c.name === column.name ? column : c));
+    } else if ((match = item.match(/^DROP COLUMN\s+`?(\w+)`?$/i))) {
+        dropColumn(table, match[1]);
+    } else if ((match = item.match(/^DROP FOREIGN KEY\s+`?(\w+)`?$/i))) {
+        table.foreignKeys = table.foreignKeys.filter(key => key.name !== match[1]);
+    } else if ((match = item.match(/^DROP (?:INDEX|KEY)\s+`?(\w+)`?$/i))) {
+        table.indexes = table.indexes.filter(key => key.name !== match[1]);
+        table.uniques = table.uniques.filter(key => key.name !== match[1]);
+    } else if (!(/^ADD\s+/i.test(item) && addTableItem(table, item.replace(/^ADD\s+/i, '')))) {
+        throw new Error(`Unsupported ALTER TABLE item: ${item}`);
+    }
+};
+
+/**
+ * Replay the migrations into table models
+ *
+ * @param {Array} migrations - Migrations as returned by loadMigrations
+ * @returns {Object} { tables: Map of table models, seeds: INSERT statements }
+ */
+const buildModel = (migrations) => {
+    const tables = new Map();
+    const seeds = [];
+
+    migrations.forEach(migration => {
+        const script = migration.up.split('\n').filter(line => !line.trim().startsWith('--')).join('\n');
+
+        splitTopLevel(script, ';').forEach(statement => {
+            let match;
+
+            if ((match = statement.match(/^CREATE TABLE\s+`?(\w+)`?\s*\((.*)\)[^)]*$/is))) {
+                const table = { name: match[1], columns: [], primaryKey: [], uniques: [], indexes: [], foreignKeys: [] };
+                splitTopLevel(match[2], ',').forEach(item => {
+                    if (!addTableItem(table, item)) {
+                        table.columns.push(parseColumn(item));
+                    }
+                });
+                // Names InnoDB gives foreign keys declared without one
+                table.foreignKeys.filter(key => !key.name).forEach((key, index) => {
+                    key.name = `${table.name}_ibfk_${index + 1}`;
+                });
+                tables.set(table.name, table);
+            } else if ((match = statement.match(/^ALTER TABLE\s+`?(\w+)`?\s+(.*)$/is))) {
+                const table = tables.get(match[1]);
+                splitTopLevel(match[2], ',').forEach(item => alterTable(table, item));
+            } else if ((match = statement.match(/^INSERT(\s+IGNORE)?\s+INTO\s+(.*\bVALUES\b.*)$/is))) {
+                seeds.push(`INSERT${match[1] ? ' OR IGNORE' : ''} INTO ${match[2]}`);
+            } else if (!/^(INSERT|UPDATE|DELETE)\b/i.test(statement)) {
+                throw new Error(`Unsupported migration statement in ${migration.version}_${migration.name}: ${statement}`);
+            }
+        });
+    });
+
+    return { tables, seeds };
+};
+
+/**
+ * SQLite definition of a column
+ *
+ * @param {Object} table - Table model
+ * @param {Object} column - Column model
+ * @returns {String} Column definition
+ */
+const columnDefinition = (table, column) => {
+    const parts = [`\`${column.name}\``];
+
+    if (INTEGER_TYPES.includes(column.type)) {
+        parts.push('INTEGER');
+    } else if (column.type === 'DECIMAL') {
+        parts.push('REAL');
+    } else if (TEXT_TYPES.includes(column.type)) {
+        parts.push('TEXT');
+    } else if (DATE_TYPES.includes(column.type)) {
+        parts.push(column.type);
+    } else {
+        throw new Error(`Unsupported column type ${column.type} of ${table.name}.${column.name}`);
+    }
+
+    if (column.autoIncrement) {
+        parts.push('PRIMARY KEY AUTOINCREMENT');
+    }
+    if (column.notNull) {
+        parts.push('NOT NULL');
+    }
+    if (column.unique) {
+        parts.push('UNIQUE');
+    }
+    if (column.defaultValue !== null) {
+        parts.push(`DEFAULT ${/^CURRENT_TIMESTAMP$/i.test(column.defaultValue) ? '(NOW())' : column.defaultValue}`);
+    }
+
+    // Values MariaDB would refuse in strict mode
+    if (column.values) {
+        parts.push(`CHECK (\`${column.name}\` IN (${column.values}))`);
+    } else if (['VARCHAR', 'CHAR'].includes(column.type)) {
+        parts.push(`CHECK (length(\`${column.name}\`) <= ${parseInt(column.size)})`);
+    }
+
+    return parts.join(' ');
+};
+
+/**
+ * SQLite DDL for a table, its indexes, and triggers that cut DATE values to the day like
+ * MariaDB does when a date with a time is stored in a DATE column
+ *
+ * @param {Object} table - Table model
+ * @returns {Array<String>} Statements
+ */
+const tableStatements = (table) => {
+    const items = table.columns.map(column => columnDefinition(table, column));
+    const keyList = (columns) => columns.map(column => `\`${column}\``).join(', ');
+
+    if (!table.columns.some(column => column.autoIncrement) && table.primaryKey.length > 0) {
+        items.push(`PRIMARY KEY (${keyList(table.primaryKey)})`);
+    }
+    table.uniques.forEach(key => items.push(`UNIQUE (${keyList(key.columns)})`));
+    table.foreignKeys.forEach(key => {
+        items.push(`FOREIGN KEY (${keyList(key.columns)}) REFERENCES \`${key.table}\` (${keyList(key.references)})`
+            + (key.onDelete ? ` ON DELETE ${key.onDelete}` : ''));
+    });
+
+    const statements = [`CREATE TABLE \`${table.name}\` (\n    ${items.join(',\n    ')}\n)`];
+
+    table.indexes.forEach(key => {
+        statements.push(`CREATE INDEX \`${table.name}_${key.name}\` ON \`${table.name}\` (${keyList(key.columns)})`);
+    });
+
+    table.columns.filter(column => column.type === 'DATE').forEach(column => {
+        ['INSERT', 'UPDATE'].forEach(event => {
+            statements.push(`
+                CREATE TRIGGER \`${table.name}_${column.name}_${event.toLowerCase()}_day\`
+                AFTER ${event} ON \`${table.name}\`
+                WHEN length(NEW.\`${column.name}\`) > 10
+                BEGIN
+                    UPDATE \`${table.name}\` SET \`${column.name}\` = substr(NEW.\`${column.name}\`, 1, 10)
+                    WHERE rowid = NEW.rowid;
+                END`);
+        });
+    });
+
+    return statements;
+};
+
+/**
+ * Build the SQLite schema of the current migrations
+ *
+ * @param {Array} migrations - Migrations (defaults to those in sql/migrations)
+ * @returns {Object} { statements: DDL and seed statements, tables: Map of table models }
+ */
+const buildSchema = (migrations = loadMigrations()) => {
+    const { tables, seeds } = buildModel(migrations);
+    const statements = [];
+
+    tables.forEach(table => statements.push(...tableStatements(table)));
+
+    return { statements: [...statements, ...seeds], tables };
+};
+
+module.exports = { buildSchema, splitTopLevel };
@@ -0,0 +1,110 @@
+/**
+ * The app around a fresh test database, listening on a free port
+ * Clients keep the cookies the app sets, like a browser session, and send the CSRF
+ * token from the XSRF-TOKEN cookie the way the frontend does.
+ */
+
+const bcrypt = require('bcrypt');
+
+const { createApp } = require('../../Server/app');
+const { loadConfig } = require('../../Server/config');
+const userService = require('../../Server/db/userService');
+const { createTestDatabase } = require('./testDatabase');
+
+const PASSWORD = 'correct horse battery';
+
+// Pinned so dates do not depend on when the tests run
+const defaultClock = { now: () => new Date('2024-05-01T12:00:00') };
+
+/**
+ * Create a user (with their own garden) who signs in with PASSWORD
+ *
+ * @param {Object} pool - Test database
+ * @param {String} username - Username
+ * @returns {Promise<Number>} User ID
+ */
+const createUser = async (pool, username) => userService.createUser(pool, username, await bcrypt.hash(PASSWORD, 4));
+
+/**
+ * Create a client of a running app
+ *
+ * @param {String} baseUrl - App URL
+ * @returns {Object} { request(method, path, body, headers), signIn(username), cookie(name) }
+ */
+const createClient = (baseUrl) => {
+    const cookies = new Map();
+
+    const request = async (method, path, body, headers = {}) => {
+        const isForm = body instanceof FormData;
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: {
+                ...(body && !isForm ? { 'Content-Type': 'application/json' } : {}),
+                Cookie: Array.from(cookies, ([name, value]) => `${name}=${value}`).join('; '),
+                ...(cookies.has('XSRF-TOKEN') ? { 'X-XSRF-TOKEN': decodeURIComponent(cookies.get('XSRF-TOKEN')) } : {}),
+                ...headers
+            },
+            body: body && !isForm ? JSON.stringify(body) : body,
+            redirect: 'manual'
+        });
+
+        response.headers.getSetCookie().forEach(header => {
+            const [pair] = header.split(';');
+            const separator = pair.indexOf('=');
+            cookies.set(pair.slice(0, separator), pair.slice(separator + 1));
+        });
+
+        const type = response.headers.get('Content-Type') || '';
+        const isJson = type.includes('application/json');
+        const content = isJson || type.startsWith('text/') || !type
+            ? await response.text()
+            : Buffer.from(await response.arrayBuffer());
+        return {
+            status: response.status,
+            headers: response.headers,
+            body: isJson && content ? JSON.parse(content) : content
+        };
+    };
+
+    // Signs in and fetches the CSRF token, as the frontend does after signing in
+    const signIn = async (username, password = PASSWORD) => {
+        const response = await request('POST', '/signin', { username, password });
+        if (response.status === 200) {
+            await request('GET', '/api/csrf-token');
+        }
+        return response;
+    };
+
+    return {
+        request,
+        signIn,
+        cookie: name => (cookies.has(name) ? decodeURIComponent(cookies.get(name)) : undefined)
+    };
+};
+
+/**
+ * Start an app around a fresh test database
+ *
+ * @param {Object} options - clock, storage and config overrides (all optional)
+ * @returns {Promise<Object>} { pool, app, client(), close() }
+ */
+const startApp = async ({ clock = defaultClock, storage = {}, config = {} } = {}) => {
+    const pool = await createTestDatabase({ clock });
+    const app = createApp({ pool, config: { ...loadConfig({}), ...config }, clock, storage });
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        pool,
+        app,
+        client: () => createClient(baseUrl),
+        close: async () => {
+            await new Promise(resolve => server.close(resolve));
+            await pool.end();
+        }
+    };
+};
+
+module.exports = { PASSWORD, createUser, startApp };
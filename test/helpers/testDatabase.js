@@ -0,0 +1,273 @@
+/**
+ * In-memory test database behind a mysql2-style pool
+ * The schema comes from the migrations (see sqliteSchema.js) and runs on SQLite (sql.js),
+ * so services and routes can be tested against real tables, keys and cascades. The pool
+ * translates the MariaDB forms the services use, and NOW() follows the given clock.
+ */
+
+const initSqlJs = require('sql.js');
+
+const { buildSchema } = require('./sqliteSchema');
+
+const DATE_TYPES = ['DATE', 'DATETIME', 'TIMESTAMP'];
+
+const MYSQL_ERRORS = [
+    [/^UNIQUE constraint failed/, 'ER_DUP_ENTRY', 1062],
+    [/^NOT NULL constraint failed/, 'ER_BAD_NULL_ERROR', 1048],
+    [/^CHECK constraint failed: length/, 'ER_DATA_TOO_LONG', 1406],
+    [/^CHECK constraint failed/, 'WARN_DATA_TRUNCATED', 1265]
+];
+
+let sqlJs = null;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Local date and time as MariaDB writes it
+ *
+ * @param {Date} date - Date
+ * @returns {String} YYYY-MM-DD HH:MM:SS
+ */
+const formatDateTime = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} `
+    + `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+
+/**
+ * Read a stored DATE or DATETIME as a local date, like mysql2 does
+ *
+ * @param {String} value - YYYY-MM-DD or YYYY-MM-DD HH:MM:SS
+ * @returns {Date|null} Date, or null if the value is not a date
+ */
+const parseDateTime = (value) => {
+    const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2}):(\d{2}))?/);
+    if (!match) return null;
+
+    const [, year, month, day, hours, minutes, seconds] = match.map(part => Number(part || 0));
+    return new Date(year, month - 1, day, hours, minutes, seconds);
+};
+
+/**
+ * DATE_ADD with the interval already split into amount and unit
+ */
+const dateAdd = (value, amount, unit) => {
+    const date = value === null ? null : parseDateTime(value);
+    if (!date || amount === null) return null;
+
+    const n = Number(amount);
+    switch (unit) {
+        case 'SECOND': date.setSeconds(date.getSeconds() + n); break;
+        case 'MINUTE': date.setMinutes(date.getMinutes() + n); break;
+        case 'HOUR': date.setHours(date.getHours() + n); break;
+        case 'DAY': date.setDate(date.getDate() + n); break;
+        case 'MONTH': date.setMonth(date.getMonth() + n); break;
+        default: throw new Error(`Unsupported interval unit: ${unit}`);
+    }
+
+    const result = formatDateTime(date);
+    // A DATE plus whole days stays a DATE
+    return String(value).length === 10 && unit === 'DAY' ? result.slice(0, 10) : result;
+};
+
+/**
+ * DATE_FORMAT for the %Y %m %d %H %i %s specifiers
+ */
+const dateFormat = (value, format) => {
+    const date = value === null ? null : parseDateTime(value);
+    if (!date) return null;
+
+    return format.replace(/%([YmdHis])/g, (match, part) => ({
+        Y: date.getFullYear(),
+        m: pad(date.getMonth() + 1),
+        d: pad(date.getDate()),
+        H: pad(date.getHours()),
+        i: pad(date.getMinutes()),
+        s: pad(date.getSeconds())
+    })[part]);
+};
+
+/**
+ * Rewrite the MariaDB forms the services use into SQLite
+ *
+ * @param {String} sql - MariaDB statement with placeholders
+ * @returns {String} SQLite statement with the same placeholders in the same order
+ */
+const translate = (sql) => {
+    let translated = sql
+        .replace(/<=>/g, ' IS ')
+        .replace(/\s+FOR UPDATE\b/gi, '')
+        .replace(/DATE_ADD\(\s*([^,]+?),\s*INTERVAL\s+([\w.?]+)\s+(\w+)\s*\)/gi, 'DATE_ADD($1, $2, \'$3\')')
+        .replace(/(NOW\(\)|[\w.`]+)\s*([-+])\s*INTERVAL\s+([\w.?]+)\s+(\w+)/gi,
+            (match, value, sign, amount, unit) => `DATE_ADD(${value}, ${sign === '-' ? '-' : ''}(${amount}), '${unit}')`)
+        .replace(/ON DUPLICATE KEY UPDATE/gi, 'ON CONFLICT DO UPDATE SET')
+        .replace(/\bVALUES\((\w+)\)/g, 'excluded.$1');
+
+    // UPDATE t alias SET alias.col = ... (SQLite names the columns it sets without the alias)
+    const aliased = translated.match(/^\s*UPDATE\s+(\w+)\s+(?!SET\b)(\w+)\s+SET\b/i);
+    if (aliased) {
+        const [, table, alias] = aliased;
+        translated = translated.replace(/^\s*UPDATE\s+\w+\s+\w+\s+SET\b([\s\S]*?)(\bWHERE\b|$)/i,
+            (match, assignments, where) => `UPDATE ${table} AS ${alias} SET${assignments.replace(new RegExp(`\\b${alias}\\.(\\w+)\\s*=`, 'g'), '$1 =')}${where}`);
+    }
+
+    return translated;
+};
+
+/**
+ * SQL literal of a parameter, formatted the way mysql2 expands it
+ *
+ * @param {*} value - Parameter value
+ * @returns {String} SQL literal
+ */
+const literal = (value) => {
+    if (value === null || value === undefined) return 'NULL';
+    if (Array.isArray(value)) return value.map(literal).join(', ');
+    if (value instanceof Date) return `'${formatDateTime(value)}'`;
+    if (typeof value === 'boolean') return value ? '1' : '0';
+    if (typeof value === 'number') return String(value);
+    if (typeof value === 'object') {
+        return Object.entries(value).map(([key, item]) => `\`${key}\` = ${literal(item)}`).join(', ');
+    }
+    return `'${String(value).replace(/'/g, '\'\'')}'`;
+};
+
+/**
+ * Put parameters into a statement, skipping placeholders inside string literals
+ *
+ * @param {String} sql - Statement with ? and ?? placeholders
+ * @param {Array} params - Parameters
+ * @returns {String} Statement without placeholders
+ */
+const format = (sql, params = []) => {
+    const values = [...params];
+    let quoted = false;
+    let result = '';
+
+    for (let i = 0; i < sql.length; i++) {
+        const char = sql[i];
+
+        if (char === '\'') {
+            quoted = !quoted;
+        } else if (!quoted && char === '?') {
+            if (sql[i + 1] === '?') {
+                result += `\`${values.shift()}\``;
+                i++;
+            } else {
+                result += literal(values.shift());
+            }
+            continue;
+        }
+        result += char;
+    }
+
+    return result;
+};
+
+/**
+ * Give an SQLite error the code mysql2 would have
+ *
+ * @param {Error} error - SQLite error
+ * @param {String} sql - Failed statement
+ * @returns {Error} The error
+ */
+const toMysqlError = (error, sql) => {
+    const known = MYSQL_ERRORS.find(([pattern]) => pattern.test(error.message));
+
+    if (/^FOREIGN KEY constraint failed/.test(error.message)) {
+        const isDelete = /^\s*DELETE\b/i.test(sql);
+        error.code = isDelete ? 'ER_ROW_IS_REFERENCED_2' : 'ER_NO_REFERENCED_ROW_2';
+        error.errno = isDelete ? 1451 : 1452;
+    } else if (known) {
+        [, error.code, error.errno] = known;
+    }
+    error.sql = sql;
+    return error;
+};
+
+/**
+ * Create an empty database with the current schema
+ *
+ * @param {Object} options - clock ({ now: () => Date }, defaults to the system time)
+ * @returns {Promise<Object>} Pool with query, getConnection and end, plus the sql.js database
+ */
+const createTestDatabase = async ({ clock = { now: () => new Date() } } = {}) => {
+    if (!sqlJs) {
+        sqlJs = await initSqlJs();
+    }
+
+    const db = new sqlJs.Database();
+    const { statements, tables } = buildSchema();
+
+    // Columns mysql2 would return as Date objects
+    const dateColumns = new Set();
+    tables.forEach(table => table.columns
+        .filter(column => DATE_TYPES.includes(column.type))
+        .forEach(column => dateColumns.add(column.name)));
+
+    db.create_function('NOW', () => formatDateTime(clock.now()));
+    db.create_function('CURDATE', () => formatDateTime(clock.now()).slice(0, 10));
+    db.create_function('DATE_ADD', dateAdd);
+    db.create_function('DATE_FORMAT', dateFormat);
+    db.create_function('LEFT', (value, length) => (value === null ? null : String(value).slice(0, length)));
+    db.create_function('CHAR_LENGTH', value => (value === null ? null : [...String(value)].length));
+    db.create_function('YEAR', value => (value === null ? null : parseDateTime(value).getFullYear()));
+
+    db.run('PRAGMA foreign_keys = ON');
+    statements.forEach(statement => db.run(statement));
+
+    const query = async (sql, params) => {
+        const statement = format(translate(sql), params);
+        let prepared;
+
+        try {
+            prepared = db.prepare(statement);
+            const columns = prepared.getColumnNames();
+
+            if (columns.length === 0) {
+                prepared.run();
+                const affectedRows = db.getRowsModified();
+                const [[insertId]] = db.exec('SELECT last_insert_rowid()')[0].values;
+                return [{ insertId, affectedRows }, undefined];
+            }
+
+            const rows = [];
+            while (prepared.step()) {
+                const row = prepared.getAsObject();
+                Object.keys(row).forEach(column => {
+                    if (dateColumns.has(column) && typeof row[column] === 'string') {
+                        row[column] = parseDateTime(row[column]) || row[column];
+                    }
+                });
+                rows.push(row);
+            }
+            return [rows, columns.map(name => ({ name }))];
+        } catch (error) {
+            throw toMysqlError(error, statement);
+        } finally {
+            if (prepared) prepared.free();
+        }
+    };
+
+    // One SQLite connection: transactions of concurrent callers are not isolated from each other
+    const connection = {
+        query,
+        beginTransaction: async () => db.run('BEGIN'),
+        commit: async () => db.run('COMMIT'),
+        rollback: async () => {
+            // A failed statement may already have ended the transaction
+            try {
+                db.run('ROLLBACK');
+            } catch (error) {
+                if (!/no transaction is active/.test(error.message)) throw error;
+            }
+        },
+        release: () => {}
+    };
+
+    return {
+        db,
+        query,
+        getConnection: async () => connection,
+        end: async () => db.close()
+    };
+};
+
+module.exports = { createTestDatabase, formatDateTime };
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const measurementService = require('../Server/db/measurementService');
+
+test('checkMeasurement converts to the base unit before checking the range', () => {
+    assert.equal(measurementService.checkMeasurement('height', 120, 'm'), 'Height must be between 0 and 10000 cm');
+    assert.equal(measurementService.checkMeasurement('height', 95, 'mm'), null);
+    assert.equal(measurementService.checkMeasurement('height', 95), null);
+});
+
+test('checkMeasurement only knows the units and metrics it defines', () => {
+    ['toString', 'valueOf', 'constructor', '__proto__'].forEach(name => {
+        assert.equal(measurementService.checkMeasurement('height', 95, name), 'Height is measured in cm, mm, m');
+        assert.equal(measurementService.checkMeasurement(name, 95, 'cm'), 'Unknown metric');
+    });
+    assert.equal(measurementService.checkMeasurement('leaf_count', 12, 'cm'), 'Leaf count is measured in leaves');
+});
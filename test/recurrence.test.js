@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const recurrence = require('../Server/reminders/recurrence');
+
+test('a rule converted from intervalDays is first due one interval after the start date', () => {
+    const rule = recurrence.fromIntervalDays(3);
+
+    assert.equal(recurrence.formatRRule(rule), 'FREQ=DAILY;INTERVAL=3');
+    assert.equal(recurrence.restartInterval(rule, '2024-05-01'), '2024-05-04');
+    assert.equal(recurrence.followingOccurrence(rule, '2024-05-01', '2024-05-04'), '2024-05-07');
+});
+
+test('a rule given as a recurrence can be due on its start date', () => {
+    const rule = recurrence.toRule({ frequency: 'WEEKLY', byWeekday: ['WE'] });
+
+    assert.equal(recurrence.firstOccurrence(rule, '2024-05-01'), '2024-05-01');
+    assert.equal(recurrence.firstOccurrence(rule, '2024-05-02'), '2024-05-08');
+});
+
+test('a series with an end date stops after its last day', () => {
+    const rule = recurrence.toRule('FREQ=WEEKLY;BYDAY=MO;UNTIL=20240520');
+
+    assert.equal(recurrence.nextOccurrence(rule, '2024-05-01', '2024-05-13'), '2024-05-20');
+    assert.equal(recurrence.nextOccurrence(rule, '2024-05-01', '2024-05-20'), null);
+    assert.equal(recurrence.restartInterval(recurrence.toRule('FREQ=DAILY;INTERVAL=7;UNTIL=20240520'), '2024-05-14'), null);
+    assert.deepEqual(recurrence.expandOccurrences(rule, '2024-05-01', '2024-05-06', '2024-06-30', 10), ['2024-05-06', '2024-05-13', '2024-05-20']);
+});
+
+test('a monthly rule whose month days or months it can never reach has no occurrences', () => {
+    const never = [
+        ['FREQ=MONTHLY;BYMONTHDAY=30,31;BYMONTH=2', '2024-01-01'],
+        ['FREQ=MONTHLY;BYMONTHDAY=31;BYMONTH=4,6,9,11', '2024-01-01'],
+        // Every 12 months only reaches the start month, every 2 months only every other month
+        ['FREQ=MONTHLY;INTERVAL=12;BYMONTH=2', '2024-03-01'],
+        ['FREQ=MONTHLY;INTERVAL=2;BYMONTH=1,3,5,7,9,11', '2024-02-01'],
+        // Without month days the start day repeats, and February has no 30th
+        ['FREQ=MONTHLY;BYMONTH=2', '2024-01-30']
+    ];
+
+    never.forEach(([rrule, dtstart]) => {
+        const rule = recurrence.toRule(rrule);
+        assert.equal(recurrence.canOccur(rule, dtstart), false, rrule);
+        assert.equal(recurrence.firstOccurrence(rule, dtstart), null, rrule);
+    });
+});
+
+test('a monthly rule that only occurs in leap years or on the last day still finds its day', () => {
+    const leapDay = recurrence.toRule('FREQ=MONTHLY;BYMONTHDAY=29;BYMONTH=2');
+    assert.equal(recurrence.firstOccurrence(leapDay, '2025-03-01'), '2028-02-29');
+
+    const lastDay = recurrence.toRule('FREQ=MONTHLY;BYMONTHDAY=-1;BYMONTH=2');
+    assert.equal(recurrence.firstOccurrence(lastDay, '2025-03-01'), '2026-02-28');
+
+    const everyOtherMonth = recurrence.toRule('FREQ=MONTHLY;INTERVAL=2;BYMONTHDAY=31');
+    assert.equal(recurrence.firstOccurrence(everyOtherMonth, '2024-02-01'), '2024-08-31');
+});
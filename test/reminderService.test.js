@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const reminderService = require('../Server/db/reminderService');
+const plantService = require('../Server/db/plantService');
+const userService = require('../Server/db/userService');
+const recurrence = require('../Server/reminders/recurrence');
+const { createTestDatabase } = require('./helpers/testDatabase');
+
+/**
+ * Test database with a user and a plant in their garden
+ * @returns {Promise<Object>} { pool, userId, plantId }
+ */
+const createPlantDatabase = async () => {
+    const pool = await createTestDatabase();
+    const userId = await userService.createUser(pool, 'mari', 'hash');
+    const plant = await plantService.addPlant(pool, { cultivar: 'Moneymaker', species: 'Tomato', plantingTime: '2024-04-01' }, userId);
+    return { pool, userId, plantId: plant.id };
+};
+
+test('createReminder puts the first "every N days" reminder one interval after the start date', async () => {
+    const { pool, userId, plantId } = await createPlantDatabase();
+
+    const reminder = await reminderService.createReminder(pool, plantId, {
+        type: 'watering',
+        rule: recurrence.fromIntervalDays(3),
+        startDate: '2024-05-01',
+        fromIntervalDays: true
+    }, userId);
+
+    assert.equal(recurrence.toDay(reminder.nextReminder), '2024-05-04');
+    assert.equal(reminder.intervalDays, 3);
+});
+
+test('createReminder lets a recurrence rule be due on its start date', async () => {
+    const { pool, userId, plantId } = await createPlantDatabase();
+
+    const reminder = await reminderService.createReminder(pool, plantId, {
+        type: 'watering',
+        rule: recurrence.toRule('FREQ=DAILY;INTERVAL=3'),
+        startDate: '2024-05-01',
+        fromIntervalDays: false
+    }, userId);
+
+    assert.equal(recurrence.toDay(reminder.nextReminder), '2024-05-01');
+});
+
+test('completeReminder records nothing when the reminder changed after it was read', async () => {
+    const { pool, userId, plantId } = await createPlantDatabase();
+    const clock = { now: () => new Date('2024-05-04T09:00:00') };
+    const reminder = await reminderService.createReminder(pool, plantId, {
+        type: 'watering',
+        rule: recurrence.fromIntervalDays(3),
+        startDate: '2024-05-01',
+        fromIntervalDays: true
+    }, userId);
+
+    // Another completion gets in between reading the reminder and recording this one
+    let raced = false;
+    const racingPool = {
+        ...pool,
+        query: async (sql, params) => {
+            const result = await pool.query(sql, params);
+            if (!raced && /FROM plant_reminders r/.test(sql)) {
+                raced = true;
+                await reminderService.completeReminder(pool, reminder.id, {}, userId, clock);
+            }
+            return result;
+        }
+    };
+
+    const result = await reminderService.completeReminder(racingPool, reminder.id, {}, userId, clock);
+
+    assert.equal(result, false);
+
+    const [[stored]] = await pool.query('SELECT * FROM plant_reminders WHERE reminder_id = ?', [reminder.id]);
+    assert.equal(stored.occurrences_done, 1);
+    assert.equal(recurrence.toDay(stored.next_reminder), '2024-05-07');
+
+    const [completions] = await pool.query('SELECT * FROM reminder_completions');
+    assert.equal(completions.length, 1);
+});
+
+test('a series with a count ends once that many occurrences are done or skipped', async () => {
+    const { pool, userId, plantId } = await createPlantDatabase();
+    const clock = { now: () => new Date('2024-05-01T09:00:00') };
+    const reminder = await reminderService.createReminder(pool, plantId, {
+        type: 'fertilizing',
+        rule: recurrence.toRule('FREQ=WEEKLY;BYDAY=WE;COUNT=3'),
+        startDate: '2024-05-01',
+        fromIntervalDays: false
+    }, userId);
+
+    const first = await reminderService.completeReminder(pool, reminder.id, {}, userId, clock);
+    assert.equal(recurrence.toDay(first.nextReminder), '2024-05-08');
+
+    const skipped = await reminderService.skipReminder(pool, reminder.id, {}, userId, clock);
+    assert.equal(recurrence.toDay(skipped.nextReminder), '2024-05-15');
+
+    const last = await reminderService.completeReminder(pool, reminder.id, {}, userId, clock);
+    assert.equal(last.nextReminder, null);
+    assert.equal(last.occurrencesDone, 3);
+
+    assert.equal(await reminderService.skipReminder(pool, reminder.id, {}, userId, clock), false);
+
+    const [completions] = await pool.query('SELECT * FROM reminder_completions WHERE reminder_id = ?', [reminder.id]);
+    assert.equal(completions.length, 3);
+});
+
+test('a series with an end date has no due day after it', async () => {
+    const { pool, userId, plantId } = await createPlantDatabase();
+    const clock = { now: () => new Date('2024-05-13T09:00:00') };
+    const reminder = await reminderService.createReminder(pool, plantId, {
+        type: 'watering',
+        rule: recurrence.toRule('FREQ=WEEKLY;BYDAY=MO;UNTIL=20240520'),
+        startDate: '2024-05-13',
+        fromIntervalDays: false
+    }, userId);
+
+    const completed = await reminderService.completeReminder(pool, reminder.id, {}, userId, clock);
+    assert.equal(recurrence.toDay(completed.nextReminder), '2024-05-20');
+
+    clock.now = () => new Date('2024-05-20T18:00:00');
+    assert.equal((await reminderService.completeReminder(pool, reminder.id, {}, userId, clock)).nextReminder, null);
+});
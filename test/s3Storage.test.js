@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createS3Storage } = require('../Server/storage/s3Storage');
+
+const KEY = 'photos/2024/05/abc-123/thumbnail.webp';
+
+/**
+ * Driver with static credentials; signing happens offline
+ * @param {Object} s3 - Settings to override
+ * @returns {Object} Storage driver
+ */
+const createStorage = (s3 = {}) => createS3Storage({
+    s3: {
+        bucket: 'garden-photos',
+        region: 'eu-north-1',
+        accessKeyId: 'test',
+        secretAccessKey: 'test',
+        forcePathStyle: false,
+        signedUrls: true,
+        signedUrlSeconds: 300,
+        ...s3
+    }
+});
+
+test('signed URLs point at the origin the page is allowed to load images from', async () => {
+    const aws = createStorage();
+    const minio = createStorage({ endpoint: 'http://localhost:9000', forcePathStyle: true });
+
+    assert.equal(new URL(await aws.signedUrl(KEY)).origin, aws.origin);
+    assert.equal(aws.origin, 'https://garden-photos.s3.eu-north-1.amazonaws.com');
+    assert.equal(new URL(await minio.signedUrl(KEY)).origin, minio.origin);
+    assert.equal(new URL(await minio.signedUrl(KEY)).pathname, `/garden-photos/${KEY}`);
+});
+
+test('a photo keeps one signed URL for a window and the URL outlives it', async () => {
+    const storage = createStorage();
+
+    const first = await storage.signedUrl(KEY, new Date('2024-05-01T12:00:10Z'));
+    const later = await storage.signedUrl(KEY, new Date('2024-05-01T12:04:50Z'));
+    const next = await storage.signedUrl(KEY, new Date('2024-05-01T12:05:00Z'));
+
+    assert.equal(first, later);
+    assert.notEqual(first, next);
+    assert.equal(new URL(first).searchParams.get('X-Amz-Date'), '20240501T120000Z');
+    assert.equal(new URL(first).searchParams.get('X-Amz-Expires'), '600');
+});
+
+test('without signed URLs the app streams photos itself', () => {
+    const storage = createStorage({ signedUrls: false });
+
+    assert.equal(storage.signedUrl, undefined);
+    assert.equal(storage.origin, undefined);
+});
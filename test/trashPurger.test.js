@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const photoService = require('../Server/db/photoService');
+const plantService = require('../Server/db/plantService');
+const userService = require('../Server/db/userService');
+const { createTrashPurger } = require('../Server/trash/purger');
+const { createTestDatabase } = require('./helpers/testDatabase');
+
+test('the trash purger only deletes plants that have been in the trash longer than the retention period', async () => {
+    const clock = { time: new Date('2024-03-01T12:00:00'), now: () => clock.time };
+    const pool = await createTestDatabase({ clock });
+    const userId = await userService.createUser(pool, 'mari', 'hash');
+    const removedKeys = [];
+    const storage = { delete: async (key) => { removedKeys.push(key); } };
+
+    // A plant with a photo, deleted at a time (or kept if deletedAt is null)
+    const addPlant = async (cultivar, deletedAt) => {
+        const plant = await plantService.addPlant(pool, { cultivar, species: 'Tomato', plantingTime: '2024-03-01' }, userId);
+        await photoService.insertPhoto(pool, plant.id, { photoKey: `photos/2024/03/${cultivar}/original.jpg`, isCover: true });
+
+        if (deletedAt) {
+            clock.time = new Date(deletedAt);
+            assert.equal(await plantService.deletePlant(pool, plant.id, userId), true);
+        }
+        return plant.id;
+    };
+
+    const expired = await addPlant('expired', '2024-03-31T12:00:00');
+    const onTheDay = await addPlant('onTheDay', '2024-04-01T12:00:00');
+    const recent = await addPlant('recent', '2024-04-25T08:00:00');
+    const growing = await addPlant('growing', null);
+
+    clock.time = new Date('2024-05-01T12:00:00');
+    const purger = createTrashPurger(pool, { storage, retentionDays: 30, clock });
+
+    assert.deepEqual(await purger.run(), { purged: 1, failedFiles: 0 });
+
+    const [plants] = await pool.query('SELECT user_plant_id FROM user_plants ORDER BY user_plant_id');
+    assert.deepEqual(plants.map(plant => plant.user_plant_id), [onTheDay, recent, growing]);
+
+    const [photos] = await pool.query('SELECT user_plant_id FROM plant_photos WHERE user_plant_id = ?', [expired]);
+    assert.deepEqual(photos, []);
+    assert.deepEqual(removedKeys.filter(key => key.endsWith('original.jpg')), ['photos/2024/03/expired/original.jpg']);
+    assert.equal(removedKeys.every(key => key.startsWith('photos/2024/03/expired/')), true);
+
+    const trash = await plantService.getDeletedPlants(pool, userId);
+    assert.deepEqual(trash.map(plant => plant.id).sort(), [onTheDay, recent].sort());
+
+    // Nothing more to purge until the next plant expires
+    assert.deepEqual(await purger.run(), { purged: 0, failedFiles: 0 });
+});
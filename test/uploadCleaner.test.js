@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const measurementService = require('../Server/db/measurementService');
+const photoService = require('../Server/db/photoService');
+const plantService = require('../Server/db/plantService');
+const userService = require('../Server/db/userService');
+const { createStorage } = require('../Server/storage');
+const { createUploadCleaner } = require('../Server/storage/cleaner');
+const { createTestDatabase } = require('./helpers/testDatabase');
+
+const NOW = new Date('2024-05-01T12:00:00');
+const OLD = new Date('2024-04-20T12:00:00');
+const RECENT = new Date('2024-05-01T11:00:00');
+
+/**
+ * Cleaner over temporary storage, uploads and tmp folders, with a plant to refer to files from
+ *
+ * @returns {Promise<Object>} { pool, userId, plantId, dirs, storage, cleaner, putPhoto, writeFile, exists, cleanUp }
+ */
+const createCleaner = async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'cleaner-'));
+    const dirs = { storage: path.join(root, 'storage'), uploads: path.join(root, 'uploads'), tmp: path.join(root, 'tmp') };
+    Object.values(dirs).forEach(dir => fs.mkdirSync(dir));
+
+    const pool = await createTestDatabase({ clock: { now: () => NOW } });
+    const userId = await userService.createUser(pool, 'mari', 'hash');
+    const plant = await plantService.addPlant(pool, { cultivar: 'Moneymaker', species: 'Tomato', plantingTime: '2024-04-01' }, userId);
+    const storage = createStorage({ driver: 'local', dir: dirs.storage });
+
+    const writeFile = (file, modified) => {
+        fs.writeFileSync(file, 'image');
+        fs.utimesSync(file, modified, modified);
+    };
+
+    return {
+        pool,
+        userId,
+        plantId: plant.id,
+        storage,
+        cleaner: createUploadCleaner(pool, {
+            storage,
+            tmpDir: dirs.tmp,
+            uploadsDir: dirs.uploads,
+            gracePeriodMs: 24 * 60 * 60 * 1000,
+            clock: { now: () => NOW }
+        }),
+        // Original and thumbnail of a stored photo, last modified at a time
+        putPhoto: async (id, modified) => {
+            const key = `photos/2024/04/${id}/original.jpg`;
+            for (const variant of [key, `photos/2024/04/${id}/thumbnail.webp`]) {
+                await storage.put(variant, Buffer.from('image'));
+                writeFile(path.join(dirs.storage, ...variant.split('/')), modified);
+            }
+            return key;
+        },
+        writeFile: (area, name, modified) => writeFile(path.join(dirs[area], name), modified),
+        exists: (area, name) => fs.existsSync(path.join(dirs[area], ...name.split('/'))),
+        cleanUp: () => fs.rmSync(root, { recursive: true, force: true })
+    };
+};
+
+test('the upload cleaner removes old files nothing refers to, and nothing inside the grace period', async () => {
+    const setup = await createCleaner();
+
+    try {
+        const orphan = await setup.putPhoto('orphan', OLD);
+        const fresh = await setup.putPhoto('fresh', RECENT);
+        setup.writeFile('uploads', 'stray.jpg', OLD);
+        setup.writeFile('uploads', 'new.jpg', RECENT);
+        setup.writeFile('tmp', 'tmp-1-1714550000000', OLD);
+        setup.writeFile('tmp', 'tmp-2-1714561200000', RECENT);
+        setup.writeFile('tmp', 'notes.txt', OLD);
+
+        const dryRun = await setup.cleaner.run({ dryRun: true });
+        assert.deepEqual(dryRun.files.map(file => [file.area, file.name]).sort(), [
+            ['storage', orphan],
+            ['storage', 'photos/2024/04/orphan/thumbnail.webp'],
+            ['tmp', 'tmp-1-1714550000000'],
+            ['uploads', '/uploads/stray.jpg']
+        ]);
+        assert.equal(setup.exists('storage', orphan), true);
+
+        const report = await setup.cleaner.run();
+        assert.equal(report.files.length, 4);
+        assert.equal(report.failed, 0);
+
+        assert.equal(setup.exists('storage', orphan), false);
+        assert.equal(setup.exists('uploads', 'stray.jpg'), false);
+        assert.equal(setup.exists('tmp', 'tmp-1-1714550000000'), false);
+
+        // Younger than the grace period, or not a temp file of express-fileupload
+        assert.equal(setup.exists('storage', fresh), true);
+        assert.equal(setup.exists('uploads', 'new.jpg'), true);
+        assert.equal(setup.exists('tmp', 'tmp-2-1714561200000'), true);
+        assert.equal(setup.exists('tmp', 'notes.txt'), true);
+    } finally {
+        setup.cleanUp();
+    }
+});
+
+test('the upload cleaner never removes files of gallery or measurement photos, however old', async () => {
+    const setup = await createCleaner();
+
+    try {
+        const gallery = await setup.putPhoto('gallery', OLD);
+        const measured = await setup.putPhoto('measured', OLD);
+        const trashed = await setup.putPhoto('trashed', OLD);
+        setup.writeFile('uploads', 'legacy.jpg', OLD);
+
+        await photoService.insertPhoto(setup.pool, setup.plantId, { photoKey: gallery, isCover: true });
+        await photoService.insertPhoto(setup.pool, setup.plantId, { photoKey: '/uploads/legacy.jpg' });
+        await measurementService.addMeasurement(setup.pool, setup.plantId, {
+            metric: 'height',
+            value: 40,
+            measuredOn: '2024-04-20',
+            photoKey: measured
+        }, setup.userId);
+
+        // A plant in the trash can still be restored with its photos
+        const other = await plantService.addPlant(setup.pool, { cultivar: 'Sungold', species: 'Tomato', plantingTime: '2024-04-01' }, setup.userId);
+        await photoService.insertPhoto(setup.pool, other.id, { photoKey: trashed, isCover: true });
+        assert.equal(await plantService.deletePlant(setup.pool, other.id, setup.userId), true);
+
+        const report = await setup.cleaner.run();
+        assert.deepEqual(report.files, []);
+
+        for (const key of [gallery, measured, trashed]) {
+            assert.equal(setup.exists('storage', key), true, key);
+            assert.equal(setup.exists('storage', key.replace('original.jpg', 'thumbnail.webp')), true, key);
+        }
+        assert.equal(setup.exists('uploads', 'legacy.jpg'), true);
+    } finally {
+        setup.cleanUp();
+    }
+});